@@ -53,6 +53,17 @@ var config = {
         provider: 'v8',
         url: 'https://api.bitcore.io',
       },
+      // Regtest & signet have no public explorer, point them to your own node:
+      // regtest: {
+      //   provider: 'v8',
+      //   url: 'http://localhost:3000',
+      // },
+      // For offline development, an in-memory chain funded & mined through
+      // POST /v1/mock/btc/regtest/fund/ {address, amount} and /v1/mock/btc/regtest/mine/ {blocks}.
+      // Its state lives in the BWS process, so run the blockchain monitor in the same process to get its events:
+      // regtest: {
+      //   provider: 'mock',
+      // },
     },
     bch: {
       livenet: {
@@ -70,6 +81,16 @@ var config = {
       },
 
     },
+    ltc: {
+      livenet: {
+        provider: 'v8',
+        url: 'https://api.bitcore.io',
+      },
+      testnet: {
+        provider: 'v8',
+        url: 'https://api.bitcore.io',
+      },
+    },
   },
   pushNotificationsOpts: {
     templatePath: './lib/templates',
@@ -79,6 +100,33 @@ var config = {
     pushServerUrl: 'https://fcm.googleapis.com/fcm',
     authorizationKey: 'You_have_to_put_something_here',
   },
+  webhookOpts: {
+    maxAttempts: 8,
+    initialBackoff: 30, // in seconds, doubled after each failed attempt
+    retryInterval: 30, // in seconds
+  },
+  txpExpirationOpts: {
+    sweepInterval: 60, // in seconds
+  },
+  consolidationOpts: {
+    checkInterval: 600, // in seconds
+  },
+  payProOpts: {
+    // Keys trusted to sign JSON payment requests, by identity. Payment requests of tx proposals are only fetched &
+    // verified on publish once keys or root certificates are listed here:
+    // trustedKeys: {
+    //   '<identity>': {
+    //     owner: 'Merchant Inc',
+    //     publicKey: '<hex encoded public key>',
+    //     networks: ['livenet'],
+    //     domains: ['merchant.com'],
+    //   },
+    // },
+    trustedKeys: {},
+    // PEM encoded root certificates trusted to issue the merchant certificates signing BIP70 payment requests.
+    // Proposals are flagged with payProVerified: false when published with no trust store configured.
+    trustedRoots: [],
+  },
   fiatRateServiceOpts: {
     defaultProvider: 'BitPay',
     fetchInterval: 60, // in minutes
@@ -101,7 +149,11 @@ var config = {
   //    bch: {
   //      livenet: 'https://bch-insight.bitpay.com/#/tx/{{txid}}',
   //      testnet: 'https://test-bch-insight.bitpay.com/#/tx/{{txid}}',
-  //    }
+  //    },
+  //    ltc: {
+  //      livenet: 'https://insight.litecore.io/tx/{{txid}}',
+  //      testnet: 'https://testnet.litecore.io/tx/{{txid}}',
+  //    },
   //  },
   // },
   // To use sendgrid:
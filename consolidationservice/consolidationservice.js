@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+'use strict';
+
+var log = require('npmlog');
+log.debug = log.verbose;
+log.level = 'debug';
+
+var config = require('../config');
+var ConsolidationService = require('../lib/consolidationservice');
+
+var consolidationService = new ConsolidationService();
+consolidationService.start(config, function(err) {
+  if (err) throw err;
+
+  log.debug('Consolidation Service started');
+});
@@ -26,7 +26,8 @@ BCHAddressTranslator.getAddressCoin = function(address) {
 
 
 // Supports 3 formats:  legacy (1xxx, mxxxx); Copay: (Cxxx, Hxxx), Cashaddr(qxxx);
-BCHAddressTranslator.translate = function(addresses, to, from) {
+// Regtest addresses share the testnet legacy encoding, so network is needed to get their cashaddr checksum right.
+BCHAddressTranslator.translate = function(addresses, to, from, network) {
   var wasArray = true;
   if (!_.isArray(addresses)) {
     wasArray = false;
@@ -41,6 +42,7 @@ BCHAddressTranslator.translate = function(addresses, to, from) {
     ret =  _.map(addresses, function(x) {
       var bitcore = Bitcore_[from == 'legacy' ? 'btc' : 'bch'];
       var orig = new bitcore.Address(x).toObject();
+      if (network == 'regtest') orig.network = network;
 
       if (to == 'cashaddr') {
         return Bitcore_['bch'].Address.fromObject(orig).toCashAddress(true);
@@ -7,35 +7,21 @@ log.debug = log.verbose;
 
 var Insight = require('./blockchainexplorers/insight');
 var V8 = require('./blockchainexplorers/v8');
+var Mock = require('./blockchainexplorers/mock');
 var Common = require('./common');
-var Constants = Common.Constants,
+var Coins = Common.Coins,
+  Constants = Common.Constants,
   Defaults = Common.Defaults,
   Utils = Common.Utils;
 
-var PROVIDERS = {
-  'insight': {
-    'btc': {
-      'livenet': 'https://insight.bitpay.com:443',
-      'testnet': 'https://test-insight.bitpay.com:443',
-    },
-    'bch': {
-      'livenet': 'https://bch-insight.bitpay.com:443',
-      'testnet': 'https://test-bch-insight.bitpay.com:443',
-    },
-  },
-
-  'v8': {
-    'btc': {
-      'livenet': 'https://api.bitpay.com',
-      'testnet': 'https://api.bitpay.com',
-    },
-    'bch': {
-      'livenet': 'https://api.bitpay.com',
-      'testnet': 'https://api.bitpay.com',
-    },
- 
-  },
-};
+// Default explorer urls of the registered coins, by provider, coin & network
+var PROVIDERS = {};
+_.each(Coins.list(), function(coin) {
+  _.each(Coins.get(coin).explorers, function(urls, provider) {
+    PROVIDERS[provider] = PROVIDERS[provider] || {};
+    PROVIDERS[provider][coin] = urls;
+  });
+});
 
 function BlockChainExplorer(opts) {
   $.checkArgument(opts);
@@ -44,20 +30,30 @@ function BlockChainExplorer(opts) {
   var coin = opts.coin || Defaults.COIN;
   var network = opts.network || 'livenet';
 
+  $.checkState(_.includes(Constants.COIN_NETWORKS[coin], network), 'Network ' + network + ' not supported for coin ' + coin);
+
+  // The mock provider keeps its chain in memory, it needs no explorer
+  if (provider == 'mock') {
+    return new Mock({
+      coin: coin,
+      network: network,
+    });
+  }
+
   $.checkState(PROVIDERS[provider], 'Provider ' + provider + ' not supported');
   $.checkState(_.includes(_.keys(PROVIDERS[provider]), coin), 'Coin ' + coin + ' not supported by this provider');
 
-  $.checkState(_.includes(_.keys(PROVIDERS[provider][coin]), network), 'Network ' + network + ' not supported by this provider for coin ' + coin);
-
+  // There are no public explorers for regtest & signet, their url has to be configured
   var url = opts.url || PROVIDERS[provider][coin][network];
+  $.checkState(url, 'Network ' + network + ' not supported by this provider for coin ' + coin + ' without an explorer url');
 
 
-  if (coin != 'bch' && opts.addressFormat)
-    throw new Error('addressFormat only supported for bch');
+  if (!Coins.get(coin).cashaddr && opts.addressFormat)
+    throw new Error('addressFormat only supported for coins with cashaddr addresses');
 
-  if (coin == 'bch' && !opts.addressFormat)
+  if (Coins.get(coin).cashaddr && !opts.addressFormat)
     opts.addressFormat = 'cashaddr';
-  
+
 
   switch (provider) {
     case 'insight':
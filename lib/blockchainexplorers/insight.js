@@ -47,7 +47,7 @@ var _parseErr = function(err, res) {
 // Translate Request Address query
 Insight.prototype.translateQueryAddresses = function(addresses) {
   if (!this.addressFormat) return addresses;
-  return BCHAddressTranslator.translate(addresses, this.addressFormat, 'copay');
+  return BCHAddressTranslator.translate(addresses, this.addressFormat, 'copay', this.network);
 };
 
 
@@ -171,6 +171,22 @@ Insight.prototype.getTransaction = function(txid, cb) {
   });
 };
 
+Insight.prototype.getRawTransaction = function(txid, cb) {
+  var args = {
+    method: 'GET',
+    path: this.apiPrefix + '/rawtx/' + txid,
+    json: true,
+  };
+
+  this.requestQueue.push(args, function(err, res, body) {
+    if (res && res.statusCode == 404) return cb();
+    if (err || res.statusCode !== 200)
+      return cb(_parseErr(err, res));
+
+    return cb(null, body ? body.rawtx : null);
+  });
+};
+
 Insight.prototype.getTransactions = function(addresses, from, to, cb, walletId) {
   var self = this;
 
@@ -0,0 +1,402 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var log = require('npmlog');
+log.debug = log.verbose;
+var Common = require('../common');
+var Coins = Common.Coins,
+  Constants = Common.Constants,
+  Defaults = Common.Defaults,
+  Utils = Common.Utils;
+
+/*
+ * In-memory blockchain, so the service can run & be tested with no network.
+ *
+ * Each coin/network has its own chain, shared by all the Mock explorers of the process: a UTXO set, a mempool
+ * and the blocks mined so far. Broadcasted txs are checked against the UTXO set (including their signatures)
+ * and stay in the mempool until blocks are mined. Addresses are funded from coinbase-like txs.
+ * Socket events are emitted the way Insight does, for BlockchainMonitor to pick up new txs & blocks.
+ */
+var chains = {};
+
+function createChain(coin, network) {
+  var chain = {
+    blocks: [],
+    txs: {},
+    txOrder: [],
+    utxos: {},
+    mempool: [],
+    nbFundings: 0,
+    feePerKb: _.find(Coins.get(coin).feeLevels, {
+      name: 'normal'
+    }).defaultValue,
+    events: new EventEmitter(),
+  };
+  chain.events.setMaxListeners(0);
+  addBlock(chain);
+  return chain;
+};
+
+function addBlock(chain) {
+  var tip = _.last(chain.blocks);
+  var height = tip ? tip.height + 1 : 0;
+  var block = {
+    hash: crypto.createHash('sha256').update((tip ? tip.hash : '') + height).digest('hex'),
+    height: height,
+    time: Math.floor(Date.now() / 1000),
+    txids: chain.mempool,
+  };
+  _.each(block.txids, function(txid) {
+    chain.txs[txid].blockheight = block.height;
+    chain.txs[txid].blocktime = block.time;
+  });
+  chain.mempool = [];
+  chain.blocks.push(block);
+  return block;
+};
+
+function Mock(opts) {
+  $.checkArgument(opts);
+  $.checkArgument(Utils.checkValueInCollection(opts.network, Constants.NETWORKS));
+  $.checkArgument(Utils.checkValueInCollection(opts.coin, Constants.COINS));
+
+  this.coin = opts.coin || Defaults.COIN;
+  this.network = opts.network || 'livenet';
+  this.lib = Coins.getLib(this.coin);
+
+  var key = this.coin + '/' + this.network;
+  this.chain = chains[key] = chains[key] || createChain(this.coin, this.network);
+};
+
+Mock.prototype.getConnectionInfo = function() {
+  return 'Mock (' + this.coin + '/' + this.network + ') @ memory';
+};
+
+Mock.prototype.supportsGrouping = function() {
+  return false;
+};
+
+Mock.prototype._getHeight = function() {
+  return _.last(this.chain.blocks).height;
+};
+
+Mock.prototype._getAddress = function(script) {
+  var address = script.toAddress(Utils.getEncodingNetwork(this.network));
+  return address ? Coins.formatAddress(this.coin, address) : undefined;
+};
+
+Mock.prototype._addTx = function(tx, inputs) {
+  var self = this;
+
+  var outputs = _.map(tx.outputs, function(output, i) {
+    return {
+      n: i,
+      address: self._getAddress(output.script),
+      satoshis: output.satoshis,
+      script: output.script.toHex(),
+    };
+  });
+
+  _.each(inputs, function(input) {
+    delete self.chain.utxos[input.txid + ':' + input.vout];
+  });
+  _.each(outputs, function(output) {
+    if (!output.address) return;
+    self.chain.utxos[tx.id + ':' + output.n] = {
+      txid: tx.id,
+      vout: output.n,
+      address: output.address,
+      satoshis: output.satoshis,
+      scriptPubKey: output.script,
+    };
+  });
+
+  self.chain.txs[tx.id] = {
+    txid: tx.id,
+    inputs: inputs,
+    outputs: outputs,
+    fee: _.sumBy(inputs, 'satoshis') - _.sumBy(outputs, 'satoshis'),
+    raw: tx.uncheckedSerialize(),
+    size: tx.toBuffer().length,
+    firstSeenTs: Math.floor(Date.now() / 1000),
+    blockheight: -1,
+  };
+  self.chain.txOrder.push(tx.id);
+  self.chain.mempool.push(tx.id);
+
+  // Insight reports amounts in satoshis on its socket
+  self.chain.events.emit('tx', {
+    txid: tx.id,
+    vout: _.compact(_.map(outputs, function(output) {
+      if (!output.address) return;
+      return _.fromPairs([
+        [output.address, output.satoshis]
+      ]);
+    })),
+  });
+};
+
+Mock.prototype._verifyInput = function(tx, index, utxo) {
+  var lib = this.lib;
+  var Interpreter = lib.Script.Interpreter;
+  var input = tx.inputs[index];
+  var scriptPubKey = new lib.Script(utxo.scriptPubKey);
+
+  // Coins with replay protected signatures (BCH) commit to the amount spent by every input
+  if (lib.crypto.Signature.SIGHASH_FORKID) {
+    return new Interpreter().verify(input.script, scriptPubKey, tx, index,
+      Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_ENABLE_SIGHASH_FORKID, new lib.crypto.BN(utxo.satoshis));
+  }
+
+  var flags = Interpreter.SCRIPT_VERIFY_P2SH;
+  if (Coins.get(this.coin).segwit) flags |= Interpreter.SCRIPT_VERIFY_WITNESS;
+  return new Interpreter().verify(input.script, scriptPubKey, tx, index, flags, input.getWitnesses() || [], utxo.satoshis);
+};
+
+Mock.prototype._formatTx = function(tx) {
+  var self = this;
+  var height = self._getHeight();
+
+  return {
+    txid: tx.txid,
+    vin: _.map(tx.inputs, function(input, i) {
+      return {
+        txid: input.txid,
+        vout: input.vout,
+        n: i,
+        addr: input.address,
+        valueSat: input.satoshis,
+        value: input.satoshis / 1e8,
+      };
+    }),
+    vout: _.map(tx.outputs, function(output) {
+      return {
+        value: (output.satoshis / 1e8).toFixed(8),
+        n: output.n,
+        scriptPubKey: {
+          hex: output.script,
+          addresses: output.address ? [output.address] : undefined,
+        },
+      };
+    }),
+    isCoinBase: _.isEmpty(tx.inputs),
+    blockheight: tx.blockheight,
+    blocktime: tx.blocktime,
+    confirmations: tx.blockheight >= 0 ? height - tx.blockheight + 1 : 0,
+    time: tx.blocktime || tx.firstSeenTs,
+    firstSeenTs: tx.firstSeenTs,
+    fees: tx.fee / 1e8,
+    size: tx.size,
+  };
+};
+
+/**
+ * Retrieve a list of unspent outputs associated with an address or set of addresses
+ */
+Mock.prototype.getUtxos = function(addresses, cb) {
+  var self = this;
+  var height = self._getHeight();
+
+  addresses = [].concat(addresses);
+  var utxos = _.filter(self.chain.utxos, function(utxo) {
+    return _.includes(addresses, utxo.address);
+  });
+  return cb(null, _.map(utxos, function(utxo) {
+    var tx = self.chain.txs[utxo.txid];
+    return _.assign({
+      amount: utxo.satoshis / 1e8,
+      confirmations: tx.blockheight >= 0 ? height - tx.blockheight + 1 : 0,
+      height: tx.blockheight,
+    }, utxo);
+  }));
+};
+
+/**
+ * Broadcast a transaction to the mock network, after checking it against the UTXO set
+ */
+Mock.prototype.broadcast = function(rawTx, cb) {
+  var self = this;
+
+  var tx;
+  try {
+    tx = new self.lib.Transaction(rawTx);
+  } catch (ex) {
+    return cb(new Error('TX decode failed'));
+  }
+  if (self.chain.txs[tx.id]) return cb(null, tx.id);
+  if (_.isEmpty(tx.inputs)) return cb(new Error('bad-txns-vin-empty'));
+  if (_.isEmpty(tx.outputs)) return cb(new Error('bad-txns-vout-empty'));
+
+  var inputs = [];
+  for (var i = 0; i < tx.inputs.length; i++) {
+    var input = tx.inputs[i];
+    var utxo = self.chain.utxos[input.prevTxId.toString('hex') + ':' + input.outputIndex];
+    if (!utxo) return cb(new Error('Missing inputs'));
+
+    var valid;
+    try {
+      valid = self._verifyInput(tx, i, utxo);
+    } catch (ex) {
+      valid = false;
+    }
+    if (!valid) return cb(new Error('mandatory-script-verify-flag-failed'));
+    inputs.push(_.pick(utxo, ['txid', 'vout', 'address', 'satoshis']));
+  }
+  if (_.sumBy(inputs, 'satoshis') < tx.outputAmount) return cb(new Error('bad-txns-in-belowout'));
+
+  self._addTx(tx, inputs);
+  log.debug('Mock (' + self.coin + '/' + self.network + ') accepted tx ' + tx.id);
+  return cb(null, tx.id);
+};
+
+Mock.prototype.getTransaction = function(txid, cb) {
+  var tx = this.chain.txs[txid];
+  if (!tx) return cb();
+  return cb(null, this._formatTx(tx));
+};
+
+Mock.prototype.getRawTransaction = function(txid, cb) {
+  var tx = this.chain.txs[txid];
+  if (!tx) return cb();
+  return cb(null, tx.raw);
+};
+
+Mock.prototype.getTransactionOutputs = function(txid, cb) {
+  var tx = this.chain.txs[txid];
+  if (!tx) return cb();
+  return cb(null, _.map(tx.outputs, function(output) {
+    return _.pick(output, ['address', 'satoshis', 'script']);
+  }));
+};
+
+Mock.prototype.getTransactions = function(addresses, from, to, cb) {
+  var self = this;
+
+  addresses = [].concat(addresses);
+  var txs = _.filter(_.map(self.chain.txOrder, function(txid) {
+    return self.chain.txs[txid];
+  }), function(tx) {
+    return _.some(tx.inputs.concat(tx.outputs), function(item) {
+      return _.includes(addresses, item.address);
+    });
+  });
+
+  // Newest first, starting with the ones in the mempool
+  txs = _.sortBy(txs.reverse(), function(tx) {
+    return tx.blockheight >= 0 ? -tx.blockheight : -Infinity;
+  });
+
+  from = from || 0;
+  to = _.isNumber(to) ? to : txs.length;
+  return cb(null, _.map(txs.slice(from, to), _.bind(self._formatTx, self)), txs.length);
+};
+
+Mock.prototype.getAddressActivity = function(address, cb) {
+  return cb(null, _.some(this.chain.txs, function(tx) {
+    return _.some(tx.inputs.concat(tx.outputs), {
+      address: address
+    });
+  }));
+};
+
+Mock.prototype.estimateFee = function(nbBlocks, cb) {
+  var feePerKb = this.chain.feePerKb / 1e8;
+  return cb(null, _.fromPairs(_.map([].concat(nbBlocks || [2]), function(n) {
+    return [n, feePerKb];
+  })));
+};
+
+Mock.prototype.getBlockchainHeight = function(cb) {
+  var tip = _.last(this.chain.blocks);
+  return cb(null, tip.height, tip.hash);
+};
+
+Mock.prototype.getTxidsInBlock = function(blockHash, cb) {
+  var block = _.find(this.chain.blocks, {
+    hash: blockHash
+  });
+  if (!block) return cb(new Error('Block not found'));
+  return cb(null, _.clone(block.txids));
+};
+
+Mock.prototype.initSocket = function(callbacks) {
+  var events = this.chain.events;
+
+  events.on('tx', function(data) {
+    callbacks.onTx(data);
+    callbacks.onIncomingPayments(data);
+  });
+  events.on('block', callbacks.onBlock);
+  return events;
+};
+
+/**
+ * Pays to an address from a new coinbase-like tx, left in the mempool.
+ * @param {string} address
+ * @param {number} amount - In satoshis.
+ * @param {Callback} cb - Called with the id of the tx.
+ */
+Mock.prototype.fund = function(address, amount, cb) {
+  var lib = this.lib;
+
+  if (!lib.Address.isValid(address, Utils.getEncodingNetwork(this.network)))
+    return cb(new Error('Invalid address'));
+  if (!_.isSafeInteger(amount) || amount <= 0)
+    return cb(new Error('Invalid amount'));
+
+  var tx = new lib.Transaction();
+  tx.uncheckedAddInput(new lib.Transaction.Input({
+    prevTxId: Buffer.alloc(32),
+    outputIndex: 0xffffffff,
+    sequenceNumber: 0xffffffff,
+    script: lib.Script().add(Buffer.from('mock' + this.chain.nbFundings++)),
+  }));
+  tx.addOutput(new lib.Transaction.Output({
+    script: lib.Script.fromAddress(lib.Address(address)),
+    satoshis: amount,
+  }));
+
+  this._addTx(tx, []);
+  return cb(null, tx.id);
+};
+
+/**
+ * Mines blocks, the first one confirming every tx in the mempool.
+ * @param {number} [nbBlocks=1]
+ * @param {Callback} cb - Called with the hashes of the new blocks.
+ */
+Mock.prototype.mine = function(nbBlocks, cb) {
+  var self = this;
+
+  nbBlocks = nbBlocks || 1;
+  if (!_.isSafeInteger(nbBlocks) || nbBlocks < 0)
+    return cb(new Error('Invalid number of blocks'));
+
+  var hashes = _.map(_.range(nbBlocks), function() {
+    var block = addBlock(self.chain);
+    self.chain.events.emit('block', block.hash);
+    return block.hash;
+  });
+  return cb(null, hashes);
+};
+
+/**
+ * @param {number} feePerKb - Fee (in satoshis per kB) returned by fee estimations.
+ */
+Mock.prototype.setFeePerKb = function(feePerKb) {
+  $.checkArgument(_.isSafeInteger(feePerKb) && feePerKb >= 0, 'Invalid fee');
+  this.chain.feePerKb = feePerKb;
+};
+
+/**
+ * Starts the chain of the coin/network from scratch, dropping its socket listeners.
+ */
+Mock.prototype.reset = function() {
+  this.chain.events.removeAllListeners();
+  _.assign(this.chain, _.omit(createChain(this.coin, this.network), 'events'));
+};
+
+module.exports = Mock;
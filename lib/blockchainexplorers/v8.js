@@ -10,13 +10,9 @@ const request = require('request-promise-native');
 var Common = require('../common');
 var Client;
 var BCHAddressTranslator = require('../bchaddresstranslator');
-var Bitcore = require('bitcore-lib');
-var Bitcore_ = {
-  btc: Bitcore,
-  bch: require('bitcore-lib-cash')
-};
 
-var Constants = Common.Constants,
+var Coins = Common.Coins,
+  Constants = Common.Constants,
   Defaults = Common.Defaults,
   Utils = Common.Utils;
 
@@ -38,7 +34,7 @@ function V8(opts) {
   this.v8network = v8network(this.network);
 
   //v8 is always cashaddr
-  this.addressFormat =  this.coin == 'bch' ? 'cashaddr' : null;
+  this.addressFormat = Coins.get(this.coin).cashaddr ? 'cashaddr' : null;
 
 
   var coin  = this.coin.toUpperCase();
@@ -66,7 +62,7 @@ var _parseErr = function(err, res) {
 V8.prototype.translateQueryAddresses = function(addresses) {
   if (!this.addressFormat) return addresses;
 
-  return BCHAddressTranslator.translate(addresses, this.addressFormat, 'copay');
+  return BCHAddressTranslator.translate(addresses, this.addressFormat, 'copay', this.network);
 };
 
 
@@ -112,7 +108,7 @@ V8.prototype._getAuthClient = function (wallet) {
   $.checkState(wallet.beAuthPrivateKey2);
   return new Client({
     baseUrl: this.baseUrl,
-    authKey: Bitcore_[this.coin].PrivateKey(wallet.beAuthPrivateKey2),
+    authKey: Coins.getLib(this.coin).PrivateKey(wallet.beAuthPrivateKey2),
   });
 };
 
@@ -262,6 +258,37 @@ console.log('[v8.js.207] GET TX', txid); //TODO
     });
 };
 
+/**
+ * The V8 API serves decoded transactions only
+ */
+V8.prototype.getRawTransaction = function(txid, cb) {
+  return cb(new Error('Raw transactions are not available from the V8 explorer'));
+};
+
+/**
+ * Outputs of a tx, including the ones not belonging to any wallet: [{ address, satoshis, script (hex) }]
+ */
+V8.prototype.getTransactionOutputs = function(txid, cb) {
+  var self = this;
+  var client = this._getClient();
+  client.getCoinsForTx({txid: txid })
+    .then((coins) => {
+      if (!coins || !coins.outputs) return cb();
+      return cb(null, _.map(coins.outputs, (output) => {
+        var address = output.address && output.address != 'false' ? output.address : null;
+        return {
+          address: address ? self.translateResultAddresses(address) : null,
+          satoshis: output.value,
+          script: output.script,
+        };
+      }));
+    })
+    .catch((err) => {
+      if (err.statusCode == '404') return cb();
+      return cb(err);
+    });
+};
+
 V8.prototype.getTransactions = function(wallet, startBlock , cb) {
 console.time('V8 getTxs');
   if (startBlock) {
@@ -420,7 +447,7 @@ V8.prototype.initSocket = function(callbacks) {
     // script output, or similar.
     if (!data.address) return;
     var out;
-    let addr = self.coin == 'bch' ? BCHAddressTranslator.translate(data.address, 'copay', 'cashaddr') : data.address;
+    let addr = self.addressFormat ? BCHAddressTranslator.translate(data.address, 'copay', 'cashaddr') : data.address;
     try {
       out = { 
         address: addr,
@@ -65,6 +65,14 @@ console.log('[client.js.59:url:]',url); //TODO
 
 
 
+Client.prototype.getCoinsForTx = async function (params) {
+  const { txid } = params;
+  const url = `${this.baseUrl}/tx/${txid}/coins`;
+  return request.get(url, {
+    json: true
+  });
+};
+
 Client.prototype.getCoins = async function (params) {
   const { payload, pubKey, includeSpent } = params;
 
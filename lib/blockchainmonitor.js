@@ -15,6 +15,7 @@ var Notification = require('./model/notification');
 
 var WalletService = require('./server');
 var Common = require('./common');
+var Coins = Common.Coins;
 var Constants = Common.Constants;
 var Utils = Common.Utils;
 
@@ -28,14 +29,13 @@ BlockchainMonitor.prototype.start = function(opts, cb) {
   async.parallel([
 
     function(done) {
-      self.explorers = {
-        btc: {},
-        bch: {},
-      };
+      self.explorers = _.fromPairs(_.map(_.values(Constants.COINS), function(coin) {
+        return [coin, {}];
+      }));
 
       var coinNetworkPairs = [];
       _.each(_.values(Constants.COINS), function(coin) {
-        _.each(_.values(Constants.NETWORKS), function(network) {
+        _.each(Constants.COIN_NETWORKS[coin], function(network) {
           coinNetworkPairs.push({
             coin: coin,
             network: network
@@ -163,7 +163,7 @@ BlockchainMonitor.prototype._handleIncomingPayments = function(coin, network, da
       var amount = +v[addr];
 
       // This is because a bug on insight, that always return no copay addr
-      if (coin == 'bch' && Utils.getAddressCoin(addr) !='bch') {
+      if (Coins.get(coin).cashaddr && Utils.getAddressCoin(addr) != coin) {
         addr = Utils.translateAddress(addr, coin);
       }
 
@@ -219,9 +219,17 @@ BlockchainMonitor.prototype._handleIncomingPayments = function(coin, network, da
           walletId: walletId,
         });
 
-        // Todo remove for v8.
-        self.storage.softResetTxHistoryCache(walletId, function() {
-          self._storeAndBroadcastNotification(notification, next);
+        // A tx may pay an invoice address with several outputs
+        var amount = _.sumBy(_.filter(outs, {
+          address: out.address
+        }), 'amount');
+        self._handleInvoicePayment(walletId, data.txid, out.address, amount, function(err) {
+          if (err) log.error('Could not update invoice for address ' + out.address, err);
+
+          // Todo remove for v8.
+          self.storage.softResetTxHistoryCache(walletId, function() {
+            self._storeAndBroadcastNotification(notification, next);
+          });
         });
       });
     });
@@ -230,6 +238,49 @@ BlockchainMonitor.prototype._handleIncomingPayments = function(coin, network, da
   });
 };
 
+BlockchainMonitor.prototype._handleInvoicePayment = function(walletId, txid, address, amount, cb) {
+  var self = this;
+
+  self.storage.fetchInvoiceByAddress(address, function(err, invoice) {
+    if (err) return cb(err);
+    if (!invoice || invoice.walletId != walletId) return cb();
+
+    self.lock.runLocked(walletId, cb, function(cb) {
+      // Could have been cancelled or paid since it was fetched
+      self.storage.fetchInvoice(walletId, invoice.id, function(err, invoice) {
+        if (err || !invoice) return cb(err);
+
+        var wasOpen = invoice.isOpen();
+        if (!invoice.addPayment(txid, amount)) return cb();
+
+        self.storage.storeInvoice(invoice, function(err) {
+          if (err) return cb(err);
+
+          var type;
+          if (wasOpen && invoice.isPaid()) type = 'InvoicePaid';
+          if (wasOpen && invoice.status == 'expired') type = 'InvoiceExpired';
+          if (!type) return cb();
+
+          log.info('Invoice ' + invoice.id + ' of wallet ' + walletId + ' is ' + invoice.status);
+          var notification = Notification.create({
+            type: type,
+            data: {
+              invoiceId: invoice.id,
+              txid: txid,
+              address: address,
+              amount: invoice.amount,
+              amountReceived: invoice.amountReceived,
+              status: invoice.status,
+            },
+            walletId: walletId,
+          });
+          self._storeAndBroadcastNotification(notification, cb);
+        });
+      });
+    });
+  });
+};
+
 BlockchainMonitor.prototype._notifyNewBlock = function(coin, network, hash) {
   var self = this;
 
@@ -0,0 +1,391 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+var log = require('npmlog');
+log.debug = log.verbose;
+
+var Common = require('./common');
+var Defaults = Common.Defaults;
+var Utils = Common.Utils;
+var Errors = require('./errors/errordefinitions');
+
+/*
+ * Coin selection strategies.
+ *
+ * A strategy picks the inputs of a tx among a set of candidate UTXOs (already stripped of locked, frozen and
+ * uneconomical ones) and computes its fee. It is called with the params of the tx being built:
+ *
+ *   {
+ *     txpAmount: total amount of the outputs,
+ *     baseTxpSize / baseTxpFee: size & fee of the tx with no inputs (baseTxpFee includes any CPFP fee),
+ *     sizePerInput / feePerInput: size & fee added by each input,
+ *     feePerKb: fee rate of the tx,
+ *     requiredInputs: inputs that must be spent by the tx (outputs of the parent tx when doing CPFP),
+ *     dustThreshold: change at or below this amount is added to the fee,
+ *     logi: logs info messages, ie the wallet server's so that they are prefixed with the wallet id,
+ *   }
+ *
+ * and calls back with (err, inputs, fee). Amounts are in satoshis.
+ */
+var CoinSelection = {};
+
+// Max number of branches explored by branch and bound before giving up on a changeless tx
+CoinSelection.BNB_MAX_TRIES = 100000;
+
+// Size of a change output in bytes
+var CHANGE_OUTPUT_SIZE = 34;
+
+function fits(params, inputCount) {
+  return (params.baseTxpSize + inputCount * params.sizePerInput) / 1000. <= Defaults.MAX_TX_SIZE_IN_KB;
+};
+
+function netValue(params, utxos) {
+  return _.sumBy(utxos, 'satoshis') - utxos.length * params.feePerInput;
+};
+
+/**
+ * Fee for spending the given inputs, with any dust change added to it.
+ */
+function getFee(params, inputs) {
+  var total = _.sumBy(inputs, 'satoshis');
+  var fee = Math.round(params.baseTxpFee + inputs.length * params.feePerInput);
+  var changeAmount = Math.round(total - params.txpAmount - fee);
+  if (changeAmount > 0 && changeAmount <= params.dustThreshold) fee += changeAmount;
+  return fee;
+};
+
+/**
+ * Spends the required inputs plus the given groups of UTXOs, in order, until the tx amount is covered.
+ */
+function selectGroups(groups, params, cb) {
+  var selected = _.clone(params.requiredInputs);
+  var netTotal = netValue(params, selected) - params.baseTxpFee;
+
+  if (netTotal >= params.txpAmount) return cb(null, selected, getFee(params, selected));
+
+  _.each(groups, function(group) {
+    if (!fits(params, selected.length + group.length)) return false;
+    selected = selected.concat(group);
+    netTotal += netValue(params, group);
+    if (netTotal >= params.txpAmount) return false;
+  });
+
+  if (netTotal < params.txpAmount) {
+    return cb(fits(params, selected.length + 1) ? Errors.INSUFFICIENT_FUNDS_FOR_FEE : Errors.TX_MAX_SIZE_EXCEEDED);
+  }
+  return cb(null, selected, getFee(params, selected));
+};
+
+/**
+ * Prefers small inputs unless they make the fee too significant, in which case a single big input is used.
+ * Tuned by the UTXO_SELECTION_* defaults.
+ */
+function selectDefault(utxos, params, cb) {
+  var txpAmount = params.txpAmount;
+  var baseTxpSize = params.baseTxpSize;
+  var baseTxpFee = params.baseTxpFee;
+  var sizePerInput = params.sizePerInput;
+  var feePerInput = params.feePerInput;
+  var requiredInputs = params.requiredInputs;
+  var requiredValue = _.sumBy(requiredInputs, 'satoshis');
+
+  var bigInputThreshold = txpAmount * Defaults.UTXO_SELECTION_MAX_SINGLE_UTXO_FACTOR + (baseTxpFee + feePerInput);
+  params.logi('Big input threshold ' + Utils.formatAmountInBtc(bigInputThreshold));
+
+  var partitions = _.partition(utxos, function(utxo) {
+    return utxo.satoshis > bigInputThreshold;
+  });
+
+  var bigInputs = _.sortBy(partitions[0], 'satoshis');
+  var smallInputs = _.sortBy(partitions[1], function(utxo) {
+    return -utxo.satoshis;
+  });
+
+  //log.debug('Considering ' + bigInputs.length + ' big inputs (' + Utils.formatUtxos(bigInputs) + ')');
+  //log.debug('Considering ' + smallInputs.length + ' small inputs (' + Utils.formatUtxos(smallInputs) + ')');
+
+  var total = requiredValue;
+  var netTotal = requiredValue - requiredInputs.length * feePerInput - baseTxpFee;
+  var selected = _.clone(requiredInputs);
+  var fee = Math.round(baseTxpFee + selected.length * feePerInput);
+  var error;
+
+  // Required inputs alone may be enough
+  if (!_.isEmpty(requiredInputs) && netTotal >= txpAmount) {
+    return cb(null, selected, getFee(params, selected));
+  }
+
+  _.each(smallInputs, function(input, i) {
+    //log.debug('Input #' + i + ': ' + Utils.formatUtxos(input));
+
+    var netInputAmount = input.satoshis - feePerInput;
+
+    //log.debug('The input contributes ' + Utils.formatAmountInBtc(netInputAmount));
+
+    selected.push(input);
+
+    total += input.satoshis;
+    netTotal += netInputAmount;
+
+    var txpSize = baseTxpSize + selected.length * sizePerInput;
+    fee = Math.round(baseTxpFee + selected.length * feePerInput);
+
+    //log.debug('Tx size: ' + Utils.formatSize(txpSize) + ', Tx fee: ' + Utils.formatAmountInBtc(fee));
+
+    var feeVsAmountRatio = fee / txpAmount;
+    var amountVsUtxoRatio = netInputAmount / txpAmount;
+
+    //log.debug('Fee/Tx amount: ' + Utils.formatRatio(feeVsAmountRatio) + ' (max: ' + Utils.formatRatio(Defaults.UTXO_SELECTION_MAX_FEE_VS_TX_AMOUNT_FACTOR) + ')');
+    //log.debug('Tx amount/Input amount:' + Utils.formatRatio(amountVsUtxoRatio) + ' (min: ' + Utils.formatRatio(Defaults.UTXO_SELECTION_MIN_TX_AMOUNT_VS_UTXO_FACTOR) + ')');
+
+    if (txpSize / 1000. > Defaults.MAX_TX_SIZE_IN_KB) {
+      //log.debug('Breaking because tx size (' + Utils.formatSize(txpSize) + ') is too big (max: ' + Utils.formatSize(Defaults.MAX_TX_SIZE_IN_KB * 1000.) + ')');
+      error = Errors.TX_MAX_SIZE_EXCEEDED;
+      return false;
+    }
+
+    if (!_.isEmpty(bigInputs)) {
+      if (amountVsUtxoRatio < Defaults.UTXO_SELECTION_MIN_TX_AMOUNT_VS_UTXO_FACTOR) {
+        //log.debug('Breaking because utxo is too small compared to tx amount');
+        return false;
+      }
+
+      if (feeVsAmountRatio > Defaults.UTXO_SELECTION_MAX_FEE_VS_TX_AMOUNT_FACTOR) {
+        var feeVsSingleInputFeeRatio = fee / (baseTxpFee + feePerInput);
+        //log.debug('Fee/Single-input fee: ' + Utils.formatRatio(feeVsSingleInputFeeRatio) + ' (max: ' + Utils.formatRatio(Defaults.UTXO_SELECTION_MAX_FEE_VS_SINGLE_UTXO_FEE_FACTOR) + ')' + ' loses wrt single-input tx: ' + Utils.formatAmountInBtc((selected.length - 1) * feePerInput));
+        if (feeVsSingleInputFeeRatio > Defaults.UTXO_SELECTION_MAX_FEE_VS_SINGLE_UTXO_FEE_FACTOR) {
+          //log.debug('Breaking because fee is too significant compared to tx amount and it is too expensive compared to using single input');
+          return false;
+        }
+      }
+    }
+
+    //log.debug('Cumuled total so far: ' + Utils.formatAmountInBtc(total) + ', Net total so far: ' + Utils.formatAmountInBtc(netTotal));
+
+    if (netTotal >= txpAmount) {
+      fee = getFee(params, selected);
+      return false;
+    }
+  });
+
+  if (netTotal < txpAmount) {
+    //log.debug('Could not reach Txp total (' + Utils.formatAmountInBtc(txpAmount) + '), still missing: ' + Utils.formatAmountInBtc(txpAmount - netTotal));
+
+    selected = [];
+    if (!_.isEmpty(bigInputs)) {
+      var input = _.head(bigInputs);
+      //log.debug('Using big input: ', Utils.formatUtxos(input));
+      selected = requiredInputs.concat(input);
+      fee = Math.round(baseTxpFee + selected.length * feePerInput);
+    }
+  }
+
+  if (_.isEmpty(selected)) {
+    //log.debug('Could not find enough funds within this utxo subset');
+    return cb(error || Errors.INSUFFICIENT_FUNDS_FOR_FEE);
+  }
+
+  return cb(null, selected, fee);
+};
+
+/**
+ * Searches for a set of inputs covering the tx amount with no change output. The excess, which is below
+ * the cost of creating and later spending a change output, is added to the fee. Falls back to the default
+ * strategy when no changeless tx is found.
+ */
+function selectBranchAndBound(utxos, params, cb) {
+  var costOfChange = params.feePerInput + CHANGE_OUTPUT_SIZE * params.feePerKb / 1000.;
+  var target = params.txpAmount - (netValue(params, params.requiredInputs) - params.baseTxpFee);
+
+  if (!_.isEmpty(params.requiredInputs) && target <= 0) return selectDefault(utxos, params, cb);
+
+  var candidates = _.sortBy(utxos, function(utxo) {
+    return -utxo.satoshis;
+  });
+  var values = _.map(candidates, function(utxo) {
+    return utxo.satoshis - params.feePerInput;
+  });
+
+  // Suffix sums, to prune branches that cannot reach the target
+  var remaining = [];
+  for (var i = values.length - 1, acc = 0; i >= 0; i--) {
+    acc += values[i];
+    remaining[i] = acc;
+  }
+
+  var maxInputs = 0;
+  while (fits(params, params.requiredInputs.length + maxInputs + 1)) maxInputs++;
+
+  var tries = 0,
+    best = null,
+    bestExcess = Infinity,
+    path = [];
+
+  function explore(index, value) {
+    if (++tries > CoinSelection.BNB_MAX_TRIES || bestExcess == 0) return;
+    if (value >= target) {
+      if (value - target <= costOfChange && value - target < bestExcess) {
+        bestExcess = value - target;
+        best = _.clone(path);
+      }
+      return;
+    }
+    if (index >= values.length || path.length >= maxInputs) return;
+    if (value + remaining[index] < target) return;
+
+    path.push(index);
+    explore(index + 1, value + values[index]);
+    path.pop();
+
+    // Skipping an input equivalent to the previous skipped one leads to the same sums
+    var next = index + 1;
+    while (next < values.length && values[next] == values[index]) next++;
+    explore(next, value);
+  };
+
+  explore(0, 0);
+
+  if (!best) {
+    params.logi('No changeless selection found, falling back to the default strategy');
+    return selectDefault(utxos, params, cb);
+  }
+
+  var selected = params.requiredInputs.concat(_.map(best, function(i) {
+    return candidates[i];
+  }));
+  var fee = _.sumBy(selected, 'satoshis') - params.txpAmount;
+  return cb(null, selected, fee);
+};
+
+/**
+ * Spends the biggest inputs first, using as few inputs as possible.
+ */
+function selectLargestFirst(utxos, params, cb) {
+  var groups = _.map(_.sortBy(utxos, function(utxo) {
+    return -utxo.satoshis;
+  }), function(utxo) {
+    return [utxo];
+  });
+  return selectGroups(groups, params, cb);
+};
+
+function groupByAddress(utxos) {
+  return _.sortBy(_.values(_.groupBy(utxos, 'address')), function(group) {
+    return -_.sumBy(group, 'satoshis');
+  });
+};
+
+/**
+ * Always spends all the UTXOs of an address together, and funds the tx from as few addresses as possible:
+ * the smallest address covering the amount on its own, or else the biggest addresses first.
+ */
+function selectAvoidAddressMixing(utxos, params, cb) {
+  var groups = groupByAddress(utxos);
+
+  var single = _.findLast(groups, function(group) {
+    return fits(params, params.requiredInputs.length + group.length) &&
+      netValue(params, params.requiredInputs.concat(group)) - params.baseTxpFee >= params.txpAmount;
+  });
+  if (single) groups = [single];
+
+  return selectGroups(groups, params, cb);
+};
+
+var strategies = {
+  default: {
+    select: selectDefault,
+  },
+  branchAndBound: {
+    select: selectBranchAndBound,
+  },
+  largestFirst: {
+    select: selectLargestFirst,
+  },
+  avoidAddressMixing: {
+    select: selectAvoidAddressMixing,
+    group: groupByAddress,
+  },
+};
+
+CoinSelection.STRATEGIES = _.keys(strategies);
+
+CoinSelection.DEFAULT_STRATEGY = 'default';
+
+CoinSelection.isValidStrategy = function(name) {
+  return _.has(strategies, name);
+};
+
+/**
+ * select
+ *
+ * @param {String} name - Strategy name, one of CoinSelection.STRATEGIES (defaults to CoinSelection.DEFAULT_STRATEGY).
+ * @param {Array} utxos - Candidate UTXOs.
+ * @param {Object} params - Params of the tx being built (see above).
+ * @param {Function} cb - Called with (err, inputs, fee).
+ */
+CoinSelection.select = function(name, utxos, params, cb) {
+  name = name || CoinSelection.DEFAULT_STRATEGY;
+  $.checkArgument(CoinSelection.isValidStrategy(name));
+
+  params = _.defaults({}, params, {
+    requiredInputs: [],
+    baseTxpFee: 0,
+    dustThreshold: 0,
+    logi: log.info.bind(log),
+  });
+
+  var totalValueInUtxos = _.sumBy(utxos, 'satoshis') + _.sumBy(params.requiredInputs, 'satoshis');
+  var netValueInUtxos = totalValueInUtxos - params.baseTxpFee - ((utxos.length + params.requiredInputs.length) * params.feePerInput);
+
+  if (totalValueInUtxos < params.txpAmount) {
+    params.logi('Total value in all utxos (' + Utils.formatAmountInBtc(totalValueInUtxos) + ') is insufficient to cover for txp amount (' + Utils.formatAmountInBtc(params.txpAmount) + ')');
+    return cb(Errors.INSUFFICIENT_FUNDS);
+  }
+  if (netValueInUtxos < params.txpAmount) {
+    params.logi('Value after fees in all utxos (' + Utils.formatAmountInBtc(netValueInUtxos) + ') is insufficient to cover for txp amount (' + Utils.formatAmountInBtc(params.txpAmount) + ')');
+    return cb(Errors.INSUFFICIENT_FUNDS_FOR_FEE);
+  }
+
+  return strategies[name].select(utxos, params, cb);
+};
+
+/**
+ * selectAll
+ *
+ * Selects as many UTXOs as fit in a single tx, for sending the maximum amount. Strategies grouping UTXOs
+ * spend each group as a whole.
+ *
+ * @param {String} name - Strategy name, one of CoinSelection.STRATEGIES (defaults to CoinSelection.DEFAULT_STRATEGY).
+ * @param {Array} utxos - Candidate UTXOs.
+ * @param {Object} params - { baseTxpSize, sizePerInput }
+ * @return {Object} { inputs, excluded: UTXOs left out because of the max tx size }
+ */
+CoinSelection.selectAll = function(name, utxos, params) {
+  name = name || CoinSelection.DEFAULT_STRATEGY;
+  $.checkArgument(CoinSelection.isValidStrategy(name));
+
+  var groups = strategies[name].group ? strategies[name].group(utxos) : _.map(_.sortBy(utxos, function(utxo) {
+    return -utxo.satoshis;
+  }), function(utxo) {
+    return [utxo];
+  });
+
+  var inputs = [],
+    excluded = [];
+  _.each(groups, function(group) {
+    if (!_.isEmpty(excluded) || !fits(params, inputs.length + group.length)) {
+      excluded = excluded.concat(group);
+      return;
+    }
+    inputs = inputs.concat(group);
+  });
+
+  return {
+    inputs: inputs,
+    excluded: excluded,
+  };
+};
+
+
+module.exports = CoinSelection;
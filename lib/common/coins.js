@@ -0,0 +1,221 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+
+/*
+ * Registry of the UTXO coins supported by the service.
+ *
+ * Everything that differs from one coin to another is described by its entry, so a new coin is added by
+ * registering it here rather than by switching on its code all over the service:
+ *
+ *   name: display name of the coin
+ *   lib: bitcore flavour handling the keys, addresses & transactions of the coin
+ *   networks: networks the coin runs on
+ *   segwit: whether SegWit (P2SH-P2WSH, P2WPKH & P2WSH) wallets and bech32 addresses are supported
+ *   rbf: whether txs signal opt-in Replace-By-Fee (BIP125)
+ *   cashaddr: whether the coin has cashaddr addresses. The service keeps the legacy ones, so others are translated
+ *   fiatRates: whether exchange rates are available for the coin
+ *   dustAmount: outputs below this amount (in satoshis) are not relayed. Defaults to the one of the coin library
+ *   maxDataOutputs, maxDataOutputSize: standardness limits of data (OP_RETURN) outputs
+ *   units: units amounts can be displayed in, by code: {label, toSatoshis, maxDecimals, minDecimals}
+ *   feeLevels: fee levels to estimate, with the fee per kB used when the network cannot estimate them
+ *   explorers: default explorer urls, by provider & network
+ */
+var Coins = {};
+
+var registry = {};
+
+/**
+ * Registers a coin.
+ * @param {string} coin - The code of the coin (lowercase ticker).
+ * @param {Object} definition - The coin definition.
+ */
+Coins.register = function(coin, definition) {
+  $.checkArgument(_.isString(coin) && coin == coin.toLowerCase(), 'Invalid coin code');
+  $.checkArgument(definition && definition.lib, 'Missing coin library');
+  $.checkArgument(!_.isEmpty(definition.networks), 'Missing coin networks');
+  $.checkArgument(!_.isEmpty(definition.units), 'Missing coin units');
+  $.checkArgument(!_.isEmpty(definition.feeLevels), 'Missing coin fee levels');
+
+  registry[coin] = _.defaults({}, definition, {
+    name: coin.toUpperCase(),
+    segwit: false,
+    rbf: false,
+    cashaddr: false,
+    fiatRates: false,
+    maxDataOutputs: 1,
+    maxDataOutputSize: 80,
+    dustAmount: definition.lib.Transaction.DUST_AMOUNT,
+    explorers: {},
+  });
+};
+
+/**
+ * @return {Array} codes of the registered coins, in order of registration.
+ */
+Coins.list = function() {
+  return _.keys(registry);
+};
+
+/**
+ * @param {string} coin
+ * @return {Object} the definition of the coin, or undefined if it is not registered.
+ */
+Coins.get = function(coin) {
+  return registry[coin];
+};
+
+/**
+ * @param {string} coin
+ * @return {Object} the bitcore library of the coin.
+ */
+Coins.getLib = function(coin) {
+  $.checkArgument(registry[coin], 'Coin ' + coin + ' not supported');
+  return registry[coin].lib;
+};
+
+/**
+ * @param {string} property - A property of the coin definitions.
+ * @return {Object} the value of the property for each coin, by coin code.
+ */
+Coins.mapValues = function(property) {
+  return _.mapValues(registry, property);
+};
+
+/**
+ * @return {Object} the units of all coins, by unit code.
+ */
+Coins.getUnits = function() {
+  return _.assign.apply(_, [{}].concat(_.map(registry, 'units')));
+};
+
+/**
+ * Formats an address of the coin the way the service stores it.
+ * @param {string} coin
+ * @param {Object} address - A bitcore address of the coin.
+ * @return {string}
+ */
+Coins.formatAddress = function(coin, address) {
+  return registry[coin].cashaddr ? address.toLegacyAddress() : address.toString();
+};
+
+
+Coins.register('btc', {
+  name: 'Bitcoin',
+  lib: require('bitcore-lib'),
+  networks: ['livenet', 'testnet', 'regtest', 'signet'],
+  segwit: true,
+  rbf: true,
+  fiatRates: true,
+  maxDataOutputSize: 80,
+  units: {
+    btc: {
+      label: 'BTC',
+      toSatoshis: 100000000,
+      maxDecimals: 6,
+      minDecimals: 2,
+    },
+    bit: {
+      label: 'bits',
+      toSatoshis: 100,
+      maxDecimals: 0,
+      minDecimals: 0,
+    },
+  },
+  feeLevels: [{
+    name: 'urgent',
+    nbBlocks: 2,
+    multiplier: 1.5,
+    defaultValue: 150000,
+  }, {
+    name: 'priority',
+    nbBlocks: 2,
+    defaultValue: 100000
+  }, {
+    name: 'normal',
+    nbBlocks: 3,
+    defaultValue: 80000
+  }, {
+    name: 'economy',
+    nbBlocks: 6,
+    defaultValue: 50000
+  }, {
+    name: 'superEconomy',
+    nbBlocks: 24,
+    defaultValue: 20000
+  }],
+  explorers: {
+    insight: {
+      livenet: 'https://insight.bitpay.com:443',
+      testnet: 'https://test-insight.bitpay.com:443',
+    },
+    v8: {
+      livenet: 'https://api.bitpay.com',
+      testnet: 'https://api.bitpay.com',
+    },
+  },
+});
+
+Coins.register('bch', {
+  name: 'Bitcoin Cash',
+  lib: require('bitcore-lib-cash'),
+  networks: ['livenet', 'testnet', 'regtest'],
+  cashaddr: true,
+  maxDataOutputSize: 220,
+  units: {
+    bch: {
+      label: 'BCH',
+      toSatoshis: 100000000,
+      maxDecimals: 6,
+      minDecimals: 2,
+    },
+  },
+  feeLevels: [{
+    name: 'normal',
+    nbBlocks: 2,
+    defaultValue: 2000,
+  }],
+  explorers: {
+    insight: {
+      livenet: 'https://bch-insight.bitpay.com:443',
+      testnet: 'https://test-bch-insight.bitpay.com:443',
+    },
+    v8: {
+      livenet: 'https://api.bitpay.com',
+      testnet: 'https://api.bitpay.com',
+    },
+  },
+});
+
+Coins.register('ltc', {
+  name: 'Litecoin',
+  lib: require('bitcore-lib-ltc'),
+  networks: ['livenet', 'testnet', 'regtest'],
+  maxDataOutputSize: 80,
+  units: {
+    ltc: {
+      label: 'LTC',
+      toSatoshis: 100000000,
+      maxDecimals: 6,
+      minDecimals: 2,
+    },
+  },
+  feeLevels: [{
+    name: 'normal',
+    nbBlocks: 2,
+    defaultValue: 100000,
+  }],
+  explorers: {
+    insight: {
+      livenet: 'https://insight.litecore.io:443',
+      testnet: 'https://testnet.litecore.io:443',
+    },
+    v8: {
+      livenet: 'https://api.bitpay.com',
+      testnet: 'https://api.bitpay.com',
+    },
+  },
+});
+
+module.exports = Coins;
@@ -1,26 +1,50 @@
 'use strict';
 
+var _ = require('lodash');
+
+var Coins = require('./coins');
+
 var Constants = {};
 
-Constants.COINS = {
-  BTC: 'btc',
-  BCH: 'bch',
-};
+// Coins registered in lib/common/coins.js, ie {BTC: 'btc', BCH: 'bch', ...}
+Constants.COINS = _.fromPairs(_.map(Coins.list(), function(coin) {
+  return [coin.toUpperCase(), coin];
+}));
 
 Constants.NETWORKS = {
   LIVENET: 'livenet',
   TESTNET: 'testnet',
+  REGTEST: 'regtest',
+  SIGNET: 'signet',
 };
 
+// Networks each coin can run on. Signet is only available for BTC
+Constants.COIN_NETWORKS = Coins.mapValues('networks');
+
 Constants.ADDRESS_FORMATS = ['copay', 'cashaddr', 'legacy'];
 
 Constants.SCRIPT_TYPES = {
   P2SH: 'P2SH',
   P2PKH: 'P2PKH',
+  P2SH_P2WSH: 'P2SH-P2WSH',
+  P2WPKH: 'P2WPKH',
+  P2WSH: 'P2WSH',
 };
+Constants.SEGWIT_SCRIPT_TYPES = [
+  Constants.SCRIPT_TYPES.P2SH_P2WSH,
+  Constants.SCRIPT_TYPES.P2WPKH,
+  Constants.SCRIPT_TYPES.P2WSH,
+];
+Constants.MULTISIG_SCRIPT_TYPES = [
+  Constants.SCRIPT_TYPES.P2SH,
+  Constants.SCRIPT_TYPES.P2SH_P2WSH,
+  Constants.SCRIPT_TYPES.P2WSH,
+];
 Constants.DERIVATION_STRATEGIES = {
   BIP44: 'BIP44',
   BIP45: 'BIP45',
+  BIP48: 'BIP48',
+  BIP84: 'BIP84',
 };
 
 Constants.PATHS = {
@@ -29,6 +53,18 @@ Constants.PATHS = {
   REQUEST_KEY_AUTH: "m/2", // relative to BASE
 };
 
+// Observers can see the wallet but neither propose, sign nor reject
+Constants.COPAYER_ROLES = {
+  SIGNER: 'signer',
+  OBSERVER: 'observer',
+};
+
 Constants.BIP45_SHARED_INDEX = 0x80000000 - 1;
 
+// BIP125: any input sequence number below 0xfffffffe signals opt-in Replace-By-Fee
+Constants.RBF_SEQUENCE_NUMBER = 0xfffffffd;
+Constants.RBF_COINS = _.filter(Coins.list(), function(coin) {
+  return Coins.get(coin).rbf;
+});
+
 module.exports = Constants;
@@ -1,5 +1,7 @@
 'use strict';
 
+var Coins = require('./coins');
+
 var Defaults = {};
 
 Defaults.MIN_FEE_PER_KB = 0;
@@ -13,6 +15,26 @@ Defaults.MAX_KEYS = 100;
 // Time after which a tx proposal can be erased by any copayer. in seconds
 Defaults.DELETE_LOCKTIME = 600;
 
+// Max time a tx proposal can be set to expire after its creation. in seconds
+Defaults.MAX_TXP_EXPIRATION = 30 * 24 * 60 * 60;
+
+// How often expired tx proposals are swept. in seconds
+Defaults.TXP_EXPIRATION_SWEEP_INTERVAL = 60;
+
+// Default & max time an invoice can be paid after its creation. in seconds
+Defaults.INVOICE_EXPIRATION = 60 * 60;
+Defaults.MAX_INVOICE_EXPIRATION = 30 * 24 * 60 * 60;
+
+// How often fee levels are checked to suggest UTXO consolidations. in seconds
+Defaults.CONSOLIDATION_CHECK_INTERVAL = 10 * 60;
+
+// Number of UTXOs merged by a consolidation proposal (the smallest ones are merged first)
+Defaults.CONSOLIDATION_MAX_UTXOS = 100;
+Defaults.CONSOLIDATION_MIN_UTXOS = 10;
+
+// Time a suggested consolidation proposal can be published. in seconds
+Defaults.CONSOLIDATION_DRAFT_EXPIRATION = 24 * 60 * 60;
+
 // Allowed consecutive txp rejections before backoff is applied.
 Defaults.BACKOFF_OFFSET = 10;
 
@@ -24,35 +46,8 @@ Defaults.MAX_MAIN_ADDRESS_GAP = 20;
 // TODO: should allow different gap sizes for external/internal chains
 Defaults.SCAN_ADDRESS_GAP = Defaults.MAX_MAIN_ADDRESS_GAP + 10;
 
-Defaults.FEE_LEVELS = {
-  btc: [{
-    name: 'urgent',
-    nbBlocks: 2,
-    multiplier: 1.5,
-    defaultValue: 150000,
-  }, {
-    name: 'priority',
-    nbBlocks: 2,
-    defaultValue: 100000
-  }, {
-    name: 'normal',
-    nbBlocks: 3,
-    defaultValue: 80000
-  }, {
-    name: 'economy',
-    nbBlocks: 6,
-    defaultValue: 50000
-  }, {
-    name: 'superEconomy',
-    nbBlocks: 24,
-    defaultValue: 20000
-  }],
-  bch: [{
-    name: 'normal',
-    nbBlocks: 2,
-    defaultValue: 2000,
-  }]
-};
+// Fee levels of each coin, as registered in lib/common/coins.js
+Defaults.FEE_LEVELS = Coins.mapValues('feeLevels');
 
 // How many levels to fallback to if the value returned by the network for a given nbBlocks is -1
 Defaults.FEE_LEVELS_FALLBACK = 2;
@@ -62,6 +57,7 @@ Defaults.FIAT_RATE_FETCH_INTERVAL = 10; // In minutes
 Defaults.FIAT_RATE_MAX_LOOK_BACK_TIME = 120; // In minutes
 
 Defaults.HISTORY_LIMIT = 1001;
+Defaults.HISTORY_EXPORT_PAGE_SIZE = 50;
 
 // The maximum amount of an UTXO to be considered too big to be used in the tx before exploring smaller
 // alternatives (proportinal to tx amount).
@@ -80,6 +76,10 @@ Defaults.UTXO_SELECTION_MAX_FEE_VS_SINGLE_UTXO_FEE_FACTOR = 5;
 // Minimum allowed amount for tx outputs (including change) in SAT
 Defaults.MIN_OUTPUT_AMOUNT = 5000;
 
+// Max number of data (OP_RETURN) outputs per tx and max size of their data in bytes (standardness limits)
+Defaults.MAX_DATA_OUTPUTS = Coins.mapValues('maxDataOutputs');
+Defaults.MAX_DATA_OUTPUT_SIZE = Coins.mapValues('maxDataOutputSize');
+
 // Number of confirmations from which tx in history will be cached
 // (ie we consider them inmutables)
 Defaults.CONFIRMATIONS_TO_START_CACHING = 6 * 6; // ~ 6hrs
@@ -100,6 +100,7 @@ Defaults.BLOCKHEIGHT_CACHE_TIME = 10 * 60;
 // Max allowed timespan for notification queries in seconds
 Defaults.MAX_NOTIFICATIONS_TIMESPAN = 60 * 60 * 24 * 14; // ~ 2 weeks
 Defaults.NOTIFICATIONS_TIMESPAN = 60;
+Defaults.NOTIFICATIONS_STREAM_HEARTBEAT = 30; // in seconds
 
 Defaults.SESSION_EXPIRATION = 1 * 60 * 60; // 1 hour to session expiration
 
@@ -138,4 +139,23 @@ Defaults.SERVER_EXE_TIME = Defaults.LOCK_EXE_TIME * 1.5;
 
 Defaults.BE_KEY_SALT = 'bws-auth-keysalt';
 
+Defaults.MAX_WEBHOOKS_PER_WALLET = 5;
+Defaults.WEBHOOK_MAX_ATTEMPTS = 8;
+Defaults.WEBHOOK_INITIAL_BACKOFF = 30; // in seconds, doubled after each failed attempt
+Defaults.WEBHOOK_RETRY_INTERVAL = 30; // in seconds
+Defaults.WEBHOOK_REQUEST_TIMEOUT = 10000;
+
+Defaults.PAYPRO_REQUEST_TIMEOUT = 10000;
+
+Defaults.MAX_ADDRESS_BOOK_LABEL_LENGTH = 100;
+
+Defaults.MAX_TX_BATCH_ROWS = 1000;
+
+Defaults.MAX_UTXO_LABEL_LENGTH = 100;
+
+Defaults.MAX_INVOICE_MESSAGE_LENGTH = 100;
+
+// Comments are encrypted client-side, so this bounds the ciphertext
+Defaults.MAX_TXP_COMMENT_LENGTH = 4000;
+
 module.exports = Defaults;
@@ -1,5 +1,6 @@
 var Common = {};
 
+Common.Coins = require('./coins');
 Common.Constants = require('./constants');
 Common.Defaults = require('./defaults');
 Common.Utils = require('./utils');
@@ -5,13 +5,13 @@ var bitcore = require('bitcore-lib');
 var crypto = bitcore.crypto;
 var encoding = bitcore.encoding;
 var secp256k1 = require('secp256k1');
+var bech32 = require('bech32');
+
+var Coins = require('./coins');
+var Constants = require('./constants');
 
 var Utils = {};
 var Bitcore = require('bitcore-lib');
-var Bitcore_ = {
-  btc: Bitcore,
-  bch: require('bitcore-lib-cash')
-};
 
 
 
@@ -97,28 +97,13 @@ Utils._tryVerifyMessage = function(hash, sig, publicKeyBuffer) {
 };
 
 Utils.formatAmount = function(satoshis, unit, opts) {
-  var UNITS = {
-    btc: {
-      toSatoshis: 100000000,
-      maxDecimals: 6,
-      minDecimals: 2,
-    },
-    bit: {
-      toSatoshis: 100,
-      maxDecimals: 0,
-      minDecimals: 0,
-    },
+  var UNITS = _.assign({
     sat: {
       toSatoshis: 1,
       maxDecimals: 0,
       minDecimals: 0,
     },
-    bch: {
-      toSatoshis: 100000000,
-      maxDecimals: 6,
-      minDecimals: 2,
-    },
-  };
+  }, Coins.getUnits());
 
   $.shouldBeNumber(satoshis);
   $.checkArgument(_.includes(_.keys(UNITS), unit));
@@ -140,7 +125,7 @@ Utils.formatAmount = function(satoshis, unit, opts) {
 
   opts = opts || {};
 
-  var u = _.assign(UNITS[unit], opts);
+  var u = _.assign({}, UNITS[unit], opts);
   var amount = (satoshis / u.toSatoshis).toFixed(u.maxDecimals);
   return addSeparators(amount, opts.thousandsSeparator || ',', opts.decimalSeparator || '.', u.minDecimals);
 };
@@ -220,29 +205,153 @@ Utils.checkValueInCollection = function(value, collection) {
 };
 
 
+// Whether path is a BIP32 derivation path (ie: m/44'/0'/0')
+Utils.isValidDerivationPath = function(path) {
+  if (!_.isString(path)) return false;
+  var levels = path.split('/');
+  if (levels[0] != 'm') return false;
+  return _.every(_.tail(levels), function(level) {
+    return /^\d+'?$/.test(level) && parseInt(level) < 0x80000000;
+  });
+};
+
+// Coins are tried in order of registration, so legacy addresses shared by BTC & BCH are reported as BTC ones
 Utils.getAddressCoin = function(address) {
-  try {
-    new Bitcore_['btc'].Address(address);
-    return 'btc';
-  } catch (e) {
+  return _.find(Coins.list(), function(coin) {
     try {
-      new Bitcore_['bch'].Address(address);
-      return 'bch';
+      Coins.getLib(coin).Address(address);
+      return true;
     } catch (e) {
-      return;
+      return false;
     }
-  }
+  });
 };
 
 Utils.translateAddress = function(address, coin) {
   var origCoin = Utils.getAddressCoin(address);
-  var origAddress = new Bitcore_[origCoin].Address(address);
+  var origAddress = Coins.getLib(origCoin).Address(address);
   var origObj = origAddress.toObject();
 
-  var result = Bitcore_[coin].Address.fromObject(origObj)
-  return coin == 'bch' ? result.toLegacyAddress() : result.toString();
+  var result = Coins.getLib(coin).Address.fromObject(origObj)
+  return Coins.formatAddress(coin, result);
+};
+
+/**
+ * Regtest and signet keys & legacy addresses are encoded as testnet ones.
+ * @param {string} network
+ * @return {string} the network (livenet or testnet) whose encoding keys & addresses of the given network use
+ */
+Utils.getEncodingNetwork = function(network) {
+  return network == Constants.NETWORKS.LIVENET ? Constants.NETWORKS.LIVENET : Constants.NETWORKS.TESTNET;
+};
+
+// Signet addresses use the testnet prefix
+var BECH32_NETWORKS = {
+  bc: 'livenet',
+  tb: 'testnet',
+  bcrt: 'regtest',
 };
 
+/**
+ *
+ * @desc decodes a BTC native segwit (bech32, BIP173) address
+ * @param {string} address
+ * @return {Object} network and output script (hex), or undefined if not a valid bech32 address
+ */
+Utils.decodeBech32Address = function(address) {
+  if (!_.isString(address)) return;
+
+  var decoded;
+  try {
+    decoded = bech32.decode(address);
+  } catch (e) {
+    return;
+  }
+
+  var network = BECH32_NETWORKS[decoded.prefix];
+  if (!network || _.isEmpty(decoded.words)) return;
+
+  var version = decoded.words[0];
+  var program;
+  try {
+    program = Buffer.from(bech32.fromWords(decoded.words.slice(1)));
+  } catch (e) {
+    return;
+  }
+
+  if (version > 16 || program.length < 2 || program.length > 40) return;
+  if (version == 0 && program.length != 20 && program.length != 32) return;
+
+  var script = new Bitcore.Script()
+    .add(version ? Bitcore.Opcode.OP_1 + version - 1 : Bitcore.Opcode.OP_0)
+    .add(program);
+
+  return {
+    network: network,
+    script: script.toHex(),
+  };
+};
+
+/**
+ *
+ * @desc returns the canonical representation of an address, so addresses given in different formats can be compared
+ * @param {string} address
+ * @param {string} coin
+ * @return {string} normalized address, or undefined if the address is not valid for the coin
+ */
+Utils.normalizeAddress = function(address, coin) {
+  try {
+    return Coins.getLib(coin).Address(address).toString();
+  } catch (e) {
+    if (Coins.get(coin).segwit && Utils.decodeBech32Address(address)) return address.toLowerCase();
+    return;
+  }
+};
+
+/**
+ *
+ * @desc parses CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks). Blank lines are skipped
+ * @param {string} text
+ * @return {Array} rows, as arrays of trimmed field values
+ */
+Utils.parseCsv = function(text) {
+  var rows = [],
+    row = [],
+    field = '',
+    quoted = false;
+
+  function endRow() {
+    row.push(field);
+    field = '';
+    if (row.length > 1 || row[0].trim()) rows.push(_.map(row, _.trim));
+    row = [];
+  };
+
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (quoted) {
+      if (c == '"' && text[i + 1] == '"') {
+        field += '"';
+        i++;
+      } else if (c == '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c == '"') {
+      quoted = true;
+    } else if (c == ',') {
+      row.push(field);
+      field = '';
+    } else if (c == '\n') {
+      endRow();
+    } else if (c != '\r') {
+      field += c;
+    }
+  }
+  endRow();
+  return rows;
+};
 
 
 module.exports = Utils;
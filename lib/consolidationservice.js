@@ -0,0 +1,49 @@
+'use strict';
+
+var _ = require('lodash');
+var log = require('npmlog');
+log.debug = log.verbose;
+
+var Defaults = require('./common/defaults');
+var WalletService = require('./server');
+
+/*
+ * Periodically checks fee levels and suggests UTXO consolidation proposals to wallets that opted in,
+ * while fees are below their threshold.
+ */
+function ConsolidationService() {};
+
+ConsolidationService.prototype.start = function(opts, cb) {
+  var self = this;
+  opts = opts || {};
+
+  var consolidationOpts = opts.consolidationOpts || {};
+
+  WalletService.initialize(opts, function(err) {
+    if (err) {
+      log.error(err);
+      return cb(err);
+    }
+
+    var checkInterval = _.isNumber(consolidationOpts.checkInterval) ? consolidationOpts.checkInterval : Defaults.CONSOLIDATION_CHECK_INTERVAL;
+    if (checkInterval) {
+      setInterval(function() {
+        self.check();
+      }, checkInterval * 1000);
+    }
+    return cb();
+  });
+};
+
+ConsolidationService.prototype.check = function(cb) {
+  cb = cb || function() {};
+
+  WalletService.suggestConsolidations(function(err) {
+    if (err) {
+      log.error('An error ocurred suggesting consolidations', err);
+    }
+    return cb(err);
+  });
+};
+
+module.exports = ConsolidationService;
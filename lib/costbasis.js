@@ -0,0 +1,142 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+
+/*
+ * Cost-basis lots and realized gains of a wallet history valued in fiat.
+ *
+ * Incoming txs open a lot valued at the rate of the tx time. Outgoing txs dispose of the sent amount plus
+ * fees, matched against the open lots in FIFO / LIFO order, or against the pooled average cost. Proceeds
+ * are the fiat value of the sent amount only, so fees show up as a loss. Amounts are in satoshis.
+ *
+ * Lots opened without a known rate have an unknown cost: disposals matched against them, or against more
+ * than the wallet is known to hold, have a null cost basis and gain, and are left out of the totals.
+ */
+var CostBasis = {};
+
+CostBasis.METHODS = ['fifo', 'lifo', 'average'];
+
+function round(x) {
+  return _.isNumber(x) ? +x.toFixed(2) : null;
+};
+
+function value(amount, rate) {
+  return _.isNumber(rate) ? amount / 1e8 * rate : null;
+};
+
+function add(a, b) {
+  return _.isNumber(a) && _.isNumber(b) ? a + b : null;
+};
+
+/**
+ * compute
+ *
+ * @param {Array} txs - History txs, oldest first ({ txid, time, action, amount, fees, rate }).
+ * @param {Object} opts
+ * @param {String} opts.method - One of CostBasis.METHODS.
+ * @param {Number} opts.from - Optional. Only report disposals since this time.
+ * @param {Number} opts.to - Optional. Ignore txs after this time.
+ * @return {Object} { disposals, lots: open lots at the end of the range, gaps: txs with no rate, proceeds, costBasis, realizedGain }
+ */
+CostBasis.compute = function(txs, opts) {
+  $.checkArgument(_.includes(CostBasis.METHODS, opts.method));
+
+  var lots = [],
+    disposals = [],
+    gaps = [];
+
+  function acquire(tx) {
+    var cost = value(tx.amount, tx.rate);
+    if (opts.method == 'average' && lots.length) {
+      lots[0].amount += tx.amount;
+      lots[0].cost = add(lots[0].cost, cost);
+      return;
+    }
+    lots.push({
+      txid: opts.method == 'average' ? null : tx.txid,
+      time: opts.method == 'average' ? null : tx.time,
+      amount: tx.amount,
+      cost: cost,
+    });
+  };
+
+  function dispose(amount) {
+    var cost = 0;
+    while (amount > 0 && lots.length) {
+      var lot = opts.method == 'lifo' ? _.last(lots) : _.head(lots);
+      var taken = Math.min(amount, lot.amount);
+      var takenCost = _.isNumber(lot.cost) ? lot.cost * taken / lot.amount : null;
+
+      cost = add(cost, takenCost);
+      lot.cost = _.isNumber(lot.cost) ? lot.cost - takenCost : null;
+      lot.amount -= taken;
+      amount -= taken;
+      if (!lot.amount) _.pull(lots, lot);
+    }
+    return amount > 0 ? null : cost;
+  };
+
+  _.each(txs, function(tx) {
+    if (_.isFinite(opts.to) && tx.time > opts.to) return;
+
+    if (!_.isNumber(tx.rate)) {
+      gaps.push({
+        txid: tx.txid,
+        time: tx.time,
+        action: tx.action,
+      });
+    }
+
+    if (tx.action == 'received') return acquire(tx);
+
+    var sent = tx.action == 'sent' ? tx.amount : 0;
+    var amount = sent + (tx.fees || 0);
+    if (!amount) return;
+
+    var costBasis = dispose(amount);
+    if (_.isFinite(opts.from) && tx.time < opts.from) return;
+
+    var proceeds = sent ? value(sent, tx.rate) : 0;
+    disposals.push({
+      txid: tx.txid,
+      time: tx.time,
+      action: tx.action,
+      amount: amount,
+      proceeds: proceeds,
+      costBasis: costBasis,
+      gain: _.isNumber(proceeds) && _.isNumber(costBasis) ? proceeds - costBasis : null,
+    });
+  });
+
+  var known = _.filter(disposals, function(d) {
+    return _.isNumber(d.gain);
+  });
+  var totals = {
+    proceeds: round(_.sumBy(known, 'proceeds')),
+    costBasis: round(_.sumBy(known, 'costBasis')),
+    realizedGain: round(_.sumBy(known, 'gain')),
+  };
+
+  return _.assign({
+    disposals: _.map(disposals, function(d) {
+      return _.assign(d, {
+        proceeds: round(d.proceeds),
+        costBasis: round(d.costBasis),
+        gain: round(d.gain),
+      });
+    }),
+    lots: _.map(lots, function(lot) {
+      return {
+        txid: lot.txid,
+        time: lot.time,
+        amount: lot.amount,
+        costBasis: round(lot.cost),
+      };
+    }),
+    gaps: gaps,
+  }, totals);
+};
+
+
+module.exports = CostBasis;
@@ -8,6 +8,7 @@ var log = require('npmlog');
 log.debug = log.verbose;
 var fs = require('fs');
 var path = require('path');
+var Coins = require('./common/coins');
 var Utils = require('./common/utils');
 var Defaults = require('./common/defaults');
 var Storage = require('./storage');
@@ -47,11 +48,56 @@ var EMAIL_TYPES = {
     notifyDoer: false,
     notifyOthers: true,
   },
+  'TxProposalExpired': {
+    filename: 'txp_expired',
+    notifyDoer: true,
+    notifyOthers: true,
+  },
+  'ConsolidationSuggested': {
+    filename: 'consolidation_suggested',
+    notifyDoer: true,
+    notifyOthers: true,
+  },
+  'TxProposalComment': {
+    filename: 'txp_comment',
+    notifyDoer: false,
+    notifyOthers: true,
+  },
   'TxConfirmation': {
     filename: 'tx_confirmation',
     notifyDoer: true,
     notifyOthers: false,
   },
+  'NewSpendingPolicy': {
+    filename: 'new_spending_policy',
+    notifyDoer: false,
+    notifyOthers: true,
+  },
+  'SpendingPolicyActivated': {
+    filename: 'spending_policy_activated',
+    notifyDoer: true,
+    notifyOthers: true,
+  },
+  'AddressBookEntryAdded': {
+    filename: 'address_book_entry_added',
+    notifyDoer: false,
+    notifyOthers: true,
+  },
+  'AddressBookEntryApproved': {
+    filename: 'address_book_entry_approved',
+    notifyDoer: true,
+    notifyOthers: true,
+  },
+  'InvoicePaid': {
+    filename: 'invoice_paid',
+    notifyDoer: true,
+    notifyOthers: true,
+  },
+  'InvoiceExpired': {
+    filename: 'invoice_expired',
+    notifyDoer: true,
+    notifyOthers: true,
+  },
 };
 
 
@@ -217,11 +263,7 @@ EmailService.prototype._getDataForTemplate = function(notification, recipient, c
   var self = this;  
 
   // TODO: Declare these in BWU
-  var UNIT_LABELS = {
-    btc: 'BTC',
-    bit: 'bits',
-    bch: 'BCH',
-  };
+  var UNIT_LABELS = _.mapValues(Coins.getUnits(), 'label');
 
   var data = _.cloneDeep(notification.data);
   data.subjectPrefix = _.trim(self.subjectPrefix) + ' ';
@@ -247,6 +289,9 @@ EmailService.prototype._getDataForTemplate = function(notification, recipient, c
       data.copayerName = copayer.name;
     }
 
+    // Warn co-signers of payment proposals not checked against the merchant payment request
+    data.payProUnverified = notification.type == 'NewTxProposal' && data.payProVerified === false;
+
     if (notification.type == 'TxProposalFinallyRejected' && data.rejectedBy) {
       var rejectors = _.map(data.rejectedBy, function(copayerId) {
         return _.find(wallet.copayers, {
@@ -257,7 +302,7 @@ EmailService.prototype._getDataForTemplate = function(notification, recipient, c
     }
 
     if (_.includes(['NewIncomingTx', 'NewOutgoingTx'], notification.type) && data.txid) {
-      var urlTemplate = self.publicTxUrlTemplate[wallet.coin][wallet.network];
+      var urlTemplate = _.get(self.publicTxUrlTemplate, [wallet.coin, wallet.network]);
       if (urlTemplate) {
         try {
           data.urlForTx = Mustache.render(urlTemplate, data);
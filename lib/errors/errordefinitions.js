@@ -5,6 +5,7 @@ var _ = require('lodash');
 var ClientError = require('./clienterror');
 
 var errors = {
+  ADDRESS_NOT_WHITELISTED: 'Destination address is not in the wallet address book',
   BAD_SIGNATURES: 'Bad signatures',
   COPAYER_DATA_MISMATCH: 'Copayer data mismatch',
   COPAYER_IN_WALLET: 'Copayer already in wallet',
@@ -16,15 +17,24 @@ var errors = {
   INSUFFICIENT_FUNDS_FOR_FEE: 'Insufficient funds for fee',
   INVALID_ADDRESS: 'Invalid address',
   INVALID_CHANGE_ADDRESS: 'Invalid change address',
+  INVALID_CPFP_TX: 'Transaction cannot be accelerated: it is confirmed or has no unspent outputs in this wallet',
+  INVALID_PAYMENT_REQUEST: 'Invalid payment request',
+  INVALID_PSBT: 'Invalid PSBT',
+  INVOICE_NOT_FOUND: 'Invoice not found',
   KEY_IN_COPAYER: 'Key already registered',
   LOCKED_FUNDS: 'Funds are locked by pending transaction proposals',
   HISTORY_LIMIT_EXCEEDED: 'Requested page limit is above allowed maximum',
   MAIN_ADDRESS_GAP_REACHED: 'Maximum number of consecutive addresses without activity reached',
   NOT_AUTHORIZED: 'Not authorized',
+  PAYMENT_NOT_ACCEPTED: 'Payment was not accepted by the merchant',
+  POLICY_VIOLATION: 'Transaction proposal violates the wallet spending policy',
   TOO_MANY_KEYS: 'Too many keys registered',
   TX_ALREADY_BROADCASTED: 'The transaction proposal is already broadcasted',
+  TX_CANNOT_BUMP: 'Cannot bump the fee of this transaction proposal',
+  TX_CANNOT_BUMP_WITHOUT_CHANGE: 'Cannot bump the fee of a transaction proposal without change',
   TX_CANNOT_CREATE: 'Cannot create TX proposal during backoff time',
   TX_CANNOT_REMOVE: 'Cannot remove this tx proposal during locktime',
+  TX_EXPIRED: 'The transaction proposal has expired',
   TX_MAX_SIZE_EXCEEDED: 'TX exceeds maximum allowed size',
   TX_NOT_ACCEPTED: 'The transaction proposal is not accepted',
   TX_NOT_FOUND: 'Transaction proposal not found',
@@ -33,6 +43,7 @@ var errors = {
   UPGRADE_NEEDED: 'Client app needs to be upgraded',
   WALLET_ALREADY_EXISTS: 'Wallet already exists',
   WALLET_FULL: 'Wallet full',
+  WALLET_MIGRATED: 'Wallet has been migrated to a successor wallet',
   WALLET_BUSY: 'Wallet is busy, try later',
   WALLET_NOT_COMPLETE: 'Wallet is not complete',
   WALLET_NOT_FOUND: 'Wallet not found',
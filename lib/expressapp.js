@@ -13,6 +13,7 @@ var Common = require('./common');
 var Defaults = Common.Defaults;
 
 var WalletService = require('./server');
+var BlockchainExplorer = require('./blockchainexplorer');
 var Stats = require('./stats');
 
 log.disableColor();
@@ -126,6 +127,14 @@ ExpressApp.prototype.start = function(opts, cb) {
     log.warn('DEPRECATED', req.method, req.url, '(' + req.header('x-client-version') + ')');
   };
 
+  function csvLine(values) {
+    return _.map(values, function(value) {
+      if (_.isNil(value)) return '';
+      value = value.toString();
+      return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }).join(',') + '\r\n';
+  };
+
   function getCredentials(req) {
     var identity = req.header('x-identity');
     if (!identity) return;
@@ -488,6 +497,7 @@ ExpressApp.prototype.start = function(opts, cb) {
       if (q.feePerKb) opts.feePerKb = +q.feePerKb;
       if (q.feeLevel) opts.feeLevel = q.feeLevel;
       if (q.excludeUnconfirmedUtxos == '1') opts.excludeUnconfirmedUtxos = true;
+      if (q.coinSelection) opts.coinSelection = q.coinSelection;
       if (q.returnInputs == '1') opts.returnInputs = true;
       server.getSendMaxInfo(opts, function(err, info) {
         if (err) return returnError(err, res, req);
@@ -508,6 +518,30 @@ ExpressApp.prototype.start = function(opts, cb) {
     });
   });
 
+  router.get('/v1/utxos/:txid/:vout', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      var opts = {
+        txid: req.params['txid'],
+        vout: +req.params['vout'],
+      };
+      server.getUtxoMetadata(opts, function(err, metadata) {
+        if (err) return returnError(err, res, req);
+        res.json(metadata);
+      });
+    });
+  });
+
+  router.put('/v1/utxos/:txid/:vout', function(req, res) {
+    req.body.txid = req.params['txid'];
+    req.body.vout = +req.params['vout'];
+    getServerWithAuth(req, res, function(server) {
+      server.editUtxoMetadata(req.body, function(err, metadata) {
+        if (err) return returnError(err, res, req);
+        res.json(metadata);
+      });
+    });
+  });
+
   router.post('/v1/broadcast_raw/', function(req, res) {
     getServerWithAuth(req, res, function(server) {
       server.broadcastRawTx(req.body, function(err, txid) {
@@ -529,6 +563,28 @@ ExpressApp.prototype.start = function(opts, cb) {
     });
   });
 
+  router.get('/v1/txproposals/:id/psbt', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      req.body.txProposalId = req.params['id'];
+      server.getTxPsbt(req.body, function(err, psbt) {
+        if (err) return returnError(err, res, req);
+        res.json(psbt);
+        res.end();
+      });
+    });
+  });
+
+  router.post('/v1/txproposals/:id/psbt', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      req.body.txProposalId = req.params['id'];
+      server.signTxWithPsbt(req.body, function(err, txp) {
+        if (err) return returnError(err, res, req);
+        res.json(txp);
+        res.end();
+      });
+    });
+  });
+
   router.post('/v1/txproposals/:id/publish/', function(req, res) {
     getServerWithAuth(req, res, function(server) {
       req.body.txProposalId = req.params['id'];
@@ -552,6 +608,17 @@ ExpressApp.prototype.start = function(opts, cb) {
     });
   });
 
+  router.post('/v1/txproposals/:id/bump/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      req.body.txProposalId = req.params['id'];
+      server.bumpTxFee(req.body, function(err, txp) {
+        if (err) return returnError(err, res, req);
+        res.json(txp);
+        res.end();
+      });
+    });
+  });
+
   router.post('/v1/txproposals/:id/rejections', function(req, res) {
     getServerWithAuth(req, res, function(server) {
       req.body.txProposalId = req.params['id'];
@@ -563,6 +630,30 @@ ExpressApp.prototype.start = function(opts, cb) {
     });
   });
 
+  router.post('/v1/txproposals/:id/comments', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      req.body.txProposalId = req.params['id'];
+      server.addTxProposalComment(req.body, function(err, comment) {
+        if (err) return returnError(err, res, req);
+        res.json(comment);
+        res.end();
+      });
+    });
+  });
+
+  router.get('/v1/txproposals/:id/comments', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      var opts = {
+        txProposalId: req.params['id'],
+      };
+      server.getTxProposalComments(opts, function(err, comments) {
+        if (err) return returnError(err, res, req);
+        res.json(comments);
+        res.end();
+      });
+    });
+  });
+
   router.delete('/v1/txproposals/:id/', function(req, res) {
     getServerWithAuth(req, res, function(server) {
       req.body.txProposalId = req.params['id'];
@@ -602,6 +693,85 @@ ExpressApp.prototype.start = function(opts, cb) {
     });
   });
 
+  router.get('/v1/txhistory/predecessor/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      var opts = {};
+      if (req.query.skip) opts.skip = +req.query.skip;
+      if (req.query.limit) opts.limit = +req.query.limit;
+      if (req.query.includeExtendedInfo == '1') opts.includeExtendedInfo = true;
+
+      server.getPredecessorTxHistory(opts, function(err, txs) {
+        if (err) return returnError(err, res, req);
+        res.json(txs);
+        res.end();
+      });
+    });
+  });
+
+  router.get('/v1/txhistory/export', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      var format = req.query.format || 'json';
+      if (!_.includes(['csv', 'json'], format))
+        return returnError(new WalletService.ClientError('Invalid format'), res, req);
+
+      var opts = {};
+      if (req.query.from) opts.from = +req.query.from;
+      if (req.query.to) opts.to = +req.query.to;
+      if (req.query.code) opts.code = req.query.code;
+
+      // Response headers are only sent once the first page is ready, so early errors are reported normally
+      var started = false,
+        first = true;
+
+      function start() {
+        if (started) return;
+        started = true;
+        res.writeHead(200, {
+          'Content-Type': format == 'csv' ? 'text/csv' : 'application/json',
+          'Content-Disposition': 'attachment; filename="txhistory-' + server.walletId + '.' + format + '"',
+        });
+        res.write(format == 'csv' ? csvLine(WalletService.TX_HISTORY_EXPORT_FIELDS) : '[');
+      };
+
+      server.exportTxHistory(opts, function(txs) {
+        start();
+        _.each(txs, function(tx) {
+          if (format == 'csv') {
+            res.write(csvLine(_.map(WalletService.TX_HISTORY_EXPORT_FIELDS, function(field) {
+              return tx[field];
+            })));
+          } else {
+            res.write((first ? '' : ',') + JSON.stringify(tx));
+          }
+          first = false;
+        });
+      }, function(err) {
+        if (err && !started) return returnError(err, res, req);
+        if (err) {
+          // Headers already sent: abort so the client does not take a truncated file as complete
+          log.error(req.url + ' :' + err);
+          return res.destroy();
+        }
+        start();
+        res.end(format == 'csv' ? '' : ']');
+      });
+    });
+  });
+
+  router.get('/v1/reports/gains', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      var opts = {};
+      if (req.query.code) opts.code = req.query.code;
+      if (req.query.method) opts.method = req.query.method;
+      if (req.query.from) opts.from = +req.query.from;
+      if (req.query.to) opts.to = +req.query.to;
+      server.getGainsReport(opts, function(err, report) {
+        if (err) return returnError(err, res, req);
+        res.json(report);
+      });
+    });
+  });
+
   router.post('/v1/addresses/scan/', function(req, res) {
     getServerWithAuth(req, res, function(server) {
       server.startScan(req.body, function(err, started) {
@@ -669,6 +839,41 @@ ExpressApp.prototype.start = function(opts, cb) {
     });
   });
 
+  // Server-sent events stream. Clients resume using the standard Last-Event-ID header (or notificationId).
+  router.get('/v1/notifications/stream', function(req, res) {
+    getServerWithAuth(req, res, {
+      allowSession: true,
+    }, function(server) {
+      var opts = {
+        notificationId: req.header('last-event-id') || req.query.notificationId,
+      };
+
+      server.streamNotifications(opts, function(notification) {
+        res.write('id: ' + notification.id + '\n');
+        res.write('data: ' + JSON.stringify(notification) + '\n\n');
+      }, function(err, unsubscribe) {
+        if (err) return returnError(err, res, req);
+
+        req.socket.setTimeout(0);
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-transform',
+          'Connection': 'keep-alive',
+        });
+        res.write(': connected\n\n');
+
+        var heartbeat = setInterval(function() {
+          res.write(': heartbeat\n\n');
+        }, Defaults.NOTIFICATIONS_STREAM_HEARTBEAT * 1000);
+
+        req.on('close', function() {
+          clearInterval(heartbeat);
+          unsubscribe();
+        });
+      });
+    });
+  });
+
   router.get('/v1/txnotes/:txid', function(req, res) {
     getServerWithAuth(req, res, function(server) {
       var opts = {
@@ -778,6 +983,253 @@ ExpressApp.prototype.start = function(opts, cb) {
     });
   });
 
+  router.post('/v1/webhooks/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.registerWebhook(req.body, function(err, webhook) {
+        if (err) return returnError(err, res, req);
+        res.json(webhook);
+      });
+    });
+  });
+
+  router.get('/v1/webhooks/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.getWebhooks({}, function(err, webhooks) {
+        if (err) return returnError(err, res, req);
+        res.json(webhooks);
+      });
+    });
+  });
+
+  router.delete('/v1/webhooks/:id', function(req, res) {
+    var opts = {
+      id: req.params['id'],
+    };
+    getServerWithAuth(req, res, function(server) {
+      server.removeWebhook(opts, function(err, response) {
+        if (err) return returnError(err, res, req);
+        res.json(response);
+      });
+    });
+  });
+
+  router.post('/v1/invoices/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.createInvoice(req.body, function(err, invoice) {
+        if (err) return returnError(err, res, req);
+        res.json(invoice);
+      });
+    });
+  });
+
+  router.get('/v1/invoices/', function(req, res) {
+    var opts = {};
+    if (req.query.status) opts.status = req.query.status;
+    getServerWithAuth(req, res, function(server) {
+      server.getInvoices(opts, function(err, invoices) {
+        if (err) return returnError(err, res, req);
+        res.json(invoices);
+      });
+    });
+  });
+
+  router.delete('/v1/invoices/:id', function(req, res) {
+    var opts = {
+      invoiceId: req.params['id'],
+    };
+    getServerWithAuth(req, res, function(server) {
+      server.cancelInvoice(opts, function(err, invoice) {
+        if (err) return returnError(err, res, req);
+        res.json(invoice);
+      });
+    });
+  });
+
+  router.get('/v1/spendingpolicy/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.getSpendingPolicy({}, function(err, policies) {
+        if (err) return returnError(err, res, req);
+        res.json(policies);
+      });
+    });
+  });
+
+  router.post('/v1/spendingpolicy/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.proposeSpendingPolicy(req.body, function(err, policy) {
+        if (err) return returnError(err, res, req);
+        res.json(policy);
+      });
+    });
+  });
+
+  router.post('/v1/spendingpolicy/:id/approve', function(req, res) {
+    var opts = {
+      id: req.params['id'],
+    };
+    getServerWithAuth(req, res, function(server) {
+      server.approveSpendingPolicy(opts, function(err, policy) {
+        if (err) return returnError(err, res, req);
+        res.json(policy);
+      });
+    });
+  });
+
+  router.get('/v1/addressbook/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.getAddressBook({}, function(err, entries) {
+        if (err) return returnError(err, res, req);
+        res.json(entries);
+      });
+    });
+  });
+
+  router.post('/v1/addressbook/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.addAddressBookEntry(req.body, function(err, entry) {
+        if (err) return returnError(err, res, req);
+        res.json(entry);
+      });
+    });
+  });
+
+  router.post('/v1/addressbook/:id/approve', function(req, res) {
+    var opts = {
+      id: req.params['id'],
+    };
+    getServerWithAuth(req, res, function(server) {
+      server.approveAddressBookEntry(opts, function(err, entry) {
+        if (err) return returnError(err, res, req);
+        res.json(entry);
+      });
+    });
+  });
+
+  router.delete('/v1/addressbook/:id', function(req, res) {
+    var opts = {
+      id: req.params['id'],
+    };
+    getServerWithAuth(req, res, function(server) {
+      server.removeAddressBookEntry(opts, function(err, response) {
+        if (err) return returnError(err, res, req);
+        res.json(response);
+      });
+    });
+  });
+
+  router.put('/v1/consolidation/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.setConsolidationSettings(req.body, function(err, settings) {
+        if (err) return returnError(err, res, req);
+        res.json(settings);
+      });
+    });
+  });
+
+  router.post('/v1/migration/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.startWalletMigration(req.body, function(err, migration) {
+        if (err) return returnError(err, res, req);
+        res.json(migration);
+      });
+    });
+  });
+
+  router.post('/v1/migration/approve', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.approveWalletMigration(req.body, function(err, migration) {
+        if (err) return returnError(err, res, req);
+        res.json(migration);
+      });
+    });
+  });
+
+  router.delete('/v1/migration/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.cancelWalletMigration({}, function(err, response) {
+        if (err) return returnError(err, res, req);
+        res.json(response);
+      });
+    });
+  });
+
+  router.post('/v1/migration/txproposals/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.createMigrationTxs(req.body, function(err, txps) {
+        if (err) return returnError(err, res, req);
+        res.json(txps);
+      });
+    });
+  });
+
+  router.post('/v1/txbatches/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.createTxBatch(req.body, function(err, batch) {
+        if (err) return returnError(err, res, req);
+        res.json(batch);
+      });
+    });
+  });
+
+  router.get('/v1/txbatches/', function(req, res) {
+    getServerWithAuth(req, res, function(server) {
+      server.getTxBatches({}, function(err, batches) {
+        if (err) return returnError(err, res, req);
+        res.json(batches);
+      });
+    });
+  });
+
+  router.get('/v1/txbatches/:id', function(req, res) {
+    var opts = {
+      id: req.params['id'],
+    };
+    getServerWithAuth(req, res, function(server) {
+      server.getTxBatch(opts, function(err, batch) {
+        if (err) return returnError(err, res, req);
+        res.json(batch);
+      });
+    });
+  });
+
+  // Admin API of the in-memory chains, for the coins/networks configured with the mock blockchain explorer
+  function getMockExplorer(req, res) {
+    var coin = req.params['coin'];
+    var network = req.params['network'];
+    var explorerOpts = _.get(opts.blockchainExplorerOpts, [coin, network]);
+    if (!explorerOpts || explorerOpts.provider != 'mock') {
+      returnError(new WalletService.ClientError('No mock blockchain explorer for ' + coin + '/' + network), res, req);
+      return;
+    }
+    return new BlockchainExplorer({
+      provider: 'mock',
+      coin: coin,
+      network: network,
+    });
+  };
+
+  router.post('/v1/mock/:coin/:network/fund/', function(req, res) {
+    var explorer = getMockExplorer(req, res);
+    if (!explorer) return;
+    explorer.fund(req.body.address, req.body.amount, function(err, txid) {
+      if (err) return returnError(new WalletService.ClientError(err.message), res, req);
+      res.json({
+        txid: txid,
+      });
+    });
+  });
+
+  router.post('/v1/mock/:coin/:network/mine/', function(req, res) {
+    var explorer = getMockExplorer(req, res);
+    if (!explorer) return;
+    explorer.mine(req.body.blocks, function(err, hashes) {
+      if (err) return returnError(new WalletService.ClientError(err.message), res, req);
+      res.json({
+        hashes: hashes,
+      });
+    });
+  });
+
   this.app.use(opts.basePath || '/bws/api', router);
 
   WalletService.initialize(opts, cb);
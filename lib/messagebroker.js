@@ -11,6 +11,10 @@ function MessageBroker(opts) {
   var self = this;
 
   opts = opts || {};
+
+  // Each notification stream adds its own handler
+  this.setMaxListeners(0);
+
   if (opts.messageBrokerServer) {
     var url = opts.messageBrokerServer.url;
 
@@ -43,4 +47,8 @@ MessageBroker.prototype.onMessage = function(handler) {
   this.on('msg', handler);
 };
 
+MessageBroker.prototype.removeMessageHandler = function(handler) {
+  this.removeListener('msg', handler);
+};
+
 module.exports = MessageBroker;
@@ -3,11 +3,8 @@
 var $ = require('preconditions').singleton();
 var _ = require('lodash');
 
-var Bitcore = {
-  'btc': require('bitcore-lib'),
-  'bch': require('bitcore-lib-cash'),
-};
 var Common = require('../common');
+var Coins = Common.Coins;
 var Constants = Common.Constants,
   Defaults = Common.Defaults,
   Utils = Common.Utils;
@@ -29,7 +26,7 @@ Address.create = function(opts) {
   x.path = opts.path;
   x.publicKeys = opts.publicKeys;
   x.coin = opts.coin;
-  x.network = Bitcore[opts.coin].Address(x.address).toObject().network;
+  x.network = opts.network || Coins.getLib(opts.coin).Address(x.address).toObject().network;
   x.type = opts.type || Constants.SCRIPT_TYPES.P2SH;
   x.hasActivity = undefined;
   x.beRegistered = null;
@@ -57,25 +54,43 @@ Address.fromObj = function(obj) {
 Address._deriveAddress = function(scriptType, publicKeyRing, path, m, coin, network) {
   $.checkArgument(Utils.checkValueInCollection(scriptType, Constants.SCRIPT_TYPES));
 
+  var bitcore = Coins.getLib(coin);
   var publicKeys = _.map(publicKeyRing, function(item) {
-    var xpub = new Bitcore[coin].HDPublicKey(item.xPubKey);
+    var xpub = new bitcore.HDPublicKey(item.xPubKey);
     return xpub.deriveChild(path).publicKey;
   });
+  if (_.includes(Constants.SEGWIT_SCRIPT_TYPES, scriptType)) {
+    $.checkState(Coins.get(coin).segwit, 'SegWit is not supported for ' + coin.toUpperCase());
+  }
+
+  // Unlike legacy ones, bech32 regtest addresses have their own prefix
+  var bech32Network = network == Constants.NETWORKS.REGTEST ? network : Utils.getEncodingNetwork(network);
+  network = Utils.getEncodingNetwork(network);
 
   var bitcoreAddress;
   switch (scriptType) {
     case Constants.SCRIPT_TYPES.P2SH:
-      bitcoreAddress = Bitcore[coin].Address.createMultisig(publicKeys, m, network);
+      bitcoreAddress = bitcore.Address.createMultisig(publicKeys, m, network);
+      break;
+    case Constants.SCRIPT_TYPES.P2SH_P2WSH:
+      bitcoreAddress = bitcore.Address.createMultisig(publicKeys, m, network, true);
+      break;
+    case Constants.SCRIPT_TYPES.P2WSH:
+      bitcoreAddress = bitcore.Address.createMultisig(publicKeys, m, bech32Network, false, bitcore.Address.PayToWitnessScriptHash);
       break;
     case Constants.SCRIPT_TYPES.P2PKH:
       $.checkState(_.isArray(publicKeys) && publicKeys.length == 1);
-      bitcoreAddress = Bitcore[coin].Address.fromPublicKey(publicKeys[0], network);
+      bitcoreAddress = bitcore.Address.fromPublicKey(publicKeys[0], network);
+      break;
+    case Constants.SCRIPT_TYPES.P2WPKH:
+      $.checkState(_.isArray(publicKeys) && publicKeys.length == 1);
+      bitcoreAddress = bitcore.Address.fromPublicKey(publicKeys[0], bech32Network, bitcore.Address.PayToWitnessPublicKeyHash);
       break;
   }
 
   return {
     // bws still use legacy addresses for BCH
-    address: coin == 'bch' ? bitcoreAddress.toLegacyAddress() : bitcoreAddress.toString(),
+    address: Coins.formatAddress(coin, bitcoreAddress),
     path: path,
     publicKeys: _.invokeMap(publicKeys, 'toString'),
   };
@@ -85,6 +100,7 @@ Address.derive = function(walletId, scriptType, publicKeyRing, path, m, coin, ne
   var raw = Address._deriveAddress(scriptType, publicKeyRing, path, m, coin, network);
   return Address.create(_.extend(raw, {
     coin: coin,
+    network: network,
     walletId: walletId,
     type: scriptType,
     isChange: isChange,
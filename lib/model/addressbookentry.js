@@ -0,0 +1,78 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+var Uuid = require('uuid');
+
+/*
+ * Address book entry. Entries are added by a copayer and become active once approved by m copayers.
+ * Whitelist-only wallets can only send funds to active entries.
+ */
+function AddressBookEntry() {};
+
+AddressBookEntry.create = function(opts) {
+  opts = opts || {};
+
+  $.checkArgument(opts.address);
+
+  var x = new AddressBookEntry();
+
+  x.version = 1;
+  x.createdOn = Math.floor(Date.now() / 1000);
+  x.id = Uuid.v4();
+  x.walletId = opts.walletId;
+  x.creatorId = opts.creatorId;
+  x.coin = opts.coin;
+  x.network = opts.network;
+  x.address = opts.address;
+  x.label = opts.label;
+  x.status = 'pending';
+  x.approvedBy = [opts.creatorId];
+  x.approvedOn = null;
+  return x;
+};
+
+AddressBookEntry.fromObj = function(obj) {
+  var x = new AddressBookEntry();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.id = obj.id;
+  x.walletId = obj.walletId;
+  x.creatorId = obj.creatorId;
+  x.coin = obj.coin;
+  x.network = obj.network;
+  x.address = obj.address;
+  x.label = obj.label;
+  x.status = obj.status;
+  x.approvedBy = obj.approvedBy || [];
+  x.approvedOn = obj.approvedOn;
+  return x;
+};
+
+AddressBookEntry.prototype.isActive = function() {
+  return this.status == 'active';
+};
+
+AddressBookEntry.prototype.isApprovedBy = function(copayerId) {
+  return _.includes(this.approvedBy, copayerId);
+};
+
+/**
+ * approve
+ *
+ * @param {String} copayerId - approving copayer
+ * @param {Number} requiredApprovals - number of approvals needed to activate the entry
+ */
+AddressBookEntry.prototype.approve = function(copayerId, requiredApprovals) {
+  $.checkState(!this.isActive());
+
+  this.approvedBy = _.union(this.approvedBy, [copayerId]);
+  if (this.approvedBy.length >= requiredApprovals) {
+    this.status = 'active';
+    this.approvedOn = Math.floor(Date.now() / 1000);
+  }
+};
+
+
+module.exports = AddressBookEntry;
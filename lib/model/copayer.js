@@ -25,12 +25,19 @@ Copayer._xPubToCopayerId = function(coin, xpub) {
 
 Copayer.create = function(opts) {
   opts = opts || {};
-  $.checkArgument(opts.xPubKey, 'Missing copayer extended public key')
-    .checkArgument(opts.requestPubKey, 'Missing copayer request public key')
-    .checkArgument(opts.signature, 'Missing copayer request public key signature');
+  $.checkArgument(opts.xPubKey, 'Missing copayer extended public key');
+
+  // External keys of watch-only wallets are held outside of the service and have no request key
+  if (!opts.external) {
+    $.checkArgument(opts.requestPubKey, 'Missing copayer request public key')
+      .checkArgument(opts.signature, 'Missing copayer request public key signature');
+  }
 
   $.checkArgument(Utils.checkValueInCollection(opts.coin, Constants.COINS));
 
+  opts.role = opts.role || Constants.COPAYER_ROLES.SIGNER;
+  $.checkArgument(Utils.checkValueInCollection(opts.role, Constants.COPAYER_ROLES));
+
   opts.copayerIndex = opts.copayerIndex || 0;
 
   var x = new Copayer();
@@ -41,15 +48,17 @@ Copayer.create = function(opts) {
   x.xPubKey = opts.xPubKey;
   x.id = Copayer._xPubToCopayerId(opts.coin, x.xPubKey);
   x.name = opts.name;
+  x.role = opts.role;
   x.requestPubKey = opts.requestPubKey;
   x.signature = opts.signature;
-  x.requestPubKeys = [{
+  x.requestPubKeys = opts.requestPubKey ? [{
     key: opts.requestPubKey,
     signature: opts.signature,
-  }];
+  }] : [];
 
+  // Observers take no part in address derivation
   var derivationStrategy = opts.derivationStrategy || Constants.DERIVATION_STRATEGIES.BIP45;
-  if (AddressManager.supportsCopayerBranches(derivationStrategy)) {
+  if (!x.isObserver() && AddressManager.supportsCopayerBranches(derivationStrategy)) {
     x.addressManager = AddressManager.create({
       derivationStrategy: derivationStrategy,
       copayerIndex: opts.copayerIndex,
@@ -58,6 +67,10 @@ Copayer.create = function(opts) {
 
   x.customData = opts.customData;
 
+  // Origin of the extended public key, used to export BIP32 derivations relative to the master key
+  x.rootFingerprint = opts.rootFingerprint;
+  x.accountPath = opts.accountPath;
+
   return x;
 };
 
@@ -69,6 +82,7 @@ Copayer.fromObj = function(obj) {
   x.coin = obj.coin || Defaults.COIN;
   x.id = obj.id;
   x.name = obj.name;
+  x.role = obj.role || Constants.COPAYER_ROLES.SIGNER;
   x.xPubKey = obj.xPubKey;
   x.requestPubKey = obj.requestPubKey;
   x.signature = obj.signature;
@@ -87,10 +101,16 @@ Copayer.fromObj = function(obj) {
     x.addressManager = AddressManager.fromObj(obj.addressManager);
   }
   x.customData = obj.customData;
+  x.rootFingerprint = obj.rootFingerprint;
+  x.accountPath = obj.accountPath;
 
   return x;
 };
 
+Copayer.prototype.isObserver = function() {
+  return this.role == Constants.COPAYER_ROLES.OBSERVER;
+};
+
 Copayer.prototype.createAddress = function(wallet, isChange) {
   $.checkState(wallet.isComplete());
 
@@ -8,8 +8,16 @@ Model.Notification = require('./notification');
 Model.Preferences = require('./preferences');
 Model.Email = require('./email');
 Model.TxNote = require('./txnote');
+Model.TxProposalComment = require('./txproposalcomment');
 Model.Session = require('./session');
 Model.PushNotificationSub = require('./pushnotificationsub');
 Model.TxConfirmationSub = require('./txconfirmationsub');
+Model.Webhook = require('./webhook');
+Model.WebhookDelivery = require('./webhookdelivery');
+Model.SpendingPolicy = require('./spendingpolicy');
+Model.AddressBookEntry = require('./addressbookentry');
+Model.TxBatch = require('./txbatch');
+Model.UtxoMetadata = require('./utxometadata');
+Model.Invoice = require('./invoice');
 
 module.exports = Model;
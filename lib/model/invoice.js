@@ -0,0 +1,124 @@
+'use strict';
+
+var _ = require('lodash');
+var Uuid = require('uuid');
+
+/*
+ * Request for a payment into a fresh address of the wallet.
+ *
+ * Payments to the address received before expiresOn add up to settle the invoice as 'underpaid', 'paid'
+ * or 'overpaid'. An invoice still open ('pending' or 'underpaid') at expiresOn becomes 'expired'.
+ * Late payments are still recorded, but do not change a settled or expired invoice.
+ */
+function Invoice() {};
+
+Invoice.create = function(opts) {
+  opts = opts || {};
+
+  var x = new Invoice();
+
+  x.version = 1;
+  x.createdOn = Math.floor(Date.now() / 1000);
+  x.id = Uuid.v4();
+  x.walletId = opts.walletId;
+  x.creatorId = opts.creatorId;
+  x.coin = opts.coin;
+  x.network = opts.network;
+  x.address = opts.address;
+  x.amount = opts.amount;
+  x.fiatAmount = opts.fiatAmount;
+  x.fiatCode = opts.fiatCode;
+  x.rate = opts.rate;
+  x.message = opts.message;
+  x.uri = opts.uri;
+  x.expiresOn = opts.expiresOn;
+  x.status = 'pending';
+  x.amountReceived = 0;
+  x.payments = [];
+  x.paidOn = null;
+  return x;
+};
+
+Invoice.fromObj = function(obj) {
+  var x = new Invoice();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.id = obj.id;
+  x.walletId = obj.walletId;
+  x.creatorId = obj.creatorId;
+  x.coin = obj.coin;
+  x.network = obj.network;
+  x.address = obj.address;
+  x.amount = obj.amount;
+  x.fiatAmount = obj.fiatAmount;
+  x.fiatCode = obj.fiatCode;
+  x.rate = obj.rate;
+  x.message = obj.message;
+  x.uri = obj.uri;
+  x.expiresOn = obj.expiresOn;
+  x.status = obj.status;
+  x.amountReceived = obj.amountReceived || 0;
+  x.payments = obj.payments || [];
+  x.paidOn = obj.paidOn;
+  return x;
+};
+
+Invoice.prototype.isOpen = function() {
+  return this.status == 'pending' || this.status == 'underpaid';
+};
+
+Invoice.prototype.isPaid = function() {
+  return this.status == 'paid' || this.status == 'overpaid';
+};
+
+Invoice.prototype.hasExpired = function(now) {
+  now = now || Math.floor(Date.now() / 1000);
+  return this.isOpen() && this.expiresOn <= now;
+};
+
+Invoice.prototype.setExpired = function() {
+  this.status = 'expired';
+};
+
+Invoice.prototype.setCancelled = function() {
+  this.status = 'cancelled';
+};
+
+/**
+ * addPayment
+ *
+ * @param {String} txid - tx paying the invoice
+ * @param {Number} amount - amount paid to the invoice address by the tx, in satoshis
+ * @param {Number} now - time the payment was received
+ * @returns {Boolean} false if the payment was already added
+ */
+Invoice.prototype.addPayment = function(txid, amount, now) {
+  now = now || Math.floor(Date.now() / 1000);
+
+  if (_.some(this.payments, {
+      txid: txid
+    })) return false;
+
+  this.payments.push({
+    txid: txid,
+    amount: amount,
+    receivedOn: now,
+  });
+  this.amountReceived += amount;
+
+  if (this.hasExpired(now)) {
+    this.setExpired();
+  } else if ((this.isOpen() || this.isPaid()) && now < this.expiresOn) {
+    if (this.amountReceived < this.amount) {
+      this.status = 'underpaid';
+    } else {
+      this.status = this.amountReceived == this.amount ? 'paid' : 'overpaid';
+      this.paidOn = this.paidOn || now;
+    }
+  }
+  return true;
+};
+
+
+module.exports = Invoice;
@@ -11,10 +11,21 @@ var Uuid = require('uuid');
  * TxProposalRejectedBy -  (txProposalId, copayerId)
  * txProposalFinallyRejected - txProposalId
  * txProposalFinallyAccepted - txProposalId
+ * TxProposalExpired - (txProposalId, expiresOn)
+ * ConsolidationSuggested - (txProposalId, amount, fee, feePerKb, utxoCount)
+ * TxProposalComment - (txProposalId, commentId)
+ * WalletMigrationStarted - (successorWalletId)
+ * WalletMigrated - (successorWalletId, txProposalIds)
  *
  * NewIncomingTx (address, txid)
  * NewOutgoingTx - (txProposalId, txid)
  *
+ * AddressBookEntryAdded - (entryId, address, label)
+ * AddressBookEntryApproved - (entryId, address, label)
+ *
+ * InvoicePaid - (invoiceId, txid, address, amount, amountReceived, status)
+ * InvoiceExpired - (invoiceId, address, amount, amountReceived)
+ *
  * data Examples:
  * { amount: 'xxx', address: 'xxx'}
  * { txProposalId: 'xxx', copayerId: 'xxx' }
@@ -0,0 +1,133 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+var Uuid = require('uuid');
+
+var Common = require('../common');
+var Utils = Common.Utils;
+
+/*
+ * Wallet spending policy. Rules:
+ *
+ * copayerLimits - { copayerId: amount } Max amount (in satoshis) each copayer may propose in a single tx proposal.
+ * periodLimits - [{ period, amount, requiredSignatures }] Max amount (in satoshis) spent in the last day / week,
+ *   counting the tx proposals broadcasted in the period and the pending / accepted ones.
+ *   When exceeded, the tx proposal needs `requiredSignatures` signatures to be accepted, or is not allowed at all
+ *   if `requiredSignatures` is not specified.
+ *
+ * Policies become active once approved by m copayers.
+ */
+function SpendingPolicy() {};
+
+SpendingPolicy.PERIODS = {
+  daily: 24 * 60 * 60,
+  weekly: 7 * 24 * 60 * 60,
+};
+
+SpendingPolicy.create = function(opts) {
+  opts = opts || {};
+
+  var x = new SpendingPolicy();
+
+  x.version = 1;
+  x.createdOn = Math.floor(Date.now() / 1000);
+  x.id = Uuid.v4();
+  x.walletId = opts.walletId;
+  x.creatorId = opts.creatorId;
+  x.copayerLimits = opts.copayerLimits || {};
+  x.periodLimits = opts.periodLimits || [];
+  x.status = 'pending';
+  x.approvedBy = [opts.creatorId];
+  x.activatedOn = null;
+  return x;
+};
+
+SpendingPolicy.fromObj = function(obj) {
+  var x = new SpendingPolicy();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.id = obj.id;
+  x.walletId = obj.walletId;
+  x.creatorId = obj.creatorId;
+  x.copayerLimits = obj.copayerLimits || {};
+  x.periodLimits = obj.periodLimits || [];
+  x.status = obj.status;
+  x.approvedBy = obj.approvedBy || [];
+  x.activatedOn = obj.activatedOn;
+  return x;
+};
+
+SpendingPolicy.prototype.isPending = function() {
+  return this.status == 'pending';
+};
+
+SpendingPolicy.prototype.isActive = function() {
+  return this.status == 'active';
+};
+
+SpendingPolicy.prototype.approve = function(copayerId) {
+  $.checkState(this.isPending());
+  this.approvedBy = _.union(this.approvedBy, [copayerId]);
+};
+
+SpendingPolicy.prototype.isApproved = function(requiredApprovals) {
+  return this.approvedBy.length >= requiredApprovals;
+};
+
+SpendingPolicy.prototype.activate = function() {
+  $.checkState(this.isPending());
+  this.status = 'active';
+  this.activatedOn = Math.floor(Date.now() / 1000);
+};
+
+SpendingPolicy.prototype.setStatus = function(status) {
+  this.status = status;
+};
+
+SpendingPolicy.prototype.getPeriods = function() {
+  return _.uniq(_.map(this.periodLimits, 'period'));
+};
+
+/**
+ * check
+ *
+ * @param {Object} txp - tx proposal to check
+ * @param {Object} spent - amount already spent on each of the policy periods ({ daily: x, weekly: y })
+ * @return {Object} { violation: reason if the proposal is not allowed, requiredSignatures: min signatures needed }
+ */
+SpendingPolicy.prototype.check = function(txp, spent) {
+  var self = this;
+
+  function format(amount) {
+    return Utils.formatAmount(amount, txp.coin) + ' ' + txp.coin.toUpperCase();
+  };
+
+  var copayerLimit = self.copayerLimits[txp.creatorId];
+  if (_.isNumber(copayerLimit) && txp.amount > copayerLimit) {
+    return {
+      violation: 'Proposals from this copayer are limited to ' + format(copayerLimit),
+    };
+  }
+
+  var requiredSignatures = 0;
+  var exceeded = _.filter(self.periodLimits, function(limit) {
+    return (spent[limit.period] || 0) + txp.amount > limit.amount;
+  });
+  var blocking = _.find(exceeded, function(limit) {
+    return !limit.requiredSignatures;
+  });
+  if (blocking) {
+    return {
+      violation: _.capitalize(blocking.period) + ' spending limit of ' + format(blocking.amount) + ' exceeded',
+    };
+  }
+
+  return {
+    requiredSignatures: _.max(_.map(exceeded, 'requiredSignatures')) || 0,
+  };
+};
+
+
+module.exports = SpendingPolicy;
@@ -0,0 +1,58 @@
+'use strict';
+
+var _ = require('lodash');
+var Uuid = require('uuid');
+
+/*
+ * Batch of payouts split into as many tx proposals as needed. Each row keeps its validation
+ * error, if any, or the tx proposal paying it.
+ */
+function TxBatch() {};
+
+TxBatch.create = function(opts) {
+  opts = opts || {};
+
+  var x = new TxBatch();
+
+  x.version = 1;
+  x.createdOn = Math.floor(Date.now() / 1000);
+  x.id = Uuid.v4();
+  x.walletId = opts.walletId;
+  x.creatorId = opts.creatorId;
+  x.rows = opts.rows || [];
+  x.txProposalIds = [];
+  return x;
+};
+
+TxBatch.fromObj = function(obj) {
+  var x = new TxBatch();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.id = obj.id;
+  x.walletId = obj.walletId;
+  x.creatorId = obj.creatorId;
+  x.rows = obj.rows || [];
+  x.txProposalIds = obj.txProposalIds || [];
+  return x;
+};
+
+/**
+ * addTxProposal
+ *
+ * @param {TxProposal} txp - tx proposal paying the rows
+ * @param {Array} rows - rows paid by the tx proposal
+ */
+TxBatch.prototype.addTxProposal = function(txp, rows) {
+  this.txProposalIds.push(txp.id);
+  _.each(rows, function(row) {
+    row.txProposalId = txp.id;
+  });
+};
+
+TxBatch.prototype.getValidRows = function() {
+  return _.reject(this.rows, 'error');
+};
+
+
+module.exports = TxBatch;
@@ -7,18 +7,16 @@ var log = require('npmlog');
 log.debug = log.verbose;
 log.disableColor();
 
-var Bitcore = {
-  'btc': require('bitcore-lib'),
-  'bch': require('bitcore-lib-cash'),
-};
 
 var Common = require('../common');
+var Coins = Common.Coins;
 var Constants = Common.Constants,
   Defaults = Common.Defaults,
   Utils = Common.Utils;
 
 var TxProposalLegacy = require('./txproposal_legacy');
 var TxProposalAction = require('./txproposalaction');
+var PSBT = require('../psbt');
 
 function TxProposal() {};
 
@@ -43,7 +41,7 @@ TxProposal.create = function(opts) {
   x.payProUrl = opts.payProUrl;
   x.changeAddress = opts.changeAddress;
   x.outputs = _.map(opts.outputs, function(output) {
-    return _.pick(output, ['amount', 'toAddress', 'message', 'script']);
+    return _.pick(output, ['amount', 'toAddress', 'message', 'script', 'type', 'data']);
   });
   x.outputOrder = _.range(x.outputs.length + 1);
   if (!opts.noShuffleOutputs) {
@@ -53,11 +51,21 @@ TxProposal.create = function(opts) {
   x.walletN = opts.walletN;
   x.requiredSignatures = x.walletM;
   x.requiredRejections = Math.min(x.walletM, x.walletN - x.walletM + 1),
+  x.policyRequiredSignatures = null;
   x.status = 'temporary';
   x.actions = [];
   x.feeLevel = opts.feeLevel;
   x.feePerKb = opts.feePerKb;
   x.excludeUnconfirmedUtxos = opts.excludeUnconfirmedUtxos;
+  x.coinSelection = opts.coinSelection;
+  x.enableRBF = _.includes(Constants.RBF_COINS, x.coin);
+  x.replacesTxProposalId = opts.replacesTxProposalId;
+  x.replacesTxid = opts.replacesTxid;
+  x.cpfpTxid = opts.cpfpTxid;
+  x.cpfpFee = opts.cpfpFee;
+  x.expiresOn = opts.expiresOn || null;
+  x.isConsolidation = !!opts.isConsolidation;
+  x.isMigration = !!opts.isMigration;
 
   x.addressType = opts.addressType || (x.walletN > 1 ? Constants.SCRIPT_TYPES.P2SH : Constants.SCRIPT_TYPES.P2PKH);
   $.checkState(Utils.checkValueInCollection(x.addressType, Constants.SCRIPT_TYPES));
@@ -90,12 +98,16 @@ TxProposal.fromObj = function(obj) {
   x.amount = obj.amount;
   x.message = obj.message;
   x.payProUrl = obj.payProUrl;
+  x.payPro = obj.payPro;
+  x.payProVerified = obj.payProVerified;
+  x.payProAck = obj.payProAck;
   x.changeAddress = obj.changeAddress;
   x.inputs = obj.inputs;
   x.walletM = obj.walletM;
   x.walletN = obj.walletN;
   x.requiredSignatures = obj.requiredSignatures;
   x.requiredRejections = obj.requiredRejections;
+  x.policyRequiredSignatures = obj.policyRequiredSignatures;
   x.status = obj.status;
   x.txid = obj.txid;
   x.broadcastedOn = obj.broadcastedOn;
@@ -108,6 +120,19 @@ TxProposal.fromObj = function(obj) {
   x.feeLevel = obj.feeLevel;
   x.feePerKb = obj.feePerKb;
   x.excludeUnconfirmedUtxos = obj.excludeUnconfirmedUtxos;
+  x.coinSelection = obj.coinSelection;
+  x.enableRBF = obj.enableRBF;
+  x.replacesTxProposalId = obj.replacesTxProposalId;
+  x.replacesTxid = obj.replacesTxid;
+  x.replacedByTxProposalId = obj.replacedByTxProposalId;
+  x.replacedByTxid = obj.replacedByTxid;
+  x.replacedOn = obj.replacedOn;
+  x.cpfpTxid = obj.cpfpTxid;
+  x.cpfpFee = obj.cpfpFee;
+  x.expiresOn = obj.expiresOn;
+  x.isConsolidation = !!obj.isConsolidation;
+  x.isMigration = !!obj.isMigration;
+  x.expiredOn = obj.expiredOn;
   x.addressType = obj.addressType;
   x.customData = obj.customData;
 
@@ -141,32 +166,50 @@ TxProposal.prototype._updateStatus = function() {
 
 TxProposal.prototype._buildTx = function() {
   var self = this;
+  var bitcore = Coins.getLib(self.coin);
 
-  var t = new Bitcore[self.coin].Transaction();
+  var t = new bitcore.Transaction();
+  // Copayers sign version 1 txs, whatever the default of their bitcore library
+  t.version = 1;
 
   $.checkState(Utils.checkValueInCollection(self.addressType, Constants.SCRIPT_TYPES));
 
-  switch (self.addressType) {
-    case Constants.SCRIPT_TYPES.P2SH:
-      _.each(self.inputs, function(i) {
-        $.checkState(i.publicKeys, 'Inputs should include public keys');
-        t.from(i, i.publicKeys, self.requiredSignatures);
-      });
-      break;
-    case Constants.SCRIPT_TYPES.P2PKH:
-      t.from(self.inputs);
-      break;
+  // Bitcore tells legacy, nested & native segwit inputs apart by their output script
+  if (_.includes(Constants.MULTISIG_SCRIPT_TYPES, self.addressType)) {
+    _.each(self.inputs, function(i) {
+      $.checkState(i.publicKeys, 'Inputs should include public keys');
+      t.from(i, i.publicKeys, self.requiredSignatures);
+    });
+  } else {
+    t.from(self.inputs);
+  }
+
+  if (self.enableRBF) {
+    _.each(t.inputs, function(input) {
+      input.sequenceNumber = Constants.RBF_SEQUENCE_NUMBER;
+    });
   }
 
   _.each(self.outputs, function(o) {
-    $.checkState(o.script || o.toAddress, 'Output should have either toAddress or script specified');
-    if (o.script) {
-      t.addOutput(new Bitcore[self.coin].Transaction.Output({
+    $.checkState(o.script || o.toAddress || o.type == 'data', 'Output should have either toAddress, script or data specified');
+    if (o.type == 'data') {
+      t.addData(Buffer.from(o.data, 'hex'));
+    } else if (o.script) {
+      t.addOutput(new bitcore.Transaction.Output({
         script: o.script,
         satoshis: o.amount
       }));
     } else {
-      t.to(o.toAddress, o.amount);
+      // Bitcore's Address does not support segwit v1+ (eg taproot) destinations
+      var segwit = Coins.get(self.coin).segwit ? Utils.decodeBech32Address(o.toAddress) : null;
+      if (segwit) {
+        t.addOutput(new bitcore.Transaction.Output({
+          script: segwit.script,
+          satoshis: o.amount
+        }));
+      } else {
+        t.to(o.toAddress, o.amount);
+      }
     }
   });
 
@@ -218,7 +261,8 @@ TxProposal.prototype.getBitcoreTx = function() {
 
   var t = this._buildTx();
 
-  var sigs = this._getCurrentSignatures();
+  // Spending policies may require more signatures than the ones needed by the inputs scripts
+  var sigs = _.take(this._getCurrentSignatures(), this.requiredSignatures);
   _.each(sigs, function(x) {
     self._addSignaturesToBitcoreTx(t, x.signatures, x.xpub);
   });
@@ -232,10 +276,176 @@ TxProposal.prototype.getRawTx = function() {
   return t.uncheckedSerialize();
 };
 
+TxProposal.prototype._getSighashType = function() {
+  var Signature = Coins.getLib(this.coin).crypto.Signature;
+  return Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID;
+};
+
+/**
+ * getPsbt
+ *
+ * Segwit inputs include their previous output as witness UTXO. As required by BIP174,
+ * other inputs include the full previous transaction instead (non-witness UTXO).
+ * BIP32 derivations and global xpubs are given from each copayer's master key, identified
+ * by the root fingerprint and account path provided when joining. Derivations of copayers
+ * that provided neither are relative to their extended public key, identified by its own
+ * fingerprint, and their xpubs are not included as their origin is unknown.
+ *
+ * @param {Array} copayers - signing copayers of the wallet
+ * @param {Object} prevTxs - raw previous transactions of non-segwit inputs, by txid
+ * @return {String} base64 encoded BIP174 PSBT, including the signatures collected so far
+ * @throws {Error} if the previous transaction of a non-segwit input is missing or does not match
+ */
+TxProposal.prototype.getPsbt = function(copayers, prevTxs) {
+  var self = this;
+  var bitcore = Coins.getLib(self.coin);
+
+  var t = self._buildTx();
+  var sighashType = self._getSighashType();
+  var keys = _.map(copayers, function(copayer) {
+    return {
+      hdKey: new bitcore.HDPublicKey(copayer.xPubKey),
+      rootFingerprint: copayer.rootFingerprint ? Buffer.from(copayer.rootFingerprint, 'hex') : null,
+      accountPath: copayer.accountPath,
+    };
+  });
+
+  function derivations(type, path) {
+    return _.map(keys, function(x) {
+      var origin = x.rootFingerprint ?
+        PSBT.encodeDerivation(x.rootFingerprint, x.accountPath + path.slice(1)) :
+        PSBT.encodeDerivation(x.hdKey.fingerPrint, path);
+      return PSBT.record(type, x.hdKey.deriveChild(path).publicKey.toBuffer(), origin);
+    });
+  };
+
+  function scripts(types, redeemScript) {
+    if (!redeemScript) return [];
+    switch (self.addressType) {
+      case Constants.SCRIPT_TYPES.P2SH_P2WSH:
+        return [
+          PSBT.record(types.REDEEM_SCRIPT, null, bitcore.Script.buildWitnessMultisigOutFromScript(redeemScript).toBuffer()),
+          PSBT.record(types.WITNESS_SCRIPT, null, redeemScript.toBuffer()),
+        ];
+      case Constants.SCRIPT_TYPES.P2WSH:
+        return [PSBT.record(types.WITNESS_SCRIPT, null, redeemScript.toBuffer())];
+    }
+    return [PSBT.record(types.REDEEM_SCRIPT, null, redeemScript.toBuffer())];
+  };
+
+  var partialSigs = _.map(t.inputs, function() {
+    return [];
+  });
+  _.each(self._getCurrentSignatures(), function(x) {
+    var hd = new bitcore.HDPublicKey(x.xpub);
+    _.each(x.signatures, function(signatureHex, i) {
+      var pub = hd.deriveChild(self.inputPaths[i]).publicKey.toBuffer();
+      partialSigs[i].push(PSBT.record(PSBT.INPUT_TYPES.PARTIAL_SIG, pub, Buffer.concat([Buffer.from(signatureHex, 'hex'), Buffer.from([sighashType])])));
+    });
+  });
+
+  var sighashTypeBuffer = Buffer.alloc(4);
+  sighashTypeBuffer.writeUInt32LE(sighashType, 0);
+
+  function utxo(input, i) {
+    if (_.includes(Constants.SEGWIT_SCRIPT_TYPES, self.addressType))
+      return PSBT.record(PSBT.INPUT_TYPES.WITNESS_UTXO, null, input.output.toBufferWriter().toBuffer());
+
+    var txid = input.prevTxId.toString('hex');
+    var raw = (prevTxs || {})[txid];
+    if (!raw) throw new Error('Missing previous transaction for input ' + i);
+
+    var prevTx = new bitcore.Transaction(raw);
+    if (prevTx.id != txid) throw new Error('Previous transaction does not match input ' + i);
+    return PSBT.record(PSBT.INPUT_TYPES.NON_WITNESS_UTXO, null, prevTx.toBuffer());
+  };
+
+  var inputs = _.map(t.inputs, function(input, i) {
+    return _.flatten([
+      utxo(input, i),
+      partialSigs[i],
+      PSBT.record(PSBT.INPUT_TYPES.SIGHASH_TYPE, null, sighashTypeBuffer),
+      scripts(PSBT.INPUT_TYPES, input.redeemScript),
+      derivations(PSBT.INPUT_TYPES.BIP32_DERIVATION, self.inputPaths[i]),
+    ]);
+  });
+
+  // Let signers recognize the change output as their own
+  var changeOutput = t.getChangeOutput();
+  var outputs = _.map(t.outputs, function(output) {
+    if (!self.changeAddress || output !== changeOutput) return [];
+
+    var redeemScript;
+    if (_.includes(Constants.MULTISIG_SCRIPT_TYPES, self.addressType)) {
+      var publicKeys = _.map(self.changeAddress.publicKeys, function(pub) {
+        return new bitcore.PublicKey(pub);
+      });
+      redeemScript = bitcore.Script.buildMultisigOut(publicKeys, self.requiredSignatures);
+    }
+    return scripts(PSBT.OUTPUT_TYPES, redeemScript).concat(derivations(PSBT.OUTPUT_TYPES.BIP32_DERIVATION, self.changeAddress.path));
+  });
+
+  var global = [PSBT.record(PSBT.GLOBAL_TYPES.UNSIGNED_TX, null, PSBT.serializeUnsignedTx(t))];
+  _.each(keys, function(x) {
+    if (!x.rootFingerprint) return;
+    global.push(PSBT.record(PSBT.GLOBAL_TYPES.XPUB, bitcore.encoding.Base58Check.decode(x.hdKey.toString()), PSBT.encodeDerivation(x.rootFingerprint, x.accountPath)));
+  });
+
+  return PSBT.encode({
+    global: global,
+    inputs: inputs,
+    outputs: outputs,
+  });
+};
+
+/**
+ * getSignaturesFromPsbt
+ *
+ * @param {String} psbt - base64 encoded BIP174 PSBT for this proposal
+ * @param {String} xpub - extended public key of the signing copayer
+ * @return {Array} copayer signatures, one per input, as expected by #sign
+ * @throws {Error} if the PSBT is malformed, does not match this proposal or lacks any of the copayer signatures
+ */
+TxProposal.prototype.getSignaturesFromPsbt = function(psbt, xpub) {
+  var self = this;
+  var bitcore = Coins.getLib(self.coin);
+
+  var decoded = PSBT.decode(psbt);
+  if (!decoded.unsignedTx.equals(PSBT.serializeUnsignedTx(self._buildTx())))
+    throw new Error('PSBT does not match the transaction proposal');
+
+  var x = new bitcore.HDPublicKey(xpub);
+  var sighashType = self._getSighashType();
+
+  return _.map(decoded.inputs, function(map, i) {
+    var pub = x.deriveChild(self.inputPaths[i]).publicKey.toBuffer();
+    var sig = _.find(PSBT.findRecords(map, PSBT.INPUT_TYPES.PARTIAL_SIG), function(r) {
+      return r.key.slice(1).equals(pub);
+    });
+    if (!sig) throw new Error('PSBT has no signature for input ' + i);
+    if (sig.value[sig.value.length - 1] != sighashType) throw new Error('Unsupported sighash type for input ' + i);
+
+    return sig.value.slice(0, -1).toString('hex');
+  });
+};
+
+/**
+ * getEstimatedSizeForSingleInput
+ *
+ * @return {Number} input size in virtual bytes (witness data is discounted for segwit inputs)
+ */
 TxProposal.prototype.getEstimatedSizeForSingleInput = function() {
   switch (this.addressType) {
     case Constants.SCRIPT_TYPES.P2PKH:
       return 147;
+    case Constants.SCRIPT_TYPES.P2SH_P2WSH:
+      // outpoint + sequence + scriptSig (34 bytes witness program) + witness (signatures & redeem script) / 4
+      return 76 + Math.ceil((this.requiredSignatures * 74 + this.walletN * 34 + 6) / 4);
+    case Constants.SCRIPT_TYPES.P2WPKH:
+      // outpoint + sequence + empty scriptSig + witness (signature & public key) / 4
+      return 41 + Math.ceil(108 / 4);
+    case Constants.SCRIPT_TYPES.P2WSH:
+      return 41 + Math.ceil((this.requiredSignatures * 74 + this.walletN * 34 + 6) / 4);
     default:
     case Constants.SCRIPT_TYPES.P2SH:
       return this.requiredSignatures * 72 + this.walletN * 36 + 44;
@@ -252,7 +462,16 @@ TxProposal.prototype.getEstimatedSize = function() {
   var nbInputs = this.inputs.length;
   var nbOutputs = (_.isArray(this.outputs) ? Math.max(1, this.outputs.length) : 1) + 1;
 
-  var size = overhead + inputSize * nbInputs + outputSize * nbOutputs;
+  // Data outputs: amount + script length + OP_RETURN + push opcodes + data
+  var dataOutputs = _.filter(this.outputs, {
+    type: 'data'
+  });
+  var dataOutputsSize = _.sumBy(dataOutputs, function(o) {
+    var length = o.data.length / 2;
+    return 8 + 1 + 1 + (length > 75 ? 2 : 1) + length;
+  });
+
+  var size = overhead + inputSize * nbInputs + outputSize * (nbOutputs - dataOutputs.length) + dataOutputsSize;
 
   return parseInt((size * (1 + safetyMargin)).toFixed(0));
 };
@@ -325,7 +544,7 @@ TxProposal.prototype.addAction = function(copayerId, type, comment, signatures,
 TxProposal.prototype._addSignaturesToBitcoreTx = function(tx, signatures, xpub) {
   var self = this;
 
-  var bitcore = Bitcore[self.coin];
+  var bitcore = Coins.getLib(self.coin);
 
   if (signatures.length != this.inputs.length)
     throw new Error('Number of signatures does not match number of inputs');
@@ -357,12 +576,13 @@ TxProposal.prototype._addSignaturesToBitcoreTx = function(tx, signatures, xpub)
 TxProposal.prototype.sign = function(copayerId, signatures, xpub) {
   try {
     // Tests signatures are OK
-    var tx = this.getBitcoreTx();
+    var tx = this._buildTx();
     this._addSignaturesToBitcoreTx(tx, signatures, xpub);
 
     this.addAction(copayerId, 'accept', null, signatures, xpub);
 
     if (this.status == 'accepted') {
+      tx = this.getBitcoreTx();
       this.raw = tx.uncheckedSerialize();
       this.txid = tx.id;
     }
@@ -383,17 +603,48 @@ TxProposal.prototype.isTemporary = function() {
 };
 
 TxProposal.prototype.isPending = function() {
-  return !_.includes(['temporary', 'broadcasted', 'rejected'], this.status);
+  return !_.includes(['temporary', 'broadcasted', 'rejected', 'replaced', 'expired'], this.status);
+};
+
+/**
+ * hasExpired
+ *
+ * Fully signed proposals never expire, as they may be broadcasted at any time.
+ *
+ * @param {Number} now - Optional. Current time in UNIX EPOCH (seconds).
+ */
+TxProposal.prototype.hasExpired = function(now) {
+  now = now || Math.floor(Date.now() / 1000);
+  return this.status == 'pending' && !!this.expiresOn && this.expiresOn <= now;
+};
+
+TxProposal.prototype.isExpired = function() {
+  return this.status == 'expired';
+};
+
+TxProposal.prototype.setExpired = function() {
+  $.checkState(this.status == 'pending');
+  this.status = 'expired';
+  this.expiredOn = Math.floor(Date.now() / 1000);
+};
+
+TxProposal.prototype.getRequiredSignatures = function() {
+  return Math.max(this.requiredSignatures, this.policyRequiredSignatures || 0);
+};
+
+TxProposal.prototype.setPolicyRequiredSignatures = function(requiredSignatures) {
+  this.policyRequiredSignatures = requiredSignatures > this.requiredSignatures ? requiredSignatures : null;
 };
 
 TxProposal.prototype.isAccepted = function() {
   var votes = _.countBy(this.actions, 'type');
-  return votes['accept'] >= this.requiredSignatures;
+  return votes['accept'] >= this.getRequiredSignatures();
 };
 
 TxProposal.prototype.isRejected = function() {
   var votes = _.countBy(this.actions, 'type');
-  return votes['reject'] >= this.requiredRejections;
+  var requiredRejections = Math.min(this.requiredRejections, this.walletN - this.getRequiredSignatures() + 1);
+  return votes['reject'] >= requiredRejections;
 };
 
 TxProposal.prototype.isBroadcasted = function() {
@@ -406,4 +657,22 @@ TxProposal.prototype.setBroadcasted = function() {
   this.broadcastedOn = Math.floor(Date.now() / 1000);
 };
 
+TxProposal.prototype.isReplaced = function() {
+  return this.status == 'replaced';
+};
+
+/**
+ * setReplaced
+ *
+ * @param {TxProposal} replacement - The broadcasted tx proposal spending the same inputs with a higher fee
+ */
+TxProposal.prototype.setReplaced = function(replacement) {
+  $.checkState(this.isBroadcasted());
+  $.checkArgument(replacement.txid);
+  this.status = 'replaced';
+  this.replacedByTxProposalId = replacement.id;
+  this.replacedByTxid = replacement.txid;
+  this.replacedOn = Math.floor(Date.now() / 1000);
+};
+
 module.exports = TxProposal;
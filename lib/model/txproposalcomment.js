@@ -0,0 +1,43 @@
+var _ = require('lodash');
+var Uuid = require('uuid');
+
+/*
+ * A copayer comment on a tx proposal. The body is encrypted client-side, like the proposal message.
+ */
+function TxProposalComment() {};
+
+TxProposalComment.create = function(opts) {
+  opts = opts || {};
+
+  var x = new TxProposalComment();
+
+  x.version = 1;
+  x.createdOn = Math.floor(Date.now() / 1000);
+  x.id = Uuid.v4();
+  x.walletId = opts.walletId;
+  x.txProposalId = opts.txProposalId;
+  x.copayerId = opts.copayerId;
+  x.body = opts.body;
+
+  return x;
+};
+
+TxProposalComment.fromObj = function(obj) {
+  var x = new TxProposalComment();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.id = obj.id;
+  x.walletId = obj.walletId;
+  x.txProposalId = obj.txProposalId;
+  x.copayerId = obj.copayerId;
+  x.body = obj.body;
+
+  return x;
+};
+
+TxProposalComment.prototype.toObject = function() {
+  return this;
+};
+
+module.exports = TxProposalComment;
@@ -0,0 +1,61 @@
+var _ = require('lodash');
+
+/*
+ * Copayer provided info about a wallet UTXO. Frozen UTXOs are never selected as inputs.
+ */
+function UtxoMetadata() {};
+
+UtxoMetadata.create = function(opts) {
+  opts = opts || {};
+
+  var now = Math.floor(Date.now() / 1000);
+
+  var x = new UtxoMetadata();
+
+  x.version = 1;
+  x.createdOn = now;
+  x.walletId = opts.walletId;
+  x.txid = opts.txid;
+  x.vout = opts.vout;
+  x.label = opts.label || null;
+  x.frozen = !!opts.frozen;
+  x.editedOn = now;
+  x.editedBy = opts.copayerId;
+
+  return x;
+};
+
+UtxoMetadata.fromObj = function(obj) {
+  var x = new UtxoMetadata();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.walletId = obj.walletId;
+  x.txid = obj.txid;
+  x.vout = obj.vout;
+  x.label = obj.label;
+  x.frozen = !!obj.frozen;
+  x.editedOn = obj.editedOn;
+  x.editedBy = obj.editedBy;
+
+  return x;
+};
+
+/**
+ * edit
+ *
+ * @param {Object} opts - Fields to change ({ label, frozen }). Missing fields are left untouched.
+ * @param {String} copayerId - editing copayer
+ */
+UtxoMetadata.prototype.edit = function(opts, copayerId) {
+  if (!_.isUndefined(opts.label)) this.label = opts.label || null;
+  if (_.isBoolean(opts.frozen)) this.frozen = opts.frozen;
+  this.editedBy = copayerId;
+  this.editedOn = Math.floor(Date.now() / 1000);
+};
+
+UtxoMetadata.prototype.toObject = function() {
+  return this;
+};
+
+module.exports = UtxoMetadata;
@@ -9,13 +9,10 @@ var Uuid = require('uuid');
 var Address = require('./address');
 var Copayer = require('./copayer');
 var AddressManager = require('./addressmanager');
-var Bitcore = {
-  'btc': require('bitcore-lib'),
-  'bch': require('bitcore-lib-cash'),
-};
 
 var config = require('../../config');
 var Common = require('../common');
+var Coins = Common.Coins;
 var Constants = Common.Constants,
   Defaults = Common.Defaults,
   Utils = Common.Utils;
@@ -39,6 +36,12 @@ Wallet.create = function(opts) {
   x.m = opts.m;
   x.n = opts.n;
   x.singleAddress = !!opts.singleAddress;
+  x.whitelistOnly = !!opts.whitelistOnly;
+  x.watchOnly = !!opts.watchOnly;
+  x.txpExpiration = opts.txpExpiration || null;
+  x.consolidation = null;
+  x.migration = null;
+  x.predecessorWalletId = null;
   x.status = 'pending';
   x.publicKeyRing = [];
   x.addressIndex = 0;
@@ -76,6 +79,12 @@ Wallet.fromObj = function(obj) {
   x.m = obj.m;
   x.n = obj.n;
   x.singleAddress = !!obj.singleAddress;
+  x.whitelistOnly = !!obj.whitelistOnly;
+  x.watchOnly = !!obj.watchOnly;
+  x.txpExpiration = obj.txpExpiration || null;
+  x.consolidation = obj.consolidation || null;
+  x.migration = obj.migration || null;
+  x.predecessorWalletId = obj.predecessorWalletId || null;
   x.status = obj.status;
   x.publicKeyRing = obj.publicKeyRing;
   x.copayers = _.map(obj.copayers, function(copayer) {
@@ -126,19 +135,19 @@ Wallet.prototype.isShared = function() {
 Wallet.prototype.updateBEKeys = function() {
   $.checkState(this.isComplete());
 
-  var bitcore = Bitcore[this.coin];
+  var bitcore = Coins.getLib(this.coin);
   var salt = config.BE_KEY_SALT || Defaults.BE_KEY_SALT;
 
-  var seed =_.map(this.copayers, 'xPubKey').sort().join('') + this.network + this.coin + salt;
+  var seed =_.map(this.getSigners(), 'xPubKey').sort().join('') + this.network + this.coin + salt;
   seed = bitcore.crypto.Hash.sha256(new Buffer(seed));
-  var priv = bitcore.PrivateKey(seed, this.network);
+  var priv = bitcore.PrivateKey(seed, Utils.getEncodingNetwork(this.network));
   this.beAuthPrivateKey2 = priv.toString();
   this.beAuthPublicKey2 = priv.toPublicKey().toString();
 };
 
 
 Wallet.prototype._updatePublicKeyRing = function() {
-  this.publicKeyRing = _.map(this.copayers, function(copayer) {
+  this.publicKeyRing = _.map(this.getSigners(), function(copayer) {
     return _.pick(copayer, ['xPubKey', 'requestPubKey']);
   });
 };
@@ -147,14 +156,14 @@ Wallet.prototype.addCopayer = function(copayer) {
   $.checkState(copayer.coin == this.coin);
 
   this.copayers.push(copayer);
-  if (this.copayers.length < this.n) return;
+  if (copayer.isObserver() || this.getSigners().length < this.n) return;
 
   this.status = 'complete';
   this._updatePublicKeyRing();
 };
 
 Wallet.prototype.addCopayerRequestKey = function(copayerId, requestPubKey, signature, restrictions, name) {
-  $.checkState(this.copayers.length == this.n);
+  $.checkState(this.getSigners().length == this.n);
 
   var c = this.getCopayer(copayerId);
 
@@ -174,10 +183,33 @@ Wallet.prototype.getCopayer = function(copayerId) {
   });
 };
 
+/**
+ * Copayers holding keys of the wallet. Observers do not count toward n.
+ */
+Wallet.prototype.getSigners = function() {
+  return _.reject(this.copayers, function(copayer) {
+    return copayer.isObserver();
+  });
+};
+
 Wallet.prototype.isComplete = function() {
   return this.status == 'complete';
 };
 
+/**
+ * Watch-only wallets are created from external extended public keys. Their copayers can only be observers.
+ */
+Wallet.prototype.isWatchOnly = function() {
+  return !!this.watchOnly;
+};
+
+/**
+ * Migrated wallets keep their history, but their funds can only be swept to the successor wallet.
+ */
+Wallet.prototype.isMigrated = function() {
+  return !!this.migration && this.migration.status == 'migrated';
+};
+
 Wallet.prototype.isScanning = function() {
   return this.scanning;
 };
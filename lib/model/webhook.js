@@ -0,0 +1,44 @@
+'use strict';
+
+var _ = require('lodash');
+var Uuid = require('uuid');
+
+function Webhook() {};
+
+Webhook.create = function(opts) {
+  opts = opts || {};
+
+  var x = new Webhook();
+
+  x.version = 1;
+  x.createdOn = Math.floor(Date.now() / 1000);
+  x.id = Uuid.v4();
+  x.walletId = opts.walletId;
+  x.copayerId = opts.copayerId;
+  x.url = opts.url;
+  x.secret = opts.secret;
+  x.isActive = true;
+  return x;
+};
+
+Webhook.fromObj = function(obj) {
+  var x = new Webhook();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.id = obj.id;
+  x.walletId = obj.walletId;
+  x.copayerId = obj.copayerId;
+  x.url = obj.url;
+  x.secret = obj.secret;
+  x.isActive = obj.isActive;
+  return x;
+};
+
+// The secret is only known by the copayer who registered the webhook
+Webhook.prototype.toPublicObject = function() {
+  return _.omit(this, 'secret');
+};
+
+
+module.exports = Webhook;
@@ -0,0 +1,72 @@
+'use strict';
+
+var _ = require('lodash');
+var Uuid = require('uuid');
+
+function WebhookDelivery() {};
+
+WebhookDelivery.create = function(opts) {
+  opts = opts || {};
+
+  var x = new WebhookDelivery();
+
+  x.version = 1;
+  var now = Date.now();
+  x.createdOn = Math.floor(now / 1000);
+  x.id = _.padStart(now, 14, '0') + Uuid.v4();
+  x.walletId = opts.walletId;
+  x.webhookId = opts.webhookId;
+  x.notificationId = opts.notificationId;
+  x.payload = opts.payload;
+  x.status = 'pending';
+  x.attempts = 0;
+  x.lastAttemptOn = null;
+  x.nextAttemptOn = null;
+  x.lastError = null;
+  return x;
+};
+
+WebhookDelivery.fromObj = function(obj) {
+  var x = new WebhookDelivery();
+
+  x.version = obj.version;
+  x.createdOn = obj.createdOn;
+  x.id = obj.id;
+  x.walletId = obj.walletId;
+  x.webhookId = obj.webhookId;
+  x.notificationId = obj.notificationId;
+  x.payload = obj.payload;
+  x.status = obj.status;
+  x.attempts = obj.attempts;
+  x.lastAttemptOn = obj.lastAttemptOn;
+  x.nextAttemptOn = obj.nextAttemptOn;
+  x.lastError = obj.lastError;
+  return x;
+};
+
+WebhookDelivery.prototype._logAttempt = function(result) {
+  this.attempts++;
+  this.lastAttemptOn = Math.floor(Date.now() / 1000);
+  this.status = result;
+};
+
+WebhookDelivery.prototype.setSent = function() {
+  this._logAttempt('sent');
+  this.nextAttemptOn = null;
+  this.lastError = null;
+};
+
+/**
+ * setFail
+ *
+ * @param {String} error - description of the failure
+ * @param {Number} nextAttemptOn - timestamp (in seconds) of the next retry. No more retries will be done if not provided.
+ */
+WebhookDelivery.prototype.setFail = function(error, nextAttemptOn) {
+  this._logAttempt(nextAttemptOn ? 'fail' : 'expired');
+  this.nextAttemptOn = nextAttemptOn || null;
+  this.lastError = error;
+};
+
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,529 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+var Url = require('url');
+var crypto = require('crypto');
+var log = require('npmlog');
+log.debug = log.verbose;
+var defaultRequest = require('request');
+var secp256k1 = require('secp256k1');
+
+var Bitcore = require('bitcore-lib');
+
+var Coins = require('./common/coins');
+var Defaults = require('./common/defaults');
+var Errors = require('./errors/errordefinitions');
+var ClientError = require('./errors/clienterror');
+var PublicEndpoint = require('./publicendpoint');
+var X509 = require('./x509');
+
+/*
+ * Client side of the JSON & BIP70 payment protocols. The merchant picks the protocol by the content type of the
+ * payment request it serves at a tx proposal payProUrl.
+ *
+ * JSON payment requests are signed by the merchant's payment processor:
+ *
+ *   digest: SHA-256=<hex encoded sha256 of the body>
+ *   x-identity: <identity of the signing key>
+ *   x-signature-type: ecc
+ *   x-signature: <hex encoded 64 byte compact secp256k1 signature of the body digest>
+ *
+ * Payment requests & payments are only exchanged over https. Signing keys are only trusted if they are listed
+ * in the trust store, for the host serving the request:
+ *
+ *   {
+ *     <identity>: {
+ *       owner: 'Merchant Inc',
+ *       publicKey: <hex encoded public key>,
+ *       networks: ['livenet'],
+ *       domains: ['merchant.com'],
+ *     },
+ *   }
+ *
+ * BIP70 payment requests are protobuf messages signed by the merchant certificate (x509+sha256 PKI type), which
+ * must be issued for the host serving the request and chain up to one of the trusted root certificates.
+ *
+ * Hosts of payment request & payment urls must resolve to public addresses.
+ */
+var PayPro = {};
+
+// Payment protocol network names
+PayPro.NETWORKS = {
+  main: 'livenet',
+  test: 'testnet',
+};
+
+function invalid(reason) {
+  return new ClientError(Errors.codes.INVALID_PAYMENT_REQUEST, Errors.INVALID_PAYMENT_REQUEST.message + ': ' + reason);
+};
+
+function notAccepted(reason) {
+  return new ClientError(Errors.codes.PAYMENT_NOT_ACCEPTED, Errors.PAYMENT_NOT_ACCEPTED.message + ': ' + reason);
+};
+
+function isSecure(url) {
+  return _.isString(url) && Url.parse(url).protocol == 'https:';
+};
+
+PayPro.PROTOCOLS = {
+  JSON: 'json',
+  BIP70: 'bip70',
+};
+
+var CONTENT_TYPES = {
+  PAYMENT_REQUEST: 'application/payment-request',
+  PAYMENT: 'application/payment',
+  BIP70_PAYMENT_REQUEST: 'application/bitcoin-paymentrequest',
+  BIP70_PAYMENT: 'application/bitcoin-payment',
+  BIP70_PAYMENT_ACK: 'application/bitcoin-paymentack',
+};
+
+// Protobuf field numbers of the BIP70 messages
+var BIP70 = {
+  PaymentRequest: {
+    paymentDetailsVersion: 1,
+    pkiType: 2,
+    pkiData: 3,
+    serializedPaymentDetails: 4,
+    signature: 5,
+  },
+  X509Certificates: {
+    certificate: 1,
+  },
+  PaymentDetails: {
+    network: 1,
+    outputs: 2,
+    time: 3,
+    expires: 4,
+    memo: 5,
+    paymentUrl: 6,
+    merchantData: 7,
+  },
+  Output: {
+    amount: 1,
+    script: 2,
+  },
+  Payment: {
+    merchantData: 1,
+    transactions: 2,
+  },
+  PaymentACK: {
+    payment: 1,
+    memo: 2,
+  },
+};
+
+function encodeVarint(n) {
+  var bytes = [];
+  do {
+    var b = n % 128;
+    n = Math.floor(n / 128);
+    bytes.push(n > 0 ? b | 0x80 : b);
+  } while (n > 0);
+  return Buffer.from(bytes);
+};
+
+function readVarint(buf, pos) {
+  var value = 0;
+  var factor = 1;
+  while (true) {
+    if (pos >= buf.length) throw new Error('Truncated varint');
+    var b = buf[pos++];
+    value += (b & 0x7f) * factor;
+    if (!(b & 0x80)) break;
+    factor *= 128;
+  }
+  return {
+    value: value,
+    pos: pos,
+  };
+};
+
+// Decodes a protobuf message into its fields, in order: [{field, value}], where values are numbers (varints) or buffers
+function decodeProtobuf(buf) {
+  var fields = [];
+  var pos = 0;
+  while (pos < buf.length) {
+    var key = readVarint(buf, pos);
+    var wireType = key.value % 8;
+    var value;
+    pos = key.pos;
+    switch (wireType) {
+      case 0:
+        var varint = readVarint(buf, pos);
+        value = varint.value;
+        pos = varint.pos;
+        break;
+      case 2:
+        var length = readVarint(buf, pos);
+        if (length.pos + length.value > buf.length) throw new Error('Truncated field');
+        value = buf.slice(length.pos, length.pos + length.value);
+        pos = length.pos + length.value;
+        break;
+      default:
+        throw new Error('Unsupported wire type');
+    }
+    fields.push({
+      field: Math.floor(key.value / 8),
+      value: value,
+    });
+  }
+  return fields;
+};
+
+function encodeProtobuf(fields) {
+  return Buffer.concat(_.flatMap(fields, function(f) {
+    if (_.isNumber(f.value)) return [encodeVarint(f.field * 8), encodeVarint(f.value)];
+    return [encodeVarint(f.field * 8 + 2), encodeVarint(f.value.length), f.value];
+  }));
+};
+
+function getField(fields, field) {
+  var f = _.find(fields, {
+    field: field
+  });
+  return f ? f.value : undefined;
+};
+
+function getRepeatedField(fields, field) {
+  return _.map(_.filter(fields, {
+    field: field
+  }), 'value');
+};
+
+/**
+ * Checks the signature of a payment request against the trust store.
+ * @param {string} url - The url the payment request was fetched from.
+ * @param {Object} headers - The headers of the response.
+ * @param {string} body - The raw body of the response.
+ * @param {Object} trustedKeys - The trust store.
+ * @returns {Object} The trust store entry of the signer.
+ * @throws {ClientError} If the payment request is not signed by a trusted key.
+ */
+PayPro.verifySignature = function(url, headers, body, trustedKeys) {
+  if (headers['x-signature-type'] != 'ecc') throw invalid('unsupported signature type');
+
+  var keyData = (trustedKeys || {})[headers['x-identity']];
+  if (!keyData) throw invalid('untrusted signing key');
+
+  var host = Url.parse(url).hostname;
+  if (!_.includes(keyData.domains, host)) throw invalid('signing key not trusted for ' + host);
+
+  var hash = Bitcore.crypto.Hash.sha256(Buffer.from(body, 'utf8'));
+  var digest = (headers['digest'] || '').split('=');
+  if (digest[0] != 'SHA-256' || digest[1] != hash.toString('hex')) throw invalid('digest does not match');
+
+  var valid;
+  try {
+    valid = secp256k1.verify(hash, Buffer.from(headers['x-signature'] || '', 'hex'), Buffer.from(keyData.publicKey, 'hex'));
+  } catch (ex) {
+    valid = false;
+  }
+  if (!valid) throw invalid('bad signature');
+
+  return keyData;
+};
+
+/**
+ * Checks the signature of a BIP70 payment request against the trusted root certificates.
+ * @param {string} url - The url the payment request was fetched from.
+ * @param {Array} fields - The decoded fields of the payment request.
+ * @param {Array} trustedRoots - PEM encoded root certificates.
+ * @returns {Object} The parsed merchant certificate.
+ * @throws {ClientError} If the payment request is not signed by a certificate chaining up to a trusted root.
+ */
+PayPro.verifyCertificates = function(url, fields, trustedRoots) {
+  var F = BIP70.PaymentRequest;
+
+  var pkiType = getField(fields, F.pkiType);
+  if (!pkiType || pkiType.toString() != 'x509+sha256') throw invalid('unsupported PKI type');
+
+  var cert;
+  try {
+    var certificates = getRepeatedField(decodeProtobuf(getField(fields, F.pkiData) || Buffer.alloc(0)), BIP70.X509Certificates.certificate);
+    cert = X509.verifyChain(certificates, trustedRoots);
+  } catch (ex) {
+    throw invalid(ex.message);
+  }
+
+  var host = Url.parse(url).hostname;
+  if (!X509.matchesHost(cert, host)) throw invalid('certificate not valid for ' + host);
+
+  // The signature is made over the payment request with an empty signature
+  var unsigned = encodeProtobuf(_.map(fields, function(f) {
+    return f.field == F.signature ? {
+      field: f.field,
+      value: Buffer.alloc(0),
+    } : f;
+  }));
+  var valid;
+  try {
+    valid = crypto.createVerify('sha256').update(unsigned).verify(cert.publicKey, getField(fields, F.signature) || Buffer.alloc(0));
+  } catch (ex) {
+    valid = false;
+  }
+  if (!valid) throw invalid('bad signature');
+
+  return cert;
+};
+
+function parseJsonPaymentRequest(opts, headers, body) {
+  var keyData = PayPro.verifySignature(opts.url, headers, body, opts.trustedKeys);
+
+  var paymentRequest;
+  try {
+    paymentRequest = JSON.parse(body);
+  } catch (ex) {
+    throw invalid('malformed body');
+  }
+
+  var network = PayPro.NETWORKS[paymentRequest.network];
+  if (network != opts.network || !_.includes(keyData.networks, network)) throw invalid('wrong network');
+  if (!_.isString(paymentRequest.currency) || paymentRequest.currency.toLowerCase() != opts.coin) throw invalid('wrong currency');
+  if (!_.isArray(paymentRequest.outputs) || _.isEmpty(paymentRequest.outputs)) throw invalid('no outputs');
+
+  return {
+    protocol: PayPro.PROTOCOLS.JSON,
+    owner: keyData.owner,
+    memo: paymentRequest.memo,
+    outputs: _.map(paymentRequest.outputs, function(output) {
+      return _.pick(output, ['address', 'amount']);
+    }),
+    expires: paymentRequest.expires,
+    paymentId: paymentRequest.paymentId,
+    paymentUrl: paymentRequest.paymentUrl,
+  };
+};
+
+function parseBip70PaymentRequest(opts, body) {
+  var bitcore = Coins.getLib(opts.coin);
+  var F = BIP70.PaymentDetails;
+
+  var fields, details;
+  try {
+    fields = decodeProtobuf(body);
+    details = decodeProtobuf(getField(fields, BIP70.PaymentRequest.serializedPaymentDetails) || Buffer.alloc(0));
+  } catch (ex) {
+    throw invalid('malformed body');
+  }
+
+  var cert = PayPro.verifyCertificates(opts.url, fields, opts.trustedRoots);
+
+  var network = PayPro.NETWORKS[(getField(details, F.network) || 'main').toString()];
+  if (network != opts.network) throw invalid('wrong network');
+
+  var outputs = getRepeatedField(details, F.outputs);
+  if (_.isEmpty(outputs)) throw invalid('no outputs');
+
+  var expires = getField(details, F.expires);
+  var paymentUrl = getField(details, F.paymentUrl);
+  var merchantData = getField(details, F.merchantData);
+  var memo = getField(details, F.memo);
+
+  return {
+    protocol: PayPro.PROTOCOLS.BIP70,
+    owner: cert.commonName,
+    memo: memo ? memo.toString() : undefined,
+    outputs: _.map(outputs, function(output) {
+      var o = decodeProtobuf(output);
+      var address;
+      try {
+        address = new bitcore.Script(getField(o, BIP70.Output.script)).toAddress(network);
+      } catch (ex) {}
+      if (!address) throw invalid('unsupported output script');
+      return {
+        address: address.toString(),
+        amount: getField(o, BIP70.Output.amount) || 0,
+      };
+    }),
+    expires: expires ? new Date(expires * 1000).toISOString() : undefined,
+    paymentUrl: paymentUrl ? paymentUrl.toString() : undefined,
+    merchantData: merchantData ? merchantData.toString('hex') : undefined,
+  };
+};
+
+/**
+ * Fetches and verifies the payment request of a tx proposal.
+ * @param {Object} opts
+ * @param {string} opts.url - The payment request url.
+ * @param {string} opts.coin - The coin the payment request is expected to be in.
+ * @param {string} opts.network - The network the payment request is expected to be in.
+ * @param {Object} opts.trustedKeys - The trust store of JSON payment request signing keys.
+ * @param {Array} opts.trustedRoots - The PEM encoded root certificates trusted for BIP70 payment requests.
+ * @param {Function} [opts.request] - The request module to use.
+ * @returns {Object} The verified payment request: {protocol, owner, memo, outputs: [{address, amount}], expires, paymentId, paymentUrl, merchantData}.
+ */
+PayPro.getPaymentRequest = function(opts, cb) {
+  $.checkArgument(opts.url);
+
+  if (!isSecure(opts.url)) return cb(invalid('url must use https'));
+
+  PublicEndpoint.check(opts.url, function(err) {
+    if (err) return cb(invalid(err.message));
+
+    var request = opts.request || defaultRequest;
+    request({
+      url: opts.url,
+      method: 'GET',
+      headers: {
+        'Accept': [CONTENT_TYPES.PAYMENT_REQUEST, CONTENT_TYPES.BIP70_PAYMENT_REQUEST].join(', '),
+      },
+      encoding: null,
+      lookup: PublicEndpoint.lookup,
+      timeout: Defaults.PAYPRO_REQUEST_TIMEOUT,
+    }, function(err, res, body) {
+      if (err || res.statusCode != 200) {
+        log.warn('Could not fetch payment request from ' + opts.url, err || res.statusCode);
+        return cb(invalid('could not be fetched'));
+      }
+
+      var paymentRequest;
+      try {
+        if (_.startsWith(res.headers['content-type'], CONTENT_TYPES.BIP70_PAYMENT_REQUEST)) {
+          paymentRequest = parseBip70PaymentRequest(opts, body);
+        } else {
+          paymentRequest = parseJsonPaymentRequest(opts, res.headers, body.toString('utf8'));
+        }
+      } catch (ex) {
+        return cb(ex);
+      }
+
+      if (!paymentRequest.paymentUrl) return cb(invalid('no payment url'));
+      if (!isSecure(paymentRequest.paymentUrl)) return cb(invalid('payment url must use https'));
+      if (paymentRequest.expires && Date.parse(paymentRequest.expires) <= Date.now()) return cb(invalid('expired'));
+
+      return cb(null, paymentRequest);
+    });
+  });
+};
+
+/**
+ * Checks that a tx proposal pays exactly the outputs of a payment request.
+ * @param {Object} paymentRequest - A verified payment request.
+ * @param {TxProposal} txp
+ * @returns {Boolean}
+ */
+PayPro.checkOutputs = function(paymentRequest, txp) {
+  var A = Coins.getLib(txp.coin).Address;
+
+  function outputKey(address, amount) {
+    if (!A.isValid(address) || !_.isNumber(amount)) return null;
+    return new A(address).toString() + '|' + amount;
+  };
+
+  var requested = _.map(paymentRequest.outputs, function(output) {
+    return outputKey(output.address, output.amount);
+  });
+  if (_.includes(requested, null)) return false;
+
+  var paid = _.map(_.reject(txp.outputs, {
+    type: 'data'
+  }), function(output) {
+    return outputKey(output.toAddress, output.amount);
+  });
+
+  return _.isEqual(requested.sort(), paid.sort());
+};
+
+/**
+ * Submits the payment of a payment request.
+ * @param {Object} opts
+ * @param {string} [opts.protocol = 'json'] - The payment protocol of the payment request.
+ * @param {string} opts.paymentUrl - The payment url of the payment request.
+ * @param {string} opts.merchantData - The hex encoded merchant data of BIP70 payment requests.
+ * @param {string} opts.coin
+ * @param {string} opts.rawTx - The signed transaction paying the request.
+ * @param {Function} [opts.request] - The request module to use.
+ * @returns {Object} The payment acknowledgement: {memo}.
+ */
+PayPro.sendPayment = function(opts, cb) {
+  $.checkArgument(opts.paymentUrl);
+
+  if (!isSecure(opts.paymentUrl)) return cb(notAccepted('payment url must use https'));
+
+  var bip70 = opts.protocol == PayPro.PROTOCOLS.BIP70;
+  var body = bip70 ? PayPro.encodeBip70('Payment', {
+    merchantData: opts.merchantData ? Buffer.from(opts.merchantData, 'hex') : undefined,
+    transactions: Buffer.from(opts.rawTx, 'hex'),
+  }) : JSON.stringify({
+    currency: opts.coin.toUpperCase(),
+    transactions: [opts.rawTx],
+  });
+
+  PublicEndpoint.check(opts.paymentUrl, function(err) {
+    if (err) return cb(notAccepted(err.message));
+
+    var request = opts.request || defaultRequest;
+    request({
+      url: opts.paymentUrl,
+      method: 'POST',
+      headers: bip70 ? {
+        'Content-Type': CONTENT_TYPES.BIP70_PAYMENT,
+        'Accept': CONTENT_TYPES.BIP70_PAYMENT_ACK,
+      } : {
+        'Content-Type': CONTENT_TYPES.PAYMENT,
+      },
+      body: body,
+      encoding: null,
+      lookup: PublicEndpoint.lookup,
+      timeout: Defaults.PAYPRO_REQUEST_TIMEOUT,
+    }, function(err, res, body) {
+      if (err) {
+        log.warn('Could not send payment to ' + opts.paymentUrl, err);
+        return cb(notAccepted('merchant unreachable'));
+      }
+      if (res.statusCode != 200) return cb(notAccepted(_.truncate(body.toString('utf8'), {
+        length: 200
+      })));
+
+      var memo;
+      try {
+        memo = bip70 ? PayPro.decodeBip70('PaymentACK', body).memo : JSON.parse(body.toString('utf8')).memo;
+      } catch (ex) {
+        return cb(notAccepted('malformed acknowledgement'));
+      }
+
+      return cb(null, {
+        memo: memo ? memo.toString() : undefined,
+      });
+    });
+  });
+};
+
+/**
+ * Encodes a BIP70 message.
+ * @param {string} type - The message type (ie: PaymentRequest).
+ * @param {Object} message - The message fields by name, repeated fields as arrays. Embedded messages must be
+ *   encoded beforehand.
+ * @returns {Buffer}
+ */
+PayPro.encodeBip70 = function(type, message) {
+  var fields = [];
+  _.each(BIP70[type], function(field, name) {
+    _.each(_.isUndefined(message[name]) ? [] : _.castArray(message[name]), function(value) {
+      fields.push({
+        field: field,
+        value: _.isString(value) ? Buffer.from(value) : value,
+      });
+    });
+  });
+  return encodeProtobuf(fields);
+};
+
+/**
+ * Decodes a BIP70 message.
+ * @param {string} type - The message type (ie: Payment).
+ * @param {Buffer} buf
+ * @returns {Object} The message fields by name, repeated fields as arrays.
+ * @throws {Error} If the message is malformed.
+ */
+PayPro.decodeBip70 = function(type, buf) {
+  var fields = decodeProtobuf(buf);
+  return _.mapValues(BIP70[type], function(field) {
+    var values = getRepeatedField(fields, field);
+    return values.length > 1 ? values : values[0];
+  });
+};
+
+module.exports = PayPro;
@@ -0,0 +1,212 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('preconditions').singleton();
+
+var Bitcore = require('bitcore-lib');
+var BufferReader = Bitcore.encoding.BufferReader;
+var BufferWriter = Bitcore.encoding.BufferWriter;
+
+var MAGIC = Buffer.from('70736274ff', 'hex');
+
+/*
+ * Minimal BIP174 (Partially Signed Bitcoin Transaction) serialization.
+ *
+ * A decoded PSBT is represented as:
+ *   {
+ *     global: [{ key: Buffer, value: Buffer }],
+ *     inputs: [[{ key: Buffer, value: Buffer }]],
+ *     outputs: [[{ key: Buffer, value: Buffer }]],
+ *   }
+ * where key[0] is the record type and the rest of the key is the record key data.
+ */
+function PSBT() {};
+
+PSBT.GLOBAL_TYPES = {
+  UNSIGNED_TX: 0x00,
+  XPUB: 0x01,
+};
+
+PSBT.INPUT_TYPES = {
+  NON_WITNESS_UTXO: 0x00,
+  WITNESS_UTXO: 0x01,
+  PARTIAL_SIG: 0x02,
+  SIGHASH_TYPE: 0x03,
+  REDEEM_SCRIPT: 0x04,
+  WITNESS_SCRIPT: 0x05,
+  BIP32_DERIVATION: 0x06,
+};
+
+PSBT.OUTPUT_TYPES = {
+  REDEEM_SCRIPT: 0x00,
+  WITNESS_SCRIPT: 0x01,
+  BIP32_DERIVATION: 0x02,
+};
+
+PSBT.record = function(type, keyData, value) {
+  return {
+    key: Buffer.concat([Buffer.from([type]), keyData || Buffer.alloc(0)]),
+    value: value,
+  };
+};
+
+PSBT.findRecords = function(map, type) {
+  return _.filter(map, function(r) {
+    return r.key[0] == type;
+  });
+};
+
+// Serializes a transaction with empty scriptSigs and no witnesses, as required by PSBT_GLOBAL_UNSIGNED_TX
+PSBT.serializeUnsignedTx = function(tx) {
+  var bw = new BufferWriter();
+
+  bw.writeInt32LE(tx.version);
+  bw.writeVarintNum(tx.inputs.length);
+  _.each(tx.inputs, function(input) {
+    bw.writeReverse(input.prevTxId);
+    bw.writeUInt32LE(input.outputIndex);
+    bw.writeVarintNum(0);
+    bw.writeUInt32LE(input.sequenceNumber);
+  });
+  bw.writeVarintNum(tx.outputs.length);
+  _.each(tx.outputs, function(output) {
+    output.toBufferWriter(bw);
+  });
+  bw.writeUInt32LE(tx.nLockTime);
+
+  return bw.toBuffer();
+};
+
+PSBT._countTxInputsAndOutputs = function(buf) {
+  var br = new BufferReader(buf);
+
+  br.read(4);
+  var nbInputs = br.readVarintNum();
+  $.checkState(nbInputs > 0, 'Unsigned transaction has no inputs');
+  _.times(nbInputs, function() {
+    br.read(36);
+    $.checkState(br.readVarintNum() == 0, 'Unsigned transaction has non-empty scriptSigs');
+    br.read(4);
+  });
+  var nbOutputs = br.readVarintNum();
+  _.times(nbOutputs, function() {
+    br.read(8);
+    br.readVarLengthBuffer();
+  });
+  br.read(4);
+  $.checkState(br.eof(), 'Unexpected data after unsigned transaction');
+
+  return {
+    inputs: nbInputs,
+    outputs: nbOutputs,
+  };
+};
+
+/**
+ * encodeDerivation
+ *
+ * @param {Buffer} fingerprint - 4 bytes fingerprint of the key the path is relative to
+ * @param {String} path - derivation path (ie: m/0/1)
+ * @return {Buffer} BIP32 derivation record value
+ */
+PSBT.encodeDerivation = function(fingerprint, path) {
+  var bw = new BufferWriter();
+  bw.write(fingerprint);
+  _.each(_.tail(path.split('/')), function(level) {
+    var hardened = _.endsWith(level, "'");
+    var index = parseInt(level);
+    bw.writeUInt32LE(hardened ? index + 0x80000000 : index);
+  });
+  return bw.toBuffer();
+};
+
+PSBT._writeMap = function(bw, map) {
+  _.each(map, function(r) {
+    bw.writeVarintNum(r.key.length);
+    bw.write(r.key);
+    bw.writeVarintNum(r.value.length);
+    bw.write(r.value);
+  });
+  bw.writeUInt8(0x00);
+};
+
+PSBT._readMap = function(br) {
+  var map = [];
+
+  while (true) {
+    $.checkState(!br.eof(), 'Unexpected end of PSBT');
+    var keyLength = br.readVarintNum();
+    if (keyLength == 0) break;
+    var key = br.read(keyLength);
+    var value = br.readVarLengthBuffer();
+    $.checkState(!_.some(map, function(r) {
+      return r.key.equals(key);
+    }), 'Duplicated key in PSBT');
+    map.push({
+      key: key,
+      value: value,
+    });
+  }
+
+  return map;
+};
+
+/**
+ * encode
+ *
+ * @param {Object} psbt - decoded PSBT (see above)
+ * @return {String} base64 encoded PSBT
+ */
+PSBT.encode = function(psbt) {
+  var bw = new BufferWriter();
+
+  bw.write(MAGIC);
+  PSBT._writeMap(bw, psbt.global);
+  _.each(psbt.inputs, function(map) {
+    PSBT._writeMap(bw, map);
+  });
+  _.each(psbt.outputs, function(map) {
+    PSBT._writeMap(bw, map);
+  });
+
+  return bw.toBuffer().toString('base64');
+};
+
+/**
+ * decode
+ *
+ * @param {String} str - base64 encoded PSBT
+ * @return {Object} decoded PSBT, plus an unsignedTx attribute with the raw unsigned transaction
+ * @throws {Error} if the PSBT is malformed
+ */
+PSBT.decode = function(str) {
+  $.checkArgument(_.isString(str), 'PSBT should be a base64 string');
+
+  var buf = Buffer.from(str, 'base64');
+  $.checkState(buf.length > MAGIC.length && buf.slice(0, MAGIC.length).equals(MAGIC), 'Invalid PSBT magic bytes');
+
+  var br = new BufferReader(buf.slice(MAGIC.length));
+
+  var global = PSBT._readMap(br);
+  var unsignedTx = PSBT.findRecords(global, PSBT.GLOBAL_TYPES.UNSIGNED_TX);
+  $.checkState(unsignedTx.length == 1 && unsignedTx[0].key.length == 1, 'PSBT has no unsigned transaction');
+
+  var counts = PSBT._countTxInputsAndOutputs(unsignedTx[0].value);
+
+  var inputs = _.times(counts.inputs, function() {
+    return PSBT._readMap(br);
+  });
+  var outputs = _.times(counts.outputs, function() {
+    return PSBT._readMap(br);
+  });
+  $.checkState(br.eof(), 'Unexpected data after PSBT');
+
+  return {
+    unsignedTx: unsignedTx[0].value,
+    global: global,
+    inputs: inputs,
+    outputs: outputs,
+  };
+};
+
+module.exports = PSBT;
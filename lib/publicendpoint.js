@@ -0,0 +1,142 @@
+'use strict';
+
+var _ = require('lodash');
+var dns = require('dns');
+var net = require('net');
+var Url = require('url');
+
+/*
+ * Guards the requests the service makes to URLs supplied by its users (webhooks, PayPro payment requests) from
+ * reaching the service's own network: their hosts must only resolve to public addresses.
+ *
+ * Hosts are checked before requesting them and `lookup` should also be passed to the http request so the
+ * address actually connected to is checked, as the host could resolve to a different address by then.
+ */
+var PublicEndpoint = {};
+
+// Unspecified, private, shared (CGNAT), loopback, link-local (cloud metadata services), benchmarking,
+// multicast & reserved ranges
+var NON_PUBLIC_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+function ipv4ToNumber(ip) {
+  return _.reduce(ip.split('.'), function(acc, octet) {
+    return acc * 256 + parseInt(octet, 10);
+  }, 0);
+};
+
+function isPublicIPv4(ip) {
+  var n = ipv4ToNumber(ip);
+  return !_.some(NON_PUBLIC_IPV4_RANGES, function(range) {
+    var size = Math.pow(2, 32 - range[1]);
+    return Math.floor(n / size) == Math.floor(ipv4ToNumber(range[0]) / size);
+  });
+};
+
+// Expands an IPv6 address into its 8 groups
+function ipv6ToGroups(ip) {
+  ip = ip.split('%')[0];
+
+  var tail = [];
+  var dotted = ip.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    var n = ipv4ToNumber(dotted[1]);
+    tail = [Math.floor(n / 65536), n % 65536];
+    ip = ip.slice(0, dotted.index + 1) + '0:0';
+  }
+
+  var parts = ip.split('::');
+  var head = parts[0] ? parts[0].split(':') : [];
+  var rest = parts.length > 1 && parts[1] ? parts[1].split(':') : [];
+  var zeros = _.fill(Array(8 - head.length - rest.length), '0');
+  var groups = _.map(head.concat(zeros, rest), function(group) {
+    return parseInt(group, 16);
+  });
+  if (tail.length) groups.splice(6, 2, tail[0], tail[1]);
+  return groups;
+};
+
+function isPublicIPv6(ip) {
+  var groups = ipv6ToGroups(ip);
+
+  // IPv4-mapped (::ffff:0:0/96) & IPv4-compatible (::/96, which includes :: and ::1) addresses
+  if (_.every(groups.slice(0, 5), function(g) {
+      return g == 0;
+    }) && (groups[5] == 0 || groups[5] == 0xffff)) {
+    if (groups[5] == 0 && groups[6] == 0) return false;
+    return isPublicIPv4(Math.floor(groups[6] / 256) + '.' + groups[6] % 256 + '.' + Math.floor(groups[7] / 256) + '.' + groups[7] % 256);
+  }
+
+  // NAT64 (64:ff9b::/96)
+  if (groups[0] == 0x64 && groups[1] == 0xff9b) return false;
+  // Unique local (fc00::/7), link-local (fe80::/10) & multicast (ff00::/8)
+  if ((groups[0] & 0xfe00) == 0xfc00) return false;
+  if ((groups[0] & 0xffc0) == 0xfe80) return false;
+  if ((groups[0] & 0xff00) == 0xff00) return false;
+  return true;
+};
+
+/**
+ * Whether the address is publicly routable.
+ * @param {String} address - IPv4 or IPv6 address.
+ */
+PublicEndpoint.isPublicAddress = function(address) {
+  switch (net.isIP(address)) {
+    case 4:
+      return isPublicIPv4(address);
+    case 6:
+      return isPublicIPv6(address);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Drop-in replacement of dns.lookup that fails for hosts resolving to non public addresses.
+ */
+PublicEndpoint.lookup = function(hostname, options, cb) {
+  if (_.isFunction(options)) {
+    cb = options;
+    options = {};
+  }
+  options = _.isNumber(options) ? {
+    family: options
+  } : (options || {});
+
+  dns.lookup(hostname, options, function(err, address, family) {
+    if (err) return cb(err);
+    var addresses = options.all ? _.map(address, 'address') : [address];
+    if (_.isEmpty(addresses) || !_.every(addresses, PublicEndpoint.isPublicAddress)) {
+      return cb(new Error('Host ' + hostname + ' does not resolve to a public address'));
+    }
+    return cb(null, address, family);
+  });
+};
+
+/**
+ * Checks that the host of the URL only resolves to public addresses.
+ * @param {String} url
+ */
+PublicEndpoint.check = function(url, cb) {
+  var hostname = _.isString(url) ? Url.parse(url).hostname : null;
+  if (!hostname) return cb(new Error('Invalid URL'));
+
+  PublicEndpoint.lookup(hostname, {
+    all: true
+  }, function(err) {
+    return cb(err);
+  });
+};
+
+module.exports = PublicEndpoint;
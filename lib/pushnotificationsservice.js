@@ -8,6 +8,7 @@ var MessageBroker = require('./messagebroker');
 var Storage = require('./storage');
 var fs = require('fs');
 var path = require('path');
+var Coins = require('./common/coins');
 var Utils = require('./common/utils');
 var Defaults = require('./common/defaults');
 var Model = require('./model');
@@ -34,10 +35,37 @@ var PUSHNOTIFICATIONS_TYPES = {
   'TxProposalFinallyRejected': {
     filename: 'txp_finally_rejected',
   },
+  'TxProposalExpired': {
+    filename: 'txp_expired',
+  },
+  'ConsolidationSuggested': {
+    filename: 'consolidation_suggested',
+  },
+  'TxProposalComment': {
+    filename: 'txp_comment',
+  },
   'TxConfirmation': {
     filename: 'tx_confirmation',
     notifyCreatorOnly: true,
   },
+  'NewSpendingPolicy': {
+    filename: 'new_spending_policy',
+  },
+  'SpendingPolicyActivated': {
+    filename: 'spending_policy_activated',
+  },
+  'AddressBookEntryAdded': {
+    filename: 'address_book_entry_added',
+  },
+  'AddressBookEntryApproved': {
+    filename: 'address_book_entry_approved',
+  },
+  'InvoicePaid': {
+    filename: 'invoice_paid',
+  },
+  'InvoiceExpired': {
+    filename: 'invoice_expired',
+  },
 };
 
 function PushNotificationsService() {};
@@ -282,11 +310,7 @@ PushNotificationsService.prototype._readAndApplyTemplates = function(notificatio
 
 PushNotificationsService.prototype._getDataForTemplate = function(notification, recipient, cb) {
   var self = this;
-  var UNIT_LABELS = {
-    btc: 'BTC',
-    bit: 'bits',
-    bch: 'BCH',
-  };
+  var UNIT_LABELS = _.mapValues(Coins.getUnits(), 'label');
 
   var data = _.cloneDeep(notification.data);
   data.subjectPrefix = _.trim(self.subjectPrefix + ' ');
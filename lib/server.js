@@ -13,12 +13,9 @@ var EmailValidator = require('email-validator');
 var Stringify = require('json-stable-stringify');
 
 var Bitcore = require('bitcore-lib');
-var Bitcore_ = {
-  btc: Bitcore,
-  bch: require('bitcore-lib-cash')
-};
 
 var Common = require('./common');
+var Coins = Common.Coins;
 var Utils = Common.Utils;
 var Constants = Common.Constants;
 var Defaults = Common.Defaults;
@@ -31,8 +28,13 @@ var Storage = require('./storage');
 var MessageBroker = require('./messagebroker');
 var BlockchainExplorer = require('./blockchainexplorer');
 var FiatRateService = require('./fiatrateservice');
+var CostBasis = require('./costbasis');
+var CoinSelection = require('./coinselection');
+var PayPro = require('./paypro');
+var PublicEndpoint = require('./publicendpoint');
 
 var request = require('request');
+var Url = require('url');
 
 var Model = require('./model');
 var Wallet = Model.Wallet;
@@ -45,6 +47,7 @@ var blockchainExplorer;
 var blockchainExplorerOpts;
 var messageBroker;
 var fiatRateService;
+var payProOpts;
 var serviceVersion;
 
 /**
@@ -62,6 +65,7 @@ function WalletService() {
   this.blockchainExplorerOpts = blockchainExplorerOpts;
   this.messageBroker = messageBroker;
   this.fiatRateService = fiatRateService;
+  this.payProOpts = payProOpts;
   this.notifyTicker = 0;
 }
 
@@ -103,6 +107,7 @@ WalletService.initialize = function(opts, cb) {
   lock = opts.lock || new Lock(opts.lockOpts);
   blockchainExplorer = opts.blockchainExplorer;
   blockchainExplorerOpts = opts.blockchainExplorerOpts;
+  payProOpts = opts.payProOpts || {};
 
   if (opts.request) {
     request = opts.request;
@@ -265,6 +270,7 @@ WalletService.getInstanceWithAuth = function(opts, cb) {
         }
 
         server.walletId = copayer.walletId;
+        server.copayerIsObserver = !!copayer.isObserver;
       } else {
         server.walletId = opts.walletId || copayer.walletId;
         server.copayerIsSupportStaff = true;
@@ -307,6 +313,7 @@ WalletService.getInstanceWithAuth = function(opts, cb) {
 
         server.copayerId = opts.copayerId;
         server.walletId = copayer.walletId;
+        server.copayerIsObserver = !!copayer.isObserver;
         return cb(null, server);
       });
     });
@@ -316,6 +323,16 @@ WalletService.getInstanceWithAuth = function(opts, cb) {
   return authFn(cb);
 };
 
+/**
+ * Observer copayers can see the wallet but take no part in spending decisions.
+ * @returns {Boolean} true if the current copayer is not an observer; otherwise cb is called with NOT_AUTHORIZED.
+ */
+WalletService.prototype._checkNotObserver = function(cb) {
+  if (!this.copayerIsObserver) return true;
+  cb(Errors.NOT_AUTHORIZED);
+  return false;
+};
+
 WalletService.prototype._runLocked = function(cb, task, waitTime) {
   $.checkState(this.walletId);
 
@@ -408,9 +425,18 @@ WalletService.prototype.logout = function(opts, cb) {
  * @param {number} opts.n - Total copayers.
  * @param {string} opts.pubKey - Public key to verify copayers joining have access to the wallet secret.
  * @param {string} opts.singleAddress[=false] - The wallet will only ever have one address.
- * @param {string} opts.coin[='btc'] - The coin for this wallet (btc, bch).
+ * @param {string} opts.coin[='btc'] - The coin for this wallet (btc, bch, ltc).
  * @param {string} opts.network[='livenet'] - The Bitcoin network for this wallet.
  * @param {string} opts.supportBIP44AndP2PKH[=true] - Client supports BIP44 & P2PKH for new wallets.
+ * @param {Boolean} opts.useSegwit[=false] - Create a P2SH-P2WSH (nested SegWit) wallet using BIP48 derivation. Only for BTC multisig wallets.
+ * @param {Boolean} opts.useNativeSegwit[=false] - Create a native SegWit wallet: P2WPKH using BIP84 derivation for single-sig wallets,
+ * P2WSH using BIP48 derivation for multisig ones. Only for coins supporting SegWit.
+ * @param {Boolean} opts.whitelistOnly[=false] - Only allow sending funds to approved address book entries.
+ * @param {number} opts.txpExpiration - Optional. Default time (in seconds) after which pending tx proposals expire.
+ * @param {Array} opts.xPubKeys - Optional. Create a watch-only wallet from the n extended public keys of its copayers.
+ * Copayers of watch-only wallets can only join as observers, and the wallet is scanned for funds on creation.
+ * @param {string} opts.derivationStrategy - Required for watch-only wallets. The derivation strategy of the extended public keys (BIP44, BIP45, BIP48, BIP84).
+ * BIP48 wallets are P2SH-P2WSH unless opts.useNativeSegwit is set.
  */
 WalletService.prototype.createWallet = function(opts, cb) {
   var self = this,
@@ -434,17 +460,86 @@ WalletService.prototype.createWallet = function(opts, cb) {
   }
 
   opts.network = opts.network || 'livenet';
-  if (!Utils.checkValueInCollection(opts.network, Constants.NETWORKS)) {
+  if (!_.includes(Constants.COIN_NETWORKS[opts.coin], opts.network)) {
     return cb(new ClientError('Invalid network'));
   }
 
   opts.supportBIP44AndP2PKH = _.isBoolean(opts.supportBIP44AndP2PKH) ? opts.supportBIP44AndP2PKH : true;
 
+  if (!_.isUndefined(opts.txpExpiration) &&
+    (!_.isInteger(opts.txpExpiration) || opts.txpExpiration <= 0 || opts.txpExpiration > Defaults.MAX_TXP_EXPIRATION)) {
+    return cb(new ClientError('Invalid txp expiration'));
+  }
+
   var derivationStrategy = opts.supportBIP44AndP2PKH ? 
     Constants.DERIVATION_STRATEGIES.BIP44 : Constants.DERIVATION_STRATEGIES.BIP45;
   var addressType = (opts.n === 1 && opts.supportBIP44AndP2PKH) ?
     Constants.SCRIPT_TYPES.P2PKH : Constants.SCRIPT_TYPES.P2SH;
 
+  if (opts.useSegwit) {
+    if (!Coins.get(opts.coin).segwit || opts.n < 2)
+      return cb(new ClientError('SegWit is only supported for BTC multisig wallets'));
+    if (!opts.supportBIP44AndP2PKH)
+      return cb(new ClientError('SegWit wallets require BIP44 support'));
+
+    derivationStrategy = Constants.DERIVATION_STRATEGIES.BIP48;
+    addressType = Constants.SCRIPT_TYPES.P2SH_P2WSH;
+  }
+
+  if (opts.useNativeSegwit) {
+    if (opts.useSegwit)
+      return cb(new ClientError('Cannot use both nested and native SegWit'));
+    if (!Coins.get(opts.coin).segwit)
+      return cb(new ClientError('SegWit is not supported for ' + opts.coin.toUpperCase()));
+    if (!opts.supportBIP44AndP2PKH)
+      return cb(new ClientError('SegWit wallets require BIP44 support'));
+
+    if (opts.n === 1) {
+      derivationStrategy = Constants.DERIVATION_STRATEGIES.BIP84;
+      addressType = Constants.SCRIPT_TYPES.P2WPKH;
+    } else {
+      derivationStrategy = Constants.DERIVATION_STRATEGIES.BIP48;
+      addressType = Constants.SCRIPT_TYPES.P2WSH;
+    }
+  }
+
+  var watchOnly = !_.isUndefined(opts.xPubKeys);
+  if (watchOnly) {
+    if (!_.isArray(opts.xPubKeys) || opts.xPubKeys.length != opts.n || _.uniq(opts.xPubKeys).length != opts.n)
+      return cb(new ClientError('Watch-only wallets require n distinct extended public keys'));
+
+    var invalidXPubKey = _.some(opts.xPubKeys, function(xPubKey) {
+      try {
+        return Coins.getLib(opts.coin).HDPublicKey(xPubKey).network.name != Utils.getEncodingNetwork(opts.network);
+      } catch (ex) {
+        return true;
+      }
+    });
+    if (invalidXPubKey) return cb(new ClientError('Invalid extended public key'));
+
+    derivationStrategy = opts.derivationStrategy;
+    if (!Utils.checkValueInCollection(derivationStrategy, Constants.DERIVATION_STRATEGIES))
+      return cb(new ClientError('Invalid derivation strategy'));
+
+    switch (derivationStrategy) {
+      case Constants.DERIVATION_STRATEGIES.BIP48:
+        if (!Coins.get(opts.coin).segwit || opts.n < 2)
+          return cb(new ClientError('SegWit is only supported for BTC multisig wallets'));
+        addressType = opts.useNativeSegwit ? Constants.SCRIPT_TYPES.P2WSH : Constants.SCRIPT_TYPES.P2SH_P2WSH;
+        break;
+      case Constants.DERIVATION_STRATEGIES.BIP84:
+        if (!Coins.get(opts.coin).segwit || opts.n !== 1)
+          return cb(new ClientError('BIP84 is only supported for single-sig SegWit wallets'));
+        addressType = Constants.SCRIPT_TYPES.P2WPKH;
+        break;
+      case Constants.DERIVATION_STRATEGIES.BIP44:
+        addressType = opts.n === 1 ? Constants.SCRIPT_TYPES.P2PKH : Constants.SCRIPT_TYPES.P2SH;
+        break;
+      default:
+        addressType = Constants.SCRIPT_TYPES.P2SH;
+    }
+  }
+
   try {
     pubKey = new Bitcore.PublicKey.fromString(opts.pubKey);
   } catch (ex) {
@@ -476,14 +571,37 @@ WalletService.prototype.createWallet = function(opts, cb) {
         network: opts.network,
         pubKey: pubKey.toString(),
         singleAddress: !!opts.singleAddress,
+        whitelistOnly: !!opts.whitelistOnly,
+        txpExpiration: opts.txpExpiration,
         derivationStrategy: derivationStrategy,
         addressType: addressType,
+        watchOnly: watchOnly,
+      });
+
+      // The external keys complete the wallet right away
+      _.each(opts.xPubKeys, function(xPubKey, i) {
+        wallet.addCopayer(Model.Copayer.create({
+          coin: opts.coin,
+          name: 'Cosigner ' + (i + 1),
+          xPubKey: xPubKey,
+          copayerIndex: i,
+          derivationStrategy: derivationStrategy,
+          external: true,
+        }));
       });
+
       self.storage.storeWallet(wallet, function(err) {
         self.logi('Wallet created', wallet.id, opts.network);
         newWallet = wallet;
         return acb(err);
       });
+    },
+    function(acb) {
+      if (!watchOnly) return acb();
+
+      var server = WalletService.getInstance();
+      server.walletId = newWallet.id;
+      server.startScan({}, acb);
     }
   ], function(err) {
     return cb(err, newWallet ? newWallet.id : null);
@@ -549,7 +667,7 @@ WalletService.prototype.getWalletFromIdentifier = function(opts, cb) {
     // Is identifier a txid form an incomming tx?
     var coinNetworkPairs = [];
     _.each(_.values(Constants.COINS), function(coin) {
-      _.each(_.values(Constants.NETWORKS), function(network) {
+      _.each(Constants.COIN_NETWORKS[coin], function(network) {
         coinNetworkPairs.push({
           coin: coin,
           network: network
@@ -756,12 +874,15 @@ WalletService.prototype._addCopayerToWallet = function(wallet, opts, cb) {
   var copayer = Model.Copayer.create({
     coin: wallet.coin,
     name: opts.name,
-    copayerIndex: wallet.copayers.length,
+    role: opts.role,
+    copayerIndex: wallet.getSigners().length,
     xPubKey: opts.xPubKey,
     requestPubKey: opts.requestPubKey,
     signature: opts.copayerSignature,
     customData: opts.customData,
     derivationStrategy: wallet.derivationStrategy,
+    rootFingerprint: opts.rootFingerprint,
+    accountPath: opts.accountPath,
   });
 
   self.storage.fetchCopayerLookup(copayer.id, function(err, res) {
@@ -773,6 +894,7 @@ WalletService.prototype._addCopayerToWallet = function(wallet, opts, cb) {
       wallet: wallet
     });
 
+    var wasComplete = wallet.isComplete();
     wallet.addCopayer(copayer);
     self.storage.storeWalletAndUpdateCopayersLookup(wallet, function(err) {
       if (err) return cb(err);
@@ -784,10 +906,11 @@ WalletService.prototype._addCopayerToWallet = function(wallet, opts, cb) {
             walletId: opts.walletId,
             copayerId: copayer.id,
             copayerName: copayer.name,
+            role: copayer.role,
           }, next);
         },
         function(next) {
-          if (wallet.isComplete() && wallet.isShared()) {
+          if (!wasComplete && wallet.isComplete() && wallet.isShared()) {
             self._notify('WalletComplete', {
               walletId: opts.walletId,
             }, {
@@ -901,14 +1024,18 @@ WalletService._getCopayerHash = function(name, xPubKey, requestPubKey) {
  * Joins a wallet in creation.
  * @param {Object} opts
  * @param {string} opts.walletId - The wallet id.
- * @param {string} opts.coin[='btc'] - The expected coin for this wallet (btc, bch).
+ * @param {string} opts.coin[='btc'] - The expected coin for this wallet (btc, bch, ltc).
  * @param {string} opts.name - The copayer name.
  * @param {string} opts.xPubKey - Extended Public Key for this copayer.
  * @param {string} opts.requestPubKey - Public Key used to check requests from this copayer.
  * @param {string} opts.copayerSignature - S(name|xPubKey|requestPubKey). Used by other copayers to verify that the copayer joining knows the wallet secret.
  * @param {string} opts.customData - (optional) Custom data for this copayer.
+ * @param {string} opts.rootFingerprint - (optional) Hex fingerprint of the master key the extended public key derives from. Required along with opts.accountPath to export full BIP32 derivations in PSBTs.
+ * @param {string} opts.accountPath - (optional) Derivation path of the extended public key from the master key (ie: m/44'/0'/0').
+ * @param {string} [opts.role = 'signer'] - (optional) Copayer role. Observers ('observer') can see the wallet but neither propose, sign nor reject, and do not count toward n.
  * @param {string} opts.dryRun[=false] - (optional) Simulate the action but do not change server state.
  * @param {string} [opts.supportBIP44AndP2PKH = true] - Client supports BIP44 & P2PKH for joining wallets.
+ * @param {Boolean} [opts.supportSegwit = false] - Client supports SegWit (P2SH-P2WSH, P2WPKH & P2WSH) wallets.
  */
 WalletService.prototype.joinWallet = function(opts, cb) {
   var self = this;
@@ -924,7 +1051,7 @@ WalletService.prototype.joinWallet = function(opts, cb) {
 
   var xPubKey;
   try {
-    xPubKey = Bitcore.HDPublicKey(opts.xPubKey);
+    xPubKey = Coins.getLib(opts.coin).HDPublicKey(opts.xPubKey);
   } catch (ex) {
     return cb(new ClientError('Invalid extended public key'));
   }
@@ -932,6 +1059,18 @@ WalletService.prototype.joinWallet = function(opts, cb) {
     return cb(new ClientError('Invalid extended public key'));
   }
 
+  if (opts.rootFingerprint || opts.accountPath) {
+    if (!/^[0-9a-f]{8}$/i.test(opts.rootFingerprint))
+      return cb(new ClientError('Invalid root fingerprint'));
+    if (!Utils.isValidDerivationPath(opts.accountPath) || opts.accountPath.split('/').length - 1 != xPubKey.depth)
+      return cb(new ClientError('Invalid account path'));
+    opts.rootFingerprint = opts.rootFingerprint.toLowerCase();
+  }
+
+  opts.role = opts.role || Constants.COPAYER_ROLES.SIGNER;
+  if (!Utils.checkValueInCollection(opts.role, Constants.COPAYER_ROLES))
+    return cb(new ClientError('Invalid copayer role'));
+
   opts.supportBIP44AndP2PKH = _.isBoolean(opts.supportBIP44AndP2PKH) ? opts.supportBIP44AndP2PKH : true;
 
   self.walletId = opts.walletId;
@@ -945,7 +1084,7 @@ WalletService.prototype.joinWallet = function(opts, cb) {
         return cb(new ClientError('The wallet you are trying to join was created for a different coin'));
       }
 
-      if (wallet.network != xPubKey.network.name) {
+      if (Utils.getEncodingNetwork(wallet.network) != xPubKey.network.name) {
         return cb(new ClientError('The wallet you are trying to join was created for a different network'));
       }
 
@@ -956,11 +1095,15 @@ WalletService.prototype.joinWallet = function(opts, cb) {
         }
       } else {
         // Legacy client trying to join new wallet
-        if (wallet.derivationStrategy == Constants.DERIVATION_STRATEGIES.BIP44) {
+        if (wallet.derivationStrategy != Constants.DERIVATION_STRATEGIES.BIP45) {
           return cb(new ClientError(Errors.codes.UPGRADE_NEEDED, 'To join this wallet you need to upgrade your client app.'));
         }
       }
 
+      if (_.includes(Constants.SEGWIT_SCRIPT_TYPES, wallet.addressType) && !opts.supportSegwit) {
+        return cb(new ClientError(Errors.codes.UPGRADE_NEEDED, 'To join this wallet you need to upgrade your client app.'));
+      }
+
       var hash = WalletService._getCopayerHash(opts.name, opts.xPubKey, opts.requestPubKey);
       if (!self._verifySignature(hash, opts.copayerSignature, wallet.pubKey)) {
         return cb(new ClientError());
@@ -970,7 +1113,10 @@ WalletService.prototype.joinWallet = function(opts, cb) {
         xPubKey: opts.xPubKey
       })) return cb(Errors.COPAYER_IN_WALLET);
 
-      if (wallet.copayers.length == wallet.n) return cb(Errors.WALLET_FULL);
+      if (opts.role != Constants.COPAYER_ROLES.OBSERVER) {
+        if (wallet.isWatchOnly()) return cb(new ClientError('Watch-only wallets can only be joined by observers'));
+        if (wallet.getSigners().length == wallet.n) return cb(Errors.WALLET_FULL);
+      }
 
       self._addCopayerToWallet(wallet, opts, cb);
     });
@@ -982,55 +1128,59 @@ WalletService.prototype.joinWallet = function(opts, cb) {
  * @param {Object} opts
  * @param {string} opts.email - Email address for notifications.
  * @param {string} opts.language - Language used for notifications.
- * @param {string} opts.unit - Bitcoin unit used to format amounts in notifications.
+ * @param {string} opts.unit - Unit of the wallet coin used to format amounts in notifications.
  */
 WalletService.prototype.savePreferences = function(opts, cb) {
   var self = this;
 
   opts = opts || {};
 
-  var preferences = [{
-    name: 'email',
-    isValid: function(value) {
-      return EmailValidator.validate(value);
-    },
-  }, {
-    name: 'language',
-    isValid: function(value) {
-      return _.isString(value) && value.length == 2;
-    },
-  }, {
-    name: 'unit',
-    isValid: function(value) {
-      return _.isString(value) && _.includes(['btc', 'bit'], value.toLowerCase());
-    },
-  }];
-
-  opts = _.pick(opts, _.map(preferences, 'name'));
-  try {
-    _.each(preferences, function(preference) {
-      var value = opts[preference.name];
-      if (!value) return;
-      if (!preference.isValid(value)) {
-        throw 'Invalid ' + preference.name;
-        return false;
-      }
-    });
-  } catch (ex) {
-    return cb(new ClientError(ex));
-  }
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
 
-  self._runLocked(cb, function(cb) {
-    self.storage.fetchPreferences(self.walletId, self.copayerId, function(err, oldPref) {
-      if (err) return cb(err);
+    var preferences = [{
+      name: 'email',
+      isValid: function(value) {
+        return EmailValidator.validate(value);
+      },
+    }, {
+      name: 'language',
+      isValid: function(value) {
+        return _.isString(value) && value.length == 2;
+      },
+    }, {
+      name: 'unit',
+      isValid: function(value) {
+        return _.isString(value) && _.has(Coins.get(wallet.coin).units, value.toLowerCase());
+      },
+    }];
 
-      var newPref = Model.Preferences.create({
-        walletId: self.walletId,
-        copayerId: self.copayerId,
+    opts = _.pick(opts, _.map(preferences, 'name'));
+    try {
+      _.each(preferences, function(preference) {
+        var value = opts[preference.name];
+        if (!value) return;
+        if (!preference.isValid(value)) {
+          throw 'Invalid ' + preference.name;
+          return false;
+        }
       });
-      var preferences = Model.Preferences.fromObj(_.defaults(newPref, opts, oldPref));
-      self.storage.storePreferences(preferences, function(err) {
-        return cb(err);
+    } catch (ex) {
+      return cb(new ClientError(ex));
+    }
+
+    self._runLocked(cb, function(cb) {
+      self.storage.fetchPreferences(self.walletId, self.copayerId, function(err, oldPref) {
+        if (err) return cb(err);
+
+        var newPref = Model.Preferences.create({
+          walletId: self.walletId,
+          copayerId: self.copayerId,
+        });
+        var preferences = Model.Preferences.fromObj(_.defaults(newPref, opts, oldPref));
+        self.storage.storePreferences(preferences, function(err) {
+          return cb(err);
+        });
       });
     });
   });
@@ -1150,6 +1300,7 @@ WalletService.prototype.createAddress = function(opts, cb) {
       self.getWallet({}, function(err, wallet) {
         if (err) return cb(err);
         if (!wallet.isComplete()) return cb(Errors.WALLET_NOT_COMPLETE);
+        if (wallet.isMigrated()) return cb(Errors.WALLET_MIGRATED);
         if (wallet.scanStatus == 'error') 
           return cb(Errors.WALLET_NEED_SCAN);
  
@@ -1273,7 +1424,7 @@ WalletService.prototype._getUtxos = function(coin, addresses, cb) {
 
   if (addresses.length == 0) return cb(null, []);
 
-  var networkName = Bitcore_[coin].Address(addresses[0]).toObject().network;
+  var networkName = Coins.getLib(coin).Address(addresses[0]).toObject().network;
 
   var bc = self._getBlockchainExplorer(coin, networkName);
   if (!bc) return cb(new Error('Could not get blockchain explorer instance'));
@@ -1344,9 +1495,9 @@ WalletService.prototype._getUtxosForCurrentWallet = function(opts, cb) {
       if (!opts.coin) return next();
 
       coin = opts.coin;
-      if (coin != 'bch') return next();
+      if (!Coins.get(coin).cashaddr) return next();
 
-      if (Utils.getAddressCoin(addressStrs[0]) == 'bch') 
+      if (Utils.getAddressCoin(addressStrs[0]) == coin)
         return next();
 
       // because some old BCH walelts could have legacy addresses?
@@ -1370,17 +1521,30 @@ WalletService.prototype._getUtxosForCurrentWallet = function(opts, cb) {
       });
     },
     function(next) {
-      self.getPendingTxs({}, function(err, txps) {
+      // Also used while holding the wallet lock, so proposals past their expiresOn are left out without marking them
+      self.storage.fetchPendingTxs(self.walletId, function(err, txps) {
         if (err) return next(err);
 
-        var lockedInputs = _.map(_.flatten(_.map(txps, 'inputs')), utxoKey);
-        _.each(lockedInputs, function(input) {
-          if (utxoIndex[input]) {
-            utxoIndex[input].locked = true;
-          }
+        self._processPendingTxs(txps, function(err, txps) {
+          if (err) return next(err);
+
+          var lockedInputs = _.map(_.flatten(_.map(txps, 'inputs')), utxoKey);
+          _.each(lockedInputs, function(input) {
+            if (utxoIndex[input]) {
+              utxoIndex[input].locked = true;
+            }
+          });
+
+          // Outputs of a tx with a pending replacement will vanish once the replacement is broadcasted
+          var replacedTxids = _.compact(_.map(txps, 'replacesTxid'));
+          _.each(allUtxos, function(utxo) {
+            if (_.includes(replacedTxids, utxo.txid)) {
+              utxo.locked = true;
+            }
+          });
+          log.debug(`Got  ${lockedInputs.length} locked utxos`);
+          return next();
         });
-        log.debug(`Got  ${lockedInputs.length} locked utxos`);
-        return next();
       });
     },
     function(next) {
@@ -1407,6 +1571,18 @@ WalletService.prototype._getUtxosForCurrentWallet = function(opts, cb) {
         return next();
       });
     },
+    function(next) {
+      self.storage.fetchWalletUtxoMetadata(self.walletId, function(err, metadata) {
+        if (err) return next(err);
+        var metadataIndex = _.keyBy(metadata, utxoKey);
+        _.each(allUtxos, function(utxo) {
+          var m = metadataIndex[utxoKey(utxo)];
+          utxo.frozen = m ? m.frozen : false;
+          if (m && m.label) utxo.label = m.label;
+        });
+        return next();
+      });
+    },
     function(next) {
       if (opts.coin) return next();
       // Needed for the clients to sign UTXOs
@@ -1463,8 +1639,16 @@ WalletService.prototype._totalizeUtxos = function(utxos) {
     totalConfirmedAmount: _.sumBy(_.filter(utxos, 'confirmations'), 'satoshis'),
     lockedConfirmedAmount: _.sumBy(_.filter(_.filter(utxos, 'locked'), 'confirmations'), 'satoshis'),
   };
-  balance.availableAmount = balance.totalAmount - balance.lockedAmount;
-  balance.availableConfirmedAmount = balance.totalConfirmedAmount - balance.lockedConfirmedAmount;
+
+  // Frozen UTXOs already locked by a pending proposal are only accounted as locked
+  var frozen = _.filter(utxos, function(utxo) {
+    return utxo.frozen && !utxo.locked;
+  });
+  balance.frozenAmount = _.sumBy(frozen, 'satoshis');
+  balance.frozenConfirmedAmount = _.sumBy(_.filter(frozen, 'confirmations'), 'satoshis');
+
+  balance.availableAmount = balance.totalAmount - balance.lockedAmount - balance.frozenAmount;
+  balance.availableConfirmedAmount = balance.totalConfirmedAmount - balance.lockedConfirmedAmount - balance.frozenConfirmedAmount;
 
   return balance;
 };
@@ -1541,7 +1725,7 @@ WalletService.prototype._getBalanceCached = function(opts, cb, i) {
  * Get wallet balance.
  * @param {Object} opts
  * @param {string} [opts.coin] - Override wallet coin (default wallet's coin).
- * @returns {Object} balance - Total amount & locked amount.
+ * @returns {Object} balance - Total amount, locked amount & frozen amount.
  */
 
 WalletService.prototype.getBalance = function(opts, cb, i) {
@@ -1603,6 +1787,7 @@ WalletService.prototype.getBalance = function(opts, cb, i) {
  * @param {number} opts.feeLevel[='normal'] - Optional. Specify the fee level for this TX ('priority', 'normal', 'economy', 'superEconomy') as defined in Defaults.FEE_LEVELS.
  * @param {number} opts.feePerKb - Optional. Specify the fee per KB for this TX (in satoshi).
  * @param {string} opts.excludeUnconfirmedUtxos[=false] - Optional. Do not use UTXOs of unconfirmed transactions as inputs
+ * @param {string} opts.coinSelection[='default'] - Optional. Coin selection strategy, one of CoinSelection.STRATEGIES.
  * @param {string} opts.returnInputs[=false] - Optional. Return the list of UTXOs that would be included in the tx.
  * @returns {Object} sendMaxInfo
  */
@@ -1634,6 +1819,9 @@ WalletService.prototype.getSendMaxInfo = function(opts, cb) {
         return cb(new ClientError('Invalid fee per KB'));
     }
 
+    if (opts.coinSelection && !CoinSelection.isValidStrategy(opts.coinSelection))
+      return cb(new ClientError('Invalid coin selection strategy. Valid values are ' + CoinSelection.STRATEGIES.join(', ')));
+
     self._getUtxosForCurrentWallet({}, function(err, utxos) {
       if (err) return cb(err);
 
@@ -1649,13 +1837,12 @@ WalletService.prototype.getSendMaxInfo = function(opts, cb) {
         amountAboveMaxSize: 0,
       };
 
-      var inputs = _.reject(utxos, 'locked');
+      var inputs = _.reject(utxos, function(utxo) {
+        return utxo.locked || utxo.frozen;
+      });
       if (!!opts.excludeUnconfirmedUtxos) {
         inputs = _.filter(inputs, 'confirmations');
       }
-      inputs = _.sortBy(inputs, function(input) {
-        return -input.satoshis;
-      });
 
       if (_.isEmpty(inputs)) return cb(null, info);
 
@@ -1686,15 +1873,13 @@ WalletService.prototype.getSendMaxInfo = function(opts, cb) {
         info.amountBelowFee = _.sumBy(partitionedByAmount[1], 'satoshis');
         inputs = partitionedByAmount[0];
 
-        _.each(inputs, function(input, i) {
-          var sizeInKb = (baseTxpSize + (i + 1) * sizePerInput) / 1000.;
-          if (sizeInKb > Defaults.MAX_TX_SIZE_IN_KB) {
-            info.utxosAboveMaxSize = inputs.length - i;
-            info.amountAboveMaxSize = _.sumBy(_.slice(inputs, i), 'satoshis');
-            return false;
-          }
-          txp.inputs.push(input);
+        var selection = CoinSelection.selectAll(opts.coinSelection, inputs, {
+          baseTxpSize: baseTxpSize,
+          sizePerInput: sizePerInput,
         });
+        info.utxosAboveMaxSize = selection.excluded.length;
+        info.amountAboveMaxSize = _.sumBy(selection.excluded, 'satoshis');
+        txp.inputs = selection.inputs;
 
         if (_.isEmpty(txp.inputs)) return cb(null, info);
 
@@ -1720,6 +1905,9 @@ WalletService.prototype.getSendMaxInfo = function(opts, cb) {
 WalletService.prototype._sampleFeeLevels = function(coin, network, points, cb) {
   var self = this;
 
+  // Regtest nodes have no fee history to estimate from, so default fee levels apply
+  if (network == Constants.NETWORKS.REGTEST) return cb(null, {});
+
   var bc = self._getBlockchainExplorer(coin, network);
   if (!bc) return cb(new Error('Could not get blockchain explorer instance'));
   bc.estimateFee(points, function(err, result) {
@@ -1763,7 +1951,7 @@ WalletService.prototype.getFeeLevels = function(opts, cb) {
     return cb(new ClientError('Invalid coin'));
 
   opts.network = opts.network || 'livenet';
-  if (!Utils.checkValueInCollection(opts.network, Constants.NETWORKS))
+  if (!_.includes(Constants.COIN_NETWORKS[opts.coin], opts.network))
     return cb(new ClientError('Invalid network'));
 
 
@@ -1871,10 +2059,10 @@ WalletService.prototype._checkTx = function(txp) {
     return ex;
   }
 
-  if (bitcoreError instanceof Bitcore_[txp.coin].errors.Transaction.FeeError)
+  if (bitcoreError instanceof Coins.getLib(txp.coin).errors.Transaction.FeeError)
     return Errors.INSUFFICIENT_FUNDS_FOR_FEE;
 
-  if (bitcoreError instanceof Bitcore_[txp.coin].errors.Transaction.DustOutputs)
+  if (bitcoreError instanceof Coins.getLib(txp.coin).errors.Transaction.DustOutputs)
     return Errors.DUST_AMOUNT;
   return bitcoreError;
 };
@@ -1891,10 +2079,14 @@ WalletService.prototype._selectTxInputs = function(txp, utxosToExclude, cb) {
 
   var txpAmount = txp.getTotalAmount();
   var baseTxpSize = txp.getEstimatedSize();
-  var baseTxpFee = baseTxpSize * txp.feePerKb / 1000.;
+  // When accelerating a parent tx (CPFP), this tx also pays for the parent's missing fee
+  var baseTxpFee = baseTxpSize * txp.feePerKb / 1000. + (txp.cpfpFee || 0);
   var sizePerInput = txp.getEstimatedSizeForSingleInput();
   var feePerInput = sizePerInput * txp.feePerKb / 1000.;
 
+  // Inputs that must be spent by this tx (outputs of the parent tx when doing CPFP)
+  var requiredInputs = [];
+
   function sanitizeUtxos(utxos) {
     var excludeIndex = _.reduce(utxosToExclude, function(res, val) {
       res[val] = val;
@@ -1902,7 +2094,7 @@ WalletService.prototype._selectTxInputs = function(txp, utxosToExclude, cb) {
     }, {});
 
     return _.filter(utxos, function(utxo) {
-      if (utxo.locked) return false;
+      if (utxo.locked || utxo.frozen) return false;
       if (utxo.satoshis <= feePerInput) return false;
       if (txp.excludeUnconfirmedUtxos && !utxo.confirmations) return false;
       if (excludeIndex[utxo.txid + ":" + utxo.vout]) return false;
@@ -1918,124 +2110,6 @@ WalletService.prototype._selectTxInputs = function(txp, utxosToExclude, cb) {
     });
   };
 
-  function select(utxos, cb) {
-    var totalValueInUtxos = _.sumBy(utxos, 'satoshis');
-    var netValueInUtxos = totalValueInUtxos - baseTxpFee - (utxos.length * feePerInput);
-
-    if (totalValueInUtxos < txpAmount) {
-      self.logi('Total value in all utxos (' + Utils.formatAmountInBtc(totalValueInUtxos) + ') is insufficient to cover for txp amount (' + Utils.formatAmountInBtc(txpAmount) + ')');
-      return cb(Errors.INSUFFICIENT_FUNDS);
-    }
-    if (netValueInUtxos < txpAmount) {
-      self.logi('Value after fees in all utxos (' + Utils.formatAmountInBtc(netValueInUtxos) + ') is insufficient to cover for txp amount (' + Utils.formatAmountInBtc(txpAmount) + ')');
-      return cb(Errors.INSUFFICIENT_FUNDS_FOR_FEE);
-    }
-
-    var bigInputThreshold = txpAmount * Defaults.UTXO_SELECTION_MAX_SINGLE_UTXO_FACTOR + (baseTxpFee + feePerInput);
-    self.logi('Big input threshold ' + Utils.formatAmountInBtc(bigInputThreshold));
-
-    var partitions = _.partition(utxos, function(utxo) {
-      return utxo.satoshis > bigInputThreshold;
-    });
-
-    var bigInputs = _.sortBy(partitions[0], 'satoshis');
-    var smallInputs = _.sortBy(partitions[1], function(utxo) {
-      return -utxo.satoshis;
-    });
-
-    //log.debug('Considering ' + bigInputs.length + ' big inputs (' + Utils.formatUtxos(bigInputs) + ')');
-    //log.debug('Considering ' + smallInputs.length + ' small inputs (' + Utils.formatUtxos(smallInputs) + ')');
-
-    var total = 0;
-    var netTotal = -baseTxpFee;
-    var selected = [];
-    var fee;
-    var error;
-
-    _.each(smallInputs, function(input, i) {
-      //log.debug('Input #' + i + ': ' + Utils.formatUtxos(input));
-
-      var netInputAmount = input.satoshis - feePerInput;
-
-      //log.debug('The input contributes ' + Utils.formatAmountInBtc(netInputAmount));
-
-      selected.push(input);
-
-      total += input.satoshis;
-      netTotal += netInputAmount;
-
-      var txpSize = baseTxpSize + selected.length * sizePerInput;
-      fee = Math.round(baseTxpFee + selected.length * feePerInput);
-
-      //log.debug('Tx size: ' + Utils.formatSize(txpSize) + ', Tx fee: ' + Utils.formatAmountInBtc(fee));
-
-      var feeVsAmountRatio = fee / txpAmount;
-      var amountVsUtxoRatio = netInputAmount / txpAmount;
-
-      //log.debug('Fee/Tx amount: ' + Utils.formatRatio(feeVsAmountRatio) + ' (max: ' + Utils.formatRatio(Defaults.UTXO_SELECTION_MAX_FEE_VS_TX_AMOUNT_FACTOR) + ')');
-      //log.debug('Tx amount/Input amount:' + Utils.formatRatio(amountVsUtxoRatio) + ' (min: ' + Utils.formatRatio(Defaults.UTXO_SELECTION_MIN_TX_AMOUNT_VS_UTXO_FACTOR) + ')');
-
-      if (txpSize / 1000. > Defaults.MAX_TX_SIZE_IN_KB) {
-        //log.debug('Breaking because tx size (' + Utils.formatSize(txpSize) + ') is too big (max: ' + Utils.formatSize(Defaults.MAX_TX_SIZE_IN_KB * 1000.) + ')');
-        error = Errors.TX_MAX_SIZE_EXCEEDED;
-        return false;
-      }
-
-      if (!_.isEmpty(bigInputs)) {
-        if (amountVsUtxoRatio < Defaults.UTXO_SELECTION_MIN_TX_AMOUNT_VS_UTXO_FACTOR) {
-          //log.debug('Breaking because utxo is too small compared to tx amount');
-          return false;
-        }
-
-        if (feeVsAmountRatio > Defaults.UTXO_SELECTION_MAX_FEE_VS_TX_AMOUNT_FACTOR) {
-          var feeVsSingleInputFeeRatio = fee / (baseTxpFee + feePerInput);
-          //log.debug('Fee/Single-input fee: ' + Utils.formatRatio(feeVsSingleInputFeeRatio) + ' (max: ' + Utils.formatRatio(Defaults.UTXO_SELECTION_MAX_FEE_VS_SINGLE_UTXO_FEE_FACTOR) + ')' + ' loses wrt single-input tx: ' + Utils.formatAmountInBtc((selected.length - 1) * feePerInput));
-          if (feeVsSingleInputFeeRatio > Defaults.UTXO_SELECTION_MAX_FEE_VS_SINGLE_UTXO_FEE_FACTOR) {
-            //log.debug('Breaking because fee is too significant compared to tx amount and it is too expensive compared to using single input');
-            return false;
-          }
-        }
-      }
-
-      //log.debug('Cumuled total so far: ' + Utils.formatAmountInBtc(total) + ', Net total so far: ' + Utils.formatAmountInBtc(netTotal));
-
-      if (netTotal >= txpAmount) {
-        var changeAmount = Math.round(total - txpAmount - fee);
-        //log.debug('Tx change: ', Utils.formatAmountInBtc(changeAmount));
-
-        var dustThreshold = Math.max(Defaults.MIN_OUTPUT_AMOUNT, Bitcore_[txp.coin].Transaction.DUST_AMOUNT);
-        if (changeAmount > 0 && changeAmount <= dustThreshold) {
-          //log.debug('Change below dust threshold (' + Utils.formatAmountInBtc(dustThreshold) + '). Incrementing fee to remove change.');
-          // Remove dust change by incrementing fee
-          fee += changeAmount;
-        }
-
-        return false;
-      }
-    });
-
-    if (netTotal < txpAmount) {
-      //log.debug('Could not reach Txp total (' + Utils.formatAmountInBtc(txpAmount) + '), still missing: ' + Utils.formatAmountInBtc(txpAmount - netTotal));
-
-      selected = [];
-      if (!_.isEmpty(bigInputs)) {
-        var input = _.head(bigInputs);
-        //log.debug('Using big input: ', Utils.formatUtxos(input));
-        total = input.satoshis;
-        fee = Math.round(baseTxpFee + feePerInput);
-        netTotal = total - fee;
-        selected = [input];
-      }
-    }
-
-    if (_.isEmpty(selected)) {
-      //log.debug('Could not find enough funds within this utxo subset');
-      return cb(error || Errors.INSUFFICIENT_FUNDS_FOR_FEE);
-    }
-
-    return cb(null, selected, fee);
-  };
-
   //log.debug('Selecting inputs for a ' + Utils.formatAmountInBtc(txp.getTotalAmount()) + ' txp');
 
   self._getUtxosForCurrentWallet({}, function(err, utxos) {
@@ -2056,10 +2130,39 @@ WalletService.prototype._selectTxInputs = function(txp, utxosToExclude, cb) {
     if (totalAmount < txp.getTotalAmount()) return cb(Errors.INSUFFICIENT_FUNDS);
     if (availableAmount < txp.getTotalAmount()) return cb(Errors.LOCKED_FUNDS);
 
+    if (txp.cpfpTxid) {
+      var parentUtxos = _.filter(utxos, {
+        txid: txp.cpfpTxid
+      });
+      if (_.isEmpty(parentUtxos)) return cb(Errors.INVALID_CPFP_TX);
+      if (_.every(parentUtxos, function(utxo) {
+        return utxo.locked || utxo.frozen;
+      })) return cb(Errors.LOCKED_FUNDS);
+    }
+
     utxos = sanitizeUtxos(utxos);
 
+    if (txp.cpfpTxid) {
+      requiredInputs = _.remove(utxos, {
+        txid: txp.cpfpTxid
+      });
+      if (_.isEmpty(requiredInputs)) return cb(Errors.INSUFFICIENT_FUNDS_FOR_FEE);
+    }
+
     //log.debug('Considering ' + utxos.length + ' utxos (' + Utils.formatUtxos(utxos) + ')');
 
+    var selectionParams = {
+      txpAmount: txpAmount,
+      baseTxpSize: baseTxpSize,
+      baseTxpFee: baseTxpFee,
+      sizePerInput: sizePerInput,
+      feePerInput: feePerInput,
+      feePerKb: txp.feePerKb,
+      requiredInputs: requiredInputs,
+      dustThreshold: Math.max(Defaults.MIN_OUTPUT_AMOUNT, Coins.get(txp.coin).dustAmount),
+      logi: self.logi.bind(self),
+    };
+
     var groups = [6, 1];
     if (!txp.excludeUnconfirmedUtxos) groups.push(0);
 
@@ -2089,7 +2192,7 @@ WalletService.prototype._selectTxInputs = function(txp, utxosToExclude, cb) {
 
       lastGroupLength = candidateUtxos.length;
 
-      select(candidateUtxos, function(err, selectedInputs, selectedFee) {
+      CoinSelection.select(txp.coinSelection, candidateUtxos, selectionParams, function(err, selectedInputs, selectedFee) {
         if (err) {
           //log.debug('No inputs selected on this group: ', err);
           selectionError = err;
@@ -2155,16 +2258,32 @@ WalletService.prototype._canCreateTx = function(cb) {
   });
 };
 
-WalletService.prototype._validateOutputs = function(opts, wallet, cb) {
-  var A = Bitcore_[wallet.coin].Address;
-  var dustThreshold = Math.max(Defaults.MIN_OUTPUT_AMOUNT, Bitcore_[wallet.coin].Transaction.DUST_AMOUNT);
+WalletService.prototype._validateOutputs = function(opts, wallet, whitelist) {
+  var A = Coins.getLib(wallet.coin).Address;
+  var dustThreshold = Math.max(Defaults.MIN_OUTPUT_AMOUNT, Coins.get(wallet.coin).dustAmount);
 
   if (_.isEmpty(opts.outputs)) return new ClientError('No outputs were specified');
 
+  var dataOutputs = _.filter(opts.outputs, {
+    type: 'data'
+  });
+  if (dataOutputs.length > Defaults.MAX_DATA_OUTPUTS[wallet.coin])
+    return new ClientError('Too many data outputs (max: ' + Defaults.MAX_DATA_OUTPUTS[wallet.coin] + ')');
+
   for (var i = 0; i < opts.outputs.length; i++) {
     var output = opts.outputs[i];
     output.valid = false;
 
+    if (output.type == 'data') {
+      var dataError = WalletService._sanitizeDataOutput(output, wallet.coin);
+      if (dataError) return new ClientError(dataError + ' in output #' + (i + 1) + '.');
+      output.valid = true;
+      continue;
+    }
+    if (!_.isUndefined(output.type)) {
+      return new ClientError('Invalid type in output #' + (i + 1) + '.');
+    }
+
     if (!checkRequired(output, ['toAddress', 'amount'])) {
       return new ClientError('Argument missing in output #' + (i + 1) + '.');
     }
@@ -2173,11 +2292,15 @@ WalletService.prototype._validateOutputs = function(opts, wallet, cb) {
     try {
       toAddress = new A(output.toAddress);
     } catch (ex) {
-      return Errors.INVALID_ADDRESS;
+      toAddress = Coins.get(wallet.coin).segwit ? Utils.decodeBech32Address(output.toAddress) : null;
+      if (!toAddress) return Errors.INVALID_ADDRESS;
     }
-    if (toAddress.network != wallet.network) {
+    if (Utils.getEncodingNetwork(toAddress.network.toString()) != Utils.getEncodingNetwork(wallet.network)) {
       return Errors.INCORRECT_ADDRESS_NETWORK;
     }
+    if (whitelist && !_.includes(whitelist, Utils.normalizeAddress(output.toAddress, wallet.coin))) {
+      return Errors.ADDRESS_NOT_WHITELISTED;
+    }
 
     if (!_.isNumber(output.amount) || _.isNaN(output.amount) || output.amount <= 0) {
       return new ClientError('Invalid amount');
@@ -2191,6 +2314,33 @@ WalletService.prototype._validateOutputs = function(opts, wallet, cb) {
   return null;
 };
 
+/**
+ * Validates a data output and normalizes its data to hex.
+ * @param {Object} output - { type: 'data', data, encoding: 'utf8' (default) or 'hex' }
+ * @param {String} coin
+ * @returns {String} The validation error, if any.
+ */
+WalletService._sanitizeDataOutput = function(output, coin) {
+  if (!_.isString(output.data) || _.isEmpty(output.data)) return 'Missing data';
+  if (!_.isUndefined(output.amount) && output.amount !== 0) return 'Invalid amount';
+
+  var encoding = output.encoding || 'utf8';
+  if (encoding == 'hex') {
+    if (!/^([0-9a-fA-F]{2})+$/.test(output.data)) return 'Invalid hex data';
+  } else if (encoding != 'utf8') {
+    return 'Invalid data encoding';
+  }
+
+  var data = Buffer.from(output.data, encoding);
+  if (data.length > Defaults.MAX_DATA_OUTPUT_SIZE[coin])
+    return 'Data exceeds ' + Defaults.MAX_DATA_OUTPUT_SIZE[coin] + ' bytes';
+
+  output.data = data.toString('hex');
+  output.encoding = 'hex';
+  output.amount = 0;
+  return null;
+};
+
 WalletService.prototype._validateAndSanitizeTxOpts = function(wallet, opts, cb) {
   var self = this;
 
@@ -2221,12 +2371,30 @@ WalletService.prototype._validateAndSanitizeTxOpts = function(wallet, opts, cb)
       if (_.isNumber(opts.fee) && _.isEmpty(opts.inputs))
         return next(new ClientError('fee can only be set when inputs are specified'));
 
+      if (opts.coinSelection && !CoinSelection.isValidStrategy(opts.coinSelection))
+        return next(new ClientError('Invalid coin selection strategy. Valid values are ' + CoinSelection.STRATEGIES.join(', ')));
+
+      next();
+    },
+    function(next) {
+      if (_.isUndefined(opts.expiresOn)) return next();
+      var now = Math.floor(Date.now() / 1000);
+      if (!_.isFinite(opts.expiresOn) || opts.expiresOn <= now || opts.expiresOn > now + Defaults.MAX_TXP_EXPIRATION)
+        return next(new ClientError('Invalid expiresOn'));
       next();
     },
     function(next) {
       if (wallet.singleAddress && opts.changeAddress) return next(new ClientError('Cannot specify change address on single-address wallet'));
       next();
     },
+    function(next) {
+      if (!opts.cpfpTxid) return next();
+      if (!_.isEmpty(opts.inputs) || opts.sendMax)
+        return next(new ClientError('cpfpTxid cannot be combined with inputs or sendMax'));
+      if (opts.excludeUnconfirmedUtxos)
+        return next(new ClientError('cpfpTxid cannot be combined with excludeUnconfirmedUtxos'));
+      next();
+    },
     function(next) {
       if (!opts.sendMax) return next();
       if (!_.isArray(opts.outputs) || opts.outputs.length > 1) {
@@ -2240,6 +2408,7 @@ WalletService.prototype._validateAndSanitizeTxOpts = function(wallet, opts, cb)
       self.getSendMaxInfo({
         feePerKb: opts.feePerKb,
         excludeUnconfirmedUtxos: !!opts.excludeUnconfirmedUtxos,
+        coinSelection: opts.coinSelection,
         returnInputs: true,
       }, function(err, info) {
         if (err) return next(err);
@@ -2249,16 +2418,22 @@ WalletService.prototype._validateAndSanitizeTxOpts = function(wallet, opts, cb)
       });
     },
     function(next) {
-      if (opts.validateOutputs === false) return next();
-      var validationError = self._validateOutputs(opts, wallet, next);
-      if (validationError) {
-        return next(validationError);
-      }
-      next();
+      // Whitelist-only wallets always validate their outputs, and data outputs are normalized by validation
+      if (opts.validateOutputs === false && !wallet.whitelistOnly && !_.some(opts.outputs, {
+          type: 'data'
+        })) return next();
+      self._getWhitelist(wallet, function(err, whitelist) {
+        if (err) return next(err);
+        var validationError = self._validateOutputs(opts, wallet, whitelist);
+        if (validationError) {
+          return next(validationError);
+        }
+        next();
+      });
     },
     function(next) {
-      // check outputs are on 'copay' format for BCH
-      if (wallet.coin != 'bch') return next();
+      // check outputs are on 'copay' format for coins with cashaddr addresses (BCH)
+      if (!Coins.get(wallet.coin).cashaddr) return next();
 
       // TODO remove one cashaddr is used internally (noCashAddr flag)?
       opts.origAddrOutputs = _.map(opts.outputs, (x) => {
@@ -2268,6 +2443,9 @@ WalletService.prototype._validateAndSanitizeTxOpts = function(wallet, opts, cb)
         };
         if (x.message)
           ret.message = x.message;
+        if (x.type == 'data') {
+          ret = _.pick(x, ['type', 'data', 'amount', 'message']);
+        }
 
         return ret;
       });
@@ -2277,7 +2455,7 @@ WalletService.prototype._validateAndSanitizeTxOpts = function(wallet, opts, cb)
 
         let newAddr;
         try {
-          newAddr = Bitcore_['bch'].Address(x.toAddress).toLegacyAddress();
+          newAddr = Coins.getLib(wallet.coin).Address(x.toAddress).toLegacyAddress();
         } catch (e) {
           return next(e);
         }
@@ -2313,6 +2491,91 @@ WalletService.prototype._getFeePerKb = function(wallet, opts, cb) {
 };
 
 
+/**
+ * Computes the extra fee a child tx needs to pay so that the parent + child package
+ * reaches the given fee per KB (Child-Pays-For-Parent).
+ * @param {Object} wallet
+ * @param {string} txid - The unconfirmed parent tx.
+ * @param {number} feePerKb - Target fee per KB for the package.
+ * @returns {number} The fee (in satoshi) missing in the parent tx.
+ */
+WalletService.prototype._getCpfpFee = function(wallet, txid, feePerKb, cb) {
+  var self = this;
+
+  var bc = self._getBlockchainExplorer(wallet.coin, wallet.network);
+  if (!bc) return cb(new Error('Could not get blockchain explorer instance'));
+
+  bc.getTransaction(txid, function(err, tx) {
+    if (err) return cb(err);
+    if (!tx || tx.confirmations > 0 || tx.blockHeight > 0) return cb(Errors.INVALID_CPFP_TX);
+
+    // Insight reports fees in BTC, V8 in satoshis
+    var parentFee = _.isNumber(tx.fee) ? tx.fee : parseInt((tx.fees * 1e8).toFixed(0));
+    if (!_.isNumber(tx.size) || _.isNaN(parentFee)) return cb(new Error('Could not get fee information for tx ' + txid));
+
+    var missingFee = Math.round(tx.size * feePerKb / 1000. - parentFee);
+    self.logi('Parent tx ' + txid + ' fee: ' + Utils.formatAmountInBtc(parentFee) + ', missing: ' + Utils.formatAmountInBtc(Math.max(missingFee, 0)));
+    return cb(null, Math.max(missingFee, 0));
+  });
+};
+
+/**
+ * Checks a tx proposal against the wallet active spending policy and updates the number
+ * of signatures it requires. Period totals are computed from broadcasted tx proposals, plus the other
+ * pending & accepted ones, as they may be broadcasted at any time.
+ */
+WalletService.prototype._checkSpendingPolicy = function(txp, cb) {
+  var self = this;
+
+  self.storage.fetchSpendingPolicy(self.walletId, 'active', function(err, policy) {
+    if (err) return cb(err);
+    if (!policy) {
+      txp.setPolicyRequiredSignatures(null);
+      return cb();
+    }
+
+    var now = Math.floor(Date.now() / 1000);
+    var periods = policy.getPeriods();
+    var minTs = now - (_.max(_.map(periods, function(period) {
+      return Model.SpendingPolicy.PERIODS[period];
+    })) || 0);
+
+    async.parallel([
+
+      function(next) {
+        self.storage.fetchBroadcastedTxs(self.walletId, {
+          minTs: minTs,
+        }, next);
+      },
+      function(next) {
+        self.storage.fetchPendingTxs(self.walletId, next);
+      },
+    ], function(err, res) {
+      if (err) return cb(err);
+
+      var broadcasted = res[0];
+      // Replacements spend the amount of the broadcasted tx they replace, which is already accounted for
+      var pending = _.filter(res[1], function(tx) {
+        return tx.id != txp.id && !tx.replacesTxProposalId && !tx.hasExpired(now);
+      });
+      var pendingAmount = _.sumBy(pending, 'amount');
+
+      var spent = _.fromPairs(_.map(periods, function(period) {
+        var since = now - Model.SpendingPolicy.PERIODS[period];
+        return [period, pendingAmount + _.sumBy(_.filter(broadcasted, function(tx) {
+          return tx.broadcastedOn >= since;
+        }), 'amount')];
+      }));
+
+      var result = policy.check(txp, spent);
+      if (result.violation) return cb(new ClientError(Errors.codes.POLICY_VIOLATION, result.violation));
+
+      txp.setPolicyRequiredSignatures(result.requiredSignatures);
+      return cb();
+    });
+  });
+};
+
 /**
  * Creates a new transaction proposal.
  * @param {Object} opts
@@ -2321,23 +2584,31 @@ WalletService.prototype._getFeePerKb = function(wallet, opts, cb) {
  * @param {string} opts.outputs[].toAddress - Destination address.
  * @param {number} opts.outputs[].amount - Amount to transfer in satoshi.
  * @param {string} opts.outputs[].message - A message to attach to this output.
+ * @param {string} opts.outputs[].type - Optional. Set to 'data' for an OP_RETURN output carrying opts.outputs[].data instead of paying an address.
+ * @param {string} opts.outputs[].data - Data for 'data' outputs, up to Defaults.MAX_DATA_OUTPUT_SIZE bytes.
+ * @param {string} opts.outputs[].encoding[='utf8'] - Optional. Encoding of the data of 'data' outputs ('utf8' or 'hex').
  * @param {string} opts.message - A message to attach to this transaction.
  * @param {number} opts.feeLevel[='normal'] - Optional. Specify the fee level for this TX ('priority', 'normal', 'economy', 'superEconomy') as defined in Defaults.FEE_LEVELS.
  * @param {number} opts.feePerKb - Optional. Specify the fee per KB for this TX (in satoshi).
  * @param {string} opts.changeAddress - Optional. Use this address as the change address for the tx. The address should belong to the wallet. In the case of singleAddress wallets, the first main address will be used.
  * @param {Boolean} opts.sendMax - Optional. Send maximum amount of funds that make sense under the specified fee/feePerKb conditions. (defaults to false).
- * @param {string} opts.payProUrl - Optional. Paypro URL for peers to verify TX
+ * @param {string} opts.payProUrl - Optional. Paypro URL for peers to verify TX. The server checks the outputs against the merchant payment request when the proposal is published, if a trust store is configured (https urls only). Published proposals report whether they were checked in payProVerified.
  * @param {Boolean} opts.excludeUnconfirmedUtxos[=false] - Optional. Do not use UTXOs of unconfirmed transactions as inputs
+ * @param {string} opts.coinSelection[='default'] - Optional. Coin selection strategy, one of CoinSelection.STRATEGIES.
  * @param {Boolean} opts.validateOutputs[=true] - Optional. Perform validation on outputs.
  * @param {Boolean} opts.dryRun[=false] - Optional. Simulate the action but do not change server state.
  * @param {Array} opts.inputs - Optional. Inputs for this TX
  * @param {number} opts.fee - Optional. Use an fixed fee for this TX (only when opts.inputs is specified)
  * @param {Boolean} opts.noShuffleOutputs - Optional. If set, TX outputs won't be shuffled. Defaults to false
+ * @param {string} opts.cpfpTxid - Optional. Accelerate this unconfirmed tx (Child-Pays-For-Parent) by spending its outputs belonging to the wallet. The fee is computed so that the parent + child package reaches the requested fee level.
+ * @param {number} opts.expiresOn - Optional. Time (UNIX EPOCH, in seconds) after which the proposal expires if not fully signed, releasing its inputs. Defaults to the wallet txpExpiration.
  * @returns {TxProposal} Transaction proposal.
  */
 WalletService.prototype.createTx = function(opts, cb) {
   var self = this;
 
+  if (!self._checkNotObserver(cb)) return;
+
   opts = opts || {};
 
   function getChangeAddress(wallet, cb) {
@@ -2366,10 +2637,11 @@ WalletService.prototype.createTx = function(opts, cb) {
   };
 
   self._runLocked(cb, function(cb) {
-    var txp, changeAddress, feePerKb;
+    var txp, changeAddress, feePerKb, cpfpFee;
     self.getWallet({}, function(err, wallet) {
       if (err) return cb(err);
       if (!wallet.isComplete()) return cb(Errors.WALLET_NOT_COMPLETE);
+      if (wallet.isMigrated()) return cb(Errors.WALLET_MIGRATED);
 
       if (wallet.scanStatus == 'error') 
         return cb(Errors.WALLET_NEED_SCAN);
@@ -2407,6 +2679,14 @@ WalletService.prototype.createTx = function(opts, cb) {
               next();
             });
           },
+          function(next) {
+            if (!opts.cpfpTxid) return next();
+            self._getCpfpFee(wallet, opts.cpfpTxid, feePerKb, function(err, fee) {
+              if (err) return next(err);
+              cpfpFee = fee;
+              next();
+            });
+          },
           function(next) {
             var txOpts = {
               id: opts.txProposalId,
@@ -2423,12 +2703,16 @@ WalletService.prototype.createTx = function(opts, cb) {
               walletM: wallet.m,
               walletN: wallet.n,
               excludeUnconfirmedUtxos: !!opts.excludeUnconfirmedUtxos,
+              coinSelection: opts.coinSelection,
               validateOutputs: !opts.validateOutputs,
               addressType: wallet.addressType,
               customData: opts.customData,
               inputs: opts.inputs,
               fee: opts.inputs && !_.isNumber(opts.feePerKb) ? opts.fee : null,
-              noShuffleOutputs: opts.noShuffleOutputs
+              noShuffleOutputs: opts.noShuffleOutputs,
+              cpfpTxid: opts.cpfpTxid,
+              cpfpFee: cpfpFee,
+              expiresOn: opts.expiresOn || (wallet.txpExpiration ? Math.floor(Date.now() / 1000) + wallet.txpExpiration : null),
             };
 
             txp = Model.TxProposal.create(txOpts);
@@ -2437,6 +2721,9 @@ WalletService.prototype.createTx = function(opts, cb) {
           function(next) {
             self._selectTxInputs(txp, opts.utxosToExclude, next);
           },
+          function(next) {
+            self._checkSpendingPolicy(txp, next);
+          },
           function(next) {
             if (!changeAddress || wallet.singleAddress || opts.dryRun) return next();
             self._store(wallet, txp.changeAddress, next);
@@ -2474,64 +2761,112 @@ WalletService.prototype._verifyRequestPubKey = function(requestPubKey, signature
 WalletService.prototype.publishTx = function(opts, cb) {
   var self = this;
 
+  if (!self._checkNotObserver(cb)) return;
+
   function utxoKey(utxo) {
     return utxo.txid + '|' + utxo.vout
   };
 
   if (!checkRequired(opts, ['txProposalId', 'proposalSignature'], cb)) return;
 
-  self._runLocked(cb, function(cb) {
-    self.getWallet({}, function(err, wallet) {
+  // The payment request is fetched before locking the wallet, as the merchant may take long to respond
+  self.storage.fetchTx(self.walletId, opts.txProposalId, function(err, txp) {
+    if (err) return cb(err);
+
+    self._getPayProPaymentRequest(txp, function(err, paymentRequest) {
       if (err) return cb(err);
 
-      self.storage.fetchTx(self.walletId, opts.txProposalId, function(err, txp) {
-        if (err) return cb(err);
-        if (!txp) return cb(Errors.TX_NOT_FOUND);
-        if (!txp.isTemporary()) return cb(null, txp);
+      self._runLocked(cb, function(cb) {
+        self.getWallet({}, function(err, wallet) {
+          if (err) return cb(err);
 
-        var copayer = wallet.getCopayer(self.copayerId);
+          self.storage.fetchTx(self.walletId, opts.txProposalId, function(err, txp) {
+            if (err) return cb(err);
+            if (!txp) return cb(Errors.TX_NOT_FOUND);
+            if (!txp.isTemporary()) return cb(null, txp);
+            if (txp.expiresOn && txp.expiresOn <= Math.floor(Date.now() / 1000)) return cb(Errors.TX_EXPIRED);
+            if (wallet.isMigrated() && !txp.isMigration) return cb(Errors.WALLET_MIGRATED);
+
+            var copayer = wallet.getCopayer(self.copayerId);
+
+            var raw;
+            try {
+              raw = txp.getRawTx();
+            } catch (ex) {
+              return cb(ex);
+            }
+            var signingKey = self._getSigningKey(raw, opts.proposalSignature, copayer.requestPubKeys);
+            if (!signingKey) {
+              return cb(new ClientError('Invalid proposal signature'));
+            }
 
-        var raw;
-        try {
-          raw = txp.getRawTx();
-        } catch (ex) {
-          return cb(ex);
-        }
-        var signingKey = self._getSigningKey(raw, opts.proposalSignature, copayer.requestPubKeys);
-        if (!signingKey) {
-          return cb(new ClientError('Invalid proposal signature'));
-        }
+            // Suggested consolidations are owned by the copayer publishing them
+            if (txp.isConsolidation && !txp.creatorId) {
+              txp.creatorId = self.copayerId;
+              txp.expiresOn = wallet.txpExpiration ? Math.floor(Date.now() / 1000) + wallet.txpExpiration : null;
+            }
 
-        // Save signature info for other copayers to check
-        txp.proposalSignature = opts.proposalSignature;
-        if (signingKey.selfSigned) {
-          txp.proposalSignaturePubKey = signingKey.key;
-          txp.proposalSignaturePubKeySig = signingKey.signature;
-        }
+            // Save signature info for other copayers to check
+            txp.proposalSignature = opts.proposalSignature;
+            if (signingKey.selfSigned) {
+              txp.proposalSignaturePubKey = signingKey.key;
+              txp.proposalSignaturePubKeySig = signingKey.signature;
+            }
 
-        // Verify UTXOs are still available
+            function checkInputsAvailable(cb) {
+              // A replacement spends the very same inputs as the broadcasted tx it replaces
+              if (txp.replacesTxProposalId) {
+                self.storage.fetchTx(self.walletId, txp.replacesTxProposalId, function(err, replaced) {
+                  if (err) return cb(err);
+                  if (!replaced || !replaced.isBroadcasted()) return cb(Errors.UNAVAILABLE_UTXOS);
+                  return cb();
+                });
+                return;
+              }
+
+              // Verify UTXOs are still available
+              log.debug('Rechecking UTXOs availability for publishTx');
+              self._getUtxosForCurrentWallet({
+                addresses: txp.inputs,
+              }, function(err, utxos) {
+                if (err) return cb(err);
+
+                var txpInputs = _.map(txp.inputs, utxoKey);
+                var utxosIndex = _.keyBy(utxos, utxoKey);
+                var unavailable = _.some(txpInputs, function(i) {
+                  var utxo = utxosIndex[i];
+                  return !utxo || utxo.locked || utxo.frozen;
+                });
+
+                if (unavailable) return cb(Errors.UNAVAILABLE_UTXOS);
+                return cb();
+              });
+            };
 
-        log.debug('Rechecking UTXOs availability for publishTx');
-        self._getUtxosForCurrentWallet({
-          addresses: txp.inputs,
-        }, function(err, utxos) {
-          if (err) return cb(err);
-
-          var txpInputs = _.map(txp.inputs, utxoKey);
-          var utxosIndex = _.keyBy(utxos, utxoKey);
-          var unavailable = _.some(txpInputs, function(i) {
-            var utxo = utxosIndex[i];
-            return !utxo || utxo.locked;
-          });
-
-          if (unavailable) return cb(Errors.UNAVAILABLE_UTXOS);
-
-          txp.status = 'pending';
-          self.storage.storeTx(self.walletId, txp, function(err) {
-            if (err) return cb(err);
-
-            self._notifyTxProposalAction('NewTxProposal', txp, function() {
-              return cb(null, txp);
+            async.series([
+
+              function(next) {
+                checkInputsAvailable(next);
+              },
+              function(next) {
+                self._checkSpendingPolicy(txp, next);
+              },
+              function(next) {
+                self._verifyPayPro(txp, paymentRequest, next);
+              },
+            ], function(err) {
+              if (err) return cb(err);
+
+              txp.status = 'pending';
+              self.storage.storeTx(self.walletId, txp, function(err) {
+                if (err) return cb(err);
+
+                self._notifyTxProposalAction('NewTxProposal', txp, txp.payProUrl ? {
+                  payProVerified: txp.payProVerified,
+                } : {}, function() {
+                  return cb(null, txp);
+                });
+              });
             });
           });
         });
@@ -2553,14 +2888,21 @@ WalletService.prototype.getTx = function(opts, cb) {
     if (err) return cb(err);
     if (!txp) return cb(Errors.TX_NOT_FOUND);
 
-    if (!txp.txid) return cb(null, txp);
+    self._expireTxsIfNeeded([txp], function(err, txps) {
+      if (err) return cb(err);
 
-    self.storage.fetchTxNote(self.walletId, txp.txid, function(err, note) {
-      if (err) {
-        self.logw('Error fetching tx note for ' + txp.txid);
-      }
-      txp.note = note;
-      return cb(null, txp);
+      txp = txps[0];
+      if (!txp) return cb(Errors.TX_NOT_FOUND);
+
+      if (!txp.txid) return cb(null, txp);
+
+      self.storage.fetchTxNote(self.walletId, txp.txid, function(err, note) {
+        if (err) {
+          self.logw('Error fetching tx note for ' + txp.txid);
+        }
+        txp.note = note;
+        return cb(null, txp);
+      });
     });
   });
 };
@@ -2622,6 +2964,125 @@ WalletService.prototype.getTxNotes = function(opts, cb) {
   self.storage.fetchTxNotes(self.walletId, opts, cb);
 };
 
+/**
+ * Add a comment to a tx proposal. Other copayers are notified with a TxProposalComment notification.
+ * @param {Object} opts
+ * @param {string} opts.txProposalId - The tx proposal id.
+ * @param {string} opts.body - The contents of the comment, encrypted client-side like the proposal message.
+ * @returns {Object} comment
+ */
+WalletService.prototype.addTxProposalComment = function(opts, cb) {
+  var self = this;
+
+  if (!checkRequired(opts, ['txProposalId', 'body'], cb)) return;
+
+  if (!_.isString(opts.body) || _.isEmpty(opts.body) || opts.body.length > Defaults.MAX_TXP_COMMENT_LENGTH)
+    return cb(new ClientError('Invalid comment'));
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+
+    self.storage.fetchTx(self.walletId, opts.txProposalId, function(err, txp) {
+      if (err) return cb(err);
+      if (!txp) return cb(Errors.TX_NOT_FOUND);
+
+      var comment = Model.TxProposalComment.create({
+        walletId: self.walletId,
+        txProposalId: txp.id,
+        copayerId: self.copayerId,
+        body: opts.body,
+      });
+      self.storage.storeTxProposalComment(comment, function(err) {
+        if (err) return cb(err);
+
+        comment.copayerName = wallet.getCopayer(self.copayerId).name;
+        self._notifyTxProposalAction('TxProposalComment', txp, {
+          commentId: comment.id,
+        }, function() {
+          return cb(null, comment);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Get the comments of a tx proposal, oldest first.
+ * @param {Object} opts
+ * @param {string} opts.txProposalId - The tx proposal id.
+ * @returns {Array} comments
+ */
+WalletService.prototype.getTxProposalComments = function(opts, cb) {
+  var self = this;
+
+  if (!checkRequired(opts, ['txProposalId'], cb)) return;
+
+  self.storage.fetchTx(self.walletId, opts.txProposalId, function(err, txp) {
+    if (err) return cb(err);
+    if (!txp) return cb(Errors.TX_NOT_FOUND);
+
+    self.storage.fetchTxProposalComments(self.walletId, txp.id, cb);
+  });
+};
+
+/**
+ * Edit the label and frozen flag of a UTXO. Frozen UTXOs are not spent nor counted as available balance.
+ * @param {Object} opts
+ * @param {string} opts.txid - The txid of the UTXO.
+ * @param {number} opts.vout - The output index of the UTXO.
+ * @param {string} opts.label - Optional. A label for the UTXO.
+ * @param {Boolean} opts.frozen - Optional. Freeze or unfreeze the UTXO.
+ */
+WalletService.prototype.editUtxoMetadata = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  if (!checkRequired(opts, ['txid', 'vout'], cb)) return;
+
+  if (!_.isInteger(opts.vout) || opts.vout < 0)
+    return cb(new ClientError('Invalid vout'));
+  if (!_.isUndefined(opts.label) && !_.isNull(opts.label) &&
+    (!_.isString(opts.label) || opts.label.length > Defaults.MAX_UTXO_LABEL_LENGTH))
+    return cb(new ClientError('Invalid label'));
+  if (!_.isUndefined(opts.frozen) && !_.isBoolean(opts.frozen))
+    return cb(new ClientError('Invalid frozen flag'));
+
+  self._runLocked(cb, function(cb) {
+    self.storage.fetchUtxoMetadata(self.walletId, opts.txid, opts.vout, function(err, metadata) {
+      if (err) return cb(err);
+
+      if (!metadata) {
+        metadata = Model.UtxoMetadata.create({
+          walletId: self.walletId,
+          txid: opts.txid,
+          vout: opts.vout,
+          copayerId: self.copayerId,
+        });
+      }
+      metadata.edit(opts, self.copayerId);
+
+      self.storage.storeUtxoMetadata(metadata, function(err) {
+        if (err) return cb(err);
+        return cb(null, metadata);
+      });
+    });
+  });
+};
+
+/**
+ * Get the label and frozen flag of a UTXO.
+ * @param {Object} opts
+ * @param {string} opts.txid - The txid of the UTXO.
+ * @param {number} opts.vout - The output index of the UTXO.
+ */
+WalletService.prototype.getUtxoMetadata = function(opts, cb) {
+  var self = this;
+
+  if (!checkRequired(opts, ['txid', 'vout'], cb)) return;
+  self.storage.fetchUtxoMetadata(self.walletId, opts.txid, opts.vout, cb);
+};
+
 /**
  * removeWallet
  *
@@ -2632,6 +3093,8 @@ WalletService.prototype.getTxNotes = function(opts, cb) {
 WalletService.prototype.removeWallet = function(opts, cb) {
   var self = this;
 
+  if (!self._checkNotObserver(cb)) return;
+
   self._runLocked(cb, function(cb) {
     self.storage.removeWallet(self.walletId, cb);
   });
@@ -2667,14 +3130,15 @@ WalletService.prototype.getRemainingDeleteLockTime = function(txp) {
 WalletService.prototype.removePendingTx = function(opts, cb) {
   var self = this;
 
+  if (!self._checkNotObserver(cb)) return;
+
   if (!checkRequired(opts, ['txProposalId'], cb)) return;
 
   self._runLocked(cb, function(cb) {
 
-    self.getTx({
-      txProposalId: opts.txProposalId,
-    }, function(err, txp) {
+    self.storage.fetchTx(self.walletId, opts.txProposalId, function(err, txp) {
       if (err) return cb(err);
+      if (!txp) return cb(Errors.TX_NOT_FOUND);
 
       if (!txp.isPending()) return cb(Errors.TX_NOT_PENDING);
 
@@ -2682,7 +3146,10 @@ WalletService.prototype.removePendingTx = function(opts, cb) {
       if (deleteLockTime > 0) return cb(Errors.TX_CANNOT_REMOVE);
 
       self.storage.removeTx(self.walletId, txp.id, function() {
-        self._notifyTxProposalAction('TxProposalRemoved', txp, cb);
+        self.storage.removeTxProposalComments(self.walletId, txp.id, function(err) {
+          if (err) self.logw('Error removing comments of tx proposal ' + txp.id);
+          self._notifyTxProposalAction('TxProposalRemoved', txp, cb);
+        });
       });
     });
   });
@@ -2714,7 +3181,7 @@ WalletService.prototype.broadcastRawTx = function(opts, cb) {
     return cb(new ClientError('Invalid coin'));
 
   opts.network = opts.network || 'livenet';
-  if (!Utils.checkValueInCollection(opts.network, Constants.NETWORKS))
+  if (!_.includes(Constants.COIN_NETWORKS[opts.coin], opts.network))
     return cb(new ClientError('Invalid network'));
 
   self._broadcastRawTx(opts.coin, opts.network, opts.rawTx, cb);
@@ -2740,6 +3207,8 @@ WalletService.prototype._checkTxInBlockchain = function(txp, cb) {
 WalletService.prototype.signTx = function(opts, cb) {
   var self = this;
 
+  if (!self._checkNotObserver(cb)) return;
+
   if (!checkRequired(opts, ['txProposalId', 'signatures'], cb)) return;
 
   self.getWallet({}, function(err, wallet) {
@@ -2754,84 +3223,134 @@ WalletService.prototype.signTx = function(opts, cb) {
         copayerId: self.copayerId
       });
       if (action) return cb(Errors.COPAYER_VOTED);
+      if (txp.isExpired()) return cb(Errors.TX_EXPIRED);
       if (!txp.isPending()) return cb(Errors.TX_NOT_PENDING);
 
       var copayer = wallet.getCopayer(self.copayerId);
 
-      try {
-        if (!txp.sign(self.copayerId, opts.signatures, copayer.xPubKey)) {
-          self.logw('Error signing transaction (BAD_SIGNATURES)');
-          self.logw('Client version:', self.clientVersion);
-          self.logw('Arguments:', JSON.stringify(opts));
-          self.logw('Transaction proposal:', JSON.stringify(txp));
-          var raw = txp.getBitcoreTx().uncheckedSerialize();
-          self.logw('Raw tx:', raw);
-          return cb(Errors.BAD_SIGNATURES);
+      // Limits could have been reached or changed since the proposal was published
+      self._checkSpendingPolicy(txp, function(err) {
+        if (err) return cb(err);
+
+        try {
+          if (!txp.sign(self.copayerId, opts.signatures, copayer.xPubKey)) {
+            self.logw('Error signing transaction (BAD_SIGNATURES)');
+            self.logw('Client version:', self.clientVersion);
+            self.logw('Arguments:', JSON.stringify(opts));
+            self.logw('Transaction proposal:', JSON.stringify(txp));
+            var raw = txp.getBitcoreTx().uncheckedSerialize();
+            self.logw('Raw tx:', raw);
+            return cb(Errors.BAD_SIGNATURES);
+          }
+        } catch (ex) {
+          self.logw('Error signing transaction proposal', ex);
+          return cb(ex);
         }
-      } catch (ex) {
-        self.logw('Error signing transaction proposal', ex);
-        return cb(ex);
-      }
 
-      self.storage.storeTx(self.walletId, txp, function(err) {
-        if (err) return cb(err);
+        self.storage.storeTx(self.walletId, txp, function(err) {
+          if (err) return cb(err);
 
-        async.series([
+          async.series([
 
-          function(next) {
-            self._notifyTxProposalAction('TxProposalAcceptedBy', txp, {
-              copayerId: self.copayerId,
-            }, next);
-          },
-          function(next) {
-            if (txp.isAccepted()) {
-              self._notifyTxProposalAction('TxProposalFinallyAccepted', txp, next);
-            } else {
-              next();
-            }
-          },
-        ], function() {
-          return cb(null, txp);
+            function(next) {
+              self._notifyTxProposalAction('TxProposalAcceptedBy', txp, {
+                copayerId: self.copayerId,
+              }, next);
+            },
+            function(next) {
+              if (txp.isAccepted()) {
+                self._notifyTxProposalAction('TxProposalFinallyAccepted', txp, next);
+              } else {
+                next();
+              }
+            },
+          ], function() {
+            return cb(null, txp);
+          });
         });
       });
     });
   });
 };
 
-WalletService.prototype._processBroadcast = function(txp, opts, cb) {
+/**
+ * Export a transaction proposal as a BIP174 PSBT, including the signatures collected so far.
+ * @param {Object} opts
+ * @param {string} opts.txProposalId - The identifier of the transaction.
+ * @returns {Object} psbt - base64 encoded PSBT.
+ */
+WalletService.prototype.getTxPsbt = function(opts, cb) {
   var self = this;
-  $.checkState(txp.txid);
-  opts = opts || {};
 
-  txp.setBroadcasted();
-  self.storage.storeTx(self.walletId, txp, function(err) {
+  if (!checkRequired(opts, ['txProposalId'], cb)) return;
+
+  self.getWallet({}, function(err, wallet) {
     if (err) return cb(err);
 
-    var extraArgs = {
-      txid: txp.txid,
-    };
-    if (opts.byThirdParty) {
-      self._notifyTxProposalAction('NewOutgoingTxByThirdParty', txp, extraArgs);
-    } else {
-      self._notifyTxProposalAction('NewOutgoingTx', txp, extraArgs);
-    }
+    self.getTx({
+      txProposalId: opts.txProposalId
+    }, function(err, txp) {
+      if (err) return cb(err);
+
+      self._getPrevTxs(wallet, txp, function(err, prevTxs) {
+        if (err) return cb(err);
+
+        var psbt;
+        try {
+          psbt = txp.getPsbt(wallet.getSigners(), prevTxs);
+        } catch (ex) {
+          self.logw('Error exporting transaction proposal as PSBT', ex);
+          return cb(ex);
+        }
 
-    self.storage.softResetTxHistoryCache(self.walletId, function() {
-      return cb(err, txp);
+        return cb(null, {
+          psbt: psbt
+        });
+      });
     });
   });
 };
 
+/**
+ * Fetches the raw previous transactions of the non-segwit inputs of a tx proposal, by txid.
+ */
+WalletService.prototype._getPrevTxs = function(wallet, txp, cb) {
+  var self = this;
+
+  if (_.includes(Constants.SEGWIT_SCRIPT_TYPES, txp.addressType)) return cb(null, {});
+
+  var bc = self._getBlockchainExplorer(wallet.coin, wallet.network);
+  if (!bc) return cb(new Error('Could not get blockchain explorer instance'));
+
+  var txids = _.uniq(_.map(txp.inputs, 'txid'));
+  async.mapSeries(txids, function(txid, next) {
+    bc.getRawTransaction(txid, function(err, raw) {
+      if (err) return next(err);
+      if (!raw) return next(new Error('Could not get previous transaction ' + txid));
+      return next(null, raw);
+    });
+  }, function(err, raws) {
+    if (err) {
+      self.logw('Error fetching previous transactions', err);
+      return cb(err);
+    }
+    return cb(null, _.zipObject(txids, raws));
+  });
+};
 
 /**
- * Broadcast a transaction proposal.
+ * Sign a transaction proposal with a (partially) signed BIP174 PSBT.
+ * Only the signatures of the requesting copayer are taken from the PSBT.
  * @param {Object} opts
  * @param {string} opts.txProposalId - The identifier of the transaction.
+ * @param {string} opts.psbt - base64 encoded PSBT.
  */
-WalletService.prototype.broadcastTx = function(opts, cb) {
+WalletService.prototype.signTxWithPsbt = function(opts, cb) {
   var self = this;
 
-  if (!checkRequired(opts, ['txProposalId'], cb)) return;
+  if (!self._checkNotObserver(cb)) return;
+
+  if (!checkRequired(opts, ['txProposalId', 'psbt'], cb)) return;
 
   self.getWallet({}, function(err, wallet) {
     if (err) return cb(err);
@@ -2841,132 +3360,475 @@ WalletService.prototype.broadcastTx = function(opts, cb) {
     }, function(err, txp) {
       if (err) return cb(err);
 
-      if (txp.status == 'broadcasted') return cb(Errors.TX_ALREADY_BROADCASTED);
-      if (txp.status != 'accepted') return cb(Errors.TX_NOT_ACCEPTED);
+      var copayer = wallet.getCopayer(self.copayerId);
 
-      var raw;
+      var signatures;
       try {
-        raw = txp.getRawTx();
+        signatures = txp.getSignaturesFromPsbt(opts.psbt, copayer.xPubKey);
       } catch (ex) {
-        return cb(ex);
+        return cb(new ClientError(Errors.codes.INVALID_PSBT, ex.message));
       }
-      self._broadcastRawTx(wallet.coin, wallet.network, raw, function(err, txid) {
-        if (err) {
-          var broadcastErr = err;
-          // Check if tx already in blockchain
-          self._checkTxInBlockchain(txp, function(err, isInBlockchain) {
-            if (err) return cb(err);
-            if (!isInBlockchain) return cb(broadcastErr);
 
-            self._processBroadcast(txp, {
-              byThirdParty: true
-            }, cb);
-          });
-        } else {
-          self._processBroadcast(txp, {
-            byThirdParty: false
-          }, function(err) {
-            if (err) return cb(err);
-            return cb(null, txp);
-          });
-        }
-      });
+      self.signTx({
+        txProposalId: opts.txProposalId,
+        signatures: signatures,
+      }, cb);
     });
   });
 };
 
-/**
- * Reject a transaction proposal.
- * @param {Object} opts
- * @param {string} opts.txProposalId - The identifier of the transaction.
- * @param {string} [opts.reason] - A message to other copayers explaining the rejection.
- */
-WalletService.prototype.rejectTx = function(opts, cb) {
+WalletService.prototype._processBroadcast = function(txp, opts, cb) {
   var self = this;
+  $.checkState(txp.txid);
+  opts = opts || {};
 
-  if (!checkRequired(opts, ['txProposalId'], cb)) return;
+  function markReplaced(cb) {
+    if (!txp.replacesTxProposalId) return cb();
 
-  self.getTx({
-    txProposalId: opts.txProposalId
-  }, function(err, txp) {
-    if (err) return cb(err);
+    self.storage.fetchTx(self.walletId, txp.replacesTxProposalId, function(err, replaced) {
+      if (err) return cb(err);
+      if (!replaced || !replaced.isBroadcasted()) return cb();
 
-    var action = _.find(txp.actions, {
-      copayerId: self.copayerId
+      replaced.setReplaced(txp);
+      self.storage.storeTx(self.walletId, replaced, cb);
     });
+  };
 
-    if (action) return cb(Errors.COPAYER_VOTED);
-    if (txp.status != 'pending') return cb(Errors.TX_NOT_PENDING);
-
-    txp.reject(self.copayerId, opts.reason);
+  txp.setBroadcasted();
+  self.storage.storeTx(self.walletId, txp, function(err) {
+    if (err) return cb(err);
 
-    self.storage.storeTx(self.walletId, txp, function(err) {
+    markReplaced(function(err) {
       if (err) return cb(err);
 
-      async.series([
-
-        function(next) {
-          self._notifyTxProposalAction('TxProposalRejectedBy', txp, {
-            copayerId: self.copayerId,
-          }, next);
-        },
-        function(next) {
-          if (txp.status == 'rejected') {
-            var rejectedBy = _.map(_.filter(txp.actions, {
-              type: 'reject'
-            }), 'copayerId');
+      var extraArgs = {
+        txid: txp.txid,
+      };
+      if (opts.byThirdParty) {
+        self._notifyTxProposalAction('NewOutgoingTxByThirdParty', txp, extraArgs);
+      } else {
+        self._notifyTxProposalAction('NewOutgoingTx', txp, extraArgs);
+      }
 
-            self._notifyTxProposalAction('TxProposalFinallyRejected', txp, {
-              rejectedBy: rejectedBy,
-            }, next);
-          } else {
-            next();
-          }
-        },
-      ], function() {
-        return cb(null, txp);
+      self.storage.softResetTxHistoryCache(self.walletId, function() {
+        return cb(err, txp);
       });
     });
   });
 };
 
+
 /**
- * Retrieves pending transaction proposals.
- * @param {Object} opts
- * @returns {TxProposal[]} Transaction proposal.
+ * Fetches the merchant payment request of a tx proposal with a payProUrl, not yet published.
+ * Payment requests are only verified once a trust store of merchant signing keys or root certificates is configured.
  */
-WalletService.prototype.getPendingTxs = function(opts, cb) {
+WalletService.prototype._getPayProPaymentRequest = function(txp, cb) {
   var self = this;
 
-  self.storage.fetchPendingTxs(self.walletId, function(err, txps) {
-    if (err) return cb(err);
+  if (!txp || !txp.isTemporary() || !txp.payProUrl) return cb();
+  if (_.isEmpty(self.payProOpts.trustedKeys) && _.isEmpty(self.payProOpts.trustedRoots)) return cb();
 
-    _.each(txps, function(txp) {
-      txp.deleteLockTime = self.getRemainingDeleteLockTime(txp);
-    });
+  PayPro.getPaymentRequest({
+    url: txp.payProUrl,
+    coin: txp.coin,
+    network: txp.network,
+    trustedKeys: self.payProOpts.trustedKeys,
+    trustedRoots: self.payProOpts.trustedRoots,
+    request: request,
+  }, cb);
+};
 
-    async.each(txps, function(txp, next) {
-      if (txp.status != 'accepted') return next();
+/**
+ * Checks a tx proposal against the payment request of the merchant and stores the verified payment request details
+ * in txp.payPro. Proposals with a payProUrl are flagged with txp.payProVerified, so co-signers know whether their
+ * outputs were checked against the payment request.
+ */
+WalletService.prototype._verifyPayPro = function(txp, paymentRequest, cb) {
+  if (!txp.payProUrl) return cb();
 
-      self._checkTxInBlockchain(txp, function(err, isInBlockchain) {
-        if (err || !isInBlockchain) return next(err);
-        self._processBroadcast(txp, {
-          byThirdParty: true
-        }, next);
-      });
-    }, function(err) {
-      return cb(err, _.reject(txps, function(txp) {
-        return txp.status == 'broadcasted';
-      }));
-    });
+  txp.payProVerified = false;
+  if (!paymentRequest) return cb();
+
+  if (!PayPro.checkOutputs(paymentRequest, txp))
+    return cb(new ClientError(Errors.codes.INVALID_PAYMENT_REQUEST, 'Transaction outputs do not match the payment request'));
+
+  txp.payPro = _.assign(_.omit(paymentRequest, 'outputs'), {
+    verifiedOn: Math.floor(Date.now() / 1000),
   });
+  txp.payProVerified = true;
+  return cb();
 };
 
 /**
- * Retrieves all transaction proposals in the range (maxTs-minTs)
- * Times are in UNIX EPOCH
- *
- * @param {Object} opts.minTs (defaults to 0)
+ * Submits the payment of a verified payment request to the merchant and stores the acknowledgement in txp.payProAck.
+ */
+WalletService.prototype._sendPayProPayment = function(txp, raw, cb) {
+  var self = this;
+
+  if (!txp.payPro || txp.payProAck) return cb();
+
+  PayPro.sendPayment({
+    protocol: txp.payPro.protocol,
+    paymentUrl: txp.payPro.paymentUrl,
+    merchantData: txp.payPro.merchantData,
+    coin: txp.coin,
+    rawTx: raw,
+    request: request,
+  }, function(err, ack) {
+    if (err) return cb(err);
+
+    txp.payProAck = {
+      memo: ack.memo,
+      submittedOn: Math.floor(Date.now() / 1000),
+    };
+    self.storage.storeTx(self.walletId, txp, cb);
+  });
+};
+
+/**
+ * Broadcast a transaction proposal.
+ * @param {Object} opts
+ * @param {string} opts.txProposalId - The identifier of the transaction.
+ */
+WalletService.prototype.broadcastTx = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  if (!checkRequired(opts, ['txProposalId'], cb)) return;
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+
+    self.getTx({
+      txProposalId: opts.txProposalId
+    }, function(err, txp) {
+      if (err) return cb(err);
+
+      if (txp.status == 'broadcasted') return cb(Errors.TX_ALREADY_BROADCASTED);
+      if (txp.status != 'accepted') return cb(Errors.TX_NOT_ACCEPTED);
+
+      var raw;
+      try {
+        raw = txp.getRawTx();
+      } catch (ex) {
+        return cb(ex);
+      }
+      // Migrations are complete once their sweeps are broadcasted
+      function processBroadcast(opts, cb) {
+        self._processBroadcast(txp, opts, function(err) {
+          if (err) return cb(err);
+          if (!txp.isMigration) return cb(null, txp);
+          self._completeWalletMigration(function(err) {
+            return cb(err, txp);
+          });
+        });
+      };
+
+      self._sendPayProPayment(txp, raw, function(err) {
+        if (err) return cb(err);
+
+        self._broadcastRawTx(wallet.coin, wallet.network, raw, function(err, txid) {
+          if (err) {
+            var broadcastErr = err;
+            // Check if tx already in blockchain (the merchant may have broadcasted it)
+            self._checkTxInBlockchain(txp, function(err, isInBlockchain) {
+              if (err) return cb(err);
+              if (!isInBlockchain) return cb(broadcastErr);
+
+              processBroadcast({
+                byThirdParty: true
+              }, cb);
+            });
+          } else {
+            processBroadcast({
+              byThirdParty: false
+            }, cb);
+          }
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Creates a new tx proposal replacing a broadcasted (but unconfirmed) one with a higher fee (BIP125 Replace-By-Fee).
+ * The new proposal spends the same inputs, pays the same outputs and needs to be published and signed as usual.
+ * The higher fee is taken from the change, so the original proposal needs to have a change output.
+ * Once it is broadcasted the original proposal is marked as replaced.
+ * @param {Object} opts
+ * @param {string} opts.txProposalId - The identifier of the broadcasted transaction proposal.
+ * @param {string} opts.feeLevel - Optional. Specify the new fee level ('priority', 'normal', 'economy', 'superEconomy') as defined in Defaults.FEE_LEVELS.
+ * @param {number} opts.feePerKb - Optional. Specify the new fee per KB (in satoshi).
+ * @returns {TxProposal} The replacement transaction proposal (temporary).
+ */
+WalletService.prototype.bumpTxFee = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  if (!checkRequired(opts, ['txProposalId'], cb)) return;
+
+  if (opts.feeLevel && _.isNumber(opts.feePerKb))
+    return cb(new ClientError('Only one of feeLevel/feePerKb can be specified'));
+  if (!opts.feeLevel && !_.isNumber(opts.feePerKb))
+    return cb(new ClientError('Either feeLevel or feePerKb must be specified'));
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (wallet.isMigrated()) return cb(Errors.WALLET_MIGRATED);
+
+      if (opts.feeLevel && !_.some(Defaults.FEE_LEVELS[wallet.coin], {
+          name: opts.feeLevel
+        }))
+        return cb(new ClientError('Invalid fee level. Valid values are ' + _.map(Defaults.FEE_LEVELS[wallet.coin], 'name').join(', ')));
+
+      if (_.isNumber(opts.feePerKb) && (opts.feePerKb < Defaults.MIN_FEE_PER_KB || opts.feePerKb > Defaults.MAX_FEE_PER_KB))
+        return cb(new ClientError('Invalid fee per KB'));
+
+      self.storage.fetchTx(self.walletId, opts.txProposalId, function(err, original) {
+        if (err) return cb(err);
+        if (!original) return cb(Errors.TX_NOT_FOUND);
+        if (!original.isBroadcasted() || !original.enableRBF) return cb(Errors.TX_CANNOT_BUMP);
+        if (!original.changeAddress) return cb(Errors.TX_CANNOT_BUMP_WITHOUT_CHANGE);
+
+        var txp;
+        async.series([
+
+          function(next) {
+            var bc = self._getBlockchainExplorer(original.coin, original.network);
+            if (!bc) return next(new Error('Could not get blockchain explorer instance'));
+            bc.getTransaction(original.txid, function(err, tx) {
+              if (err) return next(err);
+              if (tx && tx.confirmations > 0) return next(Errors.TX_CANNOT_BUMP);
+              next();
+            });
+          },
+          function(next) {
+            self._getFeePerKb(wallet, opts, function(err, feePerKb) {
+              if (err) return next(err);
+              if (_.isNumber(original.feePerKb) && feePerKb <= original.feePerKb)
+                return next(new ClientError('Fee per KB should be higher than the one of the original transaction proposal'));
+
+              txp = Model.TxProposal.create({
+                walletId: self.walletId,
+                creatorId: self.copayerId,
+                coin: original.coin,
+                network: original.network,
+                outputs: original.outputs,
+                message: original.message,
+                payProUrl: original.payProUrl,
+                changeAddress: original.changeAddress,
+                feeLevel: opts.feeLevel,
+                feePerKb: feePerKb,
+                walletM: wallet.m,
+                walletN: wallet.n,
+                excludeUnconfirmedUtxos: original.excludeUnconfirmedUtxos,
+                addressType: original.addressType,
+                customData: original.customData,
+                inputs: original.inputs,
+                replacesTxProposalId: original.id,
+                replacesTxid: original.txid,
+              });
+              txp.outputOrder = original.outputOrder;
+              txp.estimateFee();
+              next();
+            });
+          },
+          function(next) {
+            var err = self._checkTx(txp);
+            if (err) return next(err);
+            if (txp.fee <= original.fee)
+              return next(new ClientError('Fee should be higher than the one of the original transaction proposal'));
+
+            self.logi('Bumping fee of ' + original.txid + ' from ' + Utils.formatAmountInBtc(original.fee) + ' to ' + Utils.formatAmountInBtc(txp.fee));
+            next();
+          },
+          function(next) {
+            self.storage.storeTx(self.walletId, txp, next);
+          },
+        ], function(err) {
+          if (err) return cb(err);
+          return cb(null, txp);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Reject a transaction proposal.
+ * @param {Object} opts
+ * @param {string} opts.txProposalId - The identifier of the transaction.
+ * @param {string} [opts.reason] - A message to other copayers explaining the rejection.
+ */
+WalletService.prototype.rejectTx = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  if (!checkRequired(opts, ['txProposalId'], cb)) return;
+
+  self.getTx({
+    txProposalId: opts.txProposalId
+  }, function(err, txp) {
+    if (err) return cb(err);
+
+    var action = _.find(txp.actions, {
+      copayerId: self.copayerId
+    });
+
+    if (action) return cb(Errors.COPAYER_VOTED);
+    if (txp.status != 'pending') return cb(Errors.TX_NOT_PENDING);
+
+    txp.reject(self.copayerId, opts.reason);
+
+    self.storage.storeTx(self.walletId, txp, function(err) {
+      if (err) return cb(err);
+
+      async.series([
+
+        function(next) {
+          self._notifyTxProposalAction('TxProposalRejectedBy', txp, {
+            copayerId: self.copayerId,
+          }, next);
+        },
+        function(next) {
+          if (txp.status == 'rejected') {
+            var rejectedBy = _.map(_.filter(txp.actions, {
+              type: 'reject'
+            }), 'copayerId');
+
+            self._notifyTxProposalAction('TxProposalFinallyRejected', txp, {
+              rejectedBy: rejectedBy,
+            }, next);
+          } else {
+            next();
+          }
+        },
+      ], function() {
+        return cb(null, txp);
+      });
+    });
+  });
+};
+
+WalletService.prototype._expireTx = function(txp, cb) {
+  var self = this;
+
+  txp.setExpired();
+  self.storage.storeTx(self.walletId, txp, function(err) {
+    if (err) return cb(err);
+
+    self.logi('Transaction proposal expired', txp.id);
+    self._notify('TxProposalExpired', {
+      txProposalId: txp.id,
+      creatorId: txp.creatorId,
+      amount: txp.getTotalAmount(),
+      message: txp.message,
+      expiresOn: txp.expiresOn,
+    }, {
+      isGlobal: true
+    }, cb);
+  });
+};
+
+/**
+ * Marks the given tx proposals past their expiresOn as expired. Each one is fetched again under the
+ * wallet lock, as it could have been signed or expired since it was read, so this must not be called
+ * while holding the lock.
+ * @returns {TxProposal[]} The given tx proposals, up to date.
+ */
+WalletService.prototype._expireTxsIfNeeded = function(txps, cb) {
+  var self = this;
+
+  async.mapSeries(txps, function(txp, next) {
+    if (!txp.hasExpired()) return next(null, txp);
+
+    self._runLocked(next, function(next) {
+      self.storage.fetchTx(self.walletId, txp.id, function(err, txp) {
+        if (err) return next(err);
+        if (!txp || !txp.hasExpired()) return next(null, txp);
+        self._expireTx(txp, function(err) {
+          return next(err, txp);
+        });
+      });
+    });
+  }, cb);
+};
+
+/**
+ * Expires the pending tx proposals of all wallets past their expiresOn, releasing their inputs.
+ * Pending tx proposals are also expired when read, this frees funds of wallets nobody is using.
+ */
+WalletService.sweepExpiredTxs = function(cb) {
+  var now = Math.floor(Date.now() / 1000);
+
+  storage.fetchExpiredPendingTxs(now, function(err, txps) {
+    if (err) return cb(err);
+
+    async.eachSeries(txps, function(txp, next) {
+      var server = WalletService.getInstance();
+      server.walletId = txp.walletId;
+      server._expireTxsIfNeeded([txp], function(err) {
+        return next(err);
+      });
+    }, cb);
+  });
+};
+
+/**
+ * Retrieves pending transaction proposals.
+ * @param {Object} opts
+ * @returns {TxProposal[]} Transaction proposal.
+ */
+WalletService.prototype.getPendingTxs = function(opts, cb) {
+  var self = this;
+
+  self.storage.fetchPendingTxs(self.walletId, function(err, txps) {
+    if (err) return cb(err);
+
+    self._expireTxsIfNeeded(txps, function(err, txps) {
+      if (err) return cb(err);
+      self._processPendingTxs(txps, cb);
+    });
+  });
+};
+
+WalletService.prototype._processPendingTxs = function(txps, cb) {
+  var self = this;
+
+  txps = _.filter(txps, function(txp) {
+    // Proposals past their expiresOn no longer lock their inputs, even before being marked as expired
+    return txp && txp.isPending() && !txp.hasExpired();
+  });
+
+  _.each(txps, function(txp) {
+    txp.deleteLockTime = self.getRemainingDeleteLockTime(txp);
+  });
+
+  async.each(txps, function(txp, next) {
+    if (txp.status != 'accepted') return next();
+
+    self._checkTxInBlockchain(txp, function(err, isInBlockchain) {
+      if (err || !isInBlockchain) return next(err);
+      self._processBroadcast(txp, {
+        byThirdParty: true
+      }, next);
+    });
+  }, function(err) {
+    return cb(err, _.reject(txps, function(txp) {
+      return txp.status == 'broadcasted';
+    }));
+  });
+};
+
+/**
+ * Retrieves all transaction proposals in the range (maxTs-minTs)
+ * Times are in UNIX EPOCH
+ *
+ * @param {Object} opts.minTs (defaults to 0)
  * @param {Object} opts.maxTs (defaults to now)
  * @param {Object} opts.limit
  * @returns {TxProposal[]} Transaction proposals, newer first
@@ -2975,7 +3837,11 @@ WalletService.prototype.getTxs = function(opts, cb) {
   var self = this;
   self.storage.fetchTxs(self.walletId, opts, function(err, txps) {
     if (err) return cb(err);
-    return cb(null, txps);
+
+    self._expireTxsIfNeeded(txps, function(err, txps) {
+      if (err) return cb(err);
+      return cb(null, _.compact(txps));
+    });
   });
 };
 
@@ -3010,6 +3876,78 @@ WalletService.prototype.getNotifications = function(opts, cb) {
   });
 };
 
+/**
+ * Streams the notifications of this wallet as they are generated.
+ * When resuming from a notificationId, the stored notifications issued after it are delivered first (right after
+ * the callback is called), so no events are lost between reconnections.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.notificationId (optional) - Resume after this notification.
+ * @param {Function} onNotification - Called with each notification.
+ * @returns {Function} unsubscribe - Stops the stream.
+ */
+WalletService.prototype.streamNotifications = function(opts, onNotification, cb) {
+  var self = this;
+  opts = opts || {};
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+
+    // Live notifications are queued until the stored ones are delivered
+    var queue = [],
+      seen = {},
+      ready = false,
+      stopped = false;
+
+    function deliver(notification) {
+      if (stopped) return;
+      if (seen) {
+        if (seen[notification.id]) return;
+        seen[notification.id] = true;
+      }
+      onNotification(notification);
+    };
+
+    function handler(notification) {
+      if (!notification || !_.includes([self.walletId, wallet.network], notification.walletId)) return;
+
+      notification = Model.Notification.fromObj(notification);
+      notification.walletId = self.walletId;
+      if (ready) return deliver(notification);
+      queue.push(notification);
+    };
+
+    function unsubscribe() {
+      stopped = true;
+      self.messageBroker.removeMessageHandler(handler);
+    };
+
+    self.messageBroker.onMessage(handler);
+
+    function fetchStored(next) {
+      if (!opts.notificationId) return next(null, []);
+      self.getNotifications({
+        notificationId: opts.notificationId,
+        minTs: +Date.now() - Defaults.MAX_NOTIFICATIONS_TIMESPAN * 1000,
+      }, next);
+    };
+
+    fetchStored(function(err, notifications) {
+      if (err) {
+        unsubscribe();
+        return cb(err);
+      }
+
+      cb(null, unsubscribe);
+
+      _.each(notifications, deliver);
+      _.each(queue, deliver);
+      ready = true;
+      queue = seen = null;
+    });
+  });
+};
+
 
 WalletService.prototype._normalizeV8TxHistory = function(txs, bcHeight) {
 
@@ -3020,6 +3958,11 @@ WalletService.prototype._normalizeV8TxHistory = function(txs, bcHeight) {
 //console.log('[server.js.2915:txs:] IN NORMALIZE',txs); //TODO
   var now = Math.floor(Date.now() / 1000);
 
+  // Data (OP_RETURN) outputs have no address. They are added to the outputs of their tx once grouped
+  var dataOutputs = _.remove(txs, function(tx) {
+    return (tx.category == 'send' || tx.category == 'receive') && (!tx.address || tx.address == 'false');
+  });
+
   // TODO make this better...
   // Group fees and moves
   //
@@ -3064,6 +4007,18 @@ WalletService.prototype._normalizeV8TxHistory = function(txs, bcHeight) {
     if (tx.category == 'move' && ! indexedSend[tx.txid] ) return true;
   });
 
+  _.each(dataOutputs, function(output) {
+    var tx = _.find(txs, {
+      txid: output.txid
+    });
+    if (!tx) return;
+    tx.outputs = tx.outputs || [];
+    tx.outputs.push({
+      type: 'data',
+      amount: Math.abs(output.satoshis || 0),
+    });
+  });
+
   var ret =  _.map([].concat(txs), function(tx) {
     var t = (new Date(tx.blockTime)).getTime()/1000;
     var c =  (bcHeight && tx.height >= 0) ?  bcHeight - tx.height + 1 : 0;
@@ -3091,6 +4046,7 @@ WalletService.prototype._normalizeV8TxHistory = function(txs, bcHeight) {
       case 'move':
         ret.action = 'moved';
         ret.amount =  Math.abs(tx.satoshis);
+        if (tx.outputs) ret.outputs = tx.outputs;
         break;
       default:
         ret.action = 'invalid';
@@ -3106,6 +4062,19 @@ WalletService.prototype._normalizeV8TxHistory = function(txs, bcHeight) {
 
 
 
+/**
+ * Returns the hex data of an OP_RETURN output script, or null for any other script.
+ */
+WalletService._getScriptData = function(scriptHex) {
+  if (!scriptHex || !_.startsWith(scriptHex, '6a')) return null;
+  try {
+    var script = new Bitcore.Script(scriptHex);
+    return script.isDataOut() ? script.getData().toString('hex') : null;
+  } catch (ex) {
+    return null;
+  }
+};
+
 WalletService.prototype._normalizeTxHistory = function(txs) {
   var now = Math.floor(Date.now() / 1000);
 
@@ -3124,10 +4093,17 @@ WalletService.prototype._normalizeTxHistory = function(txs) {
         itemAddr = item.scriptPubKey.addresses[0];
       }
 
-      return {
+      var output = {
         address: itemAddr,
         amount: parseInt((item.value * 1e8).toFixed(0)),
+      };
+
+      var data = item.scriptPubKey ? WalletService._getScriptData(item.scriptPubKey.hex) : null;
+      if (_.isString(data)) {
+        output.type = 'data';
+        output.data = data;
       }
+      return output;
     });
 
     var t = tx.blocktime; // blocktime
@@ -3151,21 +4127,18 @@ WalletService._cachedBlockheight;
 
 WalletService._initBlockchainHeightCache = function() {
   if (WalletService._cachedBlockheight) return;
-  WalletService._cachedBlockheight = {
-    btc: {
-      livenet: {},
-      testnet: {}
-    },
-    bch: {
-      livenet: {},
-      testnet: {}
-    },
-  };
+  WalletService._cachedBlockheight = {};
+  _.each(_.values(Constants.COINS), function(coin) {
+    WalletService._cachedBlockheight[coin] = {};
+    _.each(Constants.COIN_NETWORKS[coin], function(network) {
+      WalletService._cachedBlockheight[coin][network] = {};
+    });
+  });
 };
 
 WalletService._clearBlockchainHeightCache = function(coin, network) {
   WalletService._initBlockchainHeightCache();
-  if (!Utils.checkValueInCollection(network, Constants.NETWORKS)) {
+  if (!_.includes(Constants.COIN_NETWORKS[coin], network)) {
     log.error('Incorrect network in new block: ' + coin + '/' + network);
     return;
   }
@@ -3312,12 +4285,17 @@ WalletService._getResultTx = function(wallet, indexedAddresses, tx, opts) {
   function classify(items) {
     return _.map(items, function(item) {
       var address = indexedAddresses[item.address];
-      return {
+      var classified = {
         address: item.address,
         amount: item.amount,
         isMine: !!address,
         isChange: address ? (address.isChange || wallet.singleAddress) : false,
+      };
+      if (item.type == 'data') {
+        classified.type = 'data';
+        classified.data = item.data;
       }
+      return classified;
     });
   };
 
@@ -3340,8 +4318,8 @@ WalletService._getResultTx = function(wallet, indexedAddresses, tx, opts) {
 
     amount = Math.abs(amount);
     if (action == 'sent' || action == 'moved') {
-      var firstExternalOutput = _.find(outputs, {
-        isMine: false
+      var firstExternalOutput = _.find(outputs, function(o) {
+        return !o.isMine && o.type != 'data';
       });
       addressTo = firstExternalOutput ? firstExternalOutput.address : null;
     };
@@ -3356,6 +4334,7 @@ WalletService._getResultTx = function(wallet, indexedAddresses, tx, opts) {
   }
 
   function formatOutput(o) {
+    if (o.type == 'data') return _.pick(o, ['type', 'data', 'amount']);
     return {
       amount: o.amount,
       address: o.address
@@ -3382,15 +4361,16 @@ WalletService._getResultTx = function(wallet, indexedAddresses, tx, opts) {
       return _.pick(input, 'address', 'amount', 'isMine');
     });
     newTx.outputs = _.map(outputs, function(output) {
-      return _.pick(output, 'address', 'amount', 'isMine');
+      return _.pick(output, 'address', 'amount', 'isMine', 'type', 'data');
     });
   } else {
     outputs = _.filter(outputs, {
       isChange: false
     });
     if (action == 'received') {
-      outputs = _.filter(outputs, {
-        isMine: true
+      // Data outputs are shown to the receiver too
+      outputs = _.filter(outputs, function(o) {
+        return o.isMine || o.type == 'data';
       });
     }
     newTx.outputs = _.map(outputs, formatOutput);
@@ -3411,14 +4391,20 @@ WalletService._addProposalInfo = function (tx, indexedProposals) {
       return _.pick(action, ['createdOn', 'type', 'copayerId', 'copayerName', 'comment']);
     });
     _.each(tx.outputs, function(output) {
-      var query = {
+      var query = output.type == 'data' ? {
+        type: 'data'
+      } : {
         toAddress: output.address,
         amount: output.amount
       };
       var txpOut = _.find(proposal.outputs, query);
       output.message = txpOut ? txpOut.message : null;
+      // Data is not available in every history source
+      if (txpOut && output.type == 'data') output.data = txpOut.data;
     });
     tx.customData = proposal.customData;
+    if (proposal.replacesTxid) tx.replacesTxid = proposal.replacesTxid;
+    if (proposal.replacedByTxid) tx.replacedByTxid = proposal.replacedByTxid;
     // .sentTs = proposal.sentTs;
     // .merchant = proposal.merchant;
     //.paymentAckMemo = proposal.paymentAckMemo;
@@ -3432,6 +4418,15 @@ WalletService._addNotesInfo = function(tx, indexedNotes) {
   }
 };
 
+WalletService._addCommentsInfo = function(tx, indexedComments) {
+  var comments = tx.proposalId ? indexedComments[tx.proposalId] : null;
+  if (comments) {
+    tx.comments = _.map(comments, function(comment) {
+      return _.pick(comment, ['id', 'body', 'copayerId', 'copayerName', 'createdOn']);
+    });
+  }
+};
+
 WalletService.prototype.tagLowFeeTxs = function(wallet, txs, cb) {
   var self = this;
   var unconfirmed = _.filter(txs, {
@@ -3472,7 +4467,10 @@ WalletService.prototype._doGetTxHistoryV8 = function(bc, wallet, startBlock, bcH
   startBlock = startBlock || 0;
   log.debug(' ########### GET HISTORY v8 startBlock/bcH]',startBlock,bcHeight); //TODO
 
-  self._runLocked(cb, function(cb) {
+  self._runLocked(function(err, txs) {
+    if (err) return cb(err);
+    self._addReceivedDataOutputsV8(bc, txs, cb);
+  }, function(cb) {
     bc.getTransactions(wallet, startBlock, (err, txs) => {
       if (err) return cb(err);
 
@@ -3482,6 +4480,40 @@ WalletService.prototype._doGetTxHistoryV8 = function(bc, wallet, startBlock, bcH
   });
 };
 
+/**
+ * V8 only lists the outputs paying the wallet for received txs: their data (OP_RETURN) outputs, like
+ * the memos of the sender, are read from the tx outputs served by the explorer.
+ */
+WalletService.prototype._addReceivedDataOutputsV8 = function(bc, txs, cb) {
+  var self = this;
+
+  var received = _.filter(txs, {
+    action: 'received'
+  });
+
+  async.eachSeries(received, function(tx, next) {
+    bc.getTransactionOutputs(tx.txid, function(err, outputs) {
+      if (err) {
+        self.logw('Could not fetch the outputs of tx ' + tx.txid, err);
+        return next();
+      }
+      _.each(outputs, function(output) {
+        var data = WalletService._getScriptData(output.script);
+        if (!_.isString(data)) return;
+        tx.outputs = tx.outputs || [];
+        tx.outputs.push({
+          type: 'data',
+          amount: output.satoshis || 0,
+          data: data,
+        });
+      });
+      return next();
+    });
+  }, function() {
+    return cb(null, txs);
+  });
+};
+
 WalletService.prototype.getTxHistoryV8 = function(bc, wallet, opts, skip, limit, cb) {
   var self = this;
   var bcHeight, bcHash, sinceTx, lastTxs, cacheStatus, resultTxs = [], fromCache = false;
@@ -3794,10 +4826,25 @@ WalletService.prototype.getTxHistory = function(opts, cb) {
             }, done);
           },
         ], function(err, res) {
-          return next(err, {
+          if (err) return next(err);
+          var txps = res[0],
+            notes = res[1];
+
+          // Comments stay visible once the proposal is broadcasted
+          var txpIds = _.map(_.filter(txps, 'txid'), 'id');
+          if (_.isEmpty(txpIds)) return next(null, {
             txs: txs,
-            txps: res[0],
-            notes: res[1]
+            txps: txps,
+            notes: notes,
+            comments: [],
+          });
+          self.storage.fetchTxProposalComments(self.walletId, txpIds, function(err, comments) {
+            return next(err, {
+              txs: txs,
+              txps: txps,
+              notes: notes,
+              comments: comments,
+            });
           });
         });
       },
@@ -3807,10 +4854,12 @@ WalletService.prototype.getTxHistory = function(opts, cb) {
       // TODO we are indexing everything again, each query.
       var indexedProposals = _.keyBy(res.txps, 'txid');
       var indexedNotes = _.keyBy(res.notes, 'txid');
+      var indexedComments = _.groupBy(res.comments, 'txProposalId');
 
       var finalTxs =  _.map(res.txs.items, (tx) => {
         WalletService._addProposalInfo(tx, indexedProposals);
         WalletService._addNotesInfo(tx, indexedNotes);
+        WalletService._addCommentsInfo(tx, indexedComments);
         return tx;
       });
       self.tagLowFeeTxs(wallet, finalTxs, function(err) {
@@ -3833,6 +4882,185 @@ WalletService.prototype.getTxHistory = function(opts, cb) {
   });
 };
 
+WalletService.TX_HISTORY_EXPORT_FIELDS = ['txid', 'time', 'action', 'amount', 'fees', 'addressTo', 'confirmations', 'proposalId', 'creatorName', 'message', 'note', 'fiatCode', 'fiatRate', 'fiatAmount'];
+
+WalletService._getExportedTx = function(tx, code, rate) {
+  var row = _.assign(_.pick(tx, WalletService.TX_HISTORY_EXPORT_FIELDS), {
+    note: tx.note ? tx.note.body : null,
+  });
+  if (code) {
+    row.fiatCode = code;
+    row.fiatRate = rate;
+    row.fiatAmount = _.isNumber(rate) ? +(tx.amount / 1e8 * rate).toFixed(2) : null;
+  }
+  return _.fromPairs(_.map(WalletService.TX_HISTORY_EXPORT_FIELDS, function(field) {
+    return [field, _.isUndefined(row[field]) ? null : row[field]];
+  }));
+};
+
+/**
+ * Exports the transaction history of the wallet, including proposal info and notes, newer first.
+ * Times are in UNIX EPOCH
+ *
+ * @param {Object} opts
+ * @param {Number} opts.from - Optional. Only export txs since this time.
+ * @param {Number} opts.to - Optional. Only export txs until this time.
+ * @param {String} opts.code - Optional. Currency ISO code to value each tx with the fiat rate at the time of the tx.
+ * @param {Function} onTxs - Called with each page of exported txs, with the fields in WalletService.TX_HISTORY_EXPORT_FIELDS.
+ */
+WalletService.prototype.exportTxHistory = function(opts, onTxs, cb) {
+  var self = this;
+  opts = opts || {};
+
+  if (!_.isUndefined(opts.from) && !_.isFinite(opts.from))
+    return cb(new ClientError('Invalid from'));
+  if (!_.isUndefined(opts.to) && !_.isFinite(opts.to))
+    return cb(new ClientError('Invalid to'));
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+
+    // Stored fiat rates are for BTC
+    if (opts.code && wallet.coin != Defaults.COIN)
+      return cb(new ClientError('Fiat valuation is only available for ' + Defaults.COIN.toUpperCase() + ' wallets'));
+
+    self._walkTxHistory(opts, function(txs, next) {
+      if (!opts.code) {
+        onTxs(_.map(txs, function(tx) {
+          return WalletService._getExportedTx(tx);
+        }));
+        return next();
+      }
+
+      self._getTxRates(txs, opts.code, function(err, rates) {
+        if (err) return next(err);
+        onTxs(_.map(txs, function(tx, i) {
+          return WalletService._getExportedTx(tx, opts.code, rates[i]);
+        }));
+        return next();
+      });
+    }, cb);
+  });
+};
+
+/*
+ * Walks the tx history newer first, one page at a time, calling onPage(txs, next) with the txs
+ * within [opts.from, opts.to].
+ */
+WalletService.prototype._walkTxHistory = function(opts, onPage, cb) {
+  var self = this;
+
+  var skip = 0,
+    done = false;
+
+  async.doUntil(function(next) {
+    self.getTxHistory({
+      skip: skip,
+      limit: Defaults.HISTORY_EXPORT_PAGE_SIZE,
+    }, function(err, txs) {
+      if (err) return next(err);
+
+      skip += Defaults.HISTORY_EXPORT_PAGE_SIZE;
+      done = txs.length < Defaults.HISTORY_EXPORT_PAGE_SIZE ||
+        (_.isFinite(opts.from) && _.last(txs).time < opts.from);
+
+      txs = _.filter(txs, function(tx) {
+        if (_.isFinite(opts.from) && tx.time < opts.from) return false;
+        if (_.isFinite(opts.to) && tx.time > opts.to) return false;
+        return true;
+      });
+      if (_.isEmpty(txs)) return next();
+
+      return onPage(txs, next);
+    });
+  }, function() {
+    return done;
+  }, cb);
+};
+
+WalletService.prototype._getTxRates = function(txs, code, cb) {
+  var self = this;
+
+  self.fiatRateService.getRate({
+    code: code,
+    ts: _.map(txs, function(tx) {
+      return tx.time * 1000;
+    }),
+  }, function(err, rates) {
+    if (err) return cb(err);
+    return cb(null, _.map(rates, 'rate'));
+  });
+};
+
+/**
+ * Computes cost-basis lots and realized gains of the wallet, valuing each tx with the stored fiat rate
+ * at the time of the tx. Txs with no rate within Defaults.FIAT_RATE_MAX_LOOK_BACK_TIME are reported as gaps.
+ * Times are in UNIX EPOCH
+ *
+ * @param {Object} opts
+ * @param {String} opts.code - Currency ISO code.
+ * @param {String} opts.method - Optional. Cost-basis method: 'fifo' (default), 'lifo' or 'average'.
+ * @param {Number} opts.from - Optional. Only report gains realized since this time.
+ * @param {Number} opts.to - Optional. Only report gains realized until this time.
+ * @returns {Object} report - See CostBasis.compute.
+ */
+WalletService.prototype.getGainsReport = function(opts, cb) {
+  var self = this;
+
+  if (!checkRequired(opts, ['code'], cb)) return;
+
+  var method = opts.method || 'fifo';
+  if (!_.includes(CostBasis.METHODS, method))
+    return cb(new ClientError('Invalid method'));
+  if (!_.isUndefined(opts.from) && !_.isFinite(opts.from))
+    return cb(new ClientError('Invalid from'));
+  if (!_.isUndefined(opts.to) && !_.isFinite(opts.to))
+    return cb(new ClientError('Invalid to'));
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+
+    // Stored fiat rates are for BTC
+    if (wallet.coin != Defaults.COIN)
+      return cb(new ClientError('Gains reports are only available for ' + Defaults.COIN.toUpperCase() + ' wallets'));
+
+    // Lots acquired before opts.from are needed to compute the cost basis, so walk the whole history
+    var txs = [];
+    self._walkTxHistory({
+      to: opts.to,
+    }, function(page, next) {
+      self._getTxRates(page, opts.code, function(err, rates) {
+        if (err) return next(err);
+        _.each(page, function(tx, i) {
+          txs.push({
+            txid: tx.txid,
+            time: tx.time,
+            action: tx.action,
+            amount: tx.amount,
+            fees: tx.fees,
+            rate: rates[i],
+          });
+        });
+        return next();
+      });
+    }, function(err) {
+      if (err) return cb(err);
+
+      var report = CostBasis.compute(txs.reverse(), {
+        method: method,
+        from: opts.from,
+        to: opts.to,
+      });
+      return cb(null, _.assign({
+        code: opts.code,
+        method: method,
+        from: opts.from,
+        to: opts.to,
+      }, report));
+    });
+  });
+};
+
 
 /**
  * Scan the blockchain looking for addresses having some activity
@@ -3854,250 +5082,1687 @@ WalletService.prototype.scan = function(opts, cb) {
 
     // OCT2018: We dont allow copayer's BIP45 addr scanning anymore (for performance)
     // for BIP44 wallets.
-    if (wallet.derivationStrategy ===  Constants.DERIVATION_STRATEGIES.BIP44) {
+    if (wallet.derivationStrategy !==  Constants.DERIVATION_STRATEGIES.BIP45) {
       opts.includeCopayerBranches = false;
     }
 
 
-    // no powerScan when scanning copayer Branches
-    if (opts.includeCopayerBranches) {
-      opts.startingStep = 1;
-    }
+    // no powerScan when scanning copayer Branches
+    if (opts.includeCopayerBranches) {
+      opts.startingStep = 1;
+    }
+
+
+    self.storage.clearTxHistoryCache(self.walletId, function() {
+      self._runLocked(cb, function(cb) {
+        wallet.scanStatus = 'running';
+        self.storage.storeWallet(wallet, function(err) {
+          if (err) return cb(err);
+
+          var bc = self._getBlockchainExplorer(wallet.coin, wallet.network);
+          if (!bc) return cb(new Error('Could not get blockchain explorer instance'));
+          opts.bc = bc;
+          var step = opts.startingStep;
+          async.doWhilst(
+           (next) => {
+              self._runScan(wallet, step, opts, next)
+            },
+            () => {
+              step = step / 10;
+              return step >= 1;
+            },
+            cb
+          );
+        });
+      });
+    });
+  });
+};
+
+WalletService.prototype._runScan = function(wallet, step, opts, cb) {
+  var self = this;
+
+  function scanBranch(wallet, derivator, cb) {
+    var inactiveCounter = 0;
+    var allAddresses = [];
+
+    var gap = Defaults.SCAN_ADDRESS_GAP;
+
+    //when powerScanning, we just accept gap<=3
+    if (step > 1) {
+      gap = _.min([gap , 3]);
+    }
+console.log('[server.js.3789:gap:]',gap); //TODO
+
+    async.whilst(function() {
+      self.logi('Scanning addr branch: %s index: %d gap %d step %d', derivator.id, derivator.index(), inactiveCounter, step);
+      return inactiveCounter < gap;
+    }, function(next) {
+      var address = derivator.derive();
+
+      opts.bc.getAddressActivity(address.address, function(err, activity) {
+        if (err) return next(err);
+console.log('[server.js.3779:address:] SCANING:' + address.address+ ':'+address.path + " :" + !!activity); //TODO
+
+        allAddresses.push(address);
+        inactiveCounter = activity ? 0 : inactiveCounter + 1;
+        return next();
+      });
+    }, function(err) {
+      derivator.rewind(gap);
+      return cb(err, _.dropRight(allAddresses, gap));
+    });
+  }
+
+  var derivators = [];
+  _.each([false, true], function(isChange) {
+    derivators.push({
+      id: wallet.addressManager.getBaseAddressPath(isChange),
+      derive: _.bind(wallet.createAddress, wallet, isChange, step),
+      index: _.bind(wallet.addressManager.getCurrentIndex, wallet.addressManager, isChange),
+      rewind: _.bind(wallet.addressManager.rewindIndex, wallet.addressManager, isChange, step),
+      getSkippedAddress: _.bind(wallet.getSkippedAddress, wallet),
+    });
+    if (opts.includeCopayerBranches) {
+      _.each(wallet.copayers, function(copayer) {
+        if (copayer.addressManager) {
+          derivators.push({
+            id: copayer.addressManager.getBaseAddressPath(isChange),
+            derive: _.bind(copayer.createAddress, copayer, wallet, isChange),
+            index: _.bind(copayer.addressManager.getCurrentIndex, copayer.addressManager, isChange),
+            rewind: _.bind(copayer.addressManager.rewindIndex, copayer.addressManager, isChange, step),
+          });
+        }
+      });
+    }
+  });
+
+  async.eachSeries(derivators, function(derivator, next) {
+    var addresses =  [];
+    scanBranch(wallet, derivator, function(err, scannedAddresses) {
+      if (err) return next(err);
+      addresses = addresses.concat(scannedAddresses);
+
+      if (step > 1) {
+        self.logi('Deriving addresses for scan steps gaps DERIVATOR:' + derivator.id );
+
+        var addr, i=0;
+        while(addr = derivator.getSkippedAddress()) {
+          addresses.push(addr);
+          i++;
+        }
+        self.logi(i+' addresses were added.' );
+      }
+
+      self._store(wallet, addresses, next);
+    });
+  }, function(error) {
+    self.storage.fetchWallet(wallet.id, function(err, wallet) {
+      if (err) return cb(err);
+      wallet.scanStatus = error ? 'error' : 'success';
+      self.storage.storeWallet(wallet, function(err) {
+        return cb(error || err);
+      });
+    })
+  });
+}
+
+/**
+ * Start a scan process.
+ *
+ * @param {Object} opts
+ * @param {Boolean} opts.includeCopayerBranches (defaults to false)
+ */
+WalletService.prototype.startScan = function(opts, cb) {
+  var self = this;
+
+  function scanFinished(err) {
+    var data = {
+      result: err ? 'error' : 'success',
+    };
+    if (err) data.error = err;
+    self._notify('ScanFinished', data, {
+      isGlobal: true
+    });
+  };
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+    if (!wallet.isComplete()) return cb(Errors.WALLET_NOT_COMPLETE);
+
+    setTimeout(function() {
+      self.storage.deregisterWallet(wallet.id, () => {
+        self.scan(opts, scanFinished);
+      });
+    }, 100);
+
+    return cb(null, {
+      started: true
+    });
+  });
+};
+
+/**
+ * Returns exchange rate for the specified currency & timestamp.
+ * @param {Object} opts
+ * @param {string} opts.code - Currency ISO code.
+ * @param {Date} [opts.ts] - A timestamp to base the rate on (default Date.now()).
+ * @param {String} [opts.provider] - A provider of exchange rates (default 'BitPay').
+ * @returns {Object} rates - The exchange rate.
+ */
+WalletService.prototype.getFiatRate = function(opts, cb) {
+  var self = this;
+
+  if (!checkRequired(opts, ['code'], cb)) return;
+
+  self.fiatRateService.getRate(opts, function(err, rate) {
+    if (err) return cb(err);
+    return cb(null, rate);
+  });
+};
+
+/**
+ * Subscribe this copayer to the Push Notifications service using the specified token.
+ * @param {Object} opts
+ * @param {string} opts.token - The token representing the app/device.
+ * @param {string} [opts.packageName] - The restricted_package_name option associated with this token.
+ * @param {string} [opts.platform] - The platform associated with this token.
+ */
+WalletService.prototype.pushNotificationsSubscribe = function(opts, cb) {
+  if (!checkRequired(opts, ['token'], cb)) return;
+
+  var self = this;
+
+  var sub = Model.PushNotificationSub.create({
+    copayerId: self.copayerId,
+    token: opts.token,
+    packageName: opts.packageName,
+    platform: opts.platform,
+  });
+
+  self.storage.storePushNotificationSub(sub, cb);
+};
+
+/**
+ * Unsubscribe this copayer to the Push Notifications service using the specified token.
+ * @param {Object} opts
+ * @param {string} opts.token - The token representing the app/device.
+ */
+WalletService.prototype.pushNotificationsUnsubscribe = function(opts, cb) {
+  if (!checkRequired(opts, ['token'], cb)) return;
+
+  var self = this;
+
+  self.storage.removePushNotificationSub(self.copayerId, opts.token, cb);
+};
+
+/**
+ * Subscribe this copayer to the specified tx to get a notification when the tx confirms.
+ * @param {Object} opts
+ * @param {string} opts.txid - The txid of the tx to be notified of.
+ */
+WalletService.prototype.txConfirmationSubscribe = function(opts, cb) {
+  if (!checkRequired(opts, ['txid'], cb)) return;
+
+  var self = this;
+
+  var sub = Model.TxConfirmationSub.create({
+    copayerId: self.copayerId,
+    walletId: self.walletId,
+    txid: opts.txid,
+  });
+
+  self.storage.storeTxConfirmationSub(sub, cb);
+};
+
+/**
+ * Unsubscribe this copayer to the Push Notifications service using the specified token.
+ * @param {Object} opts
+ * @param {string} opts.txid - The txid of the tx to be notified of.
+ */
+WalletService.prototype.txConfirmationUnsubscribe = function(opts, cb) {
+  if (!checkRequired(opts, ['txid'], cb)) return;
+
+  var self = this;
+
+  self.storage.removeTxConfirmationSub(self.copayerId, opts.txid, cb);
+};
+
+/**
+ * Register an HTTPS endpoint to receive the notifications of this wallet.
+ * Each notification is POSTed as JSON, signed with an HMAC-SHA256 of the body using the provided secret.
+ * @param {Object} opts
+ * @param {string} opts.url - The HTTPS endpoint. Its host must resolve to public addresses only.
+ * @param {string} opts.secret - Shared secret used to sign the requests.
+ * @returns {Object} webhook - The registered webhook (without secret).
+ */
+WalletService.prototype.registerWebhook = function(opts, cb) {
+  if (!checkRequired(opts, ['url', 'secret'], cb)) return;
+
+  var self = this;
+
+  var url = Url.parse(opts.url || '');
+  if (url.protocol != 'https:' || !url.hostname)
+    return cb(new ClientError('Invalid webhook URL, only HTTPS endpoints are allowed'));
+  if (!_.isString(opts.secret) || opts.secret.length < 16)
+    return cb(new ClientError('Webhook secret should be at least 16 characters long'));
+
+  PublicEndpoint.check(opts.url, function(err) {
+    if (err) return cb(new ClientError('Invalid webhook URL, ' + err.message));
+
+    self._runLocked(cb, function(cb) {
+      self.storage.fetchWebhooks(self.walletId, function(err, webhooks) {
+        if (err) return cb(err);
+        if (webhooks.length >= Defaults.MAX_WEBHOOKS_PER_WALLET)
+          return cb(new ClientError('Too many webhooks registered for this wallet'));
+
+        var webhook = Model.Webhook.create({
+          walletId: self.walletId,
+          copayerId: self.copayerId,
+          url: opts.url,
+          secret: opts.secret,
+        });
+
+        self.storage.storeWebhook(webhook, function(err) {
+          if (err) return cb(err);
+          return cb(null, webhook.toPublicObject());
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Retrieves the webhooks registered for this wallet.
+ * @returns {Object[]} webhooks - Registered webhooks (without secrets).
+ */
+WalletService.prototype.getWebhooks = function(opts, cb) {
+  var self = this;
+
+  self.storage.fetchWebhooks(self.walletId, function(err, webhooks) {
+    if (err) return cb(err);
+    return cb(null, _.invokeMap(webhooks, 'toPublicObject'));
+  });
+};
+
+/**
+ * Removes a webhook. Only the copayer who registered it can remove it.
+ * @param {Object} opts
+ * @param {string} opts.id - The webhook identifier.
+ */
+WalletService.prototype.removeWebhook = function(opts, cb) {
+  if (!checkRequired(opts, ['id'], cb)) return;
+
+  var self = this;
+
+  self.storage.fetchWebhook(self.walletId, opts.id, function(err, webhook) {
+    if (err) return cb(err);
+    if (!webhook) return cb(new ClientError('Webhook not found'));
+    if (webhook.copayerId != self.copayerId) return cb(Errors.NOT_AUTHORIZED);
+
+    self.storage.removeWebhook(self.walletId, opts.id, cb);
+  });
+};
+
+/**
+ * Retrieves the spending policies of this wallet.
+ * @returns {Object} policies - { active: the policy being enforced, pending: the policy waiting for approval }.
+ */
+WalletService.prototype.getSpendingPolicy = function(opts, cb) {
+  var self = this;
+
+  async.parallel({
+    active: function(next) {
+      self.storage.fetchSpendingPolicy(self.walletId, 'active', next);
+    },
+    pending: function(next) {
+      self.storage.fetchSpendingPolicy(self.walletId, 'pending', next);
+    },
+  }, function(err, res) {
+    if (err) return cb(err);
+    return cb(null, {
+      active: res.active || null,
+      pending: res.pending || null,
+    });
+  });
+};
+
+WalletService.prototype._validateSpendingPolicy = function(wallet, opts) {
+  var copayerIds = _.map(wallet.getSigners(), 'id');
+
+  function isAmount(amount) {
+    return _.isNumber(amount) && !_.isNaN(amount) && amount > 0;
+  };
+
+  var copayerLimits = opts.copayerLimits || {};
+  if (!_.isPlainObject(copayerLimits))
+    return new ClientError('Invalid copayer limits');
+  if (_.some(copayerLimits, function(amount, copayerId) {
+      return !_.includes(copayerIds, copayerId) || !isAmount(amount);
+    }))
+    return new ClientError('Invalid copayer limits');
+
+  var periodLimits = opts.periodLimits || [];
+  if (!_.isArray(periodLimits))
+    return new ClientError('Invalid period limits');
+  if (_.some(periodLimits, function(limit) {
+      if (!_.has(Model.SpendingPolicy.PERIODS, limit.period)) return true;
+      if (!isAmount(limit.amount)) return true;
+      if (_.isUndefined(limit.requiredSignatures)) return false;
+      return !_.isInteger(limit.requiredSignatures) || limit.requiredSignatures < 1 || limit.requiredSignatures > wallet.n;
+    }))
+    return new ClientError('Invalid period limits');
+
+  if (_.isEmpty(copayerLimits) && _.isEmpty(periodLimits))
+    return new ClientError('Spending policy should have at least one limit');
+};
+
+WalletService.prototype._activateSpendingPolicy = function(policy, cb) {
+  var self = this;
+
+  self.storage.fetchSpendingPolicy(self.walletId, 'active', function(err, current) {
+    if (err) return cb(err);
+
+    async.series([
+
+      function(next) {
+        if (!current) return next();
+        current.setStatus('replaced');
+        self.storage.storeSpendingPolicy(current, next);
+      },
+      function(next) {
+        policy.activate();
+        self.storage.storeSpendingPolicy(policy, next);
+      },
+      function(next) {
+        self._notify('SpendingPolicyActivated', {
+          policyId: policy.id,
+        }, next);
+      },
+    ], cb);
+  });
+};
+
+/**
+ * Proposes a new spending policy for this wallet. It becomes active (replacing the current one)
+ * once approved by the number of copayers required to sign a transaction. Any other pending policy is discarded.
+ * @param {Object} opts
+ * @param {Object} opts.copayerLimits - Optional. Max amount (in satoshis) of a single tx proposal, by copayer id.
+ * @param {Array} opts.periodLimits - Optional. Limits on the amount spent by the wallet.
+ * @param {string} opts.periodLimits[].period - Period of time ('daily', 'weekly').
+ * @param {number} opts.periodLimits[].amount - Max amount (in satoshis) to spend during the period. Note the amount
+ * spent counts the tx proposals broadcasted during the period plus all the pending & accepted ones, not only the
+ * broadcasted ones: otherwise the limit could be bypassed by getting several proposals signed before broadcasting any.
+ * @param {number} opts.periodLimits[].requiredSignatures - Optional. Signatures required by proposals exceeding the limit. Proposals exceeding it are rejected if not specified.
+ * @returns {Object} policy - The proposed policy.
+ */
+WalletService.prototype.proposeSpendingPolicy = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (!wallet.isComplete()) return cb(Errors.WALLET_NOT_COMPLETE);
+
+      var error = self._validateSpendingPolicy(wallet, opts);
+      if (error) return cb(error);
+
+      var policy = Model.SpendingPolicy.create({
+        walletId: self.walletId,
+        creatorId: self.copayerId,
+        copayerLimits: opts.copayerLimits,
+        periodLimits: _.map(opts.periodLimits, function(limit) {
+          return _.pick(limit, ['period', 'amount', 'requiredSignatures']);
+        }),
+      });
+
+      self.storage.fetchSpendingPolicy(self.walletId, 'pending', function(err, pending) {
+        if (err) return cb(err);
+
+        async.series([
+
+          function(next) {
+            if (!pending) return next();
+            pending.setStatus('discarded');
+            self.storage.storeSpendingPolicy(pending, next);
+          },
+          function(next) {
+            if (policy.isApproved(wallet.m)) return self._activateSpendingPolicy(policy, next);
+
+            self.storage.storeSpendingPolicy(policy, function(err) {
+              if (err) return next(err);
+              self._notify('NewSpendingPolicy', {
+                policyId: policy.id,
+              }, next);
+            });
+          },
+        ], function(err) {
+          if (err) return cb(err);
+          return cb(null, policy);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Approves the pending spending policy of this wallet.
+ * @param {Object} opts
+ * @param {string} opts.id - The policy identifier.
+ * @returns {Object} policy - The approved policy.
+ */
+WalletService.prototype.approveSpendingPolicy = function(opts, cb) {
+  if (!checkRequired(opts, ['id'], cb)) return;
+
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+
+      self.storage.fetchSpendingPolicy(self.walletId, 'pending', function(err, policy) {
+        if (err) return cb(err);
+        if (!policy || policy.id != opts.id) return cb(new ClientError('Spending policy not found or not pending'));
+        if (_.includes(policy.approvedBy, self.copayerId)) return cb(new ClientError('Spending policy already approved by this copayer'));
+
+        policy.approve(self.copayerId);
+
+        var action = policy.isApproved(wallet.m) ? _.bind(self._activateSpendingPolicy, self) : _.bind(self.storage.storeSpendingPolicy, self.storage);
+        action(policy, function(err) {
+          if (err) return cb(err);
+          return cb(null, policy);
+        });
+      });
+    });
+  });
+};
+
+WalletService.prototype._getWhitelist = function(wallet, cb) {
+  var self = this;
+
+  if (!wallet.whitelistOnly) return cb();
+
+  self.storage.fetchAddressBook(wallet.id, function(err, entries) {
+    if (err) return cb(err);
+    return cb(null, _.map(_.filter(entries, function(entry) {
+      return entry.isActive();
+    }), 'address'));
+  });
+};
+
+/**
+ * Retrieves the address book of this wallet.
+ * @returns {Object[]} entries - Address book entries, both active and pending approval.
+ */
+WalletService.prototype.getAddressBook = function(opts, cb) {
+  var self = this;
+
+  self.storage.fetchAddressBook(self.walletId, cb);
+};
+
+/**
+ * Adds an address to the wallet address book. The entry becomes active once approved by
+ * the number of copayers required to sign a transaction.
+ * @param {Object} opts
+ * @param {string} opts.address - The address.
+ * @param {string} opts.label - Optional. A label for the address.
+ * @returns {Object} entry - The new address book entry.
+ */
+WalletService.prototype.addAddressBookEntry = function(opts, cb) {
+  if (!checkRequired(opts, ['address'], cb)) return;
+
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  if (opts.label && (!_.isString(opts.label) || opts.label.length > Defaults.MAX_ADDRESS_BOOK_LABEL_LENGTH))
+    return cb(new ClientError('Invalid label'));
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+
+      var A = Coins.getLib(wallet.coin).Address;
+      var address = Utils.normalizeAddress(opts.address, wallet.coin);
+      if (!address) return cb(Errors.INVALID_ADDRESS);
+      var network = A.isValid(address) ? new A(address).network : Utils.decodeBech32Address(address).network;
+      if (Utils.getEncodingNetwork(network.toString()) != Utils.getEncodingNetwork(wallet.network)) return cb(Errors.INCORRECT_ADDRESS_NETWORK);
+
+      self.storage.fetchAddressBook(self.walletId, function(err, entries) {
+        if (err) return cb(err);
+        if (_.some(entries, {
+            address: address
+          })) return cb(new ClientError('Address already in the address book'));
+
+        var entry = Model.AddressBookEntry.create({
+          walletId: self.walletId,
+          creatorId: self.copayerId,
+          coin: wallet.coin,
+          network: wallet.network,
+          address: address,
+          label: opts.label,
+        });
+        entry.approve(self.copayerId, wallet.m);
+
+        self.storage.storeAddressBookEntry(entry, function(err) {
+          if (err) return cb(err);
+
+          async.series([
+
+            function(next) {
+              self._notify('AddressBookEntryAdded', {
+                entryId: entry.id,
+                address: entry.address,
+                label: entry.label,
+              }, next);
+            },
+            function(next) {
+              if (!entry.isActive()) return next();
+              self._notifyAddressBookEntryApproved(entry, next);
+            },
+          ], function() {
+            return cb(null, entry);
+          });
+        });
+      });
+    });
+  });
+};
+
+WalletService.prototype._notifyAddressBookEntryApproved = function(entry, cb) {
+  this._notify('AddressBookEntryApproved', {
+    entryId: entry.id,
+    address: entry.address,
+    label: entry.label,
+  }, cb);
+};
+
+/**
+ * Approves a pending address book entry.
+ * @param {Object} opts
+ * @param {string} opts.id - The entry identifier.
+ * @returns {Object} entry - The approved entry.
+ */
+WalletService.prototype.approveAddressBookEntry = function(opts, cb) {
+  if (!checkRequired(opts, ['id'], cb)) return;
+
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+
+      self.storage.fetchAddressBookEntry(self.walletId, opts.id, function(err, entry) {
+        if (err) return cb(err);
+        if (!entry) return cb(new ClientError('Address book entry not found'));
+        if (entry.isActive()) return cb(new ClientError('Address book entry already active'));
+        if (entry.isApprovedBy(self.copayerId)) return cb(new ClientError('Address book entry already approved by this copayer'));
+
+        entry.approve(self.copayerId, wallet.m);
+
+        self.storage.storeAddressBookEntry(entry, function(err) {
+          if (err) return cb(err);
+          if (!entry.isActive()) return cb(null, entry);
+
+          self._notifyAddressBookEntryApproved(entry, function() {
+            return cb(null, entry);
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Removes an entry from the address book.
+ * @param {Object} opts
+ * @param {string} opts.id - The entry identifier.
+ */
+WalletService.prototype.removeAddressBookEntry = function(opts, cb) {
+  if (!checkRequired(opts, ['id'], cb)) return;
+
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  self.storage.fetchAddressBookEntry(self.walletId, opts.id, function(err, entry) {
+    if (err) return cb(err);
+    if (!entry) return cb(new ClientError('Address book entry not found'));
+
+    self.storage.removeAddressBookEntry(self.walletId, opts.id, cb);
+  });
+};
+
+WalletService._getTxBatchRows = function(opts) {
+  if (_.isEmpty(opts.csv)) {
+    return _.map(opts.outputs, function(output) {
+      return _.pick(output, ['toAddress', 'amount', 'message']);
+    });
+  }
+
+  var lines = Utils.parseCsv(opts.csv);
+  if (!_.isEmpty(lines) && _.head(lines)[0].toLowerCase() == 'address') lines.shift();
+
+  return _.map(lines, function(fields) {
+    var row = {
+      toAddress: fields[0] || undefined,
+      amount: /^\d+$/.test(fields[1]) ? +fields[1] : fields[1],
+    };
+    if (fields[2]) row.message = fields[2];
+    return row;
+  });
+};
+
+/**
+ * Creates the tx proposals paying a batch of outputs, split into as many proposals as needed to
+ * keep each of them under Defaults.MAX_TX_SIZE_IN_KB. Rows failing validation are reported and left out.
+ * Proposals are created as temporary, and should be published as any other proposal. If any of them
+ * cannot be created, the ones already created are removed and no batch is stored.
+ * @param {Object} opts
+ * @param {Array} opts.outputs - Rows to pay ({ toAddress, amount, message }). Either outputs or csv should be specified.
+ * @param {string} opts.csv - Rows to pay, one "address,amount,message" line each. The header line is optional.
+ * @param {string} opts.message - Optional. A message to attach to the proposals.
+ * @param {string} opts.feeLevel[='normal'] - Optional. Specify the fee level for the proposals.
+ * @param {number} opts.feePerKb - Optional. Specify the fee per KB for the proposals (in satoshi).
+ * @param {Boolean} opts.excludeUnconfirmedUtxos[=false] - Optional. Do not use UTXOs of unconfirmed transactions as inputs
+ * @param {string} opts.coinSelection[='default'] - Optional. Coin selection strategy, one of CoinSelection.STRATEGIES.
+ * @param {Boolean} opts.dryRun[=false] - Optional. Validate and split the batch but do not change server state.
+ * @returns {Object} batch - The batch, with the validation error or the proposal paying each row.
+ */
+WalletService.prototype.createTxBatch = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  opts = opts || {};
+
+  if (_.isEmpty(opts.outputs) == _.isEmpty(opts.csv))
+    return cb(new ClientError('Either outputs or csv should be specified'));
+
+  var rows = WalletService._getTxBatchRows(opts);
+  if (_.isEmpty(rows)) return cb(new ClientError('The batch has no rows'));
+  if (rows.length > Defaults.MAX_TX_BATCH_ROWS)
+    return cb(new ClientError('The batch exceeds the maximum of ' + Defaults.MAX_TX_BATCH_ROWS + ' rows'));
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+    if (!wallet.isComplete()) return cb(Errors.WALLET_NOT_COMPLETE);
+
+    self._getWhitelist(wallet, function(err, whitelist) {
+      if (err) return cb(err);
+
+      var batch = Model.TxBatch.create({
+        walletId: self.walletId,
+        creatorId: self.copayerId,
+        rows: _.map(rows, function(row, i) {
+          var validationError = self._validateOutputs({
+            outputs: [_.clone(row)]
+          }, wallet, whitelist);
+          return _.assign({
+            row: i + 1,
+          }, row, {
+            error: validationError ? validationError.message : null,
+          });
+        }),
+      });
+
+      var pending = batch.getValidRows(),
+        chunkSize = pending.length,
+        utxosToExclude = [];
+
+      // Do not leave behind the proposals of a batch that could not be completed
+      function rollback(err) {
+        if (opts.dryRun) return cb(err);
+
+        async.each(batch.txProposalIds, function(txProposalId, next) {
+          self.storage.removeTx(self.walletId, txProposalId, function(err) {
+            if (err) self.logw('Error removing tx proposal ' + txProposalId + ' of a failed batch', err);
+            return next();
+          });
+        }, function() {
+          return cb(err);
+        });
+      };
+
+      async.whilst(function() {
+        return pending.length > 0;
+      }, function(next) {
+        var chunk = _.take(pending, chunkSize);
+        self.createTx({
+          outputs: _.map(chunk, function(row) {
+            return _.pick(row, ['toAddress', 'amount', 'message']);
+          }),
+          message: opts.message,
+          feeLevel: opts.feeLevel,
+          feePerKb: opts.feePerKb,
+          excludeUnconfirmedUtxos: opts.excludeUnconfirmedUtxos,
+          coinSelection: opts.coinSelection,
+          utxosToExclude: utxosToExclude,
+          dryRun: opts.dryRun,
+        }, function(err, txp) {
+          if (err && err.code == Errors.codes.TX_MAX_SIZE_EXCEEDED && chunk.length > 1) {
+            chunkSize = Math.ceil(chunk.length / 2);
+            return next();
+          }
+          if (err) return next(err);
+
+          batch.addTxProposal(txp, chunk);
+          // Temporary proposals do not lock their inputs
+          utxosToExclude = utxosToExclude.concat(_.map(txp.inputs, function(input) {
+            return input.txid + ':' + input.vout;
+          }));
+          pending = _.drop(pending, chunk.length);
+          return next();
+        });
+      }, function(err) {
+        if (err) return rollback(err);
+        if (opts.dryRun) return cb(null, batch);
+
+        self.storage.storeTxBatch(batch, function(err) {
+          if (err) return rollback(err);
+          return cb(null, batch);
+        });
+      });
+    });
+  });
+};
+
+WalletService.prototype._getTxBatchProgress = function(batch, cb) {
+  var self = this;
+
+  async.map(batch.txProposalIds, function(txProposalId, next) {
+    self.storage.fetchTx(self.walletId, txProposalId, next);
+  }, function(err, txps) {
+    if (err) return cb(err);
+
+    txps = _.compact(txps);
+    batch.progress = _.assign({
+      total: batch.txProposalIds.length,
+      temporary: 0,
+      pending: 0,
+      accepted: 0,
+      broadcasted: 0,
+      rejected: 0,
+      expired: 0,
+      removed: batch.txProposalIds.length - txps.length,
+    }, _.countBy(txps, 'status'));
+    return cb(null, batch);
+  });
+};
+
+/**
+ * Retrieves the tx batches of this wallet, newer first.
+ * @returns {Object[]} batches - Batches, including the number of its proposals on each status.
+ */
+WalletService.prototype.getTxBatches = function(opts, cb) {
+  var self = this;
+
+  self.storage.fetchTxBatches(self.walletId, function(err, batches) {
+    if (err) return cb(err);
+    async.map(batches, _.bind(self._getTxBatchProgress, self), cb);
+  });
+};
+
+/**
+ * Retrieves a tx batch.
+ * @param {Object} opts
+ * @param {string} opts.id - The batch id.
+ * @returns {Object} batch - The batch, including the number of its proposals on each status.
+ */
+WalletService.prototype.getTxBatch = function(opts, cb) {
+  var self = this;
+
+  if (!checkRequired(opts, ['id'], cb)) return;
+
+  self.storage.fetchTxBatch(self.walletId, opts.id, function(err, batch) {
+    if (err) return cb(err);
+    if (!batch) return cb(new ClientError('Batch not found'));
+    self._getTxBatchProgress(batch, cb);
+  });
+};
+
+
+/**
+ * Configure the automatic consolidation of the wallet's UTXOs. While the superEconomy fee level is at or
+ * below maxFeePerKb, a draft proposal merging the smallest UTXOs into a fresh internal address is suggested
+ * to copayers, who can publish and sign it as any other proposal.
+ * @param {Object} opts
+ * @param {number} opts.maxFeePerKb - Fee per KB (in satoshi) at or below which consolidations are suggested. Set to null to disable them.
+ * @param {number} opts.maxUtxos[=Defaults.CONSOLIDATION_MAX_UTXOS] - Optional. Max number of UTXOs merged by each proposal.
+ * @param {number} opts.minUtxos[=Defaults.CONSOLIDATION_MIN_UTXOS] - Optional. Only suggest a consolidation when at least this many UTXOs can be merged.
+ * @returns {Object} The consolidation settings of the wallet.
+ */
+WalletService.prototype.setConsolidationSettings = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  opts = opts || {};
+
+  if (!_.isNull(opts.maxFeePerKb)) {
+    if (!_.isNumber(opts.maxFeePerKb) || opts.maxFeePerKb < Defaults.MIN_FEE_PER_KB || opts.maxFeePerKb > Defaults.MAX_FEE_PER_KB)
+      return cb(new ClientError('Invalid fee per KB'));
+
+    var maxUtxos = _.isUndefined(opts.maxUtxos) ? Defaults.CONSOLIDATION_MAX_UTXOS : opts.maxUtxos;
+    var minUtxos = _.isUndefined(opts.minUtxos) ? Defaults.CONSOLIDATION_MIN_UTXOS : opts.minUtxos;
+    if (!_.isInteger(maxUtxos) || maxUtxos < 2)
+      return cb(new ClientError('Invalid maxUtxos'));
+    if (!_.isInteger(minUtxos) || minUtxos < 2 || minUtxos > maxUtxos)
+      return cb(new ClientError('Invalid minUtxos'));
+  }
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (wallet.isMigrated() && !_.isNull(opts.maxFeePerKb)) return cb(Errors.WALLET_MIGRATED);
+
+      wallet.consolidation = _.isNull(opts.maxFeePerKb) ? null : {
+        maxFeePerKb: opts.maxFeePerKb,
+        maxUtxos: maxUtxos,
+        minUtxos: minUtxos,
+        txProposalId: wallet.consolidation ? wallet.consolidation.txProposalId : null,
+      };
+
+      self.storage.storeWallet(wallet, function(err) {
+        if (err) return cb(err);
+        return cb(null, wallet.consolidation);
+      });
+    });
+  });
+};
+
+/**
+ * Creates a draft consolidation proposal for the current wallet, unless the last one suggested can still
+ * be published or is pending.
+ * @param {number} feePerKb - Fee per KB for the proposal (in satoshi).
+ */
+WalletService.prototype._suggestConsolidation = function(feePerKb, cb) {
+  var self = this;
+
+  self.getWallet({}, function(err, wallet) {
+    if (err) return cb(err);
+    if (!wallet.isComplete() || !wallet.consolidation || wallet.isMigrated()) return cb();
+
+    var now = Math.floor(Date.now() / 1000);
+    var settings = wallet.consolidation;
+
+    function getLastSuggested(next) {
+      if (!settings.txProposalId) return next();
+      self.storage.fetchTx(self.walletId, settings.txProposalId, next);
+    };
+
+    function getAddress(next) {
+      if (!wallet.singleAddress) return next(null, wallet.createAddress(true));
+      self.storage.fetchAddresses(self.walletId, function(err, addresses) {
+        if (err) return next(err);
+        return next(null, _.head(addresses));
+      });
+    };
+
+    getLastSuggested(function(err, last) {
+      if (err) return cb(err);
+      if (last && (last.isPending() || (last.isTemporary() && last.expiresOn > now))) return cb();
+
+      self._getUtxosForCurrentWallet({}, function(err, utxos) {
+        if (err) return cb(err);
+
+        var txp = Model.TxProposal.create({
+          walletId: self.walletId,
+          coin: wallet.coin,
+          network: wallet.network,
+          walletM: wallet.m,
+          walletN: wallet.n,
+          feePerKb: feePerKb,
+          addressType: wallet.addressType,
+        });
+
+        var baseTxpSize = txp.getEstimatedSize();
+        var sizePerInput = txp.getEstimatedSizeForSingleInput();
+        var feePerInput = sizePerInput * feePerKb / 1000.;
+
+        var inputs = _.sortBy(_.filter(utxos, function(utxo) {
+          return !utxo.locked && !utxo.frozen && utxo.confirmations && utxo.satoshis > feePerInput;
+        }), 'satoshis');
+        var maxInputs = Math.min(settings.maxUtxos, Math.floor((Defaults.MAX_TX_SIZE_IN_KB * 1000 - baseTxpSize) / sizePerInput));
+        txp.inputs = _.take(inputs, maxInputs);
+        if (txp.inputs.length < settings.minUtxos) return cb();
+
+        var fee = txp.getEstimatedFee();
+        var amount = _.sumBy(txp.inputs, 'satoshis') - fee;
+        if (amount < Math.max(Defaults.MIN_OUTPUT_AMOUNT, Coins.get(wallet.coin).dustAmount)) return cb();
+
+        getAddress(function(err, address) {
+          if (err) return cb(err);
+          if (!address) return cb();
+
+          txp = Model.TxProposal.create({
+            walletId: self.walletId,
+            creatorId: null,
+            coin: wallet.coin,
+            network: wallet.network,
+            outputs: [{
+              toAddress: address.address,
+              amount: amount,
+            }],
+            changeAddress: address,
+            feeLevel: 'superEconomy',
+            feePerKb: feePerKb,
+            walletM: wallet.m,
+            walletN: wallet.n,
+            addressType: wallet.addressType,
+            inputs: txp.inputs,
+            fee: fee,
+            isConsolidation: true,
+            expiresOn: now + Defaults.CONSOLIDATION_DRAFT_EXPIRATION,
+          });
+
+          var err = self._checkTx(txp);
+          if (err) return cb(err);
+
+          settings.txProposalId = txp.id;
+
+          async.series([
+
+            function(next) {
+              self.storage.storeTx(wallet.id, txp, next);
+            },
+            function(next) {
+              if (wallet.singleAddress) return self.storage.storeWallet(wallet, next);
+              self._store(wallet, address, next);
+            },
+          ], function(err) {
+            if (err) return cb(err);
+
+            self.logi('Consolidation suggested', txp.id);
+            self._notify('ConsolidationSuggested', {
+              txProposalId: txp.id,
+              amount: amount,
+              fee: fee,
+              feePerKb: feePerKb,
+              utxoCount: txp.inputs.length,
+            }, {
+              isGlobal: true
+            }, function() {
+              return cb(null, txp);
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Suggests a consolidation to every wallet with consolidations enabled whose fee threshold is at or above
+ * the current superEconomy fee level of its coin & network.
+ */
+WalletService.suggestConsolidations = function(cb) {
+  var feeLevelsCache = {};
+
+  function getFeePerKb(server, wallet, cb) {
+    var key = wallet.coin + ':' + wallet.network;
+    if (feeLevelsCache[key]) return cb(null, feeLevelsCache[key]);
+
+    server.getFeeLevels({
+      coin: wallet.coin,
+      network: wallet.network,
+    }, function(err, levels) {
+      if (err) return cb(err);
+      var level = _.find(levels, {
+        level: 'superEconomy'
+      });
+      if (!level) return cb(new Error('Could not get superEconomy fee level'));
+      feeLevelsCache[key] = level.feePerKb;
+      return cb(null, level.feePerKb);
+    });
+  };
+
+  storage.fetchWalletsWithConsolidation(function(err, wallets) {
+    if (err) return cb(err);
+
+    async.eachSeries(wallets, function(wallet, next) {
+      var server = WalletService.getInstance();
+      server.walletId = wallet.id;
+
+      getFeePerKb(server, wallet, function(err, feePerKb) {
+        // Wallets of other coins & networks can still be consolidated
+        if (err) {
+          server.logw('Could not get fee levels for consolidation', err);
+          return next();
+        }
+        if (feePerKb > wallet.consolidation.maxFeePerKb) return next();
+
+        server._runLocked(next, function(next) {
+          server._suggestConsolidation(feePerKb, function(err) {
+            // A wallet that cannot be consolidated should not prevent others from being
+            if (err) server.logw('Could not suggest consolidation', err);
+            return next();
+          });
+        });
+      });
+    }, cb);
+  });
+};
+
+
+/**
+ * Starts migrating the funds of the current wallet to a new (successor) wallet, for instance to rotate the
+ * keys of a copayer. The successor is created with the same coin & network and joined as any other wallet.
+ * The migration needs to be approved by the number of copayers required to sign a transaction (see
+ * #approveWalletMigration). Once approved and the successor complete, sweep proposals are created with
+ * #createMigrationTxs. It can be cancelled until the sweeps are broadcasted (see #cancelWalletMigration).
+ * @param {Object} opts
+ * @param {string} opts.name - The successor wallet name.
+ * @param {number} opts.m - Required copayers of the successor wallet.
+ * @param {number} opts.n - Total copayers of the successor wallet.
+ * @param {string} opts.pubKey - Public key to verify copayers joining the successor have access to its secret.
+ * @param {string} opts.singleAddress[=false] - The successor wallet will only ever have one address.
+ * @param {Boolean} opts.useSegwit[=false] - Create a P2SH-P2WSH (nested SegWit) successor wallet.
+ * @param {Boolean} opts.useNativeSegwit[=false] - Create a native SegWit (P2WPKH or P2WSH) successor wallet.
+ * @returns {Object} migration - The migration ({ successorWalletId, status, createdOn, createdBy, approvedBy }).
+ * Its status is 'pending' until approved, then 'approved' and 'migrated' once the sweeps are broadcasted.
+ */
+WalletService.prototype.startWalletMigration = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  opts = opts || {};
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (!wallet.isComplete()) return cb(Errors.WALLET_NOT_COMPLETE);
+      if (wallet.migration) return cb(new ClientError('Wallet migration already started'));
+
+      var successorOpts = _.assign(_.pick(opts, ['name', 'm', 'n', 'pubKey', 'singleAddress', 'useSegwit', 'useNativeSegwit']), {
+        coin: wallet.coin,
+        network: wallet.network,
+        whitelistOnly: wallet.whitelistOnly,
+        txpExpiration: wallet.txpExpiration || undefined,
+      });
+      self.createWallet(successorOpts, function(err, successorWalletId) {
+        if (err) return cb(err);
+
+        self.storage.fetchWallet(successorWalletId, function(err, successor) {
+          if (err) return cb(err);
+
+          successor.predecessorWalletId = wallet.id;
+          wallet.migration = {
+            successorWalletId: successor.id,
+            status: wallet.m > 1 ? 'pending' : 'approved',
+            createdOn: Math.floor(Date.now() / 1000),
+            createdBy: self.copayerId,
+            approvedBy: [self.copayerId],
+            txProposalIds: [],
+          };
+
+          async.series([
+
+            function(next) {
+              self.storage.storeWallet(successor, next);
+            },
+            function(next) {
+              self.storage.storeWallet(wallet, next);
+            },
+          ], function(err) {
+            if (err) return cb(err);
+
+            self._notify('WalletMigrationStarted', {
+              successorWalletId: successor.id,
+            }, function() {
+              return cb(null, wallet.migration);
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Approves the migration of the current wallet. The migration is approved once approved by the number of
+ * copayers required to sign a transaction, including the one who started it.
+ * @param {Object} opts
+ * @param {string} opts.successorWalletId - The successor wallet of the migration.
+ * @returns {Object} migration - The migration.
+ */
+WalletService.prototype.approveWalletMigration = function(opts, cb) {
+  if (!checkRequired(opts, ['successorWalletId'], cb)) return;
+
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (!wallet.migration || wallet.migration.successorWalletId != opts.successorWalletId)
+        return cb(new ClientError('Wallet migration not started'));
+      if (wallet.migration.status != 'pending') return cb(new ClientError('Wallet migration already approved'));
+      if (_.includes(wallet.migration.approvedBy, self.copayerId))
+        return cb(new ClientError('Wallet migration already approved by this copayer'));
+
+      wallet.migration.approvedBy.push(self.copayerId);
+      if (wallet.migration.approvedBy.length >= wallet.m) wallet.migration.status = 'approved';
+
+      self.storage.storeWallet(wallet, function(err) {
+        if (err) return cb(err);
+        if (wallet.migration.status != 'approved') return cb(null, wallet.migration);
+
+        self._notify('WalletMigrationApproved', {
+          successorWalletId: wallet.migration.successorWalletId,
+        }, function() {
+          return cb(null, wallet.migration);
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Cancels the migration of the current wallet, removing its sweep proposals. Migrations can only be cancelled
+ * until any of their sweeps is broadcasted. The successor wallet is left as is, but it is no longer linked
+ * to the current wallet.
+ */
+WalletService.prototype.cancelWalletMigration = function(opts, cb) {
+  var self = this;
+
+  if (!self._checkNotObserver(cb)) return;
+
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (!wallet.migration) return cb(new ClientError('Wallet migration not started'));
+
+      async.mapSeries(wallet.migration.txProposalIds, function(txProposalId, next) {
+        self.storage.fetchTx(self.walletId, txProposalId, next);
+      }, function(err, txps) {
+        if (err) return cb(err);
+        txps = _.compact(txps);
+        if (wallet.isMigrated() || _.some(txps, function(txp) {
+            return txp.isBroadcasted();
+          }))
+          return cb(new ClientError('Wallet migration sweeps already broadcasted'));
+
+        var toRemove = _.filter(txps, function(txp) {
+          return txp.isTemporary() || txp.isPending();
+        });
+        var successorWalletId = wallet.migration.successorWalletId;
+
+        async.series([
+
+          function(next) {
+            async.eachSeries(toRemove, function(txp, next) {
+              self.storage.removeTx(self.walletId, txp.id, next);
+            }, next);
+          },
+          function(next) {
+            self.storage.fetchWallet(successorWalletId, function(err, successor) {
+              if (err || !successor) return next(err);
+              successor.predecessorWalletId = null;
+              self.storage.storeWallet(successor, next);
+            });
+          },
+          function(next) {
+            wallet.migration = null;
+            self.storage.storeWallet(wallet, next);
+          },
+        ], function(err) {
+          if (err) return cb(err);
+
+          self._notify('WalletMigrationCancelled', {
+            successorWalletId: successorWalletId,
+            txProposalIds: _.map(toRemove, 'id'),
+          }, function() {
+            return cb();
+          });
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Marks the wallet as migrated once a sweep of its migration is broadcasted and no other one is pending.
+ */
+WalletService.prototype._completeWalletMigration = function(cb) {
+  var self = this;
 
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (!wallet.migration || wallet.migration.status != 'approved') return cb();
 
-    self.storage.clearTxHistoryCache(self.walletId, function() {
-      self._runLocked(cb, function(cb) {
-        wallet.scanStatus = 'running';
+      async.mapSeries(wallet.migration.txProposalIds, function(txProposalId, next) {
+        self.storage.fetchTx(self.walletId, txProposalId, next);
+      }, function(err, txps) {
+        if (err) return cb(err);
+        txps = _.compact(txps);
+        if (!_.some(txps, function(txp) {
+            return txp.isBroadcasted();
+          }) || _.some(txps, function(txp) {
+            return txp.isPending();
+          })) return cb();
+
+        wallet.migration.status = 'migrated';
+        wallet.migration.migratedOn = Math.floor(Date.now() / 1000);
         self.storage.storeWallet(wallet, function(err) {
           if (err) return cb(err);
 
-          var bc = self._getBlockchainExplorer(wallet.coin, wallet.network);
-          if (!bc) return cb(new Error('Could not get blockchain explorer instance'));
-          opts.bc = bc;
-          var step = opts.startingStep;
-          async.doWhilst(
-           (next) => {
-              self._runScan(wallet, step, opts, next)
-            },
-            () => {
-              step = step / 10;
-              return step >= 1;
-            },
-            cb
-          );
+          self._notify('WalletMigrated', {
+            successorWalletId: wallet.migration.successorWalletId,
+            txProposalIds: _.map(_.filter(txps, function(txp) {
+              return txp.isBroadcasted();
+            }), 'id'),
+          }, function() {
+            return cb();
+          });
         });
       });
     });
   });
 };
 
-WalletService.prototype._runScan = function(wallet, step, opts, cb) {
+/**
+ * Creates draft proposals sweeping the spendable funds of the current wallet to its successor, splitting
+ * them in as many proposals as needed to keep each under the maximum tx size. Drafts should be published and
+ * signed by the wallet copayers as any other proposal.
+ * Once they are broadcasted the wallet is migrated: it keeps its history but no longer creates addresses nor
+ * proposals, except for sweeping funds received later (or unlocked by rejected proposals) with this same method.
+ * @param {Object} opts
+ * @param {string} opts.feeLevel[='normal'] - Optional. Specify the fee level for the proposals.
+ * @param {number} opts.feePerKb - Optional. Specify the fee per KB for the proposals (in satoshi).
+ * @returns {TxProposal[]} Sweep proposals (temporary).
+ */
+WalletService.prototype.createMigrationTxs = function(opts, cb) {
   var self = this;
 
-  function scanBranch(wallet, derivator, cb) {
-    var inactiveCounter = 0;
-    var allAddresses = [];
+  if (!self._checkNotObserver(cb)) return;
 
-    var gap = Defaults.SCAN_ADDRESS_GAP;
+  opts = opts || {};
 
-    //when powerScanning, we just accept gap<=3
-    if (step > 1) {
-      gap = _.min([gap , 3]);
-    }
-console.log('[server.js.3789:gap:]',gap); //TODO
+  if (opts.feeLevel && _.isNumber(opts.feePerKb))
+    return cb(new ClientError('Only one of feeLevel/feePerKb can be specified'));
+  if (!_.isNumber(opts.feePerKb))
+    opts.feeLevel = opts.feeLevel || 'normal';
 
-    async.whilst(function() {
-      self.logi('Scanning addr branch: %s index: %d gap %d step %d', derivator.id, derivator.index(), inactiveCounter, step);
-      return inactiveCounter < gap;
-    }, function(next) {
-      var address = derivator.derive();
+  function getSuccessorAddress(wallet, successor, cb) {
+    if (wallet.migration.successorAddress) return cb(null, wallet.migration.successorAddress);
 
-      opts.bc.getAddressActivity(address.address, function(err, activity) {
-        if (err) return next(err);
-console.log('[server.js.3779:address:] SCANING:' + address.address+ ':'+address.path + " :" + !!activity); //TODO
+    self.storage.fetchAddresses(successor.id, function(err, addresses) {
+      if (err) return cb(err);
+      if (successor.singleAddress && !_.isEmpty(addresses)) return cb(null, _.head(addresses).address);
 
-        allAddresses.push(address);
-        inactiveCounter = activity ? 0 : inactiveCounter + 1;
-        return next();
+      var address = successor.createAddress(false);
+      self.storage.storeAddressAndWallet(successor, address, function(err) {
+        if (err) return cb(err);
+        return cb(null, address.address);
       });
-    }, function(err) {
-      derivator.rewind(gap);
-      return cb(err, _.dropRight(allAddresses, gap));
     });
-  }
+  };
 
-  var derivators = [];
-  _.each([false, true], function(isChange) {
-    derivators.push({
-      id: wallet.addressManager.getBaseAddressPath(isChange),
-      derive: _.bind(wallet.createAddress, wallet, isChange, step),
-      index: _.bind(wallet.addressManager.getCurrentIndex, wallet.addressManager, isChange),
-      rewind: _.bind(wallet.addressManager.rewindIndex, wallet.addressManager, isChange, step),
-      getSkippedAddress: _.bind(wallet.getSkippedAddress, wallet),
-    });
-    if (opts.includeCopayerBranches) {
-      _.each(wallet.copayers, function(copayer) {
-        if (copayer.addressManager) {
-          derivators.push({
-            id: copayer.addressManager.getBaseAddressPath(isChange),
-            derive: _.bind(copayer.createAddress, copayer, wallet, isChange),
-            index: _.bind(copayer.addressManager.getCurrentIndex, copayer.addressManager, isChange),
-            rewind: _.bind(copayer.addressManager.rewindIndex, copayer.addressManager, isChange, step),
-          });
-        }
-      });
-    }
-  });
+  self._runLocked(cb, function(cb) {
+    self.getWallet({}, function(err, wallet) {
+      if (err) return cb(err);
+      if (!wallet.migration) return cb(new ClientError('Wallet migration not started'));
+      if (wallet.migration.status == 'pending') return cb(new ClientError('Wallet migration not approved'));
 
-  async.eachSeries(derivators, function(derivator, next) {
-    var addresses =  [];
-    scanBranch(wallet, derivator, function(err, scannedAddresses) {
-      if (err) return next(err);
-      addresses = addresses.concat(scannedAddresses);
+      if (opts.feeLevel && !_.some(Defaults.FEE_LEVELS[wallet.coin], {
+          name: opts.feeLevel
+        }))
+        return cb(new ClientError('Invalid fee level. Valid values are ' + _.map(Defaults.FEE_LEVELS[wallet.coin], 'name').join(', ')));
+      if (_.isNumber(opts.feePerKb) && (opts.feePerKb < Defaults.MIN_FEE_PER_KB || opts.feePerKb > Defaults.MAX_FEE_PER_KB))
+        return cb(new ClientError('Invalid fee per KB'));
 
-      if (step > 1) {
-        self.logi('Deriving addresses for scan steps gaps DERIVATOR:' + derivator.id );
+      self.storage.fetchWallet(wallet.migration.successorWalletId, function(err, successor) {
+        if (err) return cb(err);
+        if (!successor) return cb(Errors.WALLET_NOT_FOUND);
+        if (!successor.isComplete()) return cb(new ClientError('Successor wallet is not complete'));
 
-        var addr, i=0;
-        while(addr = derivator.getSkippedAddress()) {
-          addresses.push(addr);
-          i++;
-        }
-        self.logi(i+' addresses were added.' );
-      }
+        self._getFeePerKb(wallet, opts, function(err, feePerKb) {
+          if (err) return cb(err);
 
-      self._store(wallet, addresses, next);
-    });
-  }, function(error) {
-    self.storage.fetchWallet(wallet.id, function(err, wallet) {
-      if (err) return cb(err);
-      wallet.scanStatus = error ? 'error' : 'success';
-      self.storage.storeWallet(wallet, function(err) {
-        return cb(error || err);
+          getSuccessorAddress(wallet, successor, function(err, toAddress) {
+            if (err) return cb(err);
+
+            self._getWhitelist(wallet, function(err, whitelist) {
+              if (err) return cb(err);
+
+              self._getUtxosForCurrentWallet({}, function(err, utxos) {
+                if (err) return cb(err);
+
+                var txp = Model.TxProposal.create({
+                  walletId: self.walletId,
+                  coin: wallet.coin,
+                  network: wallet.network,
+                  walletM: wallet.m,
+                  walletN: wallet.n,
+                  feePerKb: feePerKb,
+                  addressType: wallet.addressType,
+                });
+                var baseTxpSize = txp.getEstimatedSize();
+                var sizePerInput = txp.getEstimatedSizeForSingleInput();
+                var maxInputs = Math.floor((Defaults.MAX_TX_SIZE_IN_KB * 1000 - baseTxpSize) / sizePerInput);
+                // The size estimation adds a safety margin on top of the inputs
+                txp.inputs = new Array(maxInputs);
+                while (maxInputs > 1 && txp.getEstimatedSize() > Defaults.MAX_TX_SIZE_IN_KB * 1000) {
+                  txp.inputs = new Array(--maxInputs);
+                }
+                maxInputs = Math.max(maxInputs, 1);
+                var minAmount = Math.max(Defaults.MIN_OUTPUT_AMOUNT, Coins.get(wallet.coin).dustAmount);
+
+                // Biggest utxos first, so that only uneconomical ones are left behind
+                var inputs = _.sortBy(_.filter(utxos, function(utxo) {
+                  return !utxo.locked && !utxo.frozen;
+                }), function(utxo) {
+                  return -utxo.satoshis;
+                });
+
+                var txps = [];
+                _.each(_.chunk(inputs, maxInputs), function(chunk) {
+                  txp.inputs = chunk;
+                  var fee = txp.getEstimatedFee();
+                  var amount = _.sumBy(chunk, 'satoshis') - fee;
+                  if (amount < minAmount) return false;
+
+                  txps.push(Model.TxProposal.create({
+                    walletId: self.walletId,
+                    creatorId: self.copayerId,
+                    coin: wallet.coin,
+                    network: wallet.network,
+                    outputs: [{
+                      toAddress: toAddress,
+                      amount: amount,
+                    }],
+                    feeLevel: opts.feeLevel,
+                    feePerKb: feePerKb,
+                    walletM: wallet.m,
+                    walletN: wallet.n,
+                    addressType: wallet.addressType,
+                    inputs: chunk,
+                    fee: fee,
+                    isMigration: true,
+                  }));
+                });
+
+                // Whitelist-only wallets can only be swept to a whitelisted successor address
+                var err = _.reduce(txps, function(err, txp) {
+                  return err || self._validateOutputs({
+                    outputs: _.map(txp.outputs, function(output) {
+                      return _.pick(output, ['toAddress', 'amount']);
+                    }),
+                  }, wallet, whitelist) || self._checkTx(txp);
+                }, null);
+                if (err) return cb(err);
+
+                wallet.migration.successorAddress = toAddress;
+                wallet.migration.txProposalIds = wallet.migration.txProposalIds.concat(_.map(txps, 'id'));
+
+                async.series([
+
+                  function(next) {
+                    async.eachSeries(txps, function(txp, next) {
+                      self._checkSpendingPolicy(txp, function(err) {
+                        if (err) return next(err);
+                        self.storage.storeTx(wallet.id, txp, next);
+                      });
+                    }, next);
+                  },
+                  function(next) {
+                    self.storage.storeWallet(wallet, next);
+                  },
+                ], function(err) {
+                  if (err) return cb(err);
+                  return cb(null, txps);
+                });
+              });
+            });
+          });
+        });
       });
-    })
+    });
   });
-}
+};
 
 /**
- * Start a scan process.
- *
- * @param {Object} opts
- * @param {Boolean} opts.includeCopayerBranches (defaults to false)
+ * Retrieves the tx history of the wallet the current wallet was migrated from.
+ * @param {Object} opts - Same as #getTxHistory.
+ * @returns {TxProposal[]} Txs of the predecessor wallet.
  */
-WalletService.prototype.startScan = function(opts, cb) {
+WalletService.prototype.getPredecessorTxHistory = function(opts, cb) {
   var self = this;
 
-  function scanFinished(err) {
-    var data = {
-      result: err ? 'error' : 'success',
-    };
-    if (err) data.error = err;
-    self._notify('ScanFinished', data, {
-      isGlobal: true
-    });
-  };
-
   self.getWallet({}, function(err, wallet) {
     if (err) return cb(err);
-    if (!wallet.isComplete()) return cb(Errors.WALLET_NOT_COMPLETE);
+    if (!wallet.predecessorWalletId) return cb(new ClientError('Wallet has no predecessor'));
 
-    setTimeout(function() {
-      self.storage.deregisterWallet(wallet.id, () => {
-        self.scan(opts, scanFinished);
-      });
-    }, 100);
+    self.storage.fetchWallet(wallet.predecessorWalletId, function(err, predecessor) {
+      if (err) return cb(err);
+      if (!predecessor) return cb(Errors.WALLET_NOT_FOUND);
+      if (!predecessor.migration || predecessor.migration.successorWalletId != wallet.id)
+        return cb(Errors.NOT_AUTHORIZED);
 
-    return cb(null, {
-      started: true
+      // Copayers of the successor only get read access to the predecessor
+      var server = WalletService.getInstance();
+      server.walletId = predecessor.id;
+      server.copayerId = self.copayerId;
+      server.copayerIsObserver = true;
+      server.getTxHistory(opts, cb);
     });
   });
 };
 
 /**
- * Returns exchange rate for the specified currency & timestamp.
+ * Creates an invoice to be paid into a fresh address of the wallet.
  * @param {Object} opts
- * @param {string} opts.code - Currency ISO code.
- * @param {Date} [opts.ts] - A timestamp to base the rate on (default Date.now()).
- * @param {String} [opts.provider] - A provider of exchange rates (default 'BitPay').
- * @returns {Object} rates - The exchange rate.
+ * @param {number} opts.amount - Optional. Amount to be paid (in satoshi).
+ * @param {number} opts.fiatAmount - Optional. Amount to be paid in fiat, converted at the current exchange rate.
+ * @param {string} opts.fiatCode - Required along with fiatAmount. Currency ISO code.
+ * @param {string} opts.message - Optional. Message included in the BIP21 URI.
+ * @param {number} opts.expiresIn - Optional. Time the invoice can be paid for (in seconds). Defaults to Defaults.INVOICE_EXPIRATION.
+ * @returns {Invoice} invoice
  */
-WalletService.prototype.getFiatRate = function(opts, cb) {
+WalletService.prototype.createInvoice = function(opts, cb) {
   var self = this;
 
-  if (!checkRequired(opts, ['code'], cb)) return;
+  if (!self._checkNotObserver(cb)) return;
 
-  self.fiatRateService.getRate(opts, function(err, rate) {
+  if (!_.isUndefined(opts.amount) && !_.isUndefined(opts.fiatAmount))
+    return cb(new ClientError('Only one of amount/fiatAmount can be specified'));
+  if (_.isUndefined(opts.amount) && _.isUndefined(opts.fiatAmount))
+    return cb(new ClientError('Either amount or fiatAmount must be specified'));
+
+  if (!_.isUndefined(opts.amount) && (!_.isSafeInteger(opts.amount) || opts.amount <= 0))
+    return cb(new ClientError('Invalid amount'));
+  if (!_.isUndefined(opts.fiatAmount)) {
+    if (!checkRequired(opts, ['fiatCode'], cb)) return;
+    if (!_.isFinite(opts.fiatAmount) || opts.fiatAmount <= 0)
+      return cb(new ClientError('Invalid fiat amount'));
+  }
+
+  var expiresIn = _.isUndefined(opts.expiresIn) ? Defaults.INVOICE_EXPIRATION : opts.expiresIn;
+  if (!_.isSafeInteger(expiresIn) || expiresIn <= 0 || expiresIn > Defaults.MAX_INVOICE_EXPIRATION)
+    return cb(new ClientError('Invalid expiration'));
+
+  if (opts.message && (!_.isString(opts.message) || opts.message.length > Defaults.MAX_INVOICE_MESSAGE_LENGTH))
+    return cb(new ClientError('Invalid message'));
+
+  self.getWallet({}, function(err, wallet) {
     if (err) return cb(err);
-    return cb(null, rate);
+    if (wallet.singleAddress) return cb(new ClientError('Invoices are not supported in single address wallets'));
+    if (!_.isUndefined(opts.fiatAmount) && !Coins.get(wallet.coin).fiatRates)
+      return cb(new ClientError('Fiat amounts are only supported in BTC wallets'));
+
+    function getAmount(cb) {
+      if (_.isUndefined(opts.fiatAmount)) return cb(null, opts.amount);
+
+      self.fiatRateService.getRate({
+        code: opts.fiatCode,
+      }, function(err, rate) {
+        if (err) return cb(err);
+        if (!rate.rate) return cb(new ClientError('Could not get the exchange rate for ' + opts.fiatCode));
+
+        var amount = Math.round(opts.fiatAmount / rate.rate * 1e8);
+        if (amount <= 0) return cb(new ClientError('Invalid fiat amount'));
+        return cb(null, amount, rate.rate);
+      });
+    };
+
+    getAmount(function(err, amount, rate) {
+      if (err) return cb(err);
+
+      // Invoice addresses may stay unused, they should not prevent creating new ones
+      self.createAddress({
+        ignoreMaxGap: true,
+      }, function(err, address) {
+        if (err) return cb(err);
+
+        var invoice = Model.Invoice.create({
+          walletId: self.walletId,
+          creatorId: self.copayerId,
+          coin: wallet.coin,
+          network: wallet.network,
+          address: address.address,
+          amount: amount,
+          fiatAmount: opts.fiatAmount,
+          fiatCode: opts.fiatCode,
+          rate: rate,
+          message: opts.message,
+          uri: Coins.getLib(wallet.coin).URI(_.pickBy({
+            address: address.address,
+            amount: amount,
+            message: opts.message,
+          })).toString(),
+          expiresOn: Math.floor(Date.now() / 1000) + expiresIn,
+        });
+
+        self.storage.storeInvoice(invoice, function(err) {
+          if (err) return cb(err);
+          return cb(null, invoice);
+        });
+      });
+    });
   });
 };
 
 /**
- * Subscribe this copayer to the Push Notifications service using the specified token.
- * @param {Object} opts
- * @param {string} opts.token - The token representing the app/device.
- * @param {string} [opts.packageName] - The restricted_package_name option associated with this token.
- * @param {string} [opts.platform] - The platform associated with this token.
+ * Marks the given invoices past their expiration as expired. Each one is fetched again under the wallet lock
+ * and only expired if its status did not change, as BlockchainMonitor could be recording a payment to it.
+ * Must not be called while holding the lock.
+ * @returns {Invoice[]} The given invoices, up to date.
  */
-WalletService.prototype.pushNotificationsSubscribe = function(opts, cb) {
-  if (!checkRequired(opts, ['token'], cb)) return;
-
+WalletService.prototype._expireInvoicesIfNeeded = function(invoices, cb) {
   var self = this;
 
-  var sub = Model.PushNotificationSub.create({
-    copayerId: self.copayerId,
-    token: opts.token,
-    packageName: opts.packageName,
-    platform: opts.platform,
-  });
+  async.mapSeries(invoices, function(invoice, next) {
+    if (!invoice.hasExpired()) return next(null, invoice);
 
-  self.storage.storePushNotificationSub(sub, cb);
+    self._runLocked(next, function(next) {
+      self.storage.fetchInvoice(self.walletId, invoice.id, function(err, invoice) {
+        if (err) return next(err);
+        if (!invoice || !invoice.hasExpired()) return next(null, invoice);
+
+        self.storage.expireInvoice(self.walletId, invoice.id, invoice.status, function(err, expired) {
+          if (err) return next(err);
+          if (!expired) return self.storage.fetchInvoice(self.walletId, invoice.id, next);
+
+          invoice.setExpired();
+          self.logi('Invoice expired', invoice.id);
+          self._notify('InvoiceExpired', {
+            invoiceId: invoice.id,
+            address: invoice.address,
+            amount: invoice.amount,
+            amountReceived: invoice.amountReceived,
+          }, {
+            isGlobal: true
+          }, function(err) {
+            return next(err, invoice);
+          });
+        });
+      });
+    });
+  }, cb);
 };
 
 /**
- * Unsubscribe this copayer to the Push Notifications service using the specified token.
- * @param {Object} opts
- * @param {string} opts.token - The token representing the app/device.
+ * Expires the open invoices of all wallets past their expiration, so InvoiceExpired is notified on time.
+ * Invoices are also expired when listed.
  */
-WalletService.prototype.pushNotificationsUnsubscribe = function(opts, cb) {
-  if (!checkRequired(opts, ['token'], cb)) return;
+WalletService.sweepExpiredInvoices = function(cb) {
+  var now = Math.floor(Date.now() / 1000);
 
-  var self = this;
+  storage.fetchExpiredOpenInvoices(now, function(err, invoices) {
+    if (err) return cb(err);
 
-  self.storage.removePushNotificationSub(self.copayerId, opts.token, cb);
+    async.eachSeries(invoices, function(invoice, next) {
+      var server = WalletService.getInstance();
+      server.walletId = invoice.walletId;
+      server._expireInvoicesIfNeeded([invoice], function(err) {
+        return next(err);
+      });
+    }, cb);
+  });
 };
 
 /**
- * Subscribe this copayer to the specified tx to get a notification when the tx confirms.
+ * Retrieves the invoices of the wallet, most recent first. Open invoices past their expiration are expired.
  * @param {Object} opts
- * @param {string} opts.txid - The txid of the tx to be notified of.
+ * @param {string} opts.status - Optional. Only return invoices with this status.
+ * @returns {Invoice[]} invoices
  */
-WalletService.prototype.txConfirmationSubscribe = function(opts, cb) {
-  if (!checkRequired(opts, ['txid'], cb)) return;
-
+WalletService.prototype.getInvoices = function(opts, cb) {
   var self = this;
 
-  var sub = Model.TxConfirmationSub.create({
-    copayerId: self.copayerId,
-    walletId: self.walletId,
-    txid: opts.txid,
-  });
+  opts = opts || {};
 
-  self.storage.storeTxConfirmationSub(sub, cb);
+  self.storage.fetchInvoices(self.walletId, function(err, invoices) {
+    if (err) return cb(err);
+
+    self._expireInvoicesIfNeeded(invoices, function(err, invoices) {
+      if (err) return cb(err);
+      invoices = _.compact(invoices);
+      if (opts.status) invoices = _.filter(invoices, {
+        status: opts.status
+      });
+      return cb(null, invoices);
+    });
+  });
 };
 
 /**
- * Unsubscribe this copayer to the Push Notifications service using the specified token.
+ * Cancels an open invoice. Payments received afterwards are still recorded.
  * @param {Object} opts
- * @param {string} opts.txid - The txid of the tx to be notified of.
+ * @param {string} opts.invoiceId - The invoice id.
+ * @returns {Invoice} invoice
  */
-WalletService.prototype.txConfirmationUnsubscribe = function(opts, cb) {
-  if (!checkRequired(opts, ['txid'], cb)) return;
-
+WalletService.prototype.cancelInvoice = function(opts, cb) {
   var self = this;
 
-  self.storage.removeTxConfirmationSub(self.copayerId, opts.txid, cb);
+  if (!self._checkNotObserver(cb)) return;
+
+  if (!checkRequired(opts, ['invoiceId'], cb)) return;
+
+  self._runLocked(cb, function(cb) {
+    self.storage.fetchInvoice(self.walletId, opts.invoiceId, function(err, invoice) {
+      if (err) return cb(err);
+      if (!invoice) return cb(Errors.INVOICE_NOT_FOUND);
+      if (!invoice.isOpen() || invoice.hasExpired())
+        return cb(new ClientError('Only open invoices can be cancelled'));
+
+      invoice.setCancelled();
+      self.storage.storeInvoice(invoice, function(err) {
+        if (err) return cb(err);
+        return cb(null, invoice);
+      });
+    });
+  });
 };
 
 module.exports = WalletService;
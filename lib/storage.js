@@ -26,6 +26,14 @@ var collections = {
   SESSIONS: 'sessions',
   PUSH_NOTIFICATION_SUBS: 'push_notification_subs',
   TX_CONFIRMATION_SUBS: 'tx_confirmation_subs',
+  WEBHOOKS: 'webhooks',
+  WEBHOOK_DELIVERIES: 'webhook_deliveries',
+  SPENDING_POLICIES: 'spending_policies',
+  ADDRESS_BOOK: 'address_book',
+  TX_BATCHES: 'tx_batches',
+  UTXO_METADATA: 'utxo_metadata',
+  TXP_COMMENTS: 'txp_comments',
+  INVOICES: 'invoices',
 };
 
 var Storage = function(opts) {
@@ -59,6 +67,10 @@ Storage.prototype._createIndexes = function() {
   this.db.collection(collections.TXS).createIndex({
     txid: 1
   });
+  this.db.collection(collections.TXS).createIndex({
+    isPending: 1,
+    expiresOn: 1,
+  });
   this.db.collection(collections.NOTIFICATIONS).createIndex({
     walletId: 1,
     id: 1,
@@ -111,6 +123,48 @@ Storage.prototype._createIndexes = function() {
   this.db.collection(collections.SESSIONS).createIndex({
     copayerId: 1
   });
+  this.db.collection(collections.WEBHOOKS).createIndex({
+    walletId: 1,
+  });
+  this.db.collection(collections.WEBHOOK_DELIVERIES).createIndex({
+    walletId: 1,
+    notificationId: 1,
+  });
+  this.db.collection(collections.WEBHOOK_DELIVERIES).createIndex({
+    status: 1,
+    nextAttemptOn: 1,
+  });
+  this.db.collection(collections.SPENDING_POLICIES).createIndex({
+    walletId: 1,
+    status: 1,
+  });
+  this.db.collection(collections.ADDRESS_BOOK).createIndex({
+    walletId: 1,
+    address: 1,
+  });
+  this.db.collection(collections.TX_BATCHES).createIndex({
+    walletId: 1,
+    id: 1,
+  });
+  this.db.collection(collections.UTXO_METADATA).createIndex({
+    walletId: 1,
+    txid: 1,
+    vout: 1,
+  });
+  this.db.collection(collections.TXP_COMMENTS).createIndex({
+    walletId: 1,
+    txProposalId: 1,
+  });
+  this.db.collection(collections.INVOICES).createIndex({
+    walletId: 1,
+  });
+  this.db.collection(collections.INVOICES).createIndex({
+    address: 1,
+  });
+  this.db.collection(collections.INVOICES).createIndex({
+    status: 1,
+    expiresOn: 1,
+  });
 };
 
 Storage.prototype.connect = function(opts, cb) {
@@ -164,6 +218,23 @@ Storage.prototype.storeWallet = function(wallet, cb) {
   }, cb);
 };
 
+Storage.prototype.fetchWalletsWithConsolidation = function(cb) {
+  if (!this.db) return cb('not ready');
+
+  this.db.collection(collections.WALLETS).find({
+    'consolidation.maxFeePerKb': {
+      $gt: 0
+    },
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+
+    var wallets = _.map(result, function(w) {
+      return Model.Wallet.fromObj(w);
+    });
+    return cb(null, wallets);
+  });
+};
+
 Storage.prototype.storeWalletAndUpdateCopayersLookup = function(wallet, cb) {
   var self = this;
 
@@ -179,15 +250,22 @@ Storage.prototype.storeWalletAndUpdateCopayersLookup = function(wallet, cb) {
       copayerId: copayer.id,
       walletId: wallet.id,
       requestPubKeys: copayer.requestPubKeys,
+      isObserver: copayer.isObserver() || wallet.isWatchOnly(),
     };
   });
 
+  // External keys of watch-only wallets cannot authenticate
+  copayerLookups = _.reject(copayerLookups, function(lookup) {
+    return _.isEmpty(lookup.requestPubKeys);
+  });
+
   this.db.collection(collections.COPAYERS_LOOKUP).remove({
     walletId: wallet.id
   }, {
     w: 1
   }, function(err) {
     if (err) return cb(err);
+    if (_.isEmpty(copayerLookups)) return self.storeWallet(wallet, cb);
     self.db.collection(collections.COPAYERS_LOOKUP).insert(copayerLookups, {
       w: 1
     }, function(err) {
@@ -224,7 +302,9 @@ Storage.prototype._completeTxData = function(walletId, txs, cb) {
     if (err) return cb(err);
     _.each([].concat(txs), function(tx) {
       tx.derivationStrategy = wallet.derivationStrategy || 'BIP45';
-      tx.creatorName = wallet.getCopayer(tx.creatorId).name;
+      // Suggested consolidations have no creator until published
+      var creator = wallet.getCopayer(tx.creatorId);
+      tx.creatorName = creator ? creator.name : null;
       _.each(tx.actions, function(action) {
         action.copayerName = wallet.getCopayer(action.copayerId).name;
       });
@@ -306,6 +386,28 @@ Storage.prototype.fetchPendingTxs = function(walletId, cb) {
   });
 };
 
+/**
+ * fetchExpiredPendingTxs. Pending txs of any wallet expired by the specified time, in UNIX EPOCH (seconds)
+ */
+Storage.prototype.fetchExpiredPendingTxs = function(ts, cb) {
+  var self = this;
+
+  self.db.collection(collections.TXS).find({
+    isPending: true,
+    status: 'pending',
+    expiresOn: {
+      $lte: ts
+    },
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+    var txs = _.map(result, function(tx) {
+      return Model.TxProposal.fromObj(tx);
+    });
+    return cb(null, txs);
+  });
+};
+
 /**
  * fetchTxs. Times are in UNIX EPOCH (seconds)
  *
@@ -1131,6 +1233,154 @@ Storage.prototype.storeTxNote = function(txNote, cb) {
   }, cb);
 };
 
+Storage.prototype.storeTxProposalComment = function(comment, cb) {
+  this.db.collection(collections.TXP_COMMENTS).insert(comment.toObject(), {
+    w: 1
+  }, cb);
+};
+
+/**
+ * fetchTxProposalComments. Comments are returned oldest first.
+ *
+ * @param walletId
+ * @param txProposalIds - A tx proposal id or a list of them
+ */
+Storage.prototype.fetchTxProposalComments = function(walletId, txProposalIds, cb) {
+  var self = this;
+
+  this.db.collection(collections.TXP_COMMENTS).find({
+    walletId: walletId,
+    txProposalId: {
+      $in: [].concat(txProposalIds)
+    },
+  }).sort({
+    createdOn: 1
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+    var comments = _.map(result, function(comment) {
+      return Model.TxProposalComment.fromObj(comment);
+    });
+    return self._completeTxProposalCommentsData(walletId, comments, cb);
+  });
+};
+
+Storage.prototype._completeTxProposalCommentsData = function(walletId, comments, cb) {
+  var self = this;
+
+  if (_.isEmpty(comments)) return cb(null, comments);
+
+  self.fetchWallet(walletId, function(err, wallet) {
+    if (err) return cb(err);
+    _.each(comments, function(comment) {
+      var copayer = wallet.getCopayer(comment.copayerId);
+      comment.copayerName = copayer ? copayer.name : null;
+    });
+    return cb(null, comments);
+  });
+};
+
+Storage.prototype.removeTxProposalComments = function(walletId, txProposalId, cb) {
+  this.db.collection(collections.TXP_COMMENTS).remove({
+    walletId: walletId,
+    txProposalId: txProposalId,
+  }, {
+    w: 1
+  }, cb);
+};
+
+Storage.prototype.storeInvoice = function(invoice, cb) {
+  this.db.collection(collections.INVOICES).update({
+    id: invoice.id,
+  }, invoice, {
+    w: 1,
+    upsert: true,
+  }, cb);
+};
+
+Storage.prototype.fetchInvoice = function(walletId, invoiceId, cb) {
+  this.db.collection(collections.INVOICES).findOne({
+    walletId: walletId,
+    id: invoiceId,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.Invoice.fromObj(result));
+  });
+};
+
+Storage.prototype.fetchInvoices = function(walletId, cb) {
+  this.db.collection(collections.INVOICES).find({
+    walletId: walletId,
+  }).sort({
+    createdOn: -1
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    var invoices = _.map(result, function(invoice) {
+      return Model.Invoice.fromObj(invoice);
+    });
+    return cb(null, invoices);
+  });
+};
+
+/**
+ * expireInvoice. Only expires the invoice if its status is still the given one, as a payment could have
+ * been recorded since it was fetched.
+ *
+ * @returns {Boolean} whether the invoice was expired
+ */
+Storage.prototype.expireInvoice = function(walletId, invoiceId, status, cb) {
+  this.db.collection(collections.INVOICES).update({
+    walletId: walletId,
+    id: invoiceId,
+    status: status,
+  }, {
+    $set: {
+      status: 'expired',
+    },
+  }, {
+    w: 1,
+  }, function(err, result) {
+    if (err) return cb(err);
+    return cb(null, !!(result && result.result && result.result.n));
+  });
+};
+
+/**
+ * fetchExpiredOpenInvoices. Open invoices of any wallet expired by the specified time, in UNIX EPOCH (seconds)
+ */
+Storage.prototype.fetchExpiredOpenInvoices = function(ts, cb) {
+  this.db.collection(collections.INVOICES).find({
+    status: {
+      $in: ['pending', 'underpaid'],
+    },
+    expiresOn: {
+      $lte: ts
+    },
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    var invoices = _.map(result, function(invoice) {
+      return Model.Invoice.fromObj(invoice);
+    });
+    return cb(null, invoices);
+  });
+};
+
+Storage.prototype.fetchInvoiceByAddress = function(address, cb) {
+  this.db.collection(collections.INVOICES).findOne({
+    address: address,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.Invoice.fromObj(result));
+  });
+};
+
 Storage.prototype.getSession = function(copayerId, cb) {
   var self = this;
 
@@ -1224,6 +1474,246 @@ Storage.prototype.removeTxConfirmationSub = function(copayerId, txid, cb) {
   }, cb);
 };
 
+Storage.prototype.fetchWebhooks = function(walletId, cb) {
+  this.db.collection(collections.WEBHOOKS).find({
+    walletId: walletId,
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+
+    if (!result) return cb();
+
+    var webhooks = _.map([].concat(result), function(r) {
+      return Model.Webhook.fromObj(r);
+    });
+    return cb(null, webhooks);
+  });
+};
+
+Storage.prototype.fetchWebhook = function(walletId, webhookId, cb) {
+  this.db.collection(collections.WEBHOOKS).findOne({
+    walletId: walletId,
+    id: webhookId,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.Webhook.fromObj(result));
+  });
+};
+
+Storage.prototype.storeWebhook = function(webhook, cb) {
+  this.db.collection(collections.WEBHOOKS).update({
+    id: webhook.id,
+  }, webhook, {
+    w: 1,
+    upsert: true,
+  }, cb);
+};
+
+Storage.prototype.removeWebhook = function(walletId, webhookId, cb) {
+  this.db.collection(collections.WEBHOOKS).remove({
+    walletId: walletId,
+    id: webhookId,
+  }, {
+    w: 1
+  }, cb);
+};
+
+Storage.prototype.storeWebhookDelivery = function(delivery, cb) {
+  this.db.collection(collections.WEBHOOK_DELIVERIES).update({
+    id: delivery.id,
+  }, delivery, {
+    w: 1,
+    upsert: true,
+  }, cb);
+};
+
+Storage.prototype.fetchWebhookDelivery = function(id, cb) {
+  this.db.collection(collections.WEBHOOK_DELIVERIES).findOne({
+    id: id,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.WebhookDelivery.fromObj(result));
+  });
+};
+
+Storage.prototype.fetchWebhookDeliveriesByNotification = function(walletId, notificationId, cb) {
+  this.db.collection(collections.WEBHOOK_DELIVERIES).find({
+    walletId: walletId,
+    notificationId: notificationId,
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb(null, []);
+
+    var deliveries = _.map(result, function(x) {
+      return Model.WebhookDelivery.fromObj(x);
+    });
+    return cb(null, deliveries);
+  });
+};
+
+Storage.prototype.fetchWebhookDeliveriesToRetry = function(ts, cb) {
+  this.db.collection(collections.WEBHOOK_DELIVERIES).find({
+    status: 'fail',
+    nextAttemptOn: {
+      $lte: ts,
+    },
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb(null, []);
+
+    var deliveries = _.map(result, function(x) {
+      return Model.WebhookDelivery.fromObj(x);
+    });
+    return cb(null, deliveries);
+  });
+};
+
+Storage.prototype.fetchSpendingPolicy = function(walletId, status, cb) {
+  this.db.collection(collections.SPENDING_POLICIES).findOne({
+    walletId: walletId,
+    status: status,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.SpendingPolicy.fromObj(result));
+  });
+};
+
+Storage.prototype.storeSpendingPolicy = function(policy, cb) {
+  this.db.collection(collections.SPENDING_POLICIES).update({
+    id: policy.id,
+  }, policy, {
+    w: 1,
+    upsert: true,
+  }, cb);
+};
+
+Storage.prototype.fetchAddressBook = function(walletId, cb) {
+  this.db.collection(collections.ADDRESS_BOOK).find({
+    walletId: walletId,
+  }).sort({
+    createdOn: 1
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+
+    if (!result) return cb();
+
+    var entries = _.map([].concat(result), function(r) {
+      return Model.AddressBookEntry.fromObj(r);
+    });
+    return cb(null, entries);
+  });
+};
+
+Storage.prototype.fetchAddressBookEntry = function(walletId, entryId, cb) {
+  this.db.collection(collections.ADDRESS_BOOK).findOne({
+    walletId: walletId,
+    id: entryId,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.AddressBookEntry.fromObj(result));
+  });
+};
+
+Storage.prototype.storeAddressBookEntry = function(entry, cb) {
+  this.db.collection(collections.ADDRESS_BOOK).update({
+    id: entry.id,
+  }, entry, {
+    w: 1,
+    upsert: true,
+  }, cb);
+};
+
+Storage.prototype.removeAddressBookEntry = function(walletId, entryId, cb) {
+  this.db.collection(collections.ADDRESS_BOOK).remove({
+    walletId: walletId,
+    id: entryId,
+  }, {
+    w: 1
+  }, cb);
+};
+
+Storage.prototype.fetchTxBatches = function(walletId, cb) {
+  this.db.collection(collections.TX_BATCHES).find({
+    walletId: walletId,
+  }).sort({
+    createdOn: -1
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+
+    if (!result) return cb();
+
+    var batches = _.map([].concat(result), function(r) {
+      return Model.TxBatch.fromObj(r);
+    });
+    return cb(null, batches);
+  });
+};
+
+Storage.prototype.fetchTxBatch = function(walletId, batchId, cb) {
+  this.db.collection(collections.TX_BATCHES).findOne({
+    walletId: walletId,
+    id: batchId,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.TxBatch.fromObj(result));
+  });
+};
+
+Storage.prototype.storeTxBatch = function(batch, cb) {
+  this.db.collection(collections.TX_BATCHES).update({
+    id: batch.id,
+  }, batch, {
+    w: 1,
+    upsert: true,
+  }, cb);
+};
+
+Storage.prototype.fetchUtxoMetadata = function(walletId, txid, vout, cb) {
+  this.db.collection(collections.UTXO_METADATA).findOne({
+    walletId: walletId,
+    txid: txid,
+    vout: vout,
+  }, function(err, result) {
+    if (err) return cb(err);
+    if (!result) return cb();
+
+    return cb(null, Model.UtxoMetadata.fromObj(result));
+  });
+};
+
+Storage.prototype.fetchWalletUtxoMetadata = function(walletId, cb) {
+  this.db.collection(collections.UTXO_METADATA).find({
+    walletId: walletId,
+  }).toArray(function(err, result) {
+    if (err) return cb(err);
+
+    var metadata = _.map(result, function(r) {
+      return Model.UtxoMetadata.fromObj(r);
+    });
+    return cb(null, metadata);
+  });
+};
+
+Storage.prototype.storeUtxoMetadata = function(metadata, cb) {
+  this.db.collection(collections.UTXO_METADATA).update({
+    walletId: metadata.walletId,
+    txid: metadata.txid,
+    vout: metadata.vout,
+  }, metadata.toObject(), {
+    w: 1,
+    upsert: true,
+  }, cb);
+};
+
 
 Storage.prototype._dump = function(cb, fn) {
   fn = fn || console.log;
@@ -0,0 +1,54 @@
+'use strict';
+
+var _ = require('lodash');
+var log = require('npmlog');
+log.debug = log.verbose;
+
+var Defaults = require('./common/defaults');
+var WalletService = require('./server');
+
+/*
+ * Periodically expires pending tx proposals past their expiresOn, so their inputs are released
+ * even if nobody opens the wallet, and open invoices past their expiration, so they are notified on time.
+ */
+function TxpExpirationService() {};
+
+TxpExpirationService.prototype.start = function(opts, cb) {
+  var self = this;
+  opts = opts || {};
+
+  var expirationOpts = opts.txpExpirationOpts || {};
+
+  WalletService.initialize(opts, function(err) {
+    if (err) {
+      log.error(err);
+      return cb(err);
+    }
+
+    var sweepInterval = _.isNumber(expirationOpts.sweepInterval) ? expirationOpts.sweepInterval : Defaults.TXP_EXPIRATION_SWEEP_INTERVAL;
+    if (sweepInterval) {
+      setInterval(function() {
+        self.sweep();
+      }, sweepInterval * 1000);
+    }
+    return cb();
+  });
+};
+
+TxpExpirationService.prototype.sweep = function(cb) {
+  cb = cb || function() {};
+
+  WalletService.sweepExpiredTxs(function(err) {
+    if (err) {
+      log.error('An error ocurred expiring tx proposals', err);
+    }
+    WalletService.sweepExpiredInvoices(function(err2) {
+      if (err2) {
+        log.error('An error ocurred expiring invoices', err2);
+      }
+      return cb(err || err2);
+    });
+  });
+};
+
+module.exports = TxpExpirationService;
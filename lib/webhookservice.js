@@ -0,0 +1,207 @@
+'use strict';
+
+var _ = require('lodash');
+var async = require('async');
+var log = require('npmlog');
+log.debug = log.verbose;
+var defaultRequest = require('request');
+var Bitcore = require('bitcore-lib');
+
+var Defaults = require('./common/defaults');
+var Storage = require('./storage');
+var MessageBroker = require('./messagebroker');
+var Lock = require('./lock');
+var PublicEndpoint = require('./publicendpoint');
+
+var Model = require('./model');
+
+function WebhookService() {};
+
+WebhookService.prototype.start = function(opts, cb) {
+  var self = this;
+  opts = opts || {};
+
+  var webhookOpts = opts.webhookOpts || {};
+  self.request = opts.request || defaultRequest;
+  self.maxAttempts = webhookOpts.maxAttempts || Defaults.WEBHOOK_MAX_ATTEMPTS;
+  self.initialBackoff = webhookOpts.initialBackoff || Defaults.WEBHOOK_INITIAL_BACKOFF;
+  self.requestTimeout = webhookOpts.requestTimeout || Defaults.WEBHOOK_REQUEST_TIMEOUT;
+
+  async.parallel([
+
+    function(done) {
+      if (opts.storage) {
+        self.storage = opts.storage;
+        done();
+      } else {
+        self.storage = new Storage();
+        self.storage.connect(opts.storageOpts, done);
+      }
+    },
+    function(done) {
+      self.messageBroker = opts.messageBroker || new MessageBroker(opts.messageBrokerOpts);
+      self.messageBroker.onMessage(_.bind(self.processNotification, self));
+      done();
+    },
+    function(done) {
+      self.lock = opts.lock || new Lock(opts.lockOpts);
+      done();
+    },
+  ], function(err) {
+    if (err) {
+      log.error(err);
+      return cb(err);
+    }
+
+    var retryInterval = _.isNumber(webhookOpts.retryInterval) ? webhookOpts.retryInterval : Defaults.WEBHOOK_RETRY_INTERVAL;
+    if (retryInterval) {
+      setInterval(function() {
+        self.retryDeliveries();
+      }, retryInterval * 1000);
+    }
+    return cb();
+  });
+};
+
+WebhookService.prototype._sign = function(body, secret) {
+  return Bitcore.crypto.Hash.sha256hmac(Buffer.from(body), Buffer.from(secret)).toString('hex');
+};
+
+WebhookService.prototype._getBackoff = function(attempts) {
+  return this.initialBackoff * Math.pow(2, attempts - 1);
+};
+
+WebhookService.prototype._makeRequest = function(webhook, delivery, cb) {
+  var self = this;
+
+  var body = JSON.stringify(delivery.payload);
+
+  // The host could resolve to a different address than when the webhook was registered
+  PublicEndpoint.check(webhook.url, function(err) {
+    if (err) return cb(err);
+
+    self.request({
+      url: webhook.url,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-BWS-Webhook-Id': webhook.id,
+        'X-BWS-Delivery-Id': delivery.id,
+        'X-BWS-Signature': 'sha256=' + self._sign(body, webhook.secret),
+      },
+      body: body,
+      timeout: self.requestTimeout,
+      lookup: PublicEndpoint.lookup,
+    }, function(err, response) {
+      if (err) return cb(err);
+      if (!response || response.statusCode < 200 || response.statusCode >= 300) {
+        return cb(new Error('Unexpected response status ' + (response ? response.statusCode : 'none')));
+      }
+      return cb();
+    });
+  });
+};
+
+WebhookService.prototype._deliver = function(webhook, delivery, cb) {
+  var self = this;
+
+  self._makeRequest(webhook, delivery, function(err) {
+    if (err) {
+      log.warn('Could not deliver notification ' + delivery.notificationId + ' to webhook ' + webhook.id + ': ' + err.message);
+      var nextAttemptOn;
+      if (delivery.attempts + 1 < self.maxAttempts) {
+        nextAttemptOn = Math.floor(Date.now() / 1000) + self._getBackoff(delivery.attempts + 1);
+      }
+      delivery.setFail(err.message, nextAttemptOn);
+    } else {
+      delivery.setSent();
+    }
+    self.storage.storeWebhookDelivery(delivery, cb);
+  });
+};
+
+WebhookService.prototype.processNotification = function(notification, cb) {
+  var self = this;
+
+  cb = cb || function() {};
+
+  self.storage.fetchWebhooks(notification.walletId, function(err, webhooks) {
+    if (err) return cb(err);
+
+    webhooks = _.filter(webhooks, 'isActive');
+    if (_.isEmpty(webhooks)) return cb();
+
+    self.lock.runLocked('webhook-' + notification.walletId + '-' + notification.id, cb, function(cb) {
+      self.storage.fetchWebhookDeliveriesByNotification(notification.walletId, notification.id, function(err, deliveries) {
+        if (err) return cb(err);
+        if (!_.isEmpty(deliveries)) return cb();
+
+        var payload = _.pick(notification, ['id', 'version', 'createdOn', 'type', 'data', 'walletId', 'creatorId']);
+
+        async.each(webhooks, function(webhook, next) {
+          var delivery = Model.WebhookDelivery.create({
+            walletId: notification.walletId,
+            webhookId: webhook.id,
+            notificationId: notification.id,
+            payload: payload,
+          });
+          self.storage.storeWebhookDelivery(delivery, function(err) {
+            if (err) return next(err);
+            self._deliver(webhook, delivery, next);
+          });
+        }, function(err) {
+          if (err) {
+            log.error('An error ocurred delivering webhook notifications', err);
+          }
+          return cb(err);
+        });
+      });
+    });
+  });
+};
+
+WebhookService.prototype.retryDeliveries = function(cb) {
+  var self = this;
+
+  cb = cb || function() {};
+
+  self.storage.fetchWebhookDeliveriesToRetry(Math.floor(Date.now() / 1000), function(err, deliveries) {
+    if (err) return cb(err);
+
+    async.eachSeries(deliveries, function(delivery, next) {
+      self.lock.runLocked('webhook-delivery-' + delivery.id, next, function(next) {
+        async.waterfall([
+
+          function(next) {
+            // Another process could have retried it already
+            self.storage.fetchWebhookDelivery(delivery.id, next);
+          },
+          function(delivery, next) {
+            var now = Math.floor(Date.now() / 1000);
+            if (!delivery || delivery.status != 'fail' || delivery.nextAttemptOn > now) return next(null, null);
+            self.storage.fetchWebhook(delivery.walletId, delivery.webhookId, function(err, webhook) {
+              return next(err, delivery, webhook);
+            });
+          },
+        ], function(err, delivery, webhook) {
+          if (err || !delivery) return next(err);
+
+          // The webhook was removed after the notification was generated
+          if (!webhook || !webhook.isActive) {
+            delivery.setFail('Webhook not found');
+            return self.storage.storeWebhookDelivery(delivery, next);
+          }
+
+          self._deliver(webhook, delivery, next);
+        });
+      });
+    }, function(err) {
+      if (err) {
+        log.error('An error ocurred retrying webhook deliveries', err);
+      }
+      return cb(err);
+    });
+  });
+};
+
+module.exports = WebhookService;
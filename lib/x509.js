@@ -0,0 +1,238 @@
+'use strict';
+
+var _ = require('lodash');
+var crypto = require('crypto');
+
+/*
+ * Minimal X.509 certificate parsing & chain verification, as needed to verify BIP70 payment requests signed by
+ * a merchant certificate (x509+sha256 PKI type).
+ *
+ * Certificates are handled as DER buffers, except for trusted roots which are configured as PEM strings.
+ */
+var X509 = {};
+
+var OIDS = {
+  COMMON_NAME: '2.5.4.3',
+  BASIC_CONSTRAINTS: '2.5.29.19',
+  SUBJECT_ALT_NAME: '2.5.29.17',
+};
+
+// Hash of the supported certificate signature algorithms
+var SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.11': 'sha256', // sha256WithRSAEncryption
+  '1.2.840.113549.1.1.12': 'sha384', // sha384WithRSAEncryption
+  '1.2.840.113549.1.1.13': 'sha512', // sha512WithRSAEncryption
+  '1.2.840.10045.4.3.2': 'sha256', // ecdsa-with-SHA256
+  '1.2.840.10045.4.3.3': 'sha384', // ecdsa-with-SHA384
+  '1.2.840.10045.4.3.4': 'sha512', // ecdsa-with-SHA512
+};
+
+// Reads the DER element at offset
+function readElement(buf, offset) {
+  if (offset + 2 > buf.length) throw new Error('Truncated DER element');
+
+  var tag = buf[offset];
+  var length = buf[offset + 1];
+  var start = offset + 2;
+  if (length & 0x80) {
+    var nbBytes = length & 0x7f;
+    if (nbBytes < 1 || nbBytes > 3) throw new Error('Unsupported DER length');
+    length = 0;
+    _.times(nbBytes, function(i) {
+      length = length * 256 + buf[start + i];
+    });
+    start += nbBytes;
+  }
+  if (start + length > buf.length) throw new Error('Truncated DER element');
+
+  return {
+    tag: tag,
+    raw: buf.slice(offset, start + length),
+    content: buf.slice(start, start + length),
+  };
+};
+
+function readChildren(element) {
+  var children = [];
+  var offset = 0;
+  while (offset < element.content.length) {
+    var child = readElement(element.content, offset);
+    children.push(child);
+    offset += child.raw.length;
+  }
+  return children;
+};
+
+function decodeOid(buf) {
+  var values = [Math.floor(buf[0] / 40), buf[0] % 40];
+  var value = 0;
+  for (var i = 1; i < buf.length; i++) {
+    value = value * 128 + (buf[i] & 0x7f);
+    if (!(buf[i] & 0x80)) {
+      values.push(value);
+      value = 0;
+    }
+  }
+  return values.join('.');
+};
+
+function decodeTime(element) {
+  var str = element.content.toString('ascii');
+  var m = element.tag == 0x17 ? str.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/) : str.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/);
+  if (!m) throw new Error('Unsupported certificate time');
+
+  var year = parseInt(m[1]);
+  if (element.tag == 0x17) year += year < 50 ? 2000 : 1900;
+  return new Date(Date.UTC(year, parseInt(m[2]) - 1, parseInt(m[3]), parseInt(m[4]), parseInt(m[5]), parseInt(m[6])));
+};
+
+function getCommonName(name) {
+  var cn;
+  _.each(readChildren(name), function(set) {
+    _.each(readChildren(set), function(attribute) {
+      var children = readChildren(attribute);
+      if (decodeOid(children[0].content) == OIDS.COMMON_NAME) cn = children[1].content.toString('utf8');
+    });
+  });
+  return cn;
+};
+
+function toPem(der, label) {
+  var lines = der.toString('base64').match(/.{1,64}/g);
+  return '-----BEGIN ' + label + '-----\n' + lines.join('\n') + '\n-----END ' + label + '-----\n';
+};
+
+/**
+ * Decodes a PEM encoded certificate.
+ * @param {String} pem
+ * @returns {Buffer} DER encoded certificate.
+ */
+X509.fromPem = function(pem) {
+  var m = _.isString(pem) && pem.match(/-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/);
+  if (!m) throw new Error('Invalid PEM certificate');
+  return Buffer.from(m[1].replace(/\s+/g, ''), 'base64');
+};
+
+/**
+ * Parses a DER encoded certificate.
+ * @param {Buffer} der
+ * @returns {Object} {der, tbs, signatureHash, signature, issuer, subject, notBefore, notAfter, publicKey, isCA, commonName, dnsNames}
+ *   where issuer & subject are the raw DER names and publicKey the PEM encoded subject public key.
+ */
+X509.parse = function(der) {
+  var cert = readElement(der, 0);
+  if (cert.tag != 0x30 || cert.raw.length != der.length) throw new Error('Invalid certificate');
+
+  var parts = readChildren(cert);
+  var tbs = parts[0];
+  var signatureAlgorithm = decodeOid(readChildren(parts[1])[0].content);
+
+  var fields = readChildren(tbs);
+  // Skip the explicit version
+  if (fields[0].tag == 0xa0) fields.shift();
+
+  var validity = readChildren(fields[3]);
+  var res = {
+    der: der,
+    tbs: tbs.raw,
+    signatureHash: SIGNATURE_ALGORITHMS[signatureAlgorithm],
+    // Drop the unused bits count of the bit string
+    signature: parts[2].content.slice(1),
+    issuer: fields[2].raw,
+    subject: fields[4].raw,
+    notBefore: decodeTime(validity[0]),
+    notAfter: decodeTime(validity[1]),
+    publicKey: toPem(fields[5].raw, 'PUBLIC KEY'),
+    isCA: false,
+    commonName: getCommonName(fields[4]),
+    dnsNames: [],
+  };
+
+  var extensions = _.find(fields, {
+    tag: 0xa3
+  });
+  if (extensions) {
+    _.each(readChildren(readChildren(extensions)[0]), function(extension) {
+      var children = readChildren(extension);
+      var value = readElement(_.last(children).content, 0);
+      switch (decodeOid(children[0].content)) {
+        case OIDS.BASIC_CONSTRAINTS:
+          var constraints = readChildren(value);
+          res.isCA = !!constraints.length && constraints[0].tag == 0x01 && constraints[0].content[0] != 0;
+          break;
+        case OIDS.SUBJECT_ALT_NAME:
+          res.dnsNames = _.map(_.filter(readChildren(value), {
+            tag: 0x82
+          }), function(name) {
+            return name.content.toString('ascii');
+          });
+          break;
+      }
+    });
+  }
+
+  return res;
+};
+
+/**
+ * Whether the certificate was issued for the host, per its DNS subject alternative names (or common name if it
+ * has none). Wildcards only match a single leftmost label.
+ * @param {Object} cert - Parsed certificate.
+ * @param {String} host
+ */
+X509.matchesHost = function(cert, host) {
+  host = (host || '').toLowerCase();
+  var names = _.isEmpty(cert.dnsNames) ? _.compact([cert.commonName]) : cert.dnsNames;
+  return _.some(names, function(name) {
+    name = name.toLowerCase();
+    if (!_.startsWith(name, '*.')) return name == host;
+    var dot = host.indexOf('.');
+    return dot > 0 && host.slice(dot) == name.slice(1);
+  });
+};
+
+function isSignedBy(cert, issuer) {
+  if (!cert.issuer.equals(issuer.subject) || !cert.signatureHash) return false;
+  try {
+    return crypto.createVerify(cert.signatureHash).update(cert.tbs).verify(issuer.publicKey, cert.signature);
+  } catch (ex) {
+    return false;
+  }
+};
+
+/**
+ * Verifies a certificate chain up to a trusted root.
+ * @param {Array} chain - DER encoded certificates, starting with the end entity certificate and followed by the
+ *   certificates of its issuers.
+ * @param {Array} trustedRoots - PEM encoded root certificates.
+ * @param {Date} [date = now] - Date the certificates should be valid at.
+ * @returns {Object} The parsed end entity certificate.
+ * @throws {Error} If the chain is not valid or does not lead to a trusted root.
+ */
+X509.verifyChain = function(chain, trustedRoots, date) {
+  date = date || new Date();
+  if (_.isEmpty(chain)) throw new Error('empty certificate chain');
+
+  var certs = _.map(chain, X509.parse);
+  var roots = _.map(trustedRoots, function(pem) {
+    return X509.parse(X509.fromPem(pem));
+  });
+
+  _.each(certs, function(cert, i) {
+    if (date < cert.notBefore || date > cert.notAfter) throw new Error('certificate not valid at this date');
+    if (i > 0 && !cert.isCA) throw new Error('issuer certificate is not a certificate authority');
+    if (i > 0 && !isSignedBy(certs[i - 1], cert)) throw new Error('broken certificate chain');
+  });
+
+  // The chain either ends with a trusted root or with a certificate issued by one
+  var last = _.last(certs);
+  var trusted = _.some(roots, function(root) {
+    if (date < root.notBefore || date > root.notAfter) return false;
+    return root.der.equals(last.der) || (root.isCA && isSignedBy(last, root));
+  });
+  if (!trusted) throw new Error('untrusted certificate chain');
+
+  return certs[0];
+};
+
+module.exports = X509;
@@ -15,6 +15,9 @@ stop_program pids/fiatrateservice.pid
 stop_program pids/emailservice.pid
 stop_program pids/bcmonitor.pid
 stop_program pids/pushnotificationsservice.pid
+stop_program pids/webhookservice.pid
+stop_program pids/txpexpirationservice.pid
+stop_program pids/consolidationservice.pid
 stop_program pids/messagebroker.pid
 stop_program pids/locker.pid
 
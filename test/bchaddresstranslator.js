@@ -31,6 +31,11 @@ describe('BCH Address translator', function() {
       res.should.equal('36q2G5FMGvJbPgAVEaiyAsFGmpkhPKwk2r');
     });
  
+    it('should translate regtest addresses to cashaddr', function() {
+      var res = t.translate('mkYY5NRvikVBY1EPtaq9fAFgquesdjqECw', 'cashaddr', 'copay', 'regtest');
+      res.should.equal('qqmj20na0654ea37qfcrm9yyajs7993sxq3v2rcyqt');
+    });
+ 
     it('should keep the address if there is nothing to do (bch)', function() {
       var res = t.translate('CcJ4qUfyQ8x5NwhAeCQkrBSWVeXxXghcNz', 'copay');
       res.should.equal('CcJ4qUfyQ8x5NwhAeCQkrBSWVeXxXghcNz');
@@ -17,6 +17,7 @@ describe('Blockchain explorer', function() {
       exp.should.respondTo('broadcast');
       exp.should.respondTo('getUtxos');
       exp.should.respondTo('getTransactions');
+      exp.should.respondTo('getRawTransaction');
       exp.should.respondTo('getAddressActivity');
       exp.should.respondTo('estimateFee');
       exp.should.respondTo('initSocket');
@@ -43,6 +44,29 @@ describe('Blockchain explorer', function() {
       exp2.should.respondTo('addAddresses');
  
     });
+    it('should require an url for regtest & signet', function() {
+      (function() {
+        var exp = new BlockchainExplorer({
+          provider: 'v8',
+          network: 'regtest',
+        });
+      }).should.throw('without an explorer url');
+      (function() {
+        var exp = new BlockchainExplorer({
+          provider: 'v8',
+          coin: 'bch',
+          network: 'signet',
+          url: 'http://localhost:3000',
+        });
+      }).should.throw('not supported for coin bch');
+      var exp = new BlockchainExplorer({
+        provider: 'v8',
+        network: 'regtest',
+        url: 'http://localhost:3000',
+      });
+      should.exist(exp);
+      exp.apiPrefix.should.equal('/api/BTC/regtest');
+    });
     it('should fail on unsupported provider', function() {
       (function() {
         var exp = new BlockchainExplorer({
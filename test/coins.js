@@ -0,0 +1,81 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var should = chai.should();
+var Coins = require('../lib/common/coins');
+var Constants = require('../lib/common/constants');
+var Defaults = require('../lib/common/defaults');
+
+describe('Coins', function() {
+  describe('#list', function() {
+    it('should list the registered coins in order', function() {
+      Coins.list().should.deep.equal(['btc', 'bch', 'ltc']);
+      _.values(Constants.COINS).should.deep.equal(Coins.list());
+    });
+  });
+
+  describe('#get', function() {
+    it('should fill in the defaults of the coin definition', function() {
+      var ltc = Coins.get('ltc');
+      ltc.name.should.equal('Litecoin');
+      ltc.segwit.should.be.false;
+      ltc.cashaddr.should.be.false;
+      ltc.maxDataOutputs.should.equal(1);
+      ltc.dustAmount.should.equal(ltc.lib.Transaction.DUST_AMOUNT);
+      should.not.exist(Coins.get('xxx'));
+    });
+    it('should reject invalid coin definitions', function() {
+      (function() {
+        Coins.register('XXX', {});
+      }).should.throw('Invalid coin code');
+      (function() {
+        Coins.register('xxx', {
+          lib: Coins.getLib('btc'),
+          networks: ['livenet'],
+        });
+      }).should.throw('Missing coin units');
+      should.not.exist(Coins.get('xxx'));
+    });
+  });
+
+  describe('#getLib', function() {
+    it('should return the library of each coin', function() {
+      Coins.getLib('btc').should.equal(require('bitcore-lib'));
+      Coins.getLib('bch').should.equal(require('bitcore-lib-cash'));
+      Coins.getLib('ltc').should.equal(require('bitcore-lib-ltc'));
+      (function() {
+        Coins.getLib('xxx');
+      }).should.throw('Coin xxx not supported');
+    });
+  });
+
+  describe('#getUnits', function() {
+    it('should merge the units of all coins', function() {
+      _.keys(Coins.getUnits()).should.deep.equal(['btc', 'bit', 'bch', 'ltc']);
+      Coins.getUnits().ltc.label.should.equal('LTC');
+    });
+  });
+
+  describe('#formatAddress', function() {
+    it('should keep BCH addresses in legacy format', function() {
+      var address = Coins.getLib('bch').Address('bitcoincash:qrvcdmgpk73zyfd8pmdl9wnuld36zh9n4gms8s0u59');
+      Coins.formatAddress('bch', address).should.equal('CcJ4qUfyQ8x5NwhAeCQkrBSWVeXxXghcNz');
+      address = Coins.getLib('ltc').Address('LTSb5ygsnP3BmMCQLLgThVFeov3FmrMs5z');
+      Coins.formatAddress('ltc', address).should.equal('LTSb5ygsnP3BmMCQLLgThVFeov3FmrMs5z');
+    });
+  });
+
+  describe('derived settings', function() {
+    it('should derive per coin settings from the registry', function() {
+      Constants.COIN_NETWORKS.ltc.should.deep.equal(['livenet', 'testnet', 'regtest']);
+      Constants.RBF_COINS.should.deep.equal(['btc']);
+      Defaults.FEE_LEVELS.ltc.should.deep.equal(Coins.get('ltc').feeLevels);
+      Defaults.MAX_DATA_OUTPUT_SIZE.should.deep.equal({
+        btc: 80,
+        bch: 220,
+        ltc: 80,
+      });
+    });
+  });
+});
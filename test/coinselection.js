@@ -0,0 +1,167 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var should = chai.should();
+var Defaults = require('../lib/common/defaults');
+var CoinSelection = require('../lib/coinselection');
+
+describe('CoinSelection', function() {
+  var params;
+  beforeEach(function() {
+    params = {
+      baseTxpSize: 100,
+      baseTxpFee: 1000,
+      sizePerInput: 100,
+      feePerInput: 1000,
+      feePerKb: 10000,
+      requiredInputs: [],
+      dustThreshold: 5000,
+    };
+  });
+
+  function utxo(id, satoshis, address) {
+    return {
+      txid: id,
+      vout: 0,
+      satoshis: satoshis,
+      address: address || id,
+    };
+  };
+
+  function select(strategy, utxos, amount) {
+    var result;
+    CoinSelection.select(strategy, utxos, _.assign(params, {
+      txpAmount: amount,
+    }), function(err, inputs, fee) {
+      result = {
+        err: err,
+        txids: _.map(inputs, 'txid').sort(),
+        fee: fee,
+      };
+    });
+    return result;
+  };
+
+  describe('#select', function() {
+    var utxos;
+    beforeEach(function() {
+      utxos = [utxo('a', 1e6), utxo('b', 2e6), utxo('c', 5e8)];
+    });
+
+    it('should fail when funds are insufficient', function() {
+      select('default', utxos, 6e8).err.code.should.equal('INSUFFICIENT_FUNDS');
+      select('largestFirst', utxos, 5.03e8 - 3500).err.code.should.equal('INSUFFICIENT_FUNDS_FOR_FEE');
+    });
+    it('should log through the given logger', function() {
+      var messages = [];
+      params.logi = function(message) {
+        messages.push(message);
+      };
+      select('default', utxos, 6e8);
+      messages.length.should.equal(1);
+      messages[0].should.contain('insufficient to cover for txp amount');
+    });
+    it('should fail on invalid strategies', function() {
+      (function() {
+        select('random', utxos, 1e6);
+      }).should.throw();
+    });
+    it('should use the default strategy when none is specified', function() {
+      select(null, utxos, 2.5e6).should.deep.equal(select('default', utxos, 2.5e6));
+    });
+
+    describe('default', function() {
+      it('should prefer small inputs over a big one', function() {
+        var result = select('default', utxos, 2.5e6);
+        should.not.exist(result.err);
+        result.txids.should.deep.equal(['a', 'b']);
+        result.fee.should.equal(3000);
+      });
+      it('should use a big input when small inputs do not cover the amount', function() {
+        var result = select('default', utxos, 4e6);
+        result.txids.should.deep.equal(['c']);
+        result.fee.should.equal(2000);
+      });
+    });
+
+    describe('largestFirst', function() {
+      it('should spend the biggest inputs first', function() {
+        var result = select('largestFirst', utxos, 2.5e6);
+        result.txids.should.deep.equal(['c']);
+        result.fee.should.equal(2000);
+      });
+    });
+
+    describe('branchAndBound', function() {
+      beforeEach(function() {
+        utxos = [utxo('a', 3e6), utxo('b', 2e6), utxo('c', 1.5e6), utxo('d', 1e6)];
+      });
+
+      it('should find an exact match', function() {
+        var result = select('branchAndBound', utxos, 3.497e6);
+        result.txids.should.deep.equal(['b', 'c']);
+        result.fee.should.equal(3000);
+      });
+      it('should add an excess below the cost of change to the fee', function() {
+        var result = select('branchAndBound', utxos, 3.4965e6);
+        result.txids.should.deep.equal(['b', 'c']);
+        result.fee.should.equal(3500);
+      });
+      it('should fall back to the default strategy when no changeless tx exists', function() {
+        select('branchAndBound', utxos, 3.3e6).should.deep.equal(select('default', utxos, 3.3e6));
+      });
+      it('should always spend the required inputs', function() {
+        params.requiredInputs = [utxo('parent', 0.5e6)];
+        var result = select('branchAndBound', utxos, 3.996e6);
+        result.txids.should.deep.equal(['b', 'c', 'parent']);
+        result.fee.should.equal(4000);
+      });
+    });
+
+    describe('avoidAddressMixing', function() {
+      beforeEach(function() {
+        utxos = [
+          utxo('a1', 1e6, 'A'), utxo('a2', 1e6, 'A'),
+          utxo('b1', 3e6, 'B'),
+          utxo('c1', 0.5e6, 'C'), utxo('c2', 4e6, 'C'),
+        ];
+      });
+
+      it('should spend all the utxos of the smallest address covering the amount', function() {
+        var result = select('avoidAddressMixing', utxos, 1.5e6);
+        result.txids.should.deep.equal(['a1', 'a2']);
+        result.fee.should.equal(3000);
+      });
+      it('should spend the biggest addresses first when no single address covers the amount', function() {
+        var result = select('avoidAddressMixing', utxos, 6e6);
+        result.txids.should.deep.equal(['b1', 'c1', 'c2']);
+        result.fee.should.equal(4000);
+      });
+    });
+  });
+
+  describe('#selectAll', function() {
+    var utxos;
+    beforeEach(function() {
+      utxos = [
+        utxo('a1', 1e6, 'A'), utxo('a2', 1e6, 'A'),
+        utxo('b1', 3e6, 'B'),
+        utxo('c1', 0.5e6, 'C'), utxo('c2', 4e6, 'C'),
+      ];
+      // Room for two inputs only
+      params.sizePerInput = (Defaults.MAX_TX_SIZE_IN_KB * 1000 - params.baseTxpSize) / 2;
+    });
+
+    it('should keep the biggest utxos that fit in a tx', function() {
+      var selection = CoinSelection.selectAll('default', utxos, params);
+      _.map(selection.inputs, 'txid').should.deep.equal(['c2', 'b1']);
+      _.map(selection.excluded, 'txid').sort().should.deep.equal(['a1', 'a2', 'c1']);
+    });
+    it('should not split the utxos of an address', function() {
+      var selection = CoinSelection.selectAll('avoidAddressMixing', utxos, params);
+      _.map(selection.inputs, 'txid').sort().should.deep.equal(['c1', 'c2']);
+      _.map(selection.excluded, 'txid').sort().should.deep.equal(['a1', 'a2', 'b1']);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var should = chai.should();
+var CostBasis = require('../lib/costbasis');
+
+describe('CostBasis', function() {
+  var txs;
+  beforeEach(function() {
+    txs = [{
+      txid: 'in1',
+      time: 1000,
+      action: 'received',
+      amount: 1e8,
+      rate: 1000,
+    }, {
+      txid: 'in2',
+      time: 2000,
+      action: 'received',
+      amount: 1e8,
+      rate: 3000,
+    }, {
+      txid: 'out1',
+      time: 3000,
+      action: 'sent',
+      amount: 1.5e8,
+      fees: 0,
+      rate: 4000,
+    }];
+  });
+
+  describe('#compute', function() {
+    it('should match disposals against the oldest lots first', function() {
+      var report = CostBasis.compute(txs, {
+        method: 'fifo'
+      });
+      report.disposals.length.should.equal(1);
+      report.disposals[0].proceeds.should.equal(6000);
+      report.disposals[0].costBasis.should.equal(2500);
+      report.disposals[0].gain.should.equal(3500);
+      report.realizedGain.should.equal(3500);
+      report.lots.should.deep.equal([{
+        txid: 'in2',
+        time: 2000,
+        amount: 0.5e8,
+        costBasis: 1500,
+      }]);
+      report.gaps.should.be.empty;
+    });
+    it('should match disposals against the newest lots first', function() {
+      var report = CostBasis.compute(txs, {
+        method: 'lifo'
+      });
+      report.disposals[0].costBasis.should.equal(3500);
+      report.realizedGain.should.equal(2500);
+      report.lots.should.deep.equal([{
+        txid: 'in1',
+        time: 1000,
+        amount: 0.5e8,
+        costBasis: 500,
+      }]);
+    });
+    it('should match disposals against the average cost', function() {
+      var report = CostBasis.compute(txs, {
+        method: 'average'
+      });
+      report.disposals[0].costBasis.should.equal(3000);
+      report.realizedGain.should.equal(3000);
+      report.lots.length.should.equal(1);
+      report.lots[0].amount.should.equal(0.5e8);
+      report.lots[0].costBasis.should.equal(1000);
+    });
+    it('should dispose of fees with no proceeds', function() {
+      txs[2].fees = 0.1e8;
+      txs.push({
+        txid: 'move1',
+        time: 4000,
+        action: 'moved',
+        amount: 0,
+        fees: 0.1e8,
+        rate: 5000,
+      });
+      var report = CostBasis.compute(txs, {
+        method: 'fifo'
+      });
+      report.disposals.length.should.equal(2);
+      report.disposals[0].amount.should.equal(1.6e8);
+      report.disposals[0].costBasis.should.equal(2800);
+      report.disposals[1].proceeds.should.equal(0);
+      report.disposals[1].gain.should.equal(-300);
+      report.lots[0].amount.should.equal(0.3e8);
+    });
+    it('should only report disposals within the time range', function() {
+      txs.push({
+        txid: 'out2',
+        time: 5000,
+        action: 'sent',
+        amount: 0.5e8,
+        fees: 0,
+        rate: 2000,
+      });
+      var report = CostBasis.compute(txs, {
+        method: 'fifo',
+        from: 4000,
+      });
+      _.map(report.disposals, 'txid').should.deep.equal(['out2']);
+      report.disposals[0].gain.should.equal(-500);
+      report.lots.should.be.empty;
+
+      report = CostBasis.compute(txs, {
+        method: 'fifo',
+        to: 4000,
+      });
+      _.map(report.disposals, 'txid').should.deep.equal(['out1']);
+    });
+    it('should report gaps and leave unknown gains out of the totals', function() {
+      txs[0].rate = undefined;
+      txs.push({
+        txid: 'in3',
+        time: 4000,
+        action: 'received',
+        amount: 1e8,
+        rate: 5000,
+      }, {
+        txid: 'out2',
+        time: 5000,
+        action: 'sent',
+        amount: 1e8,
+        fees: 0,
+        rate: 6000,
+      });
+      var report = CostBasis.compute(txs, {
+        method: 'fifo'
+      });
+      report.gaps.should.deep.equal([{
+        txid: 'in1',
+        time: 1000,
+        action: 'received',
+      }]);
+      should.equal(report.disposals[0].costBasis, null);
+      should.equal(report.disposals[0].gain, null);
+      report.disposals[1].costBasis.should.equal(4000);
+      report.realizedGain.should.equal(2000);
+    });
+    it('should not compute the cost of more than the wallet holds', function() {
+      txs[2].amount = 3e8;
+      var report = CostBasis.compute(txs, {
+        method: 'fifo'
+      });
+      should.equal(report.disposals[0].gain, null);
+      report.lots.should.be.empty;
+      report.realizedGain.should.equal(0);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 'use strict';
 
+var _ = require('lodash');
 var chai = require('chai');
 var sinon = require('sinon');
 var request = require('request');
@@ -272,6 +273,344 @@ describe('ExpressApp', function() {
           });
         });
       });
+
+      describe('/v1/notifications/stream', function() {
+        it('should stream notifications as server-sent events', function(done) {
+          var unsubscribe = sinon.stub();
+          var server = {
+            streamNotifications: function(opts, onNotification, cb) {
+              cb(null, unsubscribe);
+              onNotification({
+                id: '456',
+                type: 'NewIncomingTx',
+              });
+            },
+          };
+          sinon.spy(server, 'streamNotifications');
+          var TestExpressApp = proxyquire('../lib/expressapp', {
+            './server': {
+              initialize: sinon.stub().callsArg(1),
+              getInstanceWithAuth: sinon.stub().callsArgWith(1, null, server),
+            }
+          });
+          start(TestExpressApp, function() {
+            http.get({
+              host: '127.0.0.1',
+              port: testPort,
+              path: config.basePath + '/v1/notifications/stream',
+              headers: {
+                'x-identity': 'identity',
+                'x-signature': 'signature',
+                'last-event-id': '123',
+              }
+            }, function(res) {
+              res.statusCode.should.equal(200);
+              res.headers['content-type'].should.equal('text/event-stream');
+
+              var received = '';
+              res.on('data', function(data) {
+                received += data.toString();
+                if (!/data: .*\n\n$/.test(received)) return;
+
+                server.streamNotifications.getCall(0).args[0].notificationId.should.equal('123');
+                received.should.contain('id: 456\n');
+                JSON.parse(/data: (.*)\n\n$/.exec(received)[1]).type.should.equal('NewIncomingTx');
+                res.destroy();
+                setTimeout(function() {
+                  unsubscribe.calledOnce.should.be.true;
+                  done();
+                }, 50);
+              });
+            });
+          });
+        });
+      });
+
+      describe('/v1/txhistory/export', function() {
+        var server, TestExpressApp;
+        beforeEach(function() {
+          server = {
+            walletId: 'wallet1',
+            exportTxHistory: sinon.spy(function(opts, onTxs, cb) {
+              onTxs([{
+                txid: 'txid1',
+                amount: 100,
+                note: 'salary, "march"',
+              }]);
+              onTxs([{
+                txid: 'txid2',
+                amount: 200,
+                note: null,
+              }]);
+              return cb();
+            }),
+          };
+          TestExpressApp = proxyquire('../lib/expressapp', {
+            './server': {
+              initialize: sinon.stub().callsArg(1),
+              getInstanceWithAuth: sinon.stub().callsArgWith(1, null, server),
+              TX_HISTORY_EXPORT_FIELDS: ['txid', 'amount', 'note'],
+            }
+          });
+        });
+
+        it('should export history as CSV', function(done) {
+          start(TestExpressApp, function() {
+            var requestOptions = {
+              url: testHost + ':' + testPort + config.basePath + '/v1/txhistory/export?format=csv&from=10&to=20&code=USD',
+              headers: {
+                'x-identity': 'identity',
+                'x-signature': 'signature'
+              }
+            };
+            request(requestOptions, function(err, res, body) {
+              should.not.exist(err);
+              res.statusCode.should.equal(200);
+              res.headers['content-type'].should.contain('text/csv');
+              res.headers['content-disposition'].should.contain('txhistory-wallet1.csv');
+              body.should.equal('txid,amount,note\r\ntxid1,100,"salary, ""march"""\r\ntxid2,200,\r\n');
+              server.exportTxHistory.getCall(0).args[0].should.deep.equal({
+                from: 10,
+                to: 20,
+                code: 'USD',
+              });
+              done();
+            });
+          });
+        });
+        it('should export history as JSON', function(done) {
+          start(TestExpressApp, function() {
+            var requestOptions = {
+              url: testHost + ':' + testPort + config.basePath + '/v1/txhistory/export',
+              headers: {
+                'x-identity': 'identity',
+                'x-signature': 'signature'
+              }
+            };
+            request(requestOptions, function(err, res, body) {
+              should.not.exist(err);
+              res.statusCode.should.equal(200);
+              var txs = JSON.parse(body);
+              txs.length.should.equal(2);
+              txs[0].txid.should.equal('txid1');
+              txs[1].txid.should.equal('txid2');
+              done();
+            });
+          });
+        });
+      });
+
+      describe('/v1/reports/gains', function() {
+        it('should pass query params to the server', function(done) {
+          var server = {
+            getGainsReport: sinon.stub().callsArgWith(1, null, {
+              realizedGain: 100,
+            }),
+          };
+          var TestExpressApp = proxyquire('../lib/expressapp', {
+            './server': {
+              initialize: sinon.stub().callsArg(1),
+              getInstanceWithAuth: sinon.stub().callsArgWith(1, null, server),
+            }
+          });
+          start(TestExpressApp, function() {
+            var requestOptions = {
+              url: testHost + ':' + testPort + config.basePath + '/v1/reports/gains?code=USD&method=lifo&from=10&to=20',
+              headers: {
+                'x-identity': 'identity',
+                'x-signature': 'signature'
+              }
+            };
+            request(requestOptions, function(err, res, body) {
+              should.not.exist(err);
+              res.statusCode.should.equal(200);
+              JSON.parse(body).realizedGain.should.equal(100);
+              server.getGainsReport.getCall(0).args[0].should.deep.equal({
+                code: 'USD',
+                method: 'lifo',
+                from: 10,
+                to: 20,
+              });
+              done();
+            });
+          });
+        });
+      });
+
+      describe('/v1/txproposals/:id/comments', function() {
+        it('should pass the tx proposal id from the url to the server', function(done) {
+          var server = {
+            addTxProposalComment: sinon.stub().callsArgWith(1, null, {
+              id: 'comment1',
+            }),
+          };
+          var TestExpressApp = proxyquire('../lib/expressapp', {
+            './server': {
+              initialize: sinon.stub().callsArg(1),
+              getInstanceWithAuth: sinon.stub().callsArgWith(1, null, server),
+            }
+          });
+          start(TestExpressApp, function() {
+            var requestOptions = {
+              method: 'POST',
+              url: testHost + ':' + testPort + config.basePath + '/v1/txproposals/txp1/comments',
+              headers: {
+                'x-identity': 'identity',
+                'x-signature': 'signature'
+              },
+              json: {
+                body: 'encrypted comment',
+              },
+            };
+            request(requestOptions, function(err, res, body) {
+              should.not.exist(err);
+              res.statusCode.should.equal(200);
+              body.id.should.equal('comment1');
+              server.addTxProposalComment.getCall(0).args[0].should.deep.equal({
+                txProposalId: 'txp1',
+                body: 'encrypted comment',
+              });
+              done();
+            });
+          });
+        });
+      });
+      describe('/v1/txhistory/predecessor', function() {
+        it('should pass the paging options from the query to the server', function(done) {
+          var server = {
+            getPredecessorTxHistory: sinon.stub().callsArgWith(1, null, []),
+          };
+          var TestExpressApp = proxyquire('../lib/expressapp', {
+            './server': {
+              initialize: sinon.stub().callsArg(1),
+              getInstanceWithAuth: sinon.stub().callsArgWith(1, null, server),
+            }
+          });
+          start(TestExpressApp, function() {
+            var requestOptions = {
+              url: testHost + ':' + testPort + config.basePath + '/v1/txhistory/predecessor/?skip=10&limit=5&includeExtendedInfo=1',
+              headers: {
+                'x-identity': 'identity',
+                'x-signature': 'signature'
+              }
+            };
+            request(requestOptions, function(err, res, body) {
+              should.not.exist(err);
+              res.statusCode.should.equal(200);
+              server.getPredecessorTxHistory.getCall(0).args[0].should.deep.equal({
+                skip: 10,
+                limit: 5,
+                includeExtendedInfo: true,
+              });
+              done();
+            });
+          });
+        });
+      });
+      describe('/v1/utxos/:txid/:vout', function() {
+        it('should pass the utxo from the url to the server', function(done) {
+          var server = {
+            editUtxoMetadata: sinon.stub().callsArgWith(1, null, {
+              frozen: true,
+            }),
+          };
+          var TestExpressApp = proxyquire('../lib/expressapp', {
+            './server': {
+              initialize: sinon.stub().callsArg(1),
+              getInstanceWithAuth: sinon.stub().callsArgWith(1, null, server),
+            }
+          });
+          start(TestExpressApp, function() {
+            var requestOptions = {
+              method: 'PUT',
+              url: testHost + ':' + testPort + config.basePath + '/v1/utxos/txid1/3',
+              headers: {
+                'x-identity': 'identity',
+                'x-signature': 'signature'
+              },
+              json: {
+                frozen: true,
+              },
+            };
+            request(requestOptions, function(err, res, body) {
+              should.not.exist(err);
+              res.statusCode.should.equal(200);
+              body.frozen.should.be.true;
+              server.editUtxoMetadata.getCall(0).args[0].should.deep.equal({
+                txid: 'txid1',
+                vout: 3,
+                frozen: true,
+              });
+              done();
+            });
+          });
+        });
+      });
+      describe('/v1/mock/:coin/:network', function() {
+        beforeEach(function(done) {
+          var TestExpressApp = proxyquire('../lib/expressapp', {
+            './server': {
+              initialize: sinon.stub().callsArg(1),
+              ClientError: require('../lib/errors/clienterror'),
+            }
+          });
+          var app = new TestExpressApp();
+          httpServer = http.Server(app.app);
+          app.start(_.assign({}, config, {
+            blockchainExplorerOpts: {
+              btc: {
+                testnet: {
+                  provider: 'mock',
+                },
+              },
+            },
+          }), function(err) {
+            should.not.exist(err);
+            httpServer.listen(testPort);
+            done();
+          });
+        });
+
+        it('should fund addresses and mine blocks', function(done) {
+          var url = testHost + ':' + testPort + config.basePath + '/v1/mock/btc/testnet/';
+          request({
+            method: 'POST',
+            url: url + 'fund/',
+            json: {
+              address: 'mrM5kMkqZccK5MxZYSsM3SjqdMaNKLJgrJ',
+              amount: 1e8,
+            },
+          }, function(err, res, body) {
+            should.not.exist(err);
+            res.statusCode.should.equal(200);
+            should.exist(body.txid);
+            request({
+              method: 'POST',
+              url: url + 'mine/',
+              json: {
+                blocks: 2,
+              },
+            }, function(err, res, body) {
+              should.not.exist(err);
+              res.statusCode.should.equal(200);
+              body.hashes.length.should.equal(2);
+              done();
+            });
+          });
+        });
+        it('should fail for networks not using the mock explorer', function(done) {
+          request({
+            method: 'POST',
+            url: testHost + ':' + testPort + config.basePath + '/v1/mock/btc/livenet/mine/',
+            json: {},
+          }, function(err, res, body) {
+            should.not.exist(err);
+            res.statusCode.should.equal(400);
+            body.message.should.contain('No mock blockchain explorer for btc/livenet');
+            done();
+          });
+        });
+      });
     });
   });
 });
@@ -14,6 +14,7 @@ var WalletService = require('../../lib/server');
 var BlockchainMonitor = require('../../lib/blockchainmonitor');
 
 var helpers = require('./helpers');
+var TestData = require('../testdata');
 var storage, blockchainExplorer;
 
 var socket = {
@@ -150,6 +151,60 @@ it('should parse v8 amount ', function(done) {
 
  
 
+  it('should notify observers of watch-only wallets of incoming txs', function(done) {
+    helpers.stubAddressActivity([]);
+    server.messageBroker.onMessage(function(n) {
+      if (n.type != 'ScanFinished') return;
+      server.messageBroker.removeAllListeners();
+
+      var copayerOpts = helpers.getSignedCopayerOpts({
+        walletId: n.walletId,
+        name: 'auditor',
+        xPubKey: TestData.copayers[3].xPubKey_44H_0H_0H,
+        requestPubKey: TestData.copayers[3].pubKey_1H_0,
+        role: 'observer',
+      });
+      new WalletService().joinWallet(copayerOpts, function(err, result) {
+        should.not.exist(err);
+        helpers.getAuthServer(result.copayerId, function(observer) {
+          observer.createAddress({}, function(err, address) {
+            should.not.exist(err);
+
+            var incoming = {
+              txid: '123',
+              vout: [{}],
+            };
+            incoming.vout[0][address.address] = 1500;
+            socket.handlers['tx'](incoming);
+            setTimeout(function() {
+              observer.getNotifications({}, function(err, notifications) {
+                should.not.exist(err);
+                var notification = _.find(notifications, {
+                  type: 'NewIncomingTx'
+                });
+                should.exist(notification);
+                notification.walletId.should.equal(n.walletId);
+                notification.data.amount.should.equal(1500);
+                done();
+              });
+            }, 100);
+          });
+        });
+      });
+    });
+
+    new WalletService().createWallet({
+      name: 'watch-only wallet',
+      m: 1,
+      n: 1,
+      pubKey: TestData.keyPair.pub,
+      xPubKeys: [TestData.copayers[4].xPubKey_44H_0H_0H],
+      derivationStrategy: 'BIP44',
+    }, function(err) {
+      should.not.exist(err);
+    });
+  });
+
   it('should notify copayers of tx confirmation', function(done) {
     server.createAddress({}, function(err, address) {
       should.not.exist(err);
@@ -190,4 +245,112 @@ it('should parse v8 amount ', function(done) {
       });
     });
   });
+
+  describe('Invoices', function() {
+    function pay(address, txid, amounts) {
+      var incoming = {
+        txid: txid,
+        vout: _.map(amounts, function(amount) {
+          var out = {};
+          out[address] = amount;
+          return out;
+        }),
+      };
+      socket.handlers['tx'](incoming);
+    };
+
+    function getInvoiceNotifications(cb) {
+      server.getNotifications({}, function(err, notifications) {
+        should.not.exist(err);
+        return cb(_.filter(notifications, function(n) {
+          return _.startsWith(n.type, 'Invoice');
+        }));
+      });
+    };
+
+    it('should mark invoices as paid', function(done) {
+      server.createInvoice({
+        amount: 3000,
+      }, function(err, invoice) {
+        should.not.exist(err);
+        pay(invoice.address, '123', [1000, 2000]);
+
+        setTimeout(function() {
+          server.getInvoices({}, function(err, invoices) {
+            should.not.exist(err);
+            invoices[0].status.should.equal('paid');
+            invoices[0].amountReceived.should.equal(3000);
+            invoices[0].payments.length.should.equal(1);
+            getInvoiceNotifications(function(notifications) {
+              notifications.length.should.equal(1);
+              var n = notifications[0];
+              n.type.should.equal('InvoicePaid');
+              n.data.invoiceId.should.equal(invoice.id);
+              n.data.txid.should.equal('123');
+              n.data.amountReceived.should.equal(3000);
+              done();
+            });
+          });
+        }, 100);
+      });
+    });
+    it('should mark invoices as underpaid and overpaid', function(done) {
+      server.createInvoice({
+        amount: 3000,
+      }, function(err, invoice) {
+        should.not.exist(err);
+        pay(invoice.address, '123', [1000]);
+
+        setTimeout(function() {
+          server.getInvoices({}, function(err, invoices) {
+            should.not.exist(err);
+            invoices[0].status.should.equal('underpaid');
+            getInvoiceNotifications(function(notifications) {
+              notifications.should.be.empty;
+              pay(invoice.address, '456', [2500]);
+
+              setTimeout(function() {
+                server.getInvoices({}, function(err, invoices) {
+                  should.not.exist(err);
+                  invoices[0].status.should.equal('overpaid');
+                  invoices[0].amountReceived.should.equal(3500);
+                  getInvoiceNotifications(function(notifications) {
+                    _.map(notifications, 'type').should.deep.equal(['InvoicePaid']);
+                    notifications[0].data.status.should.equal('overpaid');
+                    done();
+                  });
+                });
+              }, 100);
+            });
+          });
+        }, 100);
+      });
+    });
+    it('should mark invoices paid after the expiration as expired', function(done) {
+      server.createInvoice({
+        amount: 3000,
+        expiresIn: 60,
+      }, function(err, invoice) {
+        should.not.exist(err);
+        var clock = sinon.useFakeTimers({
+          now: Date.now() + 61 * 1000,
+          toFake: ['Date'],
+        });
+        pay(invoice.address, '123', [3000]);
+
+        setTimeout(function() {
+          server.getInvoices({}, function(err, invoices) {
+            should.not.exist(err);
+            clock.restore();
+            invoices[0].status.should.equal('expired');
+            invoices[0].amountReceived.should.equal(3000);
+            getInvoiceNotifications(function(notifications) {
+              _.map(notifications, 'type').should.deep.equal(['InvoiceExpired']);
+              done();
+            });
+          });
+        }, 100);
+      });
+    });
+  });
 });
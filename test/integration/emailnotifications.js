@@ -38,7 +38,7 @@ describe('Email notifications', function() {
             helpers.getAuthServer(copayer.id, function(server) {
               server.savePreferences({
                 email: 'copayer' + (++i) + '@domain.com',
-                unit: 'bit',
+                unit: 'bch',
               }, next);
             });
           }, function(err) {
@@ -110,6 +110,41 @@ describe('Email notifications', function() {
         });
       });
     });
+
+    it('should notify incoming payments of coins without public tx url template', function(done) {
+      helpers.createAndJoinWallet(1, 1, {
+        coin: 'ltc',
+        offset: 1,
+      }, function(server) {
+        server.savePreferences({
+          email: 'ltc@domain.com',
+        }, function(err) {
+          should.not.exist(err);
+          server.createAddress({}, function(err, address) {
+            should.not.exist(err);
+
+            // Simulate incoming tx notification
+            server._notify('NewIncomingTx', {
+              txid: '999',
+              address: address,
+              amount: 221340,
+            }, function(err) {
+              setTimeout(function() {
+                var emails = _.filter(_.map(mailerStub.send.getCalls(), function(c) {
+                  return c.args[0];
+                }), {
+                  to: 'ltc@domain.com'
+                });
+                emails.length.should.equal(1);
+                emails[0].subject.should.contain('New payment received');
+                emails[0].text.should.contain('0.002213 LTC');
+                done();
+              }, 100);
+            });
+          });
+        });
+      });
+    });
   });
 
 
@@ -210,6 +245,52 @@ describe('Email notifications', function() {
       });
     });
 
+    it('should warn copayers of tx proposals not verified against the payment request', function(done) {
+      server.payProOpts = {};
+      helpers.stubUtxos(server, wallet, [1, 1], function() {
+        var txOpts = {
+          outputs: [{
+            toAddress: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+            amount: 0.8e8
+          }],
+          feePerKb: 100e2,
+          payProUrl: 'https://merchant.com/i/invoice1',
+        };
+
+        helpers.createAndPublishTx(server, txOpts, TestData.copayers[0].privKey_1H_0, function(tx) {
+          setTimeout(function() {
+            var calls = mailerStub.send.getCalls();
+            calls.length.should.equal(2);
+            var one = calls[0].args[0];
+            one.subject.should.contain('New payment proposal');
+            one.text.should.contain('could not be checked against the payment request');
+            done();
+          }, 100);
+        });
+      });
+    });
+
+    it('should not warn copayers of tx proposals with no payment request', function(done) {
+      helpers.stubUtxos(server, wallet, [1, 1], function() {
+        var txOpts = {
+          outputs: [{
+            toAddress: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+            amount: 0.8e8
+          }],
+          feePerKb: 100e2,
+        };
+
+        helpers.createAndPublishTx(server, txOpts, TestData.copayers[0].privKey_1H_0, function(tx) {
+          setTimeout(function() {
+            var calls = mailerStub.send.getCalls();
+            calls.length.should.equal(2);
+            calls[0].args[0].text.should.not.contain('could not be checked');
+            done();
+          }, 100);
+        });
+      });
+    });
+
     it('should not send email if unable to apply template to notification', function(done) {
       var _applyTemplate_old = emailService._applyTemplate;
       emailService._applyTemplate = function(template, data, cb) {
@@ -430,6 +511,127 @@ describe('Email notifications', function() {
       });
     });
 
+    it('should notify other copayers of new address book entries', function(done) {
+      server.addAddressBookEntry({
+        address: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+      }, function(err) {
+        should.not.exist(err);
+        setTimeout(function() {
+          var calls = mailerStub.send.getCalls();
+          calls.length.should.equal(2);
+          var emails = _.map(calls, function(c) {
+            return c.args[0];
+          });
+          _.difference(['copayer2@domain.com', 'copayer3@domain.com'], _.map(emails, 'to')).should.be.empty;
+          var one = emails[0];
+          one.subject.should.contain('New address book entry');
+          one.text.should.contain('18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7');
+          done();
+        }, 100);
+      });
+    });
+
+    it('should notify copayers of new and activated spending policies', function(done) {
+      server.proposeSpendingPolicy({
+        periodLimits: [{
+          period: 'daily',
+          amount: 1e8,
+        }],
+      }, function(err, policy) {
+        should.not.exist(err);
+        setTimeout(function() {
+          var calls = mailerStub.send.getCalls();
+          calls.length.should.equal(2);
+          var emails = _.map(calls, function(c) {
+            return c.args[0];
+          });
+          _.difference(['copayer2@domain.com', 'copayer3@domain.com'], _.map(emails, 'to')).should.be.empty;
+          emails[0].subject.should.contain('New spending policy');
+
+          helpers.getAuthServer(wallet.copayers[1].id, function(server) {
+            server.approveSpendingPolicy({
+              id: policy.id,
+            }, function(err) {
+              should.not.exist(err);
+              setTimeout(function() {
+                var calls = mailerStub.send.getCalls();
+                calls.length.should.equal(5);
+                var emails = _.map(_.takeRight(calls, 3), function(c) {
+                  return c.args[0];
+                });
+                _.difference(['copayer1@domain.com', 'copayer2@domain.com', 'copayer3@domain.com'], _.map(emails, 'to')).should.be.empty;
+                emails[0].subject.should.contain('Spending policy activated');
+                done();
+              }, 100);
+            });
+          });
+        }, 100);
+      });
+    });
+
+    it('should notify all copayers when a tx proposal expires', function(done) {
+      server._notify('TxProposalExpired', {
+        txProposalId: 'dummy',
+        amount: 1e8,
+      }, {
+        isGlobal: true
+      }, function(err) {
+        should.not.exist(err);
+        setTimeout(function() {
+          var calls = mailerStub.send.getCalls();
+          calls.length.should.equal(3);
+          var emails = _.map(calls, function(c) {
+            return c.args[0];
+          });
+          _.difference(['copayer1@domain.com', 'copayer2@domain.com', 'copayer3@domain.com'], _.map(emails, 'to')).should.be.empty;
+          emails[0].subject.should.contain('Payment proposal expired');
+          done();
+        }, 100);
+      });
+    });
+
+    it('should notify all copayers when a consolidation is suggested', function(done) {
+      server._notify('ConsolidationSuggested', {
+        txProposalId: 'dummy',
+        amount: 1e8,
+        utxoCount: 25,
+      }, {
+        isGlobal: true
+      }, function(err) {
+        should.not.exist(err);
+        setTimeout(function() {
+          var calls = mailerStub.send.getCalls();
+          calls.length.should.equal(3);
+          var emails = _.map(calls, function(c) {
+            return c.args[0];
+          });
+          _.difference(['copayer1@domain.com', 'copayer2@domain.com', 'copayer3@domain.com'], _.map(emails, 'to')).should.be.empty;
+          emails[0].subject.should.contain('Consolidation suggested');
+          emails[0].text.should.contain('25 small payments');
+          done();
+        }, 100);
+      });
+    });
+
+    it('should notify other copayers when a tx proposal is commented', function(done) {
+      server._notify('TxProposalComment', {
+        txProposalId: 'dummy',
+        commentId: 'comment1',
+      }, function(err) {
+        should.not.exist(err);
+        setTimeout(function() {
+          var calls = mailerStub.send.getCalls();
+          calls.length.should.equal(2);
+          var emails = _.map(calls, function(c) {
+            return c.args[0];
+          });
+          _.difference(['copayer2@domain.com', 'copayer3@domain.com'], _.map(emails, 'to')).should.be.empty;
+          emails[0].subject.should.contain('New comment on a payment proposal');
+          done();
+        }, 100);
+      });
+    });
+
     it('should notify copayers when tx is confirmed if they are subscribed', function(done) {
       server.createAddress({}, function(err, address) {
         should.not.exist(err);
@@ -8,6 +8,13 @@ var sinon = require('sinon');
 var should = chai.should();
 var log = require('npmlog');
 log.debug = log.verbose;
+var crypto = require('crypto');
+var dns = require('dns');
+var http = require('http');
+var net = require('net');
+var request = require('request');
+var Url = require('url');
+var secp256k1 = require('secp256k1');
 
 var config = require('../test-config');
 // var tingodb = require('tingodb')({
@@ -15,16 +22,14 @@ var config = require('../test-config');
 // });
 
 var Bitcore = require('bitcore-lib');
-var Bitcore_ = {
-  btc: Bitcore,
-  bch: require('bitcore-lib-cash')
-};
 
 var Common = require('../../lib/common');
+var Bitcore_ = Common.Coins.mapValues('lib');
 var Utils = Common.Utils;
 var Constants = Common.Constants;
 var Defaults = Common.Defaults;
 
+var PayPro = require('../../lib/paypro');
 var Storage = require('../../lib/storage');
 var Model = require('../../lib/model');
 var WalletService = require('../../lib/server');
@@ -198,6 +203,14 @@ helpers.createAndJoinWallet = function(m, n, opts, cb) {
   };
   if (_.isBoolean(opts.supportBIP44AndP2PKH))
     walletOpts.supportBIP44AndP2PKH = opts.supportBIP44AndP2PKH;
+  if (opts.useSegwit)
+    walletOpts.useSegwit = true;
+  if (opts.useNativeSegwit)
+    walletOpts.useNativeSegwit = true;
+  if (opts.whitelistOnly)
+    walletOpts.whitelistOnly = true;
+  if (opts.txpExpiration)
+    walletOpts.txpExpiration = opts.txpExpiration;
 
   server.createWallet(walletOpts, function(err, walletId) {
     if (err) return cb(err);
@@ -208,7 +221,7 @@ helpers.createAndJoinWallet = function(m, n, opts, cb) {
 
     var pub = (_.isBoolean(opts.supportBIP44AndP2PKH) && !opts.supportBIP44AndP2PKH) ? copayerData.xPubKey_45H : copayerData.xPubKey_44H_0H_0H;
 
-    if (opts.network == 'testnet') 
+    if (opts.network && opts.network != 'livenet') 
       pub = copayerData.xPubKey_44H_0H_0Ht;
 
       var copayerOpts = helpers.getSignedCopayerOpts({
@@ -221,6 +234,12 @@ helpers.createAndJoinWallet = function(m, n, opts, cb) {
       });
       if (_.isBoolean(opts.supportBIP44AndP2PKH))
         copayerOpts.supportBIP44AndP2PKH = opts.supportBIP44AndP2PKH;
+      if (opts.keyOrigin && pub == copayerData.xPubKey_44H_0H_0H) {
+        copayerOpts.rootFingerprint = new Bitcore.HDPrivateKey(copayerData.xPrivKey).fingerPrint.toString('hex');
+        copayerOpts.accountPath = "m/44'/0'/0'";
+      }
+      if (opts.useSegwit || opts.useNativeSegwit)
+        copayerOpts.supportSegwit = true;
 
       server.joinWallet(copayerOpts, function(err, result) {
         if (err) console.log(err);
@@ -294,6 +313,7 @@ helpers.stubUtxos = function(server, wallet, amounts, opts, cb) {
   opts = opts || {};
 
   if (!helpers._utxos) helpers._utxos = {};
+  if (!helpers._rawTxs) helpers._rawTxs = {};
 
   var S = Bitcore_[wallet.coin].Script;
 
@@ -320,15 +340,28 @@ helpers.stubUtxos = function(server, wallet, amounts, opts, cb) {
           case Constants.SCRIPT_TYPES.P2SH:
             scriptPubKey = S.buildMultisigOut(address.publicKeys, wallet.m).toScriptHashOut();
             break;
+          case Constants.SCRIPT_TYPES.P2SH_P2WSH:
+            scriptPubKey = S.buildWitnessMultisigOutFromScript(S.buildMultisigOut(address.publicKeys, wallet.m)).toScriptHashOut();
+            break;
+          case Constants.SCRIPT_TYPES.P2WSH:
+            scriptPubKey = S.buildWitnessMultisigOutFromScript(S.buildMultisigOut(address.publicKeys, wallet.m));
+            break;
           case Constants.SCRIPT_TYPES.P2PKH:
             scriptPubKey = S.buildPublicKeyHashOut(address.address);
             break;
+          case Constants.SCRIPT_TYPES.P2WPKH:
+            scriptPubKey = S.buildWitnessV0Out(address.address);
+            break;
         }
         should.exist(scriptPubKey);
 
+        var vout = _.random(0, 10);
+        var prevTx = helpers.buildPrevTx(wallet.coin, vout, parsed.amount, scriptPubKey);
+        helpers._rawTxs[prevTx.id] = prevTx.uncheckedSerialize();
+
         return {
-          txid: helpers.randomTXID(),
-          vout: _.random(0, 10),
+          txid: prevTx.id,
+          vout: vout,
           satoshis: parsed.amount,
           scriptPubKey: scriptPubKey.toBuffer().toString('hex'),
           address: address.address,
@@ -356,6 +389,9 @@ helpers.stubUtxos = function(server, wallet, amounts, opts, cb) {
         }
         return cb(null, selected);
       };
+      blockchainExplorer.getRawTransaction = function(txid, cb) {
+        return cb(null, helpers._rawTxs[txid]);
+      };
 
       return next();
     },
@@ -365,11 +401,176 @@ helpers.stubUtxos = function(server, wallet, amounts, opts, cb) {
   });
 };
 
+// A tx paying the given amount to scriptPubKey at output vout, from a random input
+helpers.buildPrevTx = function(coin, vout, satoshis, scriptPubKey) {
+  var lib = Bitcore_[coin];
+  var tx = new lib.Transaction();
+  tx.uncheckedAddInput(new lib.Transaction.Input({
+    prevTxId: helpers.randomTXID(),
+    outputIndex: 0,
+    script: lib.Script.empty(),
+  }));
+  _.times(vout + 1, function(i) {
+    tx.addOutput(new lib.Transaction.Output({
+      script: scriptPubKey,
+      satoshis: i == vout ? satoshis : 1000,
+    }));
+  });
+  return tx;
+};
+
 helpers.stubBroadcast = function(thirdPartyBroadcast) {
   blockchainExplorer.broadcast = sinon.stub().callsArgWith(1, null, '112233');
   blockchainExplorer.getTransaction = sinon.stub().callsArgWith(1, null, null);
 };
 
+// Resolves the given hosts (IP literals resolve to themselves) without hitting the network. Restore with dns.lookup.restore()
+helpers.stubDnsLookup = function(hosts) {
+  return sinon.stub(dns, 'lookup').callsFake(function(hostname, opts, cb) {
+    if (_.isFunction(opts)) {
+      cb = opts;
+      opts = {};
+    }
+    var address = net.isIP(hostname) ? hostname : hosts[hostname];
+    if (!address) return cb(new Error('getaddrinfo ENOTFOUND ' + hostname));
+    var family = net.isIP(address);
+    if (opts.all) return cb(null, [{
+      address: address,
+      family: family
+    }]);
+    return cb(null, address, family);
+  });
+};
+
+// Local stand-in for a merchant PayPro server, signing its JSON payment requests with a random key, or its BIP70
+// payment requests with the test certificate of localhost when server.bip70 is set
+helpers.startPayProServer = function(paymentRequest, cb) {
+  var privKey = new Bitcore.PrivateKey();
+  var identity = privKey.toAddress().toString();
+
+  function getBip70PaymentRequest() {
+    var details = PayPro.encodeBip70('PaymentDetails', {
+      network: server.paymentRequest.network,
+      outputs: _.map(server.paymentRequest.outputs, function(output) {
+        return PayPro.encodeBip70('Output', {
+          amount: output.amount,
+          script: Bitcore.Script.fromAddress(output.address).toBuffer(),
+        });
+      }),
+      time: Math.floor(Date.now() / 1000),
+      expires: server.paymentRequest.expires ? Math.floor(Date.parse(server.paymentRequest.expires) / 1000) : undefined,
+      memo: server.paymentRequest.memo,
+      paymentUrl: server.paymentRequest.paymentUrl,
+      merchantData: server.paymentRequest.paymentId,
+    });
+    var message = {
+      paymentDetailsVersion: 1,
+      pkiType: 'x509+sha256',
+      pkiData: PayPro.encodeBip70('X509Certificates', {
+        certificate: _.map([TestData.x509.leaf, TestData.x509.intermediate], function(pem) {
+          return Buffer.from(pem.replace(/-----[A-Z ]+-----|\s/g, ''), 'base64');
+        }),
+      }),
+      serializedPaymentDetails: details,
+      signature: Buffer.alloc(0),
+    };
+    message.signature = crypto.createSign('sha256').update(PayPro.encodeBip70('PaymentRequest', message)).sign(TestData.x509.leafKey);
+    return PayPro.encodeBip70('PaymentRequest', message);
+  };
+
+  var server = http.createServer(function(req, res) {
+    server.requests++;
+    if (req.method == 'GET') {
+      if (server.bip70) {
+        var raw = getBip70PaymentRequest();
+        res.writeHead(200, {
+          'Content-Type': 'application/bitcoin-paymentrequest',
+        });
+        return res.end(server.tamper ? server.tamper(raw) : raw);
+      }
+
+      var body = JSON.stringify(server.paymentRequest);
+      var hash = Bitcore.crypto.Hash.sha256(Buffer.from(body));
+      res.writeHead(200, {
+        'Content-Type': 'application/payment-request',
+        'digest': 'SHA-256=' + hash.toString('hex'),
+        'x-identity': identity,
+        'x-signature-type': 'ecc',
+        'x-signature': secp256k1.sign(hash, privKey.bn.toBuffer({
+          size: 32
+        })).signature.toString('hex'),
+      });
+      return res.end(server.tamper ? server.tamper(body) : body);
+    }
+
+    var chunks = [];
+    req.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    req.on('end', function() {
+      var payment;
+      if (server.bip70) {
+        payment = PayPro.decodeBip70('Payment', Buffer.concat(chunks));
+        payment = {
+          merchantData: payment.merchantData.toString(),
+          transactions: [payment.transactions.toString('hex')],
+        };
+      } else {
+        payment = JSON.parse(Buffer.concat(chunks).toString());
+      }
+      server.payments.push(payment);
+      if (server.paymentStatus != 200) {
+        res.writeHead(server.paymentStatus);
+        return res.end('Payment rejected');
+      }
+      if (server.bip70) {
+        res.writeHead(200, {
+          'Content-Type': 'application/bitcoin-paymentack',
+        });
+        return res.end(PayPro.encodeBip70('PaymentACK', {
+          payment: Buffer.concat(chunks),
+          memo: 'Payment accepted',
+        }));
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/payment-ack',
+      });
+      res.end(JSON.stringify({
+        payment: payment,
+        memo: 'Payment accepted',
+      }));
+    });
+  });
+
+  server.paymentRequest = paymentRequest;
+  server.payments = [];
+  server.paymentStatus = 200;
+  server.requests = 0;
+
+  // Payment protocol urls must use https & resolve to public hosts: whatever host they name, the merchant is reached
+  // over plain http on the loopback address through server.request
+  server.request = function(opts, cb) {
+    var url = Url.parse(opts.url);
+    return request(_.assign(_.omit(opts, 'lookup'), {
+      url: 'http://127.0.0.1:' + server.address().port + url.path,
+    }), cb);
+  };
+
+  server.listen(0, '127.0.0.1', function() {
+    server.url = 'https://localhost:' + server.address().port + '/i/invoice1';
+    server.paymentRequest.paymentUrl = server.paymentRequest.paymentUrl || server.url;
+    server.trustedKeys = {};
+    server.trustedKeys[identity] = {
+      owner: 'Test merchant',
+      publicKey: privKey.publicKey.toString(),
+      networks: ['livenet', 'testnet'],
+      domains: ['localhost'],
+    };
+    server.trustedRoots = [TestData.x509.root];
+    return cb(server);
+  });
+};
+
 helpers.stubHistory = function(txs) {
   var totalItems = txs.length;
   blockchainExplorer.getTransactions = function(addresses, from, to, cb) {
@@ -478,7 +679,7 @@ helpers.clientSign = function(txp, derivedXPrivKey) {
   var privs = [];
   var derived = {};
 
-  var xpriv = new Bitcore.HDPrivateKey(derivedXPrivKey, txp.network);
+  var xpriv = new Bitcore_[txp.coin].HDPrivateKey(derivedXPrivKey, txp.network);
 
   _.each(txp.inputs, function(i) {
     if (!derived[i.path]) {
@@ -595,6 +796,7 @@ helpers.setupGroupingBE = function (be) {
   }
   be.register = sinon.stub().callsArgWith(1, null, null);
   be.addAddresses = sinon.stub().callsArgWith(2, null, null);
+  be.getTransactionOutputs = sinon.stub().callsArgWithAsync(1, null, []);
 };
 
 module.exports = helpers;
@@ -526,6 +526,136 @@ console.log('[historyV8.js.450:err:]',err); //TODO
         });
       });
     });
+    it('should get tx history with a data output', function(done) {
+      server._normalizeTxHistory = sinon.stub().returnsArg(0);
+      var external = '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7';
+
+      helpers.stubUtxos(server, wallet, [1, 2], function(utxos) {
+        var txOpts = {
+          outputs: [{
+            toAddress: external,
+            amount: 0.5e8,
+          }, {
+            type: 'data',
+            data: 'hello',
+          }],
+          feePerKb: 100e2,
+        };
+
+        helpers.createAndPublishTx(server, txOpts, TestData.copayers[0].privKey_1H_0, function(tx) {
+          var signatures = helpers.clientSign(tx, TestData.copayers[0].xPrivKey_44H_0H_0H);
+          server.signTx({
+            txProposalId: tx.id,
+            signatures: signatures,
+          }, function(err, tx) {
+            should.not.exist(err);
+
+            helpers.stubBroadcast();
+            server.broadcastTx({
+              txProposalId: tx.id
+            }, function(err, txp) {
+              should.not.exist(err);
+              var t = (new Date).toISOString();
+              helpers.stubHistoryV8(null, null, [{
+                id: 1,
+                txid: txp.txid,
+                confirmations: 1,
+                blockTime: t,
+                category: 'send',
+                address: external,
+                satoshis: 0.5e8,
+                height: 1000,
+              }, {
+                id: 2,
+                txid: txp.txid,
+                confirmations: 1,
+                blockTime: t,
+                category: 'send',
+                address: 'false',
+                satoshis: 0,
+                height: 1000,
+              }, {
+                id: 3,
+                txid: txp.txid,
+                confirmations: 1,
+                blockTime: t,
+                satoshis: 5460,
+                category: 'fee',
+                height: 1000,
+              }]);
+
+              server.getTxHistory({}, function(err, txs) {
+                should.not.exist(err);
+                txs.length.should.equal(1);
+                var tx = txs[0];
+                tx.action.should.equal('sent');
+                tx.amount.should.equal(0.5e8);
+                tx.addressTo.should.equal(external);
+                tx.outputs.length.should.equal(2);
+                tx.outputs[0].address.should.equal(external);
+                tx.outputs[1].type.should.equal('data');
+                tx.outputs[1].data.should.equal('68656c6c6f');
+                tx.outputs[1].amount.should.equal(0);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+    it('should get the data outputs of received txs', function(done) {
+      server.createAddress({}, function(err, address) {
+        should.not.exist(err);
+        helpers.stubHistoryV8(null, null, [{
+          id: 1,
+          txid: 'txid1',
+          confirmations: 1,
+          blockTime: (new Date).toISOString(),
+          category: 'receive',
+          address: address.address,
+          satoshis: 0.5e8,
+          height: 1000,
+        }]);
+        blockchainExplorer.getTransactionOutputs = sinon.stub().callsArgWith(1, null, [{
+          address: address.address,
+          satoshis: 0.5e8,
+          script: Bitcore.Script.buildPublicKeyHashOut(new Bitcore.Address(address.address)).toHex(),
+        }, {
+          address: null,
+          satoshis: 0,
+          script: Bitcore.Script.buildDataOut('hello').toHex(),
+        }]);
+
+        server.getTxHistory({}, function(err, txs) {
+          should.not.exist(err);
+          blockchainExplorer.getTransactionOutputs.calledOnce.should.be.true;
+          blockchainExplorer.getTransactionOutputs.firstCall.args[0].should.equal('txid1');
+          txs.length.should.equal(1);
+          var tx = txs[0];
+          tx.action.should.equal('received');
+          tx.amount.should.equal(0.5e8);
+          tx.outputs.length.should.equal(2);
+          tx.outputs[0].address.should.equal(address.address);
+          tx.outputs[1].type.should.equal('data');
+          tx.outputs[1].data.should.equal('68656c6c6f');
+          tx.outputs[1].amount.should.equal(0);
+          done();
+        });
+      });
+    });
+    it('should get the history of received txs if their outputs cannot be fetched', function(done) {
+      helpers.stubHistoryV8(3, BCHEIGHT);
+      blockchainExplorer.getTransactionOutputs = sinon.stub().callsArgWithAsync(1, new Error('Explorer down'));
+
+      server.getTxHistory({}, function(err, txs) {
+        should.not.exist(err);
+        txs.length.should.equal(3);
+        _.each(txs, function(tx) {
+          tx.outputs.length.should.equal(1);
+        });
+        done();
+      });
+    });
     it.skip('should get various paginated tx history', function(done) {
       var testCases = [{
         opts: {},
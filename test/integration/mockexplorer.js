@@ -0,0 +1,192 @@
+'use strict';
+
+var _ = require('lodash');
+var async = require('async');
+
+var chai = require('chai');
+var sinon = require('sinon');
+var should = chai.should();
+var log = require('npmlog');
+log.debug = log.verbose;
+log.level = 'info';
+
+var Bitcore = require('bitcore-lib');
+
+var WalletService = require('../../lib/server');
+var BlockchainMonitor = require('../../lib/blockchainmonitor');
+var BlockchainExplorer = require('../../lib/blockchainexplorer');
+
+var helpers = require('./helpers');
+var TestData = require('../testdata');
+var storage;
+
+describe('Mock blockchain explorer', function() {
+  var server, wallet, explorer;
+
+  before(function(done) {
+    helpers.before(done);
+  });
+  after(function(done) {
+    helpers.after(done);
+  });
+  beforeEach(function(done) {
+    var blockchainExplorerOpts = {
+      btc: {
+        livenet: {
+          provider: 'mock',
+        },
+      },
+    };
+    explorer = new BlockchainExplorer({
+      provider: 'mock',
+      coin: 'btc',
+      network: 'livenet',
+    });
+    explorer.reset();
+
+    helpers.beforeEach(function(res) {
+      storage = res.storage;
+      WalletService.initialize({
+        storage: storage,
+        blockchainExplorerOpts: blockchainExplorerOpts,
+        request: sinon.stub(),
+      }, function() {
+        helpers.createAndJoinWallet(1, 1, function(s, w) {
+          server = s;
+          wallet = w;
+
+          var bcmonitor = new BlockchainMonitor();
+          bcmonitor.start({
+            lockOpts: {},
+            messageBroker: server.messageBroker,
+            storage: storage,
+            blockchainExplorerOpts: blockchainExplorerOpts,
+          }, function(err) {
+            should.not.exist(err);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should receive, confirm & spend funds with no network', function(done) {
+    var address;
+    async.series([
+
+      function(next) {
+        server.createAddress({}, function(err, res) {
+          should.not.exist(err);
+          address = res;
+          explorer.fund(address.address, 1e8, next);
+        });
+      },
+      function(next) {
+        setTimeout(next, 100);
+      },
+      function(next) {
+        server.getNotifications({}, function(err, notifications) {
+          should.not.exist(err);
+          var notification = _.find(notifications, {
+            type: 'NewIncomingTx'
+          });
+          should.exist(notification);
+          notification.data.address.should.equal(address.address);
+          notification.data.amount.should.equal(1e8);
+          explorer.mine(1, next);
+        });
+      },
+      function(next) {
+        server.getBalance({}, function(err, balance) {
+          should.not.exist(err);
+          balance.totalAmount.should.equal(1e8);
+          balance.totalConfirmedAmount.should.equal(1e8);
+          next();
+        });
+      },
+      function(next) {
+        var txOpts = {
+          outputs: [{
+            toAddress: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+            amount: 0.4e8,
+          }],
+          feePerKb: 100e2,
+        };
+        helpers.createAndPublishTx(server, txOpts, TestData.copayers[0].privKey_1H_0, function(txp) {
+          server.signTx({
+            txProposalId: txp.id,
+            signatures: helpers.clientSign(txp, TestData.copayers[0].xPrivKey_44H_0H_0H),
+          }, function(err, txp) {
+            should.not.exist(err);
+            server.broadcastTx({
+              txProposalId: txp.id,
+            }, function(err, txp) {
+              should.not.exist(err);
+              txp.status.should.equal('broadcasted');
+              explorer.mine(1, next);
+            });
+          });
+        });
+      },
+      function(next) {
+        server.getTxHistory({}, function(err, txs) {
+          should.not.exist(err);
+          _.map(txs, 'action').should.deep.equal(['sent', 'received']);
+          txs[0].amount.should.equal(0.4e8);
+          txs[0].confirmations.should.equal(1);
+          txs[1].confirmations.should.equal(2);
+          server.getBalance({}, function(err, balance) {
+            should.not.exist(err);
+            balance.totalAmount.should.equal(1e8 - 0.4e8 - txs[0].fees);
+            next();
+          });
+        });
+      },
+    ], done);
+  });
+
+  it('should reject txs spending already spent funds', function(done) {
+    server.createAddress({}, function(err, address) {
+      should.not.exist(err);
+      explorer.fund(address.address, 1e8, function(err) {
+        should.not.exist(err);
+        var txOpts = {
+          outputs: [{
+            toAddress: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+            amount: 0.4e8,
+          }],
+          feePerKb: 100e2,
+        };
+        helpers.createAndPublishTx(server, txOpts, TestData.copayers[0].privKey_1H_0, function(txp) {
+          server.signTx({
+            txProposalId: txp.id,
+            signatures: helpers.clientSign(txp, TestData.copayers[0].xPrivKey_44H_0H_0H),
+          }, function(err, txp) {
+            should.not.exist(err);
+            server.broadcastTx({
+              txProposalId: txp.id,
+            }, function(err) {
+              should.not.exist(err);
+              var privKey = new Bitcore.HDPrivateKey(TestData.copayers[0].xPrivKey_44H_0H_0H).deriveChild(address.path).privateKey;
+              var rawTx = new Bitcore.Transaction()
+                .from(txp.inputs)
+                .to('1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69', 0.9e8)
+                .sign(privKey)
+                .serialize({
+                  disableLargeFees: true,
+                });
+              server.broadcastRawTx({
+                network: 'livenet',
+                rawTx: rawTx,
+              }, function(err) {
+                should.exist(err);
+                err.message.should.equal('Missing inputs');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,393 @@
+'use strict';
+
+var _ = require('lodash');
+
+var chai = require('chai');
+var sinon = require('sinon');
+var should = chai.should();
+
+var Bitcore = require('bitcore-lib');
+
+var PayPro = require('../../lib/paypro');
+var PublicEndpoint = require('../../lib/publicendpoint');
+
+var helpers = require('./helpers');
+var TestData = require('../testdata');
+
+describe('PayPro', function() {
+  var payProServer, dnsStub;
+
+  beforeEach(function(done) {
+    dnsStub = helpers.stubDnsLookup({
+      'localhost': '93.184.216.34',
+      'merchant.example.com': '93.184.216.34',
+      'intranet.example.com': '10.0.0.5',
+    });
+    helpers.startPayProServer({
+      network: 'main',
+      currency: 'BTC',
+      outputs: [{
+        address: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+        amount: 0.8e8,
+      }],
+      expires: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+      memo: 'Payment request for invoice 1',
+      paymentId: 'invoice1',
+    }, function(server) {
+      payProServer = server;
+      done();
+    });
+  });
+  afterEach(function(done) {
+    dnsStub.restore();
+    payProServer.close(done);
+  });
+
+  function getPaymentRequest(opts, cb) {
+    PayPro.getPaymentRequest(_.defaults(opts, {
+      url: payProServer.url,
+      coin: 'btc',
+      network: 'livenet',
+      trustedKeys: payProServer.trustedKeys,
+      trustedRoots: payProServer.trustedRoots,
+      request: payProServer.request,
+    }), cb);
+  };
+
+  describe('#getPaymentRequest', function() {
+    it('should fetch and verify a payment request', function(done) {
+      getPaymentRequest({}, function(err, paymentRequest) {
+        should.not.exist(err);
+        paymentRequest.protocol.should.equal('json');
+        paymentRequest.owner.should.equal('Test merchant');
+        paymentRequest.memo.should.equal('Payment request for invoice 1');
+        paymentRequest.paymentId.should.equal('invoice1');
+        paymentRequest.paymentUrl.should.equal(payProServer.url);
+        paymentRequest.outputs.should.deep.equal([{
+          address: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+          amount: 0.8e8,
+        }]);
+        done();
+      });
+    });
+    it('should not fetch payment requests over plain http', function(done) {
+      getPaymentRequest({
+        url: payProServer.url.replace('https:', 'http:'),
+      }, function(err) {
+        should.exist(err);
+        err.code.should.equal('INVALID_PAYMENT_REQUEST');
+        err.message.should.contain('url must use https');
+        payProServer.requests.should.equal(0);
+        done();
+      });
+    });
+    it('should not fetch payment requests from hosts resolving to private addresses', function(done) {
+      getPaymentRequest({
+        url: payProServer.url.replace('localhost', 'intranet.example.com'),
+      }, function(err) {
+        should.exist(err);
+        err.code.should.equal('INVALID_PAYMENT_REQUEST');
+        err.message.should.contain('does not resolve to a public address');
+        payProServer.requests.should.equal(0);
+        done();
+      });
+    });
+    it('should only connect to public addresses', function(done) {
+      var request = sinon.stub().yields(new Error('Host localhost does not resolve to a public address'));
+      getPaymentRequest({
+        request: request,
+      }, function(err) {
+        should.exist(err);
+        err.message.should.contain('could not be fetched');
+        request.firstCall.args[0].lookup.should.equal(PublicEndpoint.lookup);
+        done();
+      });
+    });
+    it('should fail if the payment url does not use https', function(done) {
+      payProServer.paymentRequest.paymentUrl = 'http://localhost/i/invoice1';
+      getPaymentRequest({}, function(err) {
+        should.exist(err);
+        err.message.should.contain('payment url must use https');
+        done();
+      });
+    });
+    it('should fail on a tampered payment request', function(done) {
+      payProServer.tamper = function(body) {
+        return body.replace('18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7', '1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69');
+      };
+      getPaymentRequest({}, function(err) {
+        should.exist(err);
+        err.code.should.equal('INVALID_PAYMENT_REQUEST');
+        err.message.should.contain('digest does not match');
+        done();
+      });
+    });
+    it('should fail if the signing key is not in the trust store', function(done) {
+      getPaymentRequest({
+        trustedKeys: {},
+      }, function(err) {
+        should.exist(err);
+        err.code.should.equal('INVALID_PAYMENT_REQUEST');
+        err.message.should.contain('untrusted signing key');
+        done();
+      });
+    });
+    it('should fail if the signing key is not trusted for the domain', function(done) {
+      _.each(payProServer.trustedKeys, function(keyData) {
+        keyData.domains = ['merchant.com'];
+      });
+      getPaymentRequest({}, function(err) {
+        should.exist(err);
+        err.code.should.equal('INVALID_PAYMENT_REQUEST');
+        err.message.should.contain('not trusted for localhost');
+        done();
+      });
+    });
+    it('should fail on a bad signature', function(done) {
+      _.each(payProServer.trustedKeys, function(keyData) {
+        keyData.publicKey = new Bitcore.PrivateKey().publicKey.toString();
+      });
+      getPaymentRequest({}, function(err) {
+        should.exist(err);
+        err.message.should.contain('bad signature');
+        done();
+      });
+    });
+    it('should fail on a payment request for another network or currency', function(done) {
+      getPaymentRequest({
+        network: 'testnet',
+      }, function(err) {
+        should.exist(err);
+        err.message.should.contain('wrong network');
+        getPaymentRequest({
+          coin: 'bch',
+        }, function(err) {
+          should.exist(err);
+          err.message.should.contain('wrong currency');
+          done();
+        });
+      });
+    });
+    it('should fail on an expired payment request', function(done) {
+      payProServer.paymentRequest.expires = new Date(Date.now() - 1000).toISOString();
+      getPaymentRequest({}, function(err) {
+        should.exist(err);
+        err.message.should.contain('expired');
+        done();
+      });
+    });
+  });
+
+  describe('#getPaymentRequest BIP70', function() {
+    beforeEach(function() {
+      payProServer.bip70 = true;
+    });
+
+    it('should fetch and verify a payment request signed by a trusted certificate', function(done) {
+      getPaymentRequest({}, function(err, paymentRequest) {
+        should.not.exist(err);
+        paymentRequest.protocol.should.equal('bip70');
+        paymentRequest.owner.should.equal('Test merchant');
+        paymentRequest.memo.should.equal('Payment request for invoice 1');
+        paymentRequest.paymentUrl.should.equal(payProServer.url);
+        paymentRequest.merchantData.should.equal(Buffer.from('invoice1').toString('hex'));
+        Date.parse(paymentRequest.expires).should.be.above(Date.now());
+        paymentRequest.outputs.should.deep.equal([{
+          address: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+          amount: 0.8e8,
+        }]);
+        done();
+      });
+    });
+    it('should fail if the certificate does not chain up to a trusted root', function(done) {
+      getPaymentRequest({
+        trustedRoots: [TestData.x509.otherRoot],
+      }, function(err) {
+        should.exist(err);
+        err.code.should.equal('INVALID_PAYMENT_REQUEST');
+        err.message.should.contain('untrusted certificate chain');
+        done();
+      });
+    });
+    it('should fail if no root certificate is trusted', function(done) {
+      getPaymentRequest({
+        trustedRoots: [],
+      }, function(err) {
+        should.exist(err);
+        err.message.should.contain('untrusted certificate chain');
+        done();
+      });
+    });
+    it('should fail if the certificate was not issued for the host', function(done) {
+      getPaymentRequest({
+        url: payProServer.url.replace('localhost', 'merchant.example.com'),
+      }, function(err) {
+        should.exist(err);
+        err.message.should.contain('certificate not valid for merchant.example.com');
+        done();
+      });
+    });
+    it('should fail on a tampered payment request', function(done) {
+      payProServer.tamper = function(raw) {
+        var script = Bitcore.Script.fromAddress('18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7').toBuffer();
+        var i = raw.indexOf(script);
+        Bitcore.Script.fromAddress('1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69').toBuffer().copy(raw, i);
+        return raw;
+      };
+      getPaymentRequest({}, function(err) {
+        should.exist(err);
+        err.message.should.contain('bad signature');
+        done();
+      });
+    });
+    it('should fail on a malformed payment request', function(done) {
+      payProServer.tamper = function(raw) {
+        return raw.slice(0, 100);
+      };
+      getPaymentRequest({}, function(err) {
+        should.exist(err);
+        err.message.should.contain('malformed body');
+        done();
+      });
+    });
+    it('should fail on a payment request for another network', function(done) {
+      getPaymentRequest({
+        network: 'testnet',
+      }, function(err) {
+        should.exist(err);
+        err.message.should.contain('wrong network');
+        done();
+      });
+    });
+  });
+
+  describe('#checkOutputs', function() {
+    var paymentRequest;
+    beforeEach(function(done) {
+      getPaymentRequest({}, function(err, res) {
+        should.not.exist(err);
+        paymentRequest = res;
+        done();
+      });
+    });
+
+    it('should accept a txp paying exactly the requested outputs', function() {
+      PayPro.checkOutputs(paymentRequest, {
+        coin: 'btc',
+        outputs: [{
+          toAddress: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+          amount: 0.8e8,
+        }, {
+          type: 'data',
+          data: '68656c6c6f',
+          amount: 0,
+        }],
+      }).should.be.true;
+    });
+    it('should reject a txp paying other outputs', function() {
+      PayPro.checkOutputs(paymentRequest, {
+        coin: 'btc',
+        outputs: [{
+          toAddress: '1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69',
+          amount: 0.8e8,
+        }],
+      }).should.be.false;
+      PayPro.checkOutputs(paymentRequest, {
+        coin: 'btc',
+        outputs: [{
+          toAddress: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+          amount: 0.7e8,
+        }],
+      }).should.be.false;
+      PayPro.checkOutputs(paymentRequest, {
+        coin: 'btc',
+        outputs: [{
+          toAddress: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+          amount: 0.8e8,
+        }, {
+          toAddress: '1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69',
+          amount: 0.1e8,
+        }],
+      }).should.be.false;
+    });
+  });
+
+  describe('#sendPayment', function() {
+    it('should submit the payment and return the acknowledgement', function(done) {
+      PayPro.sendPayment({
+        paymentUrl: payProServer.url,
+        coin: 'btc',
+        rawTx: '0100',
+        request: payProServer.request,
+      }, function(err, ack) {
+        should.not.exist(err);
+        ack.memo.should.equal('Payment accepted');
+        payProServer.payments.should.deep.equal([{
+          currency: 'BTC',
+          transactions: ['0100'],
+        }]);
+        done();
+      });
+    });
+    it('should fail if the merchant rejects the payment', function(done) {
+      payProServer.paymentStatus = 400;
+      PayPro.sendPayment({
+        paymentUrl: payProServer.url,
+        coin: 'btc',
+        rawTx: '0100',
+        request: payProServer.request,
+      }, function(err) {
+        should.exist(err);
+        err.code.should.equal('PAYMENT_NOT_ACCEPTED');
+        err.message.should.contain('Payment rejected');
+        done();
+      });
+    });
+    it('should submit BIP70 payments with the merchant data', function(done) {
+      payProServer.bip70 = true;
+      PayPro.sendPayment({
+        protocol: 'bip70',
+        paymentUrl: payProServer.url,
+        merchantData: Buffer.from('invoice1').toString('hex'),
+        coin: 'btc',
+        rawTx: '0100',
+        request: payProServer.request,
+      }, function(err, ack) {
+        should.not.exist(err);
+        ack.memo.should.equal('Payment accepted');
+        payProServer.payments.should.deep.equal([{
+          merchantData: 'invoice1',
+          transactions: ['0100'],
+        }]);
+        done();
+      });
+    });
+    it('should not submit payments to hosts resolving to private addresses', function(done) {
+      PayPro.sendPayment({
+        paymentUrl: payProServer.url.replace('localhost', 'intranet.example.com'),
+        coin: 'btc',
+        rawTx: '0100',
+        request: payProServer.request,
+      }, function(err) {
+        should.exist(err);
+        err.code.should.equal('PAYMENT_NOT_ACCEPTED');
+        err.message.should.contain('does not resolve to a public address');
+        payProServer.requests.should.equal(0);
+        done();
+      });
+    });
+    it('should not submit payments over plain http', function(done) {
+      PayPro.sendPayment({
+        paymentUrl: payProServer.url.replace('https:', 'http:'),
+        coin: 'btc',
+        rawTx: '0100',
+        request: payProServer.request,
+      }, function(err) {
+        should.exist(err);
+        err.code.should.equal('PAYMENT_NOT_ACCEPTED');
+        payProServer.requests.should.equal(0);
+        done();
+      });
+    });
+  });
+});
@@ -347,6 +347,36 @@ describe('Push notifications', function() {
       });
     });
 
+    it('should notify copayers of new and activated spending policies', function(done) {
+      server.proposeSpendingPolicy({
+        periodLimits: [{
+          period: 'daily',
+          amount: 1e8,
+        }],
+      }, function(err, policy) {
+        should.not.exist(err);
+        setTimeout(function() {
+          var calls = requestStub.getCalls();
+          calls.length.should.equal(2);
+          calls[0].args[0].body.notification.title.should.contain('New spending policy');
+
+          helpers.getAuthServer(wallet.copayers[1].id, function(server) {
+            server.approveSpendingPolicy({
+              id: policy.id,
+            }, function(err) {
+              should.not.exist(err);
+              setTimeout(function() {
+                var calls = requestStub.getCalls();
+                calls.length.should.equal(4);
+                calls[3].args[0].body.notification.title.should.contain('Spending policy activated');
+                done();
+              }, 100);
+            });
+          });
+        }, 100);
+      });
+    });
+
     it('should notify copayers a tx has been finally rejected', function(done) {
       helpers.stubUtxos(server, wallet, 1, function() {
         var txOpts = {
@@ -0,0 +1,282 @@
+'use strict';
+
+var _ = require('lodash');
+var async = require('async');
+
+var chai = require('chai');
+var sinon = require('sinon');
+var should = chai.should();
+var log = require('npmlog');
+log.debug = log.verbose;
+log.level = 'info';
+
+var crypto = require('crypto');
+
+var WebhookService = require('../../lib/webhookservice');
+
+var helpers = require('./helpers');
+
+describe('Webhooks', function() {
+  var server, wallet, requestStub, webhookService, webhook, clock, dnsStub;
+
+  before(function(done) {
+    helpers.before(done);
+  });
+  after(function(done) {
+    helpers.after(done);
+  });
+  beforeEach(function(done) {
+    dnsStub = helpers.stubDnsLookup({
+      'example.com': '93.184.216.34',
+    });
+    helpers.beforeEach(function(res) {
+      helpers.createAndJoinWallet(1, 2, function(s, w) {
+        server = s;
+        wallet = w;
+
+        server.registerWebhook({
+          url: 'https://example.com/hooks/bws',
+          secret: 'a very secret string',
+        }, function(err, res) {
+          should.not.exist(err);
+          webhook = res;
+
+          requestStub = sinon.stub();
+          requestStub.yields(null, {
+            statusCode: 200
+          });
+
+          webhookService = new WebhookService();
+          webhookService.start({
+            lockOpts: {},
+            messageBroker: server.messageBroker,
+            storage: helpers.getStorage(),
+            request: requestStub,
+            webhookOpts: {
+              maxAttempts: 3,
+              initialBackoff: 30,
+              retryInterval: 0,
+            },
+          }, function(err) {
+            should.not.exist(err);
+            done();
+          });
+        });
+      });
+    });
+  });
+  afterEach(function() {
+    dnsStub.restore();
+    if (clock) clock.restore();
+    clock = null;
+  });
+
+  function notify(cb) {
+    server._notify('NewIncomingTx', {
+      txid: '999',
+      address: 'dummy',
+      amount: 12300000,
+    }, {
+      isGlobal: true
+    }, function(err) {
+      should.not.exist(err);
+      setTimeout(cb, 100);
+    });
+  };
+
+  function fetchDeliveries(cb) {
+    helpers.getStorage().db.collection('webhook_deliveries').find({
+      walletId: wallet.id,
+    }).toArray(function(err, deliveries) {
+      should.not.exist(err);
+      return cb(deliveries);
+    });
+  };
+
+  it('should POST notifications signed with the webhook secret', function(done) {
+    notify(function() {
+      requestStub.calledOnce.should.be.true;
+      var args = requestStub.getCall(0).args[0];
+      args.url.should.equal('https://example.com/hooks/bws');
+      args.method.should.equal('POST');
+      args.headers['Content-Type'].should.equal('application/json');
+      args.headers['X-BWS-Webhook-Id'].should.equal(webhook.id);
+
+      var body = JSON.parse(args.body);
+      body.type.should.equal('NewIncomingTx');
+      body.walletId.should.equal(wallet.id);
+      body.data.txid.should.equal('999');
+      body.data.amount.should.equal(12300000);
+
+      var hmac = crypto.createHmac('sha256', 'a very secret string').update(args.body).digest('hex');
+      args.headers['X-BWS-Signature'].should.equal('sha256=' + hmac);
+
+      fetchDeliveries(function(deliveries) {
+        deliveries.length.should.equal(1);
+        deliveries[0].status.should.equal('sent');
+        deliveries[0].attempts.should.equal(1);
+        deliveries[0].notificationId.should.equal(body.id);
+        args.headers['X-BWS-Delivery-Id'].should.equal(deliveries[0].id);
+        done();
+      });
+    });
+  });
+  it('should check the endpoint host resolves to a public address', function(done) {
+    notify(function() {
+      requestStub.calledOnce.should.be.true;
+      var lookup = requestStub.getCall(0).args[0].lookup;
+      lookup('example.com', {}, function(err, address) {
+        should.not.exist(err);
+        address.should.equal('93.184.216.34');
+        lookup('127.0.0.1', {}, function(err) {
+          should.exist(err);
+          err.message.should.contain('public address');
+          done();
+        });
+      });
+    });
+  });
+  it('should not deliver notifications once the endpoint host resolves to a private address', function(done) {
+    dnsStub.restore();
+    dnsStub = helpers.stubDnsLookup({
+      'example.com': '169.254.169.254',
+    });
+    notify(function() {
+      requestStub.called.should.be.false;
+      fetchDeliveries(function(deliveries) {
+        deliveries.length.should.equal(1);
+        deliveries[0].status.should.equal('fail');
+        deliveries[0].attempts.should.equal(1);
+        deliveries[0].lastError.should.contain('does not resolve to a public address');
+        done();
+      });
+    });
+  });
+  it('should not deliver notifications of other wallets', function(done) {
+    helpers.createAndJoinWallet(1, 1, {
+      offset: 2
+    }, function(s, w) {
+      requestStub.reset();
+      s._notify('NewIncomingTx', {
+        txid: '999',
+        address: 'dummy',
+        amount: 12300000,
+      }, {
+        isGlobal: true
+      }, function(err) {
+        setTimeout(function() {
+          requestStub.called.should.be.false;
+          done();
+        }, 100);
+      });
+    });
+  });
+  it('should not deliver the same notification twice', function(done) {
+    notify(function() {
+      requestStub.calledOnce.should.be.true;
+      var notification = JSON.parse(requestStub.getCall(0).args[0].body);
+      webhookService.processNotification(notification, function(err) {
+        should.not.exist(err);
+        requestStub.calledOnce.should.be.true;
+        done();
+      });
+    });
+  });
+  it('should retry failed deliveries with exponential backoff', function(done) {
+    requestStub.yields(null, {
+      statusCode: 500
+    });
+    var now = Math.floor(Date.now() / 1000);
+    notify(function() {
+      fetchDeliveries(function(deliveries) {
+        deliveries[0].status.should.equal('fail');
+        deliveries[0].attempts.should.equal(1);
+        deliveries[0].lastError.should.contain('500');
+        deliveries[0].nextAttemptOn.should.be.within(now + 30, now + 31);
+
+        webhookService.retryDeliveries(function(err) {
+          should.not.exist(err);
+          requestStub.callCount.should.equal(1);
+
+          clock = sinon.useFakeTimers({
+            now: (now + 31) * 1000,
+            toFake: ['Date'],
+          });
+          webhookService.retryDeliveries(function(err) {
+            should.not.exist(err);
+            requestStub.callCount.should.equal(2);
+            requestStub.getCall(1).args[0].body.should.equal(requestStub.getCall(0).args[0].body);
+            fetchDeliveries(function(deliveries) {
+              deliveries[0].status.should.equal('fail');
+              deliveries[0].attempts.should.equal(2);
+              deliveries[0].nextAttemptOn.should.equal(now + 31 + 60);
+
+              requestStub.yields(null, {
+                statusCode: 204
+              });
+              clock.tick(60 * 1000);
+              webhookService.retryDeliveries(function(err) {
+                should.not.exist(err);
+                requestStub.callCount.should.equal(3);
+                fetchDeliveries(function(deliveries) {
+                  deliveries[0].status.should.equal('sent');
+                  deliveries[0].attempts.should.equal(3);
+                  should.not.exist(deliveries[0].nextAttemptOn);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+  it('should give up after the maximum number of attempts', function(done) {
+    requestStub.yields(new Error('ECONNREFUSED'));
+    var now = Math.floor(Date.now() / 1000);
+    notify(function() {
+      clock = sinon.useFakeTimers({
+        now: (now + 3600) * 1000,
+        toFake: ['Date'],
+      });
+      async.timesSeries(3, function(i, next) {
+        clock.tick(3600 * 1000);
+        webhookService.retryDeliveries(next);
+      }, function(err) {
+        should.not.exist(err);
+        requestStub.callCount.should.equal(3);
+        fetchDeliveries(function(deliveries) {
+          deliveries[0].status.should.equal('expired');
+          deliveries[0].attempts.should.equal(3);
+          deliveries[0].lastError.should.equal('ECONNREFUSED');
+          done();
+        });
+      });
+    });
+  });
+  it('should not retry deliveries of removed webhooks', function(done) {
+    requestStub.yields(null, {
+      statusCode: 500
+    });
+    var now = Math.floor(Date.now() / 1000);
+    notify(function() {
+      server.removeWebhook({
+        id: webhook.id
+      }, function(err) {
+        should.not.exist(err);
+        clock = sinon.useFakeTimers({
+          now: (now + 3600) * 1000,
+          toFake: ['Date'],
+        });
+        webhookService.retryDeliveries(function(err) {
+          should.not.exist(err);
+          requestStub.callCount.should.equal(1);
+          fetchDeliveries(function(deliveries) {
+            deliveries[0].status.should.equal('expired');
+            done();
+          });
+        });
+      });
+    });
+  });
+});
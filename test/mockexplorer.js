@@ -0,0 +1,263 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var sinon = require('sinon');
+var should = chai.should();
+var BlockchainExplorer = require('../lib/blockchainexplorer');
+var Coins = require('../lib/common/coins');
+
+describe('Mock blockchain explorer', function() {
+  var explorer, lib, privKey, address;
+
+  function createExplorer(coin) {
+    explorer = new BlockchainExplorer({
+      provider: 'mock',
+      coin: coin,
+      network: 'livenet',
+    });
+    explorer.reset();
+    lib = Coins.getLib(coin);
+    privKey = new lib.PrivateKey();
+    address = Coins.formatAddress(coin, privKey.toAddress());
+  };
+
+  function spend(utxos, toAddress, amount, key) {
+    return new lib.Transaction()
+      .from(_.map(utxos, function(utxo) {
+        return _.pick(utxo, ['txid', 'vout', 'address', 'scriptPubKey', 'satoshis']);
+      }))
+      .to(toAddress, amount)
+      .change(address)
+      .fee(1000)
+      .sign(key || privKey)
+      .uncheckedSerialize();
+  };
+
+  beforeEach(function() {
+    createExplorer('btc');
+  });
+
+  describe('#fund', function() {
+    it('should fund addresses from the mempool', function(done) {
+      explorer.fund(address, 1e8, function(err, txid) {
+        should.not.exist(err);
+        explorer.getUtxos([address], function(err, utxos) {
+          should.not.exist(err);
+          utxos.length.should.equal(1);
+          utxos[0].txid.should.equal(txid);
+          utxos[0].satoshis.should.equal(1e8);
+          utxos[0].confirmations.should.equal(0);
+          explorer.getAddressActivity(address, function(err, activity) {
+            should.not.exist(err);
+            activity.should.be.true;
+            done();
+          });
+        });
+      });
+    });
+    it('should fail on invalid addresses or amounts', function(done) {
+      explorer.fund('mrM5kMkqZccK5MxZYSsM3SjqdMaNKLJgrJ', 1e8, function(err) {
+        err.message.should.equal('Invalid address');
+        explorer.fund(address, 0, function(err) {
+          err.message.should.equal('Invalid amount');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#mine', function() {
+    it('should confirm the txs in the mempool', function(done) {
+      explorer.fund(address, 1e8, function(err, txid) {
+        explorer.mine(3, function(err, hashes) {
+          should.not.exist(err);
+          hashes.length.should.equal(3);
+          explorer.getBlockchainHeight(function(err, height, hash) {
+            should.not.exist(err);
+            height.should.equal(3);
+            hash.should.equal(hashes[2]);
+            explorer.getTxidsInBlock(hashes[0], function(err, txids) {
+              should.not.exist(err);
+              txids.should.deep.equal([txid]);
+              explorer.getTransaction(txid, function(err, tx) {
+                should.not.exist(err);
+                tx.blockheight.should.equal(1);
+                tx.confirmations.should.equal(3);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('#broadcast', function() {
+    var utxos;
+    beforeEach(function(done) {
+      explorer.fund(address, 1e8, function(err) {
+        explorer.getUtxos([address], function(err, res) {
+          utxos = res;
+          done();
+        });
+      });
+    });
+
+    it('should accept signed txs spending unspent outputs', function(done) {
+      var rawTx = spend(utxos, '1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69', 0.4e8);
+      explorer.broadcast(rawTx, function(err, txid) {
+        should.not.exist(err);
+        explorer.getUtxos([address], function(err, res) {
+          should.not.exist(err);
+          res.length.should.equal(1);
+          res[0].txid.should.equal(txid);
+          res[0].satoshis.should.equal(0.6e8 - 1000);
+          explorer.getTransaction(txid, function(err, tx) {
+            should.not.exist(err);
+            tx.fees.should.equal(0.00001);
+            tx.vin[0].addr.should.equal(address);
+            tx.confirmations.should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+    it('should reject double spends', function(done) {
+      explorer.broadcast(spend(utxos, '1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69', 0.4e8), function(err) {
+        should.not.exist(err);
+        explorer.broadcast(spend(utxos, '1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69', 0.5e8), function(err) {
+          should.exist(err);
+          err.message.should.equal('Missing inputs');
+          done();
+        });
+      });
+    });
+    it('should reject txs with invalid signatures', function(done) {
+      var rawTx = spend(utxos, '1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69', 0.4e8, new lib.PrivateKey());
+      explorer.broadcast(rawTx, function(err) {
+        should.exist(err);
+        err.message.should.equal('mandatory-script-verify-flag-failed');
+        done();
+      });
+    });
+    it('should verify BCH signatures', function(done) {
+      createExplorer('bch');
+      explorer.fund(address, 1e8, function(err) {
+        should.not.exist(err);
+        explorer.getUtxos([address], function(err, utxos) {
+          should.not.exist(err);
+          explorer.broadcast(spend(utxos, 'CcJ4qUfyQ8x5NwhAeCQkrBSWVeXxXghcNz', 0.4e8), function(err) {
+            should.not.exist(err);
+            explorer.getUtxos(['CcJ4qUfyQ8x5NwhAeCQkrBSWVeXxXghcNz'], function(err, utxos) {
+              should.not.exist(err);
+              utxos[0].satoshis.should.equal(0.4e8);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('#getRawTransaction', function() {
+    it('should return the raw txs of the chain', function(done) {
+      explorer.fund(address, 1e8, function(err, txid) {
+        explorer.getRawTransaction(txid, function(err, raw) {
+          should.not.exist(err);
+          var tx = new lib.Transaction(raw);
+          tx.id.should.equal(txid);
+          tx.outputs[0].satoshis.should.equal(1e8);
+          explorer.getRawTransaction('1'.repeat(64), function(err, raw) {
+            should.not.exist(err);
+            should.not.exist(raw);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('#getTransactionOutputs', function() {
+    it('should return the outputs of the txs of the chain with their scripts', function(done) {
+      explorer.fund(address, 1e8, function(err, txid) {
+        explorer.getTransactionOutputs(txid, function(err, outputs) {
+          should.not.exist(err);
+          outputs.length.should.equal(1);
+          outputs[0].address.should.equal(address);
+          outputs[0].satoshis.should.equal(1e8);
+          outputs[0].script.should.equal(lib.Script.fromAddress(address).toHex());
+          explorer.getTransactionOutputs('1'.repeat(64), function(err, outputs) {
+            should.not.exist(err);
+            should.not.exist(outputs);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('#getTransactions', function() {
+    it('should list the txs of the addresses, newest first', function(done) {
+      explorer.fund(address, 1e8, function(err, txid1) {
+        explorer.mine(1, function() {
+          explorer.fund(address, 2e8, function(err, txid2) {
+            explorer.fund('1CVuVALD6Zo7ms24n3iUXv162kvUzsHr69', 2e8, function() {
+              explorer.getTransactions([address], 0, 1, function(err, txs, total) {
+                should.not.exist(err);
+                total.should.equal(2);
+                _.map(txs, 'txid').should.deep.equal([txid2]);
+                explorer.getTransactions([address], null, null, function(err, txs) {
+                  should.not.exist(err);
+                  _.map(txs, 'txid').should.deep.equal([txid2, txid1]);
+                  txs[1].vout[0].scriptPubKey.addresses.should.deep.equal([address]);
+                  txs[1].vout[0].value.should.equal('1.00000000');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('#estimateFee', function() {
+    it('should return the configured fee per kB', function(done) {
+      explorer.setFeePerKb(20000);
+      explorer.estimateFee([2, 6], function(err, fees) {
+        should.not.exist(err);
+        fees.should.deep.equal({
+          2: 0.0002,
+          6: 0.0002,
+        });
+        done();
+      });
+    });
+  });
+
+  describe('#initSocket', function() {
+    it('should emit new txs & blocks', function(done) {
+      var callbacks = {
+        onTx: sinon.spy(),
+        onIncomingPayments: sinon.spy(),
+        onBlock: sinon.spy(),
+      };
+      explorer.initSocket(callbacks);
+      explorer.fund(address, 1e8, function(err, txid) {
+        explorer.mine(1, function(err, hashes) {
+          var incoming = {
+            txid: txid,
+            vout: [_.fromPairs([
+              [address, 1e8]
+            ])],
+          };
+          callbacks.onTx.calledWith(incoming).should.be.true;
+          callbacks.onIncomingPayments.calledWith(incoming).should.be.true;
+          callbacks.onBlock.calledWith(hashes[0]).should.be.true;
+          done();
+        });
+      });
+    });
+  });
+});
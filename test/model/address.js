@@ -76,5 +76,55 @@ describe('Address', function() {
       address.path.should.equal('m/1/2');
       address.type.should.equal('P2PKH');
     });
+    it('should derive multi-sig P2SH-P2WSH address', function() {
+      var address = Address.derive('wallet-id', 'P2SH-P2WSH', [{
+        xPubKey: 'xpub686v8eJUJEqxzAtkWPyQ9nvpBHfucVsB8Q8HQHw5mxYPQtBact2rmA8wRXFYaVESK8f7WrxeU4ayALaEhicdXCX5ZHktNeRFnvFeffztiY1'
+        // PubKey(xPubKey/0/0) -> 03fe466ea829aa4c9a1c289f9ba61ebc26a61816500860c8d23f94aad9af152ecd
+      }, {
+        xPubKey: 'xpub68tpbrfk747AvDUCdtEUgK2yDPmtGKf7YXzEcUUqnF3jmAMeZgcpoZqgXwwoi8CpwDkyzVX6wxUktTw2wh9EhhVjh5S71MLL3FkZDGF5GeY'
+        // PubKey(xPubKey/0/0) -> 03162179906dbe6a67979d4f8f46ee1db6ff81715f465e6615a4f5969478ad2171
+      }], 'm/0/0', 1, 'btc', 'livenet', false);
+      should.exist(address);
+      address.address.should.equal('3FEnV3CnH4VvYGpN742n7mXu3LZ7KL1CPG');
+      address.network.should.equal('livenet');
+      address.type.should.equal('P2SH-P2WSH');
+    });
+    it('should derive 1-of-1 P2WPKH address', function() {
+      var address = Address.derive('wallet-id', 'P2WPKH', [{
+        xPubKey: 'xpub686v8eJUJEqxzAtkWPyQ9nvpBHfucVsB8Q8HQHw5mxYPQtBact2rmA8wRXFYaVESK8f7WrxeU4ayALaEhicdXCX5ZHktNeRFnvFeffztiY1'
+        // PubKey(xPubKey/1/2) -> 0232c09a6edd8e2189628132d530c038e0b15b414cf3984e532358cbcfb83a7bd7
+      }], 'm/1/2', 1, 'btc', 'livenet', true);
+      should.exist(address);
+      address.address.should.equal('bc1q54yvs7zxv7djqnxtlfpw9efw4kwlj7qzktnzzn');
+      address.network.should.equal('livenet');
+      address.type.should.equal('P2WPKH');
+    });
+    it('should derive regtest P2WPKH address with its own bech32 prefix', function() {
+      var address = Address.derive('wallet-id', 'P2WPKH', [{
+        xPubKey: 'xpub686v8eJUJEqxzAtkWPyQ9nvpBHfucVsB8Q8HQHw5mxYPQtBact2rmA8wRXFYaVESK8f7WrxeU4ayALaEhicdXCX5ZHktNeRFnvFeffztiY1'
+      }], 'm/1/2', 1, 'btc', 'regtest', true);
+      address.address.should.equal('bcrt1q54yvs7zxv7djqnxtlfpw9efw4kwlj7qz7y3uwf');
+      address.network.should.equal('regtest');
+    });
+    it('should derive multi-sig P2WSH address', function() {
+      var address = Address.derive('wallet-id', 'P2WSH', [{
+        xPubKey: 'xpub686v8eJUJEqxzAtkWPyQ9nvpBHfucVsB8Q8HQHw5mxYPQtBact2rmA8wRXFYaVESK8f7WrxeU4ayALaEhicdXCX5ZHktNeRFnvFeffztiY1'
+        // PubKey(xPubKey/0/0) -> 03fe466ea829aa4c9a1c289f9ba61ebc26a61816500860c8d23f94aad9af152ecd
+      }, {
+        xPubKey: 'xpub68tpbrfk747AvDUCdtEUgK2yDPmtGKf7YXzEcUUqnF3jmAMeZgcpoZqgXwwoi8CpwDkyzVX6wxUktTw2wh9EhhVjh5S71MLL3FkZDGF5GeY'
+        // PubKey(xPubKey/0/0) -> 03162179906dbe6a67979d4f8f46ee1db6ff81715f465e6615a4f5969478ad2171
+      }], 'm/0/0', 1, 'btc', 'livenet', false);
+      should.exist(address);
+      address.address.should.equal('bc1qeg99m00dh3tl62dkaml5xma0kek2czwy65enlc7vnwgdddas9qks5se85m');
+      address.network.should.equal('livenet');
+      address.type.should.equal('P2WSH');
+    });
+    it('should not derive native segwit addresses for coins without segwit', function() {
+      (function() {
+        Address.derive('wallet-id', 'P2WPKH', [{
+          xPubKey: 'xpub686v8eJUJEqxzAtkWPyQ9nvpBHfucVsB8Q8HQHw5mxYPQtBact2rmA8wRXFYaVESK8f7WrxeU4ayALaEhicdXCX5ZHktNeRFnvFeffztiY1'
+        }], 'm/1/2', 1, 'bch', 'livenet', true);
+      }).should.throw('SegWit is not supported for BCH');
+    });
   });
 });
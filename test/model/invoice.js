@@ -0,0 +1,63 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var should = chai.should();
+var Invoice = require('../../lib/model/invoice');
+
+
+describe('Invoice', function() {
+  var invoice;
+  beforeEach(function() {
+    invoice = Invoice.create({
+      walletId: 'w1',
+      address: '18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7',
+      amount: 1000,
+      expiresOn: 2000,
+    });
+  });
+
+  describe('#addPayment', function() {
+    it('should settle the invoice as paid', function() {
+      invoice.addPayment('tx1', 1000, 1500).should.be.true;
+      invoice.status.should.equal('paid');
+      invoice.amountReceived.should.equal(1000);
+      invoice.paidOn.should.equal(1500);
+    });
+    it('should add up partial payments', function() {
+      invoice.addPayment('tx1', 400, 1500);
+      invoice.status.should.equal('underpaid');
+      should.not.exist(invoice.paidOn);
+      invoice.addPayment('tx2', 700, 1600);
+      invoice.status.should.equal('overpaid');
+      invoice.amountReceived.should.equal(1100);
+      invoice.paidOn.should.equal(1600);
+      _.map(invoice.payments, 'txid').should.deep.equal(['tx1', 'tx2']);
+    });
+    it('should ignore payments already added', function() {
+      invoice.addPayment('tx1', 400, 1500);
+      invoice.addPayment('tx1', 400, 1500).should.be.false;
+      invoice.amountReceived.should.equal(400);
+    });
+    it('should expire an open invoice paid after the expiration', function() {
+      invoice.addPayment('tx1', 400, 1500);
+      invoice.addPayment('tx2', 600, 2000);
+      invoice.status.should.equal('expired');
+      invoice.amountReceived.should.equal(1000);
+    });
+    it('should not change a settled or cancelled invoice on late payments', function() {
+      invoice.addPayment('tx1', 1000, 1500);
+      invoice.addPayment('tx2', 1000, 2500);
+      invoice.status.should.equal('paid');
+      invoice.amountReceived.should.equal(2000);
+
+      var cancelled = Invoice.fromObj(_.assign({}, invoice, {
+        status: 'cancelled',
+        payments: [],
+        amountReceived: 0,
+      }));
+      cancelled.addPayment('tx1', 1000, 1500);
+      cancelled.status.should.equal('cancelled');
+    });
+  });
+});
@@ -16,6 +16,15 @@ describe('TxProposal', function() {
       txp.amount.should.equal(30000000);
       txp.network.should.equal('livenet');
     });
+    it('should opt in to RBF on BTC only', function() {
+      var txp = TxProposal.create(aTxpOpts());
+      txp.enableRBF.should.be.true;
+
+      var opts = aTxpOpts();
+      opts.coin = 'bch';
+      txp = TxProposal.create(opts);
+      txp.enableRBF.should.be.false;
+    });
   });
 
   describe('#fromObj', function() {
@@ -48,6 +57,40 @@ describe('TxProposal', function() {
       var t = txp.getBitcoreTx();
       t.getChangeOutput().should.deep.equal(t.outputs[0]);
     });
+    it('should build data outputs as OP_RETURN scripts', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      txp.outputs[1] = {
+        type: 'data',
+        data: '68656c6c6f',
+        amount: 0,
+      };
+      var t = txp.getBitcoreTx();
+      t.outputs[1].satoshis.should.equal(0);
+      t.outputs[1].script.toHex().should.equal('6a0568656c6c6f');
+    });
+    it('should set non-final sequence numbers when RBF is enabled', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      _.each(txp.getBitcoreTx().inputs, function(input) {
+        input.sequenceNumber.should.equal(0xffffffff);
+      });
+
+      txp.enableRBF = true;
+      _.each(txp.getBitcoreTx().inputs, function(input) {
+        input.sequenceNumber.should.equal(0xfffffffd);
+      });
+    });
+  });
+
+  describe('#getBitcoreTx bech32 outputs', function() {
+    it('should pay to a native segwit address', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      txp.outputs[0].toAddress = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+      var t = txp.getBitcoreTx();
+      var output = _.find(t.outputs, function(o) {
+        return o.satoshis == txp.outputs[0].amount;
+      });
+      output.script.toHex().should.equal('0014751e76e8199196d454941c45d1b3a323f1433bd6');
+    });
   });
 
   describe('#getTotalAmount', function() {
@@ -63,6 +106,24 @@ describe('TxProposal', function() {
       var x = TxProposal.fromObj(aTXP());
       x.getEstimatedSize().should.equal(396);
     });
+    it('should return estimated size in virtual bytes for segwit inputs', function() {
+      var x = TxProposal.fromObj(aTXP());
+      var legacySize = x.getEstimatedSize();
+      x.addressType = 'P2SH-P2WSH';
+      x.getEstimatedSizeForSingleInput().should.equal(76 + Math.ceil((2 * 74 + 2 * 34 + 6) / 4));
+      x.getEstimatedSize().should.be.below(legacySize);
+    });
+    it('should size data outputs by their payload', function() {
+      var x = TxProposal.fromObj(aTXP());
+      x.outputs[1] = {
+        type: 'data',
+        data: '68656c6c6f',
+        amount: 0,
+      };
+      x.getEstimatedSize().should.equal(377);
+      x.outputs[1].data = _.repeat('00', 80);
+      x.getEstimatedSize().should.equal(455);
+    });
   });
 
   describe('#sign', function() {
@@ -77,6 +138,47 @@ describe('TxProposal', function() {
     });
   });
 
+  describe('#setPolicyRequiredSignatures', function() {
+    it('should only raise the required signatures', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      txp.setPolicyRequiredSignatures(1);
+      txp.getRequiredSignatures().should.equal(2);
+      should.not.exist(txp.policyRequiredSignatures);
+      txp.setPolicyRequiredSignatures(3);
+      txp.getRequiredSignatures().should.equal(3);
+      txp.sign('1', theSignatures, theXPub);
+      txp.sign('2', theSignatures, theXPub);
+      txp.isAccepted().should.equal(false);
+      txp.isRejected().should.equal(false);
+      txp.reject('3');
+      txp.isRejected().should.equal(true);
+    });
+  });
+
+  describe('#hasExpired', function() {
+    it('should expire pending proposals past their expiration time', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      txp.hasExpired().should.be.false;
+      txp.expiresOn = 1000;
+      txp.hasExpired(999).should.be.false;
+      txp.hasExpired(1000).should.be.true;
+      txp.setExpired();
+      txp.isExpired().should.be.true;
+      txp.isPending().should.be.false;
+      txp.hasExpired(1000).should.be.false;
+    });
+    it('should not expire fully signed proposals', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      txp.expiresOn = 1000;
+      txp.sign('1', theSignatures, theXPub);
+      txp.sign('2', theSignatures, theXPub);
+      txp.hasExpired(1000).should.be.false;
+      (function() {
+        txp.setExpired();
+      }).should.throw();
+    });
+  });
+
   describe('#getRawTx', function() {
     it('should generate correct raw transaction for signed 2-2', function() {
       var txp = TxProposal.fromObj(aTXP());
@@ -94,6 +196,33 @@ describe('TxProposal', function() {
     });
   });
 
+  describe('#setReplaced', function() {
+    it('should mark a broadcasted tx as replaced', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      txp.txid = 'original';
+      txp.setBroadcasted();
+      txp.setReplaced({
+        id: 'replacement-id',
+        txid: 'replacement',
+      });
+      txp.isReplaced().should.be.true;
+      txp.isBroadcasted().should.be.false;
+      txp.isPending().should.be.false;
+      txp.replacedByTxProposalId.should.equal('replacement-id');
+      txp.replacedByTxid.should.equal('replacement');
+      should.exist(txp.replacedOn);
+    });
+    it('should fail to replace a tx that was not broadcasted', function() {
+      var txp = TxProposal.fromObj(aTXP());
+      (function() {
+        txp.setReplaced({
+          id: 'replacement-id',
+          txid: 'replacement',
+        });
+      }).should.throw();
+    });
+  });
+
   describe('#reject & #sign', function() {
     it('should finally reject', function() {
       var txp = TxProposal.fromObj(aTXP());
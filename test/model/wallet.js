@@ -71,6 +71,19 @@ describe('Wallet', function() {
       w.beAuthPrivateKey2.should.be.equal('de469a81d1df982765044c65ab3cedae0edebaca6a17e29e9addbe71b0cec6e5');
     });
 
+    it('key should not depend on observers', function() {
+      var t = _.cloneDeep(testWallet);
+      t.copayers.push(_.assign({}, t.copayers[0], {
+        id: 'observer',
+        role: 'observer',
+        xPubKey: 'xpub661MyMwAqRbcF3Q3BRNic47PusMzQbG3TDmxKJJT2k7vGLg7STrmdfYporfSgmCefUkLDnaQrMrVZf9knKBR9bYkwQxCaEpK611mZV8VNkN',
+      }));
+      var w = Wallet.fromObj(t);
+      w.getSigners().length.should.equal(3);
+      w.updateBEKeys();
+      w.beAuthPrivateKey2.should.be.equal('7272c172cf48c6306153aa9d7eaa5397bbf71b076a41deaf43e4a194fc76212c');
+    });
+
     it('key should depend on xpubs', function() {
       var t = _.clone(testWallet);
   
@@ -0,0 +1,101 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var should = chai.should();
+var Bitcore = require('bitcore-lib');
+var PSBT = require('../lib/psbt');
+
+describe('PSBT', function() {
+  var tx;
+  beforeEach(function() {
+    var privKey = new Bitcore.PrivateKey('09458c090a69a38368975fb68115df2f4b0ab7d1bc463fc60c67aa1730641d6c', 'livenet');
+    tx = new Bitcore.Transaction()
+      .from({
+        txid: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+        vout: 0,
+        satoshis: 1e8,
+        scriptPubKey: Bitcore.Script.buildPublicKeyHashOut(privKey.toAddress()).toHex(),
+      })
+      .to('18PzpUFkFZE8zKWUPvfykkTxmB9oMR8qP7', 0.5e8)
+      .change(privKey.toAddress())
+      .fee(1e4);
+  });
+
+  function aPsbt() {
+    return {
+      global: [PSBT.record(PSBT.GLOBAL_TYPES.UNSIGNED_TX, null, PSBT.serializeUnsignedTx(tx))],
+      inputs: [
+        [PSBT.record(PSBT.INPUT_TYPES.WITNESS_UTXO, null, tx.inputs[0].output.toBufferWriter().toBuffer())]
+      ],
+      outputs: [
+        [],
+        []
+      ],
+    };
+  };
+
+  describe('#serializeUnsignedTx', function() {
+    it('should serialize a transaction without scripts', function() {
+      PSBT.serializeUnsignedTx(tx).toString('hex').should.equal(tx.uncheckedSerialize());
+    });
+  });
+
+  describe('#encodeDerivation', function() {
+    it('should encode fingerprint and path', function() {
+      var res = PSBT.encodeDerivation(Buffer.from('4adc7580', 'hex'), "m/0'/1/2");
+      res.toString('hex').should.equal('4adc7580' + '00000080' + '01000000' + '02000000');
+    });
+  });
+
+  describe('#encode & #decode', function() {
+    it('should roundtrip a PSBT', function() {
+      var encoded = PSBT.encode(aPsbt());
+      encoded.should.match(/^cHNidP8B/);
+      var decoded = PSBT.decode(encoded);
+      decoded.unsignedTx.toString('hex').should.equal(tx.uncheckedSerialize());
+      decoded.global.length.should.equal(1);
+      decoded.inputs.length.should.equal(1);
+      decoded.inputs[0][0].key.toString('hex').should.equal('01');
+      decoded.outputs.length.should.equal(2);
+      PSBT.encode(decoded).should.equal(encoded);
+    });
+    it('should fail on invalid magic bytes', function() {
+      var buf = Buffer.from(PSBT.encode(aPsbt()), 'base64');
+      buf[0] = 0x00;
+      (function() {
+        PSBT.decode(buf.toString('base64'));
+      }).should.throw('Invalid PSBT magic bytes');
+    });
+    it('should fail on duplicated keys', function() {
+      var psbt = aPsbt();
+      psbt.inputs[0].push(psbt.inputs[0][0]);
+      (function() {
+        PSBT.decode(PSBT.encode(psbt));
+      }).should.throw('Duplicated key in PSBT');
+    });
+    it('should fail without unsigned transaction', function() {
+      var psbt = aPsbt();
+      psbt.global = [];
+      (function() {
+        PSBT.decode(PSBT.encode(psbt));
+      }).should.throw('PSBT has no unsigned transaction');
+    });
+    it('should fail when maps are missing', function() {
+      var psbt = aPsbt();
+      psbt.outputs = [
+        []
+      ];
+      (function() {
+        PSBT.decode(PSBT.encode(psbt));
+      }).should.throw('Unexpected end of PSBT');
+    });
+    it('should fail with trailing data', function() {
+      var psbt = aPsbt();
+      psbt.outputs.push([]);
+      (function() {
+        PSBT.decode(PSBT.encode(psbt));
+      }).should.throw('Unexpected data after PSBT');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var sinon = require('sinon');
+var should = chai.should();
+var dns = require('dns');
+var PublicEndpoint = require('../lib/publicendpoint');
+
+describe('PublicEndpoint', function() {
+  describe('#isPublicAddress', function() {
+    it('should accept public addresses', function() {
+      _.each(['8.8.8.8', '93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8'], function(address) {
+        PublicEndpoint.isPublicAddress(address).should.equal(true, address);
+      });
+    });
+    it('should reject loopback, private, link-local & metadata addresses', function() {
+      _.each([
+        '0.0.0.0', '127.0.0.1', '10.1.2.3', '100.64.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255',
+        '192.168.1.1', '224.0.0.1', '255.255.255.255',
+        '::', '::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', 'fe80::1', 'fe80::1%eth0', 'fc00::1',
+        'fd00:ec2::254', 'ff02::1', '64:ff9b::a9fe:a9fe',
+        'localhost', '',
+      ], function(address) {
+        PublicEndpoint.isPublicAddress(address).should.equal(false, address);
+      });
+    });
+  });
+
+  describe('#check', function() {
+    afterEach(function() {
+      dns.lookup.restore();
+    });
+    it('should fail if any of the addresses of the host is not public', function(done) {
+      sinon.stub(dns, 'lookup').yields(null, [{
+        address: '93.184.216.34',
+        family: 4
+      }, {
+        address: '10.0.0.1',
+        family: 4
+      }]);
+      PublicEndpoint.check('https://example.com/hook', function(err) {
+        should.exist(err);
+        err.message.should.contain('does not resolve to a public address');
+        dns.lookup.firstCall.args[0].should.equal('example.com');
+        dns.lookup.firstCall.args[1].all.should.be.true;
+        done();
+      });
+    });
+    it('should pass for hosts with public addresses only', function(done) {
+      sinon.stub(dns, 'lookup').yields(null, [{
+        address: '93.184.216.34',
+        family: 4
+      }]);
+      PublicEndpoint.check('https://example.com/hook', function(err) {
+        should.not.exist(err);
+        done();
+      });
+    });
+    it('should fail for unresolvable hosts', function(done) {
+      sinon.stub(dns, 'lookup').yields(new Error('getaddrinfo ENOTFOUND example.com'));
+      PublicEndpoint.check('https://example.com/hook', function(err) {
+        should.exist(err);
+        err.message.should.contain('ENOTFOUND');
+        done();
+      });
+    });
+  });
+});
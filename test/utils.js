@@ -145,6 +145,22 @@ describe('Utils', function() {
     });
   });
 
+  describe('#isValidDerivationPath', function() {
+    it('should accept BIP32 derivation paths', function() {
+      Utils.isValidDerivationPath('m').should.be.true;
+      Utils.isValidDerivationPath("m/44'/0'/0'").should.be.true;
+      Utils.isValidDerivationPath("m/45'/2/0/1").should.be.true;
+    });
+    it('should reject malformed derivation paths', function() {
+      Utils.isValidDerivationPath().should.be.false;
+      Utils.isValidDerivationPath('').should.be.false;
+      Utils.isValidDerivationPath("44'/0'/0'").should.be.false;
+      Utils.isValidDerivationPath("m/44'/0'/").should.be.false;
+      Utils.isValidDerivationPath("m/44h/0'/0'").should.be.false;
+      Utils.isValidDerivationPath("m/2147483648'").should.be.false;
+    });
+  });
+
   describe('#getAddressCoin', function() {
     it('should identify btc as coin for 1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA', function() {
       Utils.getAddressCoin('1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA').should.equal('btc');
@@ -240,5 +256,69 @@ describe('Utils', function() {
 
 
   });
-  
+
+  describe('#getEncodingNetwork', function() {
+    it('should encode regtest & signet keys and addresses as testnet ones', function() {
+      Utils.getEncodingNetwork('livenet').should.equal('livenet');
+      Utils.getEncodingNetwork('testnet').should.equal('testnet');
+      Utils.getEncodingNetwork('regtest').should.equal('testnet');
+      Utils.getEncodingNetwork('signet').should.equal('testnet');
+    });
+  });
+
+  describe('#decodeBech32Address', function() {
+    it('should decode a livenet P2WPKH address', function() {
+      var res = Utils.decodeBech32Address('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+      res.network.should.equal('livenet');
+      res.script.should.equal('0014751e76e8199196d454941c45d1b3a323f1433bd6');
+    });
+    it('should decode a testnet P2WSH address', function() {
+      var res = Utils.decodeBech32Address('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7');
+      res.network.should.equal('testnet');
+      res.script.should.equal('00201863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262');
+    });
+    it('should decode a regtest P2WPKH address', function() {
+      var res = Utils.decodeBech32Address('bcrt1qw508d6qejxtdg4y5r3zarvary0c5xw7kygt080');
+      res.network.should.equal('regtest');
+      res.script.should.equal('0014751e76e8199196d454941c45d1b3a323f1433bd6');
+    });
+    it('should accept uppercase addresses', function() {
+      var res = Utils.decodeBech32Address('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4');
+      res.network.should.equal('livenet');
+    });
+    it('should return undefined for invalid addresses', function() {
+      should.not.exist(Utils.decodeBech32Address('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'));
+      should.not.exist(Utils.decodeBech32Address('ltc1qw508d6qejxtdg4y5r3zarvary0c5xw7kgmn4n9'));
+      should.not.exist(Utils.decodeBech32Address('1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA'));
+      should.not.exist(Utils.decodeBech32Address());
+    });
+  });
+
+  describe('#normalizeAddress', function() {
+    it('should normalize bech32 addresses to lowercase', function() {
+      Utils.normalizeAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', 'btc').should.equal('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+    });
+    it('should normalize BCH addresses to a single format', function() {
+      Utils.normalizeAddress('CPrtPWbp8cCftTQu5fzuLG5zPJNDHMMf8X', 'bch').should.equal(Utils.normalizeAddress('bitcoincash:qpgjyj728rhu4gca2dqfzlpl8acnhzequshhgvev53', 'bch'));
+    });
+    it('should return undefined for invalid addresses', function() {
+      should.not.exist(Utils.normalizeAddress('invalid', 'btc'));
+      should.not.exist(Utils.normalizeAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', 'bch'));
+    });
+  });
+
+  describe('#parseCsv', function() {
+    it('should parse lines and trim fields', function() {
+      Utils.parseCsv('a, 1 ,x\r\nb,2\n\n').should.deep.equal([
+        ['a', '1', 'x'],
+        ['b', '2'],
+      ]);
+    });
+    it('should parse quoted fields', function() {
+      Utils.parseCsv('a,"one, ""two""\nthree"\nb').should.deep.equal([
+        ['a', 'one, "two"\nthree'],
+        ['b'],
+      ]);
+    });
+  });
 });
@@ -127,6 +127,46 @@ describe('V8', () => {
     });
 
   });
+  describe('#getTransactionOutputs', () => {
+    it('should return the outputs of the tx with their scripts', (done) => {
+      class CoinsForTx extends Client {
+        getCoinsForTx(opts) {
+          opts.txid.should.equal('txid1');
+          return Promise.resolve({
+            inputs: [],
+            outputs: [{
+              address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+              value: 0.5e8,
+              script: '76a91477bff20c60e522dfaa3350c39b030a5d004e839a88ac',
+            }, {
+              address: 'false',
+              value: 0,
+              script: '6a0568656c6c6f',
+            }],
+          });
+        };
+      };
+      var be = new V8({
+        coin: 'btc',
+        network: 'livenet',
+        url: 'http://dummy/',
+        apiPrefix: 'dummyPath',
+        userAgent: 'testAgent',
+        addressFormat: null,
+        client: CoinsForTx,
+      });
+
+      be.getTransactionOutputs('txid1', (err, outputs) => {
+        should.not.exist(err);
+        outputs.length.should.equal(2);
+        outputs[0].address.should.equal('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2');
+        outputs[0].satoshis.should.equal(0.5e8);
+        should.not.exist(outputs[1].address);
+        outputs[1].script.should.equal('6a0568656c6c6f');
+        return done();
+      });
+    });
+  });
   describe.skip('#deregistedwallet', () => {
   });
 });
@@ -0,0 +1,104 @@
+'use strict';
+
+var _ = require('lodash');
+var chai = require('chai');
+var should = chai.should();
+var X509 = require('../lib/x509');
+var TestData = require('./testdata');
+
+describe('X509', function() {
+  var leaf, intermediate, root;
+
+  beforeEach(function() {
+    leaf = X509.fromPem(TestData.x509.leaf);
+    intermediate = X509.fromPem(TestData.x509.intermediate);
+    root = X509.fromPem(TestData.x509.root);
+  });
+
+  describe('#parse', function() {
+    it('should parse an end entity certificate', function() {
+      var cert = X509.parse(leaf);
+      cert.commonName.should.equal('Test merchant');
+      cert.dnsNames.should.deep.equal(['localhost']);
+      cert.isCA.should.be.false;
+      cert.signatureHash.should.equal('sha256');
+      cert.notBefore.should.be.below(new Date());
+      cert.notAfter.getUTCFullYear().should.equal(2126);
+      cert.publicKey.should.contain('-----BEGIN PUBLIC KEY-----');
+      cert.issuer.equals(X509.parse(intermediate).subject).should.be.true;
+    });
+    it('should parse certificate authorities', function() {
+      X509.parse(intermediate).isCA.should.be.true;
+      X509.parse(root).isCA.should.be.true;
+    });
+    it('should fail on malformed certificates', function() {
+      (function() {
+        X509.parse(leaf.slice(0, 100));
+      }).should.throw('Truncated DER element');
+      (function() {
+        X509.fromPem('not a certificate');
+      }).should.throw('Invalid PEM certificate');
+    });
+  });
+
+  describe('#matchesHost', function() {
+    it('should match the DNS names of the certificate', function() {
+      var cert = X509.parse(leaf);
+      X509.matchesHost(cert, 'localhost').should.be.true;
+      X509.matchesHost(cert, 'LOCALHOST').should.be.true;
+      X509.matchesHost(cert, 'merchant.com').should.be.false;
+    });
+    it('should only match wildcards against a single label', function() {
+      var cert = {
+        dnsNames: ['*.merchant.com'],
+      };
+      X509.matchesHost(cert, 'pay.merchant.com').should.be.true;
+      X509.matchesHost(cert, 'merchant.com').should.be.false;
+      X509.matchesHost(cert, 'a.pay.merchant.com').should.be.false;
+    });
+    it('should fall back to the common name', function() {
+      X509.matchesHost({
+        commonName: 'merchant.com',
+        dnsNames: [],
+      }, 'merchant.com').should.be.true;
+    });
+  });
+
+  describe('#verifyChain', function() {
+    it('should verify a chain up to a trusted root', function() {
+      X509.verifyChain([leaf, intermediate], [TestData.x509.root]).commonName.should.equal('Test merchant');
+      X509.verifyChain([leaf, intermediate, root], [TestData.x509.root]).commonName.should.equal('Test merchant');
+    });
+    it('should fail on chains not leading to a trusted root', function() {
+      _.each([
+        [TestData.x509.otherRoot],
+        [],
+      ], function(trustedRoots) {
+        (function() {
+          X509.verifyChain([leaf, intermediate], trustedRoots);
+        }).should.throw('untrusted certificate chain');
+      });
+    });
+    it('should fail on incomplete or broken chains', function() {
+      (function() {
+        X509.verifyChain([leaf], [TestData.x509.root]);
+      }).should.throw('untrusted certificate chain');
+      (function() {
+        X509.verifyChain([leaf, root], [TestData.x509.root]);
+      }).should.throw('broken certificate chain');
+      (function() {
+        X509.verifyChain([], [TestData.x509.root]);
+      }).should.throw('empty certificate chain');
+    });
+    it('should not accept end entity certificates as issuers', function() {
+      (function() {
+        X509.verifyChain([intermediate, leaf], [TestData.x509.root]);
+      }).should.throw('issuer certificate is not a certificate authority');
+    });
+    it('should fail on certificates not valid at the date', function() {
+      (function() {
+        X509.verifyChain([leaf, intermediate], [TestData.x509.root], new Date('2200-01-01'));
+      }).should.throw('certificate not valid at this date');
+    });
+  });
+});
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+'use strict';
+
+var log = require('npmlog');
+log.debug = log.verbose;
+log.level = 'debug';
+
+var config = require('../config');
+var TxpExpirationService = require('../lib/txpexpirationservice');
+
+var txpExpirationService = new TxpExpirationService();
+txpExpirationService.start(config, function(err) {
+  if (err) throw err;
+
+  log.debug('Txp Expiration Service started');
+});
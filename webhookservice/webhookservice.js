@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+
+'use strict';
+
+var log = require('npmlog');
+log.debug = log.verbose;
+
+var config = require('../config');
+var WebhookService = require('../lib/webhookservice');
+
+var webhookService = new WebhookService();
+webhookService.start(config, function(err) {
+  if (err) throw err;
+
+  log.debug('Webhook Service started');
+});